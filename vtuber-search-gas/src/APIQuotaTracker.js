@@ -1,6 +1,8 @@
 /**
  * API使用量追跡クラス
  * YouTube Data APIのクォータ消費量を追跡し、ログシートに記録
+ * 使用量は全実行で共有する日次の台帳（スクリプトプロパティ）にも反映し、ジョブごとの予算を超えないようにする
+ * 台帳は実行ごとに別のキーへ書き込み、読み込み時に合計する（ロックを待たずに書き込めるため、最後の反映が失われない）
  */
 
 class APIQuotaTracker {
@@ -13,9 +15,20 @@ class APIQuotaTracker {
       'YouTube.PlaylistItems.list': { count: 0, units: 0 }, // 1ユニット/リクエスト
       'YouTube.Videos.list': { count: 0, units: 0 } // 1ユニット/リクエスト
     };
+    this.quotaSavings = 0; // 従来方式と比較した推定削減クォータ
+    this.estimatedQuota = null; // 実行前にQuotaPlannerで見積もったクォータ（見積もりがない場合はnull）
     this.sheetManager = new SpreadsheetManager();
     this.logSheet = null;
     this.initializeLogSheet();
+
+    // 日次クォータ台帳
+    this.budgetKey = APIQuotaTracker.getBudgetKey(functionName);
+    this.unflushedUnits = 0; // 台帳に未反映の使用量
+    this.runId = Utilities.getUuid(); // 台帳のキーに使う実行ID
+    this.runLedgerDate = APIQuotaTracker.getLedgerDate(); // 実行ごとの使用量を記録している台帳の日付
+    this.flushedUnits = 0; // この実行で台帳に反映済みの使用量（runLedgerDateの分）
+    this.budgetExhausted = false; // 予算不足でAPI呼び出しを見送ったか
+    this.ledger = APIQuotaTracker.loadLedger();
   }
 
   /**
@@ -51,6 +64,14 @@ class APIQuotaTracker {
         logSheet.setFrozenRows(1);
 
         Logger.log('API使用量ログシートヘッダーを初期化しました');
+      } else if (logSheet.getLastColumn() < CONFIG.API_USAGE_LOG_HEADERS.length) {
+        // 列が追加された場合はヘッダー行を更新（既存の列の位置は変わらない）
+        const headerRange = logSheet.getRange(1, 1, 1, CONFIG.API_USAGE_LOG_HEADERS.length);
+        headerRange.setValues([CONFIG.API_USAGE_LOG_HEADERS]);
+        headerRange.setFontWeight('bold');
+        headerRange.setBackground('#4285f4');
+        headerRange.setFontColor('#ffffff');
+        Logger.log('API使用量ログシートヘッダーを更新しました');
       }
 
       this.logSheet = logSheet;
@@ -78,6 +99,105 @@ class APIQuotaTracker {
 
     this.quotaUsage[apiName].count++;
     this.quotaUsage[apiName].units += units;
+
+    // 一定量ごとに台帳へ反映（同時に実行中の他のジョブの使用量も取り込む）
+    this.unflushedUnits += units;
+    if (this.unflushedUnits >= CONFIG.QUOTA_LEDGER_FLUSH_UNITS) {
+      this.flushLedger();
+    }
+  }
+
+  /**
+   * 本日の予算内でAPIを呼び出せるかチェック
+   * API呼び出しの直前に確認し、falseの場合は呼び出さずに処理を中断する
+   * @param {string|Array} apiNames API名（続けて呼び出す複数のAPIは配列で指定）
+   * @return {boolean} 予算が残っている場合true
+   */
+  hasBudget(apiNames) {
+    const names = Array.isArray(apiNames) ? apiNames : [apiNames];
+    const units = names.reduce((sum, apiName) => sum + this.getQuotaUnits(apiName), 0);
+
+    if (this.getRemainingBudget() >= units) {
+      return true;
+    }
+
+    this.markBudgetExhausted();
+    return false;
+  }
+
+  /**
+   * 本日の残り予算を取得
+   * ジョブの割り当てと1日の上限のうち、残りが少ない方
+   * @return {number} 残りクォータユニット数
+   */
+  getRemainingBudget() {
+    // 実行中に日付が変わった場合は新しい台帳に切り替える
+    if (this.ledger.date !== APIQuotaTracker.getLedgerDate()) {
+      this.ledger = APIQuotaTracker.loadLedger();
+    }
+
+    return APIQuotaTracker.calculateRemainingBudget(this.ledger, this.budgetKey, this.unflushedUnits);
+  }
+
+  /**
+   * 予算不足でAPI呼び出しを見送ったことを記録
+   */
+  markBudgetExhausted() {
+    if (!this.budgetExhausted) {
+      Logger.log(`本日のクォータ予算（${this.budgetKey}: ${APIQuotaTracker.getJobAllowance(this.budgetKey)}ユニット）が残っていないため、API呼び出しを中断します`);
+    }
+    this.budgetExhausted = true;
+  }
+
+  /**
+   * 予算不足でAPI呼び出しを見送ったか
+   * @return {boolean} 見送った場合true
+   */
+  isBudgetExhausted() {
+    return this.budgetExhausted;
+  }
+
+  /**
+   * 未反映の使用量を台帳に書き込み、最新の台帳を読み込む
+   * この実行の累計使用量を実行ごとのキーに上書きするため、他の実行と同時に書き込んでもロックは不要
+   */
+  flushLedger() {
+    try {
+      const properties = PropertiesService.getScriptProperties();
+      if (this.unflushedUnits > 0) {
+        // 実行中に日付が変わった場合は新しい日付のキーに記録する
+        const today = APIQuotaTracker.getLedgerDate();
+        if (this.runLedgerDate !== today) {
+          this.runLedgerDate = today;
+          this.flushedUnits = 0;
+        }
+        this.flushedUnits += this.unflushedUnits;
+        properties.setProperty(
+          APIQuotaTracker.getRunLedgerKey(today, this.runId),
+          JSON.stringify({ budgetKey: this.budgetKey, units: this.flushedUnits })
+        );
+        this.unflushedUnits = 0;
+      }
+      this.ledger = APIQuotaTracker.loadLedger(properties);
+    } catch (error) {
+      Logger.log(`クォータ台帳の更新エラー: ${error.message}`);
+    }
+  }
+
+  /**
+   * 従来方式と比較して削減できたクォータを記録
+   * @param {number} units 削減クォータユニット数
+   */
+  recordQuotaSavings(units) {
+    this.quotaSavings += units;
+  }
+
+  /**
+   * 実行前に見積もったクォータを記録（ログシートで実際の使用量と比較するため）
+   * @param {number} units 推定クォータユニット数
+   */
+  setEstimatedQuota(units) {
+    this.estimatedQuota = units;
   }
 
   /**
@@ -90,7 +210,8 @@ class APIQuotaTracker {
       'YouTube.Search.list': 100,
       'YouTube.Channels.list': 1,
       'YouTube.PlaylistItems.list': 1,
-      'YouTube.Videos.list': 1
+      'YouTube.Videos.list': 1,
+      'YouTube.ChannelSections.list': 1
     };
     return quotaMap[apiName] || 1;
   }
@@ -131,7 +252,9 @@ class APIQuotaTracker {
       duration: (new Date() - this.startTime) / 1000, // 秒
       quotaUsage: this.quotaUsage,
       totalQuota: this.getTotalQuota(),
-      totalAPICalls: this.getTotalAPICalls()
+      totalAPICalls: this.getTotalAPICalls(),
+      quotaSavings: this.quotaSavings,
+      estimatedQuota: this.estimatedQuota
     };
   }
 
@@ -141,6 +264,9 @@ class APIQuotaTracker {
    * @param {string} errorMessage エラーメッセージ（異常終了の場合）
    */
   logToSheet(status = '正常終了', errorMessage = '') {
+    // 台帳への反映はログシートの有無に関係なく行う
+    this.flushLedger();
+
     try {
       if (!this.logSheet) {
         Logger.log('API使用量ログシートが初期化されていません');
@@ -167,7 +293,9 @@ class APIQuotaTracker {
         usageDetails.quotaUsage['YouTube.Videos.list'].units || 0, // Videos.listクォータ
         usageDetails.totalAPICalls, // 合計API呼び出し回数
         usageDetails.totalQuota, // 合計クォータ使用量
-        errorMessage.substring(0, 500) // エラーメッセージ（500文字まで）
+        errorMessage.substring(0, 500), // エラーメッセージ（500文字まで）
+        usageDetails.quotaSavings, // 推定削減クォータ
+        usageDetails.estimatedQuota === null ? '' : usageDetails.estimatedQuota // 推定クォータ
       ];
 
       // ログシートに追加
@@ -181,7 +309,7 @@ class APIQuotaTracker {
       endDateRange.setNumberFormat('yyyy-MM-dd HH:mm:ss');
 
       // 数値列の書式設定
-      const numberColumns = [3, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15]; // 実行時間、各API呼び出し回数・クォータ、合計
+      const numberColumns = [3, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 17, 18]; // 実行時間、各API呼び出し回数・クォータ、合計、推定削減クォータ、推定クォータ
       numberColumns.forEach(col => {
         const range = this.logSheet.getRange(lastRow, col);
         range.setNumberFormat('#,##0');
@@ -191,11 +319,19 @@ class APIQuotaTracker {
       const rowRange = this.logSheet.getRange(lastRow, 1, 1, CONFIG.API_USAGE_LOG_HEADERS.length);
       if (status === '異常終了') {
         rowRange.setBackground('#ffe6e6'); // 薄い赤
+      } else if (status === 'クォータ予算超過') {
+        rowRange.setBackground('#fff4e5'); // 薄い橙
       } else {
         rowRange.setBackground('#e6ffe6'); // 薄い緑
       }
 
       Logger.log(`API使用量をログシートに記録しました: ${usageDetails.totalQuota}ユニット (${usageDetails.totalAPICalls}回のAPI呼び出し)`);
+      if (usageDetails.quotaSavings > 0) {
+        Logger.log(`推定削減クォータ: ${usageDetails.quotaSavings}ユニット`);
+      }
+      if (usageDetails.estimatedQuota !== null) {
+        Logger.log(`推定クォータ: ${usageDetails.estimatedQuota}ユニット（実際: ${usageDetails.totalQuota}ユニット）`);
+      }
 
     } catch (logError) {
       // ログ記録自体が失敗した場合はLoggerに記録
@@ -203,4 +339,129 @@ class APIQuotaTracker {
       Logger.log(`合計クォータ使用量: ${this.getTotalQuota()}ユニット`);
     }
   }
+
+  /**
+   * 台帳の日付キーを取得（太平洋時間の日付）
+   * @return {string} yyyy-MM-dd
+   */
+  static getLedgerDate() {
+    return Utilities.formatDate(new Date(), CONFIG.QUOTA_RESET_TIMEZONE, 'yyyy-MM-dd');
+  }
+
+  /**
+   * 実行ごとの使用量を保存するスクリプトプロパティのキーを取得
+   * @param {string} date 台帳の日付（yyyy-MM-dd）
+   * @param {string} runId 実行ID
+   * @return {string} キー
+   */
+  static getRunLedgerKey(date, runId) {
+    return `${CONFIG.QUOTA_LEDGER_PROPERTY_KEY}:${date}:${runId}`;
+  }
+
+  /**
+   * 本日の台帳を読み込み（実行ごとの使用量を合計する。日付が変わっていれば空の台帳）
+   * 前日以前の実行ごとのキーはこのときに削除する
+   * @param {Properties} properties スクリプトプロパティ（省略時は取得する）
+   * @return {Object} {date, total, jobs: {予算キー: 使用量}}
+   */
+  static loadLedger(properties = null) {
+    const scriptProperties = properties || PropertiesService.getScriptProperties();
+    const today = APIQuotaTracker.getLedgerDate();
+    const ledger = { date: today, total: 0, jobs: {} };
+    const add = (budgetKey, units) => {
+      ledger.total += units;
+      ledger.jobs[budgetKey] = (ledger.jobs[budgetKey] || 0) + units;
+    };
+
+    const values = scriptProperties.getProperties();
+    const todayPrefix = APIQuotaTracker.getRunLedgerKey(today, '');
+    const runPrefix = `${CONFIG.QUOTA_LEDGER_PROPERTY_KEY}:`;
+
+    Object.keys(values).forEach(key => {
+      try {
+        if (key === CONFIG.QUOTA_LEDGER_PROPERTY_KEY) {
+          // 実行ごとのキーを導入する前の形式（1つのキーに日付ごとの合計を保存）
+          const legacy = JSON.parse(values[key]);
+          if (legacy.date === today) {
+            Object.keys(legacy.jobs || {}).forEach(budgetKey => add(budgetKey, Number(legacy.jobs[budgetKey]) || 0));
+          } else {
+            scriptProperties.deleteProperty(key);
+          }
+        } else if (key.startsWith(todayPrefix)) {
+          const run = JSON.parse(values[key]);
+          add(run.budgetKey, Number(run.units) || 0);
+        } else if (key.startsWith(runPrefix)) {
+          scriptProperties.deleteProperty(key);
+        }
+      } catch (error) {
+        Logger.log(`クォータ台帳の読み込みエラー (${key}): ${error.message}`);
+      }
+    });
+
+    return ledger;
+  }
+
+  /**
+   * 関数名から予算キーを取得（割合が未指定の関数は default）
+   * @param {string} functionName 関数名
+   * @return {string} 予算キー
+   */
+  static getBudgetKey(functionName) {
+    return CONFIG.QUOTA_JOB_SHARES.hasOwnProperty(functionName) ? functionName : 'default';
+  }
+
+  /**
+   * 台帳から残り予算を計算
+   * @param {Object} ledger 台帳
+   * @param {string} budgetKey 予算キー
+   * @param {number} unflushedUnits 台帳に未反映の使用量
+   * @return {number} 残りクォータユニット数（ジョブの割り当てと1日の上限のうち、残りが少ない方）
+   */
+  static calculateRemainingBudget(ledger, budgetKey, unflushedUnits = 0) {
+    const jobUsed = (ledger.jobs[budgetKey] || 0) + unflushedUnits;
+    const totalUsed = ledger.total + unflushedUnits;
+    const jobRemaining = APIQuotaTracker.getJobAllowance(budgetKey) - jobUsed;
+    const totalRemaining = CONFIG.DAILY_QUOTA_LIMIT - totalUsed;
+
+    return Math.max(0, Math.min(jobRemaining, totalRemaining));
+  }
+
+  /**
+   * 関数の本日の残り予算を取得（実行外から確認する場合）
+   * @param {string} functionName 関数名
+   * @return {number} 残りクォータユニット数
+   */
+  static getRemainingBudgetFor(functionName) {
+    return APIQuotaTracker.calculateRemainingBudget(
+      APIQuotaTracker.loadLedger(),
+      APIQuotaTracker.getBudgetKey(functionName)
+    );
+  }
+
+  /**
+   * ジョブの1日の割り当てを取得
+   * @param {string} budgetKey 予算キー
+   * @return {number} 割り当てクォータユニット数
+   */
+  static getJobAllowance(budgetKey) {
+    return Math.floor(CONFIG.DAILY_QUOTA_LIMIT * (CONFIG.QUOTA_JOB_SHARES[budgetKey] || 0));
+  }
+
+  /**
+   * 本日の使用状況を取得（表示用）
+   * @return {Object} {date, limit, total, jobs: [{budgetKey, used, allowance}]}
+   */
+  static getDailyUsage() {
+    const ledger = APIQuotaTracker.loadLedger();
+    return {
+      date: ledger.date,
+      limit: CONFIG.DAILY_QUOTA_LIMIT,
+      total: ledger.total,
+      jobs: Object.keys(CONFIG.QUOTA_JOB_SHARES).map(budgetKey => ({
+        budgetKey: budgetKey,
+        used: ledger.jobs[budgetKey] || 0,
+        allowance: APIQuotaTracker.getJobAllowance(budgetKey)
+      }))
+    };
+  }
 }
@@ -0,0 +1,211 @@
+/**
+ * 事務所マスタ管理クラス
+ * 「事務所マスタ」シートの事務所名・別名・公式チャンネルIDからチャンネルの所属事務所を判定する
+ *
+ * - 判定の優先順: 公式チャンネルID（完全一致） → チャンネル名 → 説明文（事務所名・別名の部分一致）
+ * - 区分がCONFIG.AGENCY_EXCLUDED_TIERSに含まれる事務所の所属チャンネルは検索で追加しない
+ */
+
+class AgencyRegistry {
+  constructor(sheetManager = null) {
+    this.sheetManager = sheetManager || new SpreadsheetManager();
+    this.agencies = null;
+  }
+
+  /**
+   * 事務所マスタシートを初期化
+   * 新規作成時は初期データを登録する（除外キーワードシートの整理はスキーマ移行v11で行う）
+   * @return {Sheet} 事務所マスタシート
+   */
+  initializeSheet() {
+    const spreadsheet = this.sheetManager.spreadsheet;
+    let sheet = spreadsheet.getSheetByName(CONFIG.AGENCY_SHEET_NAME);
+
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(CONFIG.AGENCY_SHEET_NAME);
+      Logger.log(`シート "${CONFIG.AGENCY_SHEET_NAME}" を作成しました`);
+    }
+
+    // ヘッダー行が既に存在するかチェック
+    if (sheet.getLastRow() === 0) {
+      sheet.appendRow(CONFIG.AGENCY_HEADERS);
+
+      // ヘッダー行を太字にし、背景色を設定
+      const headerRange = sheet.getRange(1, 1, 1, CONFIG.AGENCY_HEADERS.length);
+      headerRange.setFontWeight('bold');
+      headerRange.setBackground('#34a853');
+      headerRange.setFontColor('#ffffff');
+
+      // 初期データを追加
+      const rows = CONFIG.AGENCY_DEFAULTS.map(agency => [agency.name, agency.aliases.join(', '), '', agency.tier, '']);
+      sheet.getRange(2, 1, rows.length, CONFIG.AGENCY_HEADERS.length).setValues(rows);
+
+      // 最初の行を固定
+      sheet.setFrozenRows(1);
+
+      Logger.log('事務所マスタシートを初期化しました');
+    }
+
+    return sheet;
+  }
+
+  /**
+   * 事務所をすべて取得（初回のみシートを読み込む）
+   * @return {Array} {row, name, aliases, channelIds, tier, note}の配列
+   */
+  getAgencies() {
+    if (this.agencies) {
+      return this.agencies;
+    }
+
+    const sheet = this.initializeSheet();
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) {
+      this.agencies = [];
+      return this.agencies;
+    }
+
+    this.agencies = sheet.getRange(2, 1, lastRow - 1, CONFIG.AGENCY_HEADERS.length).getValues()
+      .map((row, index) => ({
+        row: index + 2, // 実際の行番号
+        name: String(row[0] || '').trim(),
+        aliases: AgencyRegistry.parseList(row[1]),
+        channelIds: AgencyRegistry.parseList(row[2]),
+        tier: String(row[3] || '').trim(),
+        note: String(row[4] || '')
+      }))
+      .filter(agency => agency.name);
+
+    this.agencies
+      .filter(agency => !CONFIG.AGENCY_TIERS.includes(agency.tier))
+      .forEach(agency => {
+        Logger.log(`事務所マスタ${agency.row}行目「${agency.name}」の区分「${agency.tier}」は${CONFIG.AGENCY_TIERS.join(' / ')}のいずれでもありません`);
+      });
+
+    Logger.log(`事務所数: ${this.agencies.length}`);
+    return this.agencies;
+  }
+
+  /**
+   * チャンネルの所属事務所を判定
+   * @param {string} channelId チャンネルID
+   * @param {string} channelName チャンネル名
+   * @param {string} description 説明文
+   * @return {Object|null} {name, tier, evidence: 判定の根拠}、該当がなければnull
+   */
+  match(channelId, channelName, description) {
+    const agencies = this.getAgencies();
+
+    const official = agencies.find(agency => agency.channelIds.includes(channelId));
+    if (official) {
+      return { name: official.name, tier: official.tier, evidence: '公式チャンネルID' };
+    }
+
+    const fields = [
+      { label: 'チャンネル名', text: String(channelName || '').toLowerCase() },
+      { label: '説明文', text: String(description || '').toLowerCase() }
+    ];
+    for (const field of fields) {
+      for (const agency of agencies) {
+        const term = [agency.name].concat(agency.aliases).find(term => field.text.includes(term.toLowerCase()));
+        if (term) {
+          return { name: agency.name, tier: agency.tier, evidence: `${field.label}: ${term}` };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 検索で追加しない区分か
+   * @param {string} tier 区分
+   * @return {boolean} 除外する区分の場合true
+   */
+  isExcludedTier(tier) {
+    return CONFIG.AGENCY_EXCLUDED_TIERS.includes(tier);
+  }
+
+  /**
+   * VTuberリストの全チャンネルの所属・所属区分を判定し直す（事務所マスタの編集後に実行）
+   * チャンネル名・説明文はシートの値を使う（API呼び出しなし）
+   * @return {number} 所属・所属区分が変わったチャンネル数
+   */
+  labelChannels() {
+    const columns = this.sheetManager.getColumns();
+    const updates = new Map();
+
+    this.sheetManager.getDataRows().forEach(row => {
+      const channelId = String(columns.value(row, 'channelId') || '');
+      if (!channelId) {
+        return;
+      }
+      const agency = this.match(channelId, columns.value(row, 'channelName'), columns.value(row, 'description'));
+      const values = {
+        affiliation: agency ? agency.name : '',
+        affiliationTier: agency ? agency.tier : ''
+      };
+      if (String(columns.value(row, 'affiliation') || '') !== values.affiliation ||
+          String(columns.value(row, 'affiliationTier') || '') !== values.affiliationTier) {
+        updates.set(channelId, values);
+      }
+    });
+
+    this.sheetManager.updateChannelValues(updates);
+    Logger.log(`所属を更新しました: ${updates.size}件`);
+    return updates.size;
+  }
+
+  /**
+   * 除外キーワードシートから事務所マスタの事務所名・別名と同じキーワードの行を削除（スキーマ移行から呼び出す）
+   * （事務所による除外は事務所マスタの区分で行うため、同じ条件が二重に残らないようにする）
+   * 残す行を先頭に詰めて書き込み、末尾の余った行をまとめて削除する
+   * @return {Array} 削除したキーワードの配列
+   */
+  removeAgencyKeywords() {
+    const sheet = this.sheetManager.spreadsheet.getSheetByName(CONFIG.EXCLUDED_KEYWORDS_SHEET_NAME);
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return [];
+    }
+
+    const terms = new Set();
+    this.getAgencies().forEach(agency => {
+      [agency.name].concat(agency.aliases).forEach(term => terms.add(term.toLowerCase()));
+    });
+
+    const lastRow = sheet.getLastRow();
+    const width = Math.max(sheet.getLastColumn(), CONFIG.EXCLUDED_KEYWORDS_HEADERS.length);
+    const kept = [];
+    const removed = [];
+    sheet.getRange(2, 1, lastRow - 1, width).getValues().forEach(row => {
+      const keyword = String(row[0] || '').trim();
+      if (terms.has(keyword.toLowerCase())) {
+        removed.push(keyword);
+      } else {
+        kept.push(row);
+      }
+    });
+
+    if (removed.length === 0) {
+      Logger.log('事務所マスタと重複する除外キーワードはありません');
+      return removed;
+    }
+
+    if (kept.length > 0) {
+      sheet.getRange(2, 1, kept.length, width).setValues(kept);
+    }
+    sheet.deleteRows(kept.length + 2, removed.length);
+
+    Logger.log(`事務所マスタに移した除外キーワードを削除しました: ${removed.length}件（${removed.join('、')}）`);
+    return removed;
+  }
+
+  /**
+   * カンマ・読点・改行区切りの文字列を配列に変換
+   * @param {string} text 文字列
+   * @return {Array} 空の要素を除いた配列
+   */
+  static parseList(text) {
+    return String(text || '').split(/,|、|\n/).map(item => item.trim()).filter(item => item !== '');
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * 属性ルールエンジンクラス
+ * 属性管理シートのルールでチャンネルの属性を判定する
+ *
+ * - マッチ方式: 部分一致 / 単語（英数字の途中では一致しない） / 正規表現（いずれも大文字・小文字を区別しない）
+ * - 条件: フィルタ文言が複数ある場合に「すべて」一致（AND）か「いずれか」一致（OR）か
+ * - 除外語: いずれかに一致した場合はルールを適用しない
+ * - 対象: チャンネル名・説明文・動画タイトルのうち照合する項目
+ * - 優先度: 大きいほど属性の並び順で先になる。同じ属性を複数のルールが付与した場合は優先度の高いルールを根拠として記録する
+ *
+ * 判定のたびに属性を付け直す（ルールに一致しなくなった属性は外れる）。固定属性は常に残す
+ */
+
+class AttributeEngine {
+  /**
+   * @param {Array} settings 属性設定の配列（SpreadsheetManager.getAttributeSettingsの戻り値）
+   */
+  constructor(settings) {
+    this.rules = [];
+    this.invalidRules = []; // 正規表現が不正などで読み込めなかったルール {row, filterText, error}
+
+    settings.forEach(setting => {
+      if (!setting.enabled) {
+        return;
+      }
+      try {
+        this.rules.push(this.compileRule(setting));
+      } catch (error) {
+        Logger.log(`属性ルールを読み込めませんでした（属性管理シート${setting.row}行目）: ${error.message}`);
+        this.invalidRules.push({ row: setting.row, filterText: setting.filterText, error: error.message });
+      }
+    });
+
+    // 優先度の高い順（同じ優先度はシートの上の行から）
+    this.rules.sort((a, b) => b.priority - a.priority || a.row - b.row);
+  }
+
+  /**
+   * 属性設定をルールに変換
+   * @param {Object} setting 属性設定
+   * @return {Object} ルール {row, label, attribute, mode, requireAll, terms, excludes, fields, priority}
+   */
+  compileRule(setting) {
+    const mode = AttributeEngine.MATCH_MODES[setting.matchMode || '部分一致'];
+    if (!mode) {
+      throw new Error(`マッチ方式が不正です: ${setting.matchMode}（${Object.keys(AttributeEngine.MATCH_MODES).join('、')}のいずれか）`);
+    }
+
+    const fields = AttributeEngine.parseList(setting.fields || CONFIG.ATTRIBUTE_DEFAULT_FIELDS.join(','))
+      .map(field => {
+        const key = AttributeEngine.FIELDS[field];
+        if (!key) {
+          throw new Error(`対象が不正です: ${field}（${Object.keys(AttributeEngine.FIELDS).join('、')}）`);
+        }
+        return key;
+      });
+
+    const terms = this.splitTerms(setting.filterText, mode).map(term => this.compileTerm(term, mode));
+    if (terms.length === 0) {
+      throw new Error('フィルタ文言がありません');
+    }
+
+    return {
+      row: setting.row,
+      label: `属性管理${setting.row}行目「${setting.filterText}」`,
+      attribute: setting.attribute || setting.attributeName || setting.filterText,
+      requireAll: setting.condition === 'すべて',
+      terms: terms,
+      excludes: this.splitTerms(setting.excludeText || '', mode).map(term => this.compileTerm(term, mode)),
+      fields: fields,
+      priority: Number(setting.priority) || 0
+    };
+  }
+
+  /**
+   * フィルタ文言・除外語を語句に分割
+   * セル内改行で区切る（部分一致・単語は読点・カンマでも区切れる。正規表現は「,」を含みうるため改行のみ）
+   * @param {string} text フィルタ文言
+   * @param {string} mode マッチ方式
+   * @return {Array} 語句の配列
+   */
+  splitTerms(text, mode) {
+    const separator = mode === 'regex' ? /\r?\n/ : /\r?\n|,|、/;
+    return String(text || '').split(separator).map(term => term.trim()).filter(term => term !== '');
+  }
+
+  /**
+   * 語句を正規表現に変換
+   * @param {string} term 語句
+   * @param {string} mode マッチ方式
+   * @return {RegExp} 正規表現
+   */
+  compileTerm(term, mode) {
+    if (mode === 'regex') {
+      return new RegExp(term, 'i');
+    }
+
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (mode === 'word') {
+      return new RegExp(`(?<![A-Za-z0-9_])${escaped}(?![A-Za-z0-9_])`, 'i');
+    }
+    return new RegExp(escaped, 'i');
+  }
+
+  /**
+   * チャンネルの属性を判定
+   * @param {Object} channel {channelName, description, videoTitles}
+   * @param {Array} pinnedAttributes 固定属性
+   * @return {Object} {attributes: 属性の配列, sources: [{attribute, source}]}
+   */
+  evaluate(channel, pinnedAttributes = []) {
+    const texts = {
+      channelName: channel.channelName || '',
+      description: removeUrls(channel.description || ''), // URL内の文字列に一致させない
+      videoTitles: channel.videoTitles || ''
+    };
+
+    const attributes = [];
+    const sources = [];
+    const add = (attribute, source) => {
+      if (attributes.indexOf(attribute) === -1) {
+        attributes.push(attribute);
+        sources.push({ attribute: attribute, source: source });
+      }
+    };
+
+    pinnedAttributes.forEach(attribute => add(attribute, '固定'));
+    this.rules.forEach(rule => {
+      if (this.matches(rule, texts)) {
+        add(rule.attribute, rule.label);
+      }
+    });
+
+    return { attributes: attributes, sources: sources };
+  }
+
+  /**
+   * ルールに一致するか判定
+   * @param {Object} rule ルール
+   * @param {Object} texts 項目キー -> テキスト
+   * @return {boolean} 一致する場合true
+   */
+  matches(rule, texts) {
+    const text = rule.fields.map(field => texts[field]).join('\n');
+    const test = term => term.test(text);
+
+    if (rule.excludes.some(test)) {
+      return false;
+    }
+    return rule.requireAll ? rule.terms.every(test) : rule.terms.some(test);
+  }
+
+  /**
+   * 属性の根拠を属性の根拠列の文字列に変換
+   * @param {Array} sources [{attribute, source}]
+   * @return {string} 「属性 ← 根拠」を改行区切りにした文字列
+   */
+  static formatSources(sources) {
+    return sources.map(({attribute, source}) => `${attribute} ← ${source}`).join('\n');
+  }
+
+  /**
+   * カンマ区切りの文字列を配列に変換
+   * @param {string} text カンマ区切りの文字列
+   * @return {Array} 空の要素を除いた配列
+   */
+  static parseList(text) {
+    return String(text || '').split(/,|、/).map(item => item.trim()).filter(item => item !== '');
+  }
+}
+
+// マッチ方式（属性管理シートの表記 -> 内部の値）
+AttributeEngine.MATCH_MODES = {
+  '部分一致': 'substring',
+  '単語': 'word',
+  '正規表現': 'regex'
+};
+
+// 対象（属性管理シートの表記 -> 照合するテキストのキー）
+AttributeEngine.FIELDS = {
+  'チャンネル名': 'channelName',
+  '説明文': 'description',
+  '動画タイトル': 'videoTitles'
+};
@@ -0,0 +1,99 @@
+/**
+ * 属性付与サービスクラス
+ * 検索・定期更新でチャンネルを書き込む時点と、毎日の属性チェック処理の両方から属性を付与する
+ *
+ * 判定に使ったルールと入力（チャンネル名・説明文・最近の動画タイトル・固定属性）のハッシュを属性ハッシュ列に記録し、
+ * ハッシュが変わっていない行は判定・書き込みを省略する
+ */
+
+class AttributeService {
+  constructor(sheetManager = null) {
+    this.sheetManager = sheetManager || new SpreadsheetManager();
+    this.engine = null;
+    this.rulesFingerprint = null;
+  }
+
+  /**
+   * 属性ルールエンジンを取得（初回のみ属性管理シートを読み込む）
+   * @return {AttributeEngine} 属性ルールエンジン
+   */
+  getEngine() {
+    if (!this.engine) {
+      const settings = this.sheetManager.getAttributeSettings();
+      this.engine = new AttributeEngine(settings);
+      // 行番号も根拠の表記に含まれるため、ルールの行の移動も変更として扱う
+      this.rulesFingerprint = this.digest(JSON.stringify(settings));
+    }
+    return this.engine;
+  }
+
+  /**
+   * チャンネルの属性を判定
+   * @param {Object} channel {channelName, description, recentVideoTitles}
+   * @param {Array} pinnedAttributes 固定属性
+   * @return {Object} 列キー -> 値 {attributes, attributeSources, attributeHash}
+   */
+  evaluate(channel, pinnedAttributes = []) {
+    const result = this.getEngine().evaluate({
+      channelName: channel.channelName,
+      description: channel.description,
+      videoTitles: channel.recentVideoTitles
+    }, pinnedAttributes);
+
+    return {
+      attributes: result.attributes.join(', '),
+      attributeSources: AttributeEngine.formatSources(result.sources),
+      attributeHash: this.computeHash(channel, pinnedAttributes)
+    };
+  }
+
+  /**
+   * ルールと入力のハッシュを計算
+   * @param {Object} channel {channelName, description, recentVideoTitles}
+   * @param {Array} pinnedAttributes 固定属性
+   * @return {string} ハッシュ
+   */
+  computeHash(channel, pinnedAttributes = []) {
+    this.getEngine();
+    return this.digest(JSON.stringify([
+      this.rulesFingerprint,
+      String(channel.channelName || ''),
+      String(channel.description || ''),
+      String(channel.recentVideoTitles || ''),
+      pinnedAttributes
+    ]));
+  }
+
+  /**
+   * VTuberリストの行の属性を判定し直す（ルールと入力が前回の判定から変わっていない場合は何もしない）
+   * @param {Array} row 行データ
+   * @param {ColumnRegistry} columns 列レジストリ
+   * @param {boolean} force trueの場合はハッシュが同じでも判定する
+   * @return {Object|null} 変更があった場合は列キー -> 値、なければnull
+   */
+  reevaluateRow(row, columns, force = false) {
+    const channel = {
+      channelName: columns.value(row, 'channelName'),
+      description: columns.value(row, 'description'),
+      recentVideoTitles: columns.value(row, 'recentVideoTitles')
+    };
+    const pinnedAttributes = AttributeEngine.parseList(columns.value(row, 'pinnedAttributes'));
+
+    if (!force && this.computeHash(channel, pinnedAttributes) === String(columns.value(row, 'attributeHash') || '')) {
+      return null;
+    }
+
+    const values = this.evaluate(channel, pinnedAttributes);
+    const changed = Object.keys(values).some(key => String(columns.value(row, key) || '') !== values[key]);
+    return changed ? values : null;
+  }
+
+  /**
+   * 文字列のハッシュ（MD5のBase64）
+   * @param {string} text 文字列
+   * @return {string} ハッシュ
+   */
+  digest(text) {
+    return Utilities.base64Encode(Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, text, Utilities.Charset.UTF_8));
+  }
+}
@@ -0,0 +1,369 @@
+/**
+ * バッチジョブ管理クラス
+ * GASの6分制限で中断した処理の作業キュー・カーソルを非表示シートに保存し、
+ * 1回限りの継続トリガーで次の実行に引き継ぐ
+ *
+ * 使い方:
+ *   const job = BatchJob.claim('searchAndSaveVTuberChannels', {...初期状態});
+ *   if (!job) return; // 別の実行が処理中
+ *   ...job.stateを更新しながら処理...
+ *   処理が残っていれば job.suspend()、すべて終わったら job.complete()
+ */
+
+class BatchJob {
+  /**
+   * @param {string} jobName ジョブ名（トリガーから実行されるエントリーポイントの関数名）
+   */
+  constructor(jobName) {
+    this.jobName = jobName;
+    this.sheetManager = new SpreadsheetManager();
+    this.sheet = this.initializeStateSheet();
+    this.row = this.findRow();
+    this.state = {}; // 作業キュー・カーソル（再開に必要な情報）
+    this.progress = {}; // 状態表示用の集計値（項目名 -> 値）
+    this.runCount = 0;
+    this.startedAt = null;
+    this.resumedStatus = null; // 再開した記録のステータス（継続トリガーからの継続か、定期実行からの再開かの判定用）
+  }
+
+  /**
+   * ジョブ状態シートを初期化（非表示シート）
+   * @return {Sheet} ジョブ状態シート
+   */
+  initializeStateSheet() {
+    const spreadsheet = this.sheetManager.spreadsheet;
+    let sheet = spreadsheet.getSheetByName(CONFIG.JOB_STATE_SHEET_NAME);
+
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(CONFIG.JOB_STATE_SHEET_NAME);
+      sheet.appendRow(CONFIG.JOB_STATE_HEADERS);
+      sheet.getRange(1, 1, 1, CONFIG.JOB_STATE_HEADERS.length).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+      sheet.hideSheet();
+      Logger.log(`シート "${CONFIG.JOB_STATE_SHEET_NAME}" を作成しました`);
+    }
+
+    return sheet;
+  }
+
+  /**
+   * ジョブの行番号を検索
+   * @return {number|null} 行番号（未登録の場合はnull）
+   */
+  findRow() {
+    const lastRow = this.sheet.getLastRow();
+    if (lastRow <= 1) {
+      return null;
+    }
+
+    const names = this.sheet.getRange(2, 1, lastRow - 1, 1).getValues();
+    for (let i = 0; i < names.length; i++) {
+      if (names[i][0] === this.jobName) {
+        return i + 2; // 実際の行番号
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 別の実行がこのジョブを処理中か判定
+   * 「実行中」のまま更新が途絶えている場合（強制終了など）は処理中とみなさない
+   * @return {boolean} 処理中の場合true
+   */
+  isBusy() {
+    if (!this.row) {
+      return false;
+    }
+    const record = this.readRecord();
+    return record.status === BatchJob.STATUS.RUNNING && !this.isStale(record.updatedAt);
+  }
+
+  /**
+   * 中断中（または異常終了・強制終了で作業キューが残っている）のジョブがあれば状態を読み込んで再開
+   * @return {boolean} 再開した場合true
+   */
+  resume() {
+    const record = this.findResumableRecord();
+    if (!record) {
+      return false;
+    }
+
+    this.state = record.state;
+    this.progress = record.progress || {};
+    delete this.progress['エラー'];
+    delete this.progress['中断理由'];
+    this.runCount = record.runCount + 1;
+    this.startedAt = record.startedAt;
+    this.resumedStatus = record.status;
+    this.save(BatchJob.STATUS.RUNNING);
+
+    Logger.log(`ジョブ ${this.jobName} を再開します（${this.runCount}回目の実行）`);
+    return true;
+  }
+
+  /**
+   * 再開できる記録を取得（状態は変更しない）
+   * @return {Object|null} 記録（{status, startedAt, updatedAt, runCount, progress, state}）。再開できない場合はnull
+   */
+  findResumableRecord() {
+    if (!this.row) {
+      return null;
+    }
+
+    const record = this.readRecord();
+    const resumable = [BatchJob.STATUS.SUSPENDED, BatchJob.STATUS.WAITING, BatchJob.STATUS.RUNNING, BatchJob.STATUS.FAILED];
+    if (!resumable.includes(record.status) || Object.keys(record.state || {}).length === 0) {
+      return null;
+    }
+
+    return record;
+  }
+
+  /**
+   * ジョブを新規に開始
+   * @param {Object} initialState 初期状態（作業キュー・カーソルなど）
+   */
+  start(initialState = {}) {
+    this.state = initialState;
+    this.progress = {};
+    this.runCount = 1;
+    this.startedAt = new Date();
+    this.save(BatchJob.STATUS.RUNNING);
+  }
+
+  /**
+   * 途中経過を保存（実行中のまま）
+   */
+  checkpoint() {
+    this.save(BatchJob.STATUS.RUNNING);
+  }
+
+  /**
+   * 処理を中断し、継続トリガーを設定
+   * continueSoon=falseの場合は「定期実行待ち」として保存し、継続トリガーからは実行しない
+   * （クォータ予算の超過などで、すぐに継続しても処理が進まない場合）
+   * @param {string} reason 中断理由
+   * @param {boolean} continueSoon 継続トリガーを設定するか（falseの場合は次回の定期実行で再開）
+   */
+  suspend(reason = '実行時間制限', continueSoon = true) {
+    this.progress['中断理由'] = reason;
+    this.save(continueSoon ? BatchJob.STATUS.SUSPENDED : BatchJob.STATUS.WAITING);
+    if (continueSoon) {
+      BatchJob.scheduleContinuation();
+      Logger.log(`ジョブ ${this.jobName} を中断しました（${reason}）。継続トリガーを設定しました。`);
+    } else {
+      Logger.log(`ジョブ ${this.jobName} を中断しました（${reason}）。次回の定期実行で再開します。`);
+    }
+  }
+
+  /**
+   * ジョブを完了
+   * 作業キューは不要になるため破棄し、進捗（集計値）のみ残す
+   */
+  complete() {
+    this.state = {};
+    delete this.progress['中断理由'];
+    this.save(BatchJob.STATUS.COMPLETED);
+    Logger.log(`ジョブ ${this.jobName} が完了しました（${this.runCount}回の実行）`);
+  }
+
+  /**
+   * ジョブを異常終了として記録
+   * 作業キューは残すため、次回の実行で続きから再開できる
+   * @param {string} message エラーメッセージ
+   */
+  fail(message) {
+    this.progress['エラー'] = message;
+    this.save(BatchJob.STATUS.FAILED);
+  }
+
+  /**
+   * 状態をシートに保存
+   * 状態のJSONはセルの文字数上限を超えないよう複数セルに分割して保存する
+   * @param {string} status ステータス
+   */
+  save(status) {
+    const stateJson = JSON.stringify(this.state);
+    const chunks = [];
+    for (let i = 0; i < stateJson.length; i += CONFIG.JOB_STATE_CHUNK_SIZE) {
+      chunks.push(stateJson.substring(i, i + CONFIG.JOB_STATE_CHUNK_SIZE));
+    }
+
+    const now = Utilities.formatDate(new Date(), 'JST', 'yyyy-MM-dd HH:mm:ss');
+    const rowData = [
+      this.jobName,
+      status,
+      this.startedAt ? Utilities.formatDate(new Date(this.startedAt), 'JST', 'yyyy-MM-dd HH:mm:ss') : '',
+      now,
+      this.runCount,
+      JSON.stringify(this.progress)
+    ].concat(chunks);
+
+    if (!this.row) {
+      // 行の確保から書き込みまでの間に別のジョブが同じ行を確保しないよう、ロック内で書き込む
+      WriteCoordinator.run(`ジョブ ${this.jobName} の状態の保存`, () => {
+        this.row = this.findRow() || this.sheet.getLastRow() + 1;
+        this.writeRow(rowData);
+      });
+      return;
+    }
+
+    this.writeRow(rowData);
+  }
+
+  /**
+   * 状態の行をシートに書き込み
+   * @param {Array} rowData 行データ（ジョブ名・ステータス・日時・実行回数・進捗・状態のチャンク）
+   */
+  writeRow(rowData) {
+    // 前回より分割数が減った場合に古いチャンクが残らないよう、状態列をクリアしてから書き込む
+    const stateColumn = CONFIG.JOB_STATE_HEADERS.length;
+    const lastColumn = this.sheet.getLastColumn();
+    if (lastColumn >= stateColumn) {
+      this.sheet.getRange(this.row, stateColumn, 1, lastColumn - stateColumn + 1).clearContent();
+    }
+
+    this.sheet.getRange(this.row, 1, 1, rowData.length).setValues([rowData]);
+  }
+
+  /**
+   * シートからジョブの記録を読み込み
+   * @return {Object} {status, startedAt, updatedAt, runCount, progress, state}
+   */
+  readRecord() {
+    const lastColumn = Math.max(this.sheet.getLastColumn(), CONFIG.JOB_STATE_HEADERS.length);
+    const values = this.sheet.getRange(this.row, 1, 1, lastColumn).getValues()[0];
+    const stateIndex = CONFIG.JOB_STATE_HEADERS.length - 1;
+
+    return {
+      status: values[1],
+      startedAt: values[2] ? this.sheetManager.parseRecordedAt(values[2]) : null,
+      updatedAt: values[3] ? this.sheetManager.parseRecordedAt(values[3]) : null,
+      runCount: Number(values[4]) || 0,
+      progress: BatchJob.parseJson(values[5], {}),
+      state: BatchJob.parseJson(values.slice(stateIndex).join(''), {})
+    };
+  }
+
+  /**
+   * 「実行中」の記録が古すぎないか判定（実行が強制終了して状態が更新されなかった場合など）
+   * @param {Date|null} updatedAt 最終更新日時
+   * @return {boolean} 古い場合true
+   */
+  isStale(updatedAt) {
+    if (!updatedAt || isNaN(updatedAt.getTime())) {
+      return true;
+    }
+    // GASの実行時間上限（6分）を過ぎていれば、その実行はすでに終了している
+    return (new Date() - updatedAt) / 1000 > CONFIG.JOB_STALE_SECONDS;
+  }
+
+  /**
+   * ジョブの実行権を取得
+   * 処理中かの確認・再開または新規開始・「実行中」の記録を1つのスクリプトロック内で行い、
+   * 同時に起動した2つの実行が両方とも同じジョブを開始しないようにする
+   * @param {string} jobName ジョブ名
+   * @param {Object} initialState 新規開始時の初期状態
+   * @return {BatchJob|null} 実行権を取得したジョブ（別の実行が処理中の場合null）
+   */
+  static claim(jobName, initialState = {}) {
+    return WriteCoordinator.run(`ジョブ ${jobName} の開始`, () => {
+      const job = new BatchJob(jobName);
+      if (job.isBusy()) {
+        return null;
+      }
+      if (!job.resume()) {
+        job.start(initialState);
+      }
+      return job;
+    });
+  }
+
+  /**
+   * 継続トリガーを設定（既に設定済みの場合は何もしない）
+   */
+  static scheduleContinuation() {
+    const exists = ScriptApp.getProjectTriggers()
+      .some(trigger => trigger.getHandlerFunction() === CONFIG.JOB_CONTINUATION_HANDLER);
+    if (exists) {
+      return;
+    }
+
+    ScriptApp.newTrigger(CONFIG.JOB_CONTINUATION_HANDLER)
+      .timeBased()
+      .after(CONFIG.JOB_CONTINUATION_DELAY_SECONDS * 1000)
+      .create();
+  }
+
+  /**
+   * 継続トリガーを削除（実行済みの1回限りのトリガーを片付ける）
+   */
+  static deleteContinuationTriggers() {
+    ScriptApp.getProjectTriggers().forEach(trigger => {
+      if (trigger.getHandlerFunction() === CONFIG.JOB_CONTINUATION_HANDLER) {
+        ScriptApp.deleteTrigger(trigger);
+      }
+    });
+  }
+
+  /**
+   * 全ジョブの状態を取得（状態表示用）
+   * @return {Array} {jobName, status, startedAt, updatedAt, runCount, progress}の配列
+   */
+  static getAllStatuses() {
+    const sheet = new SpreadsheetManager().spreadsheet.getSheetByName(CONFIG.JOB_STATE_SHEET_NAME);
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return [];
+    }
+
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, CONFIG.JOB_STATE_HEADERS.length - 1).getValues();
+
+    return data
+      .filter(row => row[0])
+      .map(row => ({
+        jobName: row[0],
+        status: row[1],
+        startedAt: row[2],
+        updatedAt: row[3],
+        runCount: Number(row[4]) || 0,
+        progress: BatchJob.parseJson(row[5], {})
+      }));
+  }
+
+  /**
+   * 継続トリガーで実行する中断中のジョブ名を取得（定期実行待ちのジョブは含まない）
+   * @return {Array} ジョブ名の配列
+   */
+  static getSuspendedJobNames() {
+    return BatchJob.getAllStatuses()
+      .filter(job => job.status === BatchJob.STATUS.SUSPENDED)
+      .map(job => job.jobName);
+  }
+
+  /**
+   * JSON文字列を解析（失敗した場合は既定値）
+   * @param {string} value JSON文字列
+   * @param {*} defaultValue 既定値
+   * @return {*} 解析結果
+   */
+  static parseJson(value, defaultValue) {
+    if (!value) {
+      return defaultValue;
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      Logger.log(`ジョブ状態の読み込みエラー: ${error.message}`);
+      return defaultValue;
+    }
+  }
+}
+
+BatchJob.STATUS = {
+  RUNNING: '実行中',
+  SUSPENDED: '中断（継続待ち）',
+  WAITING: '中断（定期実行待ち）',
+  COMPLETED: '完了',
+  FAILED: '異常終了'
+};
@@ -0,0 +1,325 @@
+/**
+ * チャンネルグラフ探索クラス
+ * VTuberリストのチャンネルを起点に、おすすめチャンネル（ChannelSections.list）と最近の動画の説明文の@メンション・チャンネルURLをたどり、
+ * 未登録のチャンネルを通常の検索と同じ2段階のフィルタ（getChannelDetails）にかける
+ *
+ * - キーワード検索（1ページ100ユニット）と違い、1チャンネルをたどるのに数ユニットしか使わず、検索の上位に出ない個人勢が見つかる
+ * - 起点（VTuberリストのチャンネル）の深さは0。VTuberリストに追加されたチャンネルは、深さがGRAPH_MAX_DEPTH未満ならさらにたどる
+ * - 1回の実行で使用するクォータはGRAPH_QUOTA_BUDGET_PER_RUNまで。残りの探索は作業状態に残り、次の実行で続きから再開する
+ *   実行時間制限による継続実行（継続トリガー）は同じ1回の実行として数える（作業状態のrunQuotaUsedに使用量を累積）
+ */
+
+class ChannelGraphCrawler {
+  constructor(sheetManager = null, quotaTracker = null) {
+    this.sheetManager = sheetManager || new SpreadsheetManager();
+    this.quotaTracker = quotaTracker; // API使用量追跡オブジェクト（オプション）
+    this.errorLogger = new ErrorLogger();
+    this.searcher = new YouTubeSearcher(this.sheetManager, quotaTracker);
+    this.mentionExtractor = new ClipChannelDetector(); // 説明文の@ハンドル・チャンネルURLの抽出
+    this.quotaAtStart = quotaTracker ? quotaTracker.getTotalQuota() : 0;
+    this.estimatedUsage = 0; // quotaTrackerがない場合の使用量（推定）
+    this.usedBeforeExecution = 0; // 継続実行の前までに、同じ1回の実行で使用したクォータ
+  }
+
+  /**
+   * チャンネルグラフを探索し、フィルタを通過したチャンネルをVTuberリストに追加
+   * @param {Object} state 作業状態（BatchJobで保存すれば次の実行で続きから再開できる）
+   * @return {Object} {expanded: たどったチャンネル数, discovered: 新たに見つけたチャンネル数, added: 追加したチャンネル数,
+   *                   completed: 探索を終えたか, budgetReached: 1回の実行のクォータ上限に達したか}
+   */
+  crawl(state) {
+    Logger.log('--- チャンネルグラフ探索開始 ---');
+    this.initializeCrawlState(state);
+    this.usedBeforeExecution = state.runQuotaUsed;
+
+    const knownIds = this.getKnownChannelIds(state);
+    const handleIndex = this.getHandleIndex();
+    const result = { expanded: 0, discovered: 0, added: 0, completed: false, budgetReached: false };
+
+    while (state.frontier.length > 0 || state.pendingChannels.length > 0) {
+      if (this.searcher.isTimeoutApproaching()) {
+        Logger.log('実行時間制限が近づいています。探索を中断します。');
+        break;
+      }
+
+      // 見つけたチャンネルが1回のChannels.list分たまったら（または探索するチャンネルがなくなったら）フィルタにかける
+      if (state.pendingChannels.length >= CONFIG.MAX_RESULTS_PER_REQUEST || state.frontier.length === 0) {
+        const processed = this.processPendingChannels(state, result);
+        if (processed === 0) {
+          break;
+        }
+        continue;
+      }
+
+      // おすすめチャンネル1ユニット + 動画一覧1ユニット + @ハンドルの解決（1件1ユニット）
+      if (!this.canAfford(2 + CONFIG.GRAPH_MAX_HANDLES_PER_CHANNEL)) {
+        // 残りの予算で、見つけたチャンネルのフィルタだけは済ませる
+        if (state.pendingChannels.length > 0) {
+          this.processPendingChannels(state, result);
+        }
+        result.budgetReached = true;
+        break;
+      }
+      if (this.quotaTracker && !this.quotaTracker.hasBudget(['YouTube.ChannelSections.list', 'YouTube.PlaylistItems.list'])) {
+        break;
+      }
+
+      const node = state.frontier.shift();
+      const neighbors = this.expandChannel(node, handleIndex);
+      result.expanded++;
+
+      neighbors.forEach(neighbor => {
+        if (knownIds.has(neighbor.channelId)) {
+          return;
+        }
+        knownIds.add(neighbor.channelId);
+        state.seenIds.push(neighbor.channelId);
+        state.pendingChannels.push({
+          channelId: neighbor.channelId,
+          depth: node.depth + 1,
+          sourceChannelId: node.channelId,
+          source: neighbor.source
+        });
+        result.discovered++;
+      });
+    }
+
+    state.runQuotaUsed = this.usedBeforeExecution + this.getExecutionUsage();
+    result.completed = state.frontier.length === 0 && state.pendingChannels.length === 0;
+    Logger.log(`チャンネルグラフ探索: ${result.expanded}チャンネルをたどり、${result.discovered}件を発見、${result.added}件を追加` +
+      `（残り: 探索${state.frontier.length}件 / 未判定${state.pendingChannels.length}件）`);
+    Logger.log('--- チャンネルグラフ探索完了 ---');
+    return result;
+  }
+
+  /**
+   * 探索の作業状態を初期化（未設定の項目のみ）
+   * 起点はジョブの開始時点のVTuberリストのチャンネル（除外フラグの行を除く）
+   * @param {Object} state 作業状態
+   */
+  initializeCrawlState(state) {
+    if (!state.frontier) {
+      state.frontier = this.getSeedChannels();
+      Logger.log(`探索の起点: ${state.frontier.length}チャンネル`);
+    }
+    state.pendingChannels = state.pendingChannels || [];
+    state.seenIds = state.seenIds || [];
+    state.runQuotaUsed = state.runQuotaUsed || 0;
+
+    // 前回の実行がVTuberリストへの追加前に失敗した場合、判定中だったチャンネルを戻す
+    // （seenIdsに入っているため、戻さないと二度と見つからない。追加済みのチャンネルはappendChannelsがスキップする）
+    if (state.inFlightChannels) {
+      state.pendingChannels = state.inFlightChannels.concat(state.pendingChannels);
+      Logger.log(`前回追加できなかったチャンネルを戻しました: ${state.inFlightChannels.length}件`);
+      state.inFlightChannels = null;
+    }
+  }
+
+  /**
+   * 探索の起点（VTuberリストのチャンネル）を取得
+   * @return {Array} {channelId, handle, depth: 0}の配列
+   */
+  getSeedChannels() {
+    const columns = this.sheetManager.getColumns();
+    return this.sheetManager.getDataRows()
+      .filter(row => columns.value(row, 'channelId') && columns.value(row, 'excludeFlag') !== true)
+      .map(row => ({
+        channelId: String(columns.value(row, 'channelId')),
+        handle: String(columns.value(row, 'handle') || ''),
+        depth: 0
+      }));
+  }
+
+  /**
+   * 探索で新たに見つけたとみなさないチャンネルIDを取得
+   * （VTuberリスト・除外チャンネル・VTuber判定レビュー・切り抜きチャンネル・新人ウォッチリスト・この探索で見つけたチャンネル）
+   * @param {Object} state 作業状態
+   * @return {Set} チャンネルIDのSet
+   */
+  getKnownChannelIds(state) {
+    const knownIds = new Set(this.sheetManager.getAllChannelIds());
+    const add = ids => ids.forEach(id => knownIds.add(id));
+
+    add(this.sheetManager.getSuppressedChannelIds());
+    add(this.searcher.reviewQueue.getRecordedChannelIds());
+    add(this.searcher.relatedChannels.getRelatedChannelIds(CONFIG.RELATED_TYPE_CLIP));
+    add(new DebutRadar(this.sheetManager).getRows().map(row => row.channelId));
+    add(state.seenIds);
+
+    return knownIds;
+  }
+
+  /**
+   * VTuberリストのハンドルとチャンネルIDの索引（登録済みのチャンネルの@メンションはAPIで解決しない）
+   * @return {Map} ハンドル（@なし、小文字） -> チャンネルID
+   */
+  getHandleIndex() {
+    const columns = this.sheetManager.getColumns();
+    const handleIndex = new Map();
+    this.sheetManager.getDataRows().forEach(row => {
+      const handle = String(columns.value(row, 'handle') || '').replace(/^@/, '').toLowerCase();
+      if (handle) {
+        handleIndex.set(handle, String(columns.value(row, 'channelId')));
+      }
+    });
+    return handleIndex;
+  }
+
+  /**
+   * チャンネルのつながり（おすすめチャンネル・最近の動画の説明文の@メンションとチャンネルURL）を取得
+   * @param {Object} node {channelId, handle, depth}
+   * @param {Map} handleIndex ハンドル -> チャンネルIDの索引（解決したハンドルを追加する）
+   * @return {Array} {channelId, source}の配列（自チャンネルを除く、重複なし）
+   */
+  expandChannel(node, handleIndex) {
+    const neighbors = [];
+    const add = (channelId, source) => {
+      if (channelId && channelId !== node.channelId && !neighbors.some(neighbor => neighbor.channelId === channelId)) {
+        neighbors.push({ channelId: channelId, source: source });
+      }
+    };
+
+    this.getFeaturedChannelIds(node.channelId).forEach(channelId => add(channelId, ChannelGraphCrawler.SOURCES.featured));
+
+    // 動画一覧（snippet）に説明文が含まれるため、動画詳細は取得しない
+    const videos = this.searcher.getRecentVideos('UU' + node.channelId.substring(2), CONFIG.GRAPH_RECENT_VIDEOS);
+    this.estimatedUsage += 1;
+    const descriptions = videos.map(video => video.description).join('\n');
+
+    this.mentionExtractor.extractChannelIds(descriptions).forEach(channelId => add(channelId, ChannelGraphCrawler.SOURCES.mention));
+
+    let resolvedCount = 0;
+    this.mentionExtractor.extractHandles(descriptions, node.handle).forEach(handle => {
+      const key = handle.toLowerCase();
+      if (!handleIndex.has(key)) {
+        if (resolvedCount >= CONFIG.GRAPH_MAX_HANDLES_PER_CHANNEL) {
+          return;
+        }
+        resolvedCount++;
+        this.estimatedUsage += 1;
+        handleIndex.set(key, this.searcher.resolveHandle(handle)); // 見つからない場合もnullを記録して再解決しない
+      }
+      add(handleIndex.get(key), ChannelGraphCrawler.SOURCES.mention);
+    });
+
+    return neighbors;
+  }
+
+  /**
+   * チャンネルのおすすめチャンネル（チャンネルセクションのチャンネル一覧）を取得
+   * @param {string} channelId チャンネルID
+   * @return {Array} チャンネルIDの配列
+   */
+  getFeaturedChannelIds(channelId) {
+    try {
+      const response = YouTube.ChannelSections.list('snippet,contentDetails', { channelId: channelId });
+
+      // API使用量を記録
+      if (this.quotaTracker) {
+        this.quotaTracker.recordAPICall('YouTube.ChannelSections.list');
+      }
+      this.estimatedUsage += 1;
+
+      const channelIds = [];
+      (response.items || []).forEach(section => {
+        (section.contentDetails?.channels || []).forEach(id => {
+          if (channelIds.indexOf(id) === -1) {
+            channelIds.push(id);
+          }
+        });
+      });
+      return channelIds;
+
+    } catch (error) {
+      Logger.log(`おすすめチャンネルの取得エラー (${channelId}): ${error.message}`);
+      this.errorLogger.logError(error, {
+        functionName: 'getFeaturedChannelIds',
+        apiName: 'YouTube.ChannelSections.list',
+        channelId: channelId
+      });
+      return [];
+    }
+  }
+
+  /**
+   * 見つけたチャンネルを通常の検索と同じフィルタ・VTuber判定にかけ、追加するチャンネルをVTuberリストに追加
+   * 追加したチャンネルは、深さがGRAPH_MAX_DEPTH未満であれば探索するチャンネルに加える
+   * @param {Object} state 作業状態（pendingChannelsから取り出し、frontierに追加）
+   * @param {Object} result 集計（addedを更新）
+   * @return {number} 処理したチャンネル数（クォータ上限・実行時間制限で処理できなかった場合0）
+   */
+  processPendingChannels(state, result) {
+    // Channels.list 1ユニット + 基本情報フィルタを通過したチャンネルごとに2ユニット（動画一覧・動画詳細）
+    const affordableCount = Math.min(CONFIG.MAX_RESULTS_PER_REQUEST, Math.floor((this.getRemainingBudget() - 1) / 2));
+    if (affordableCount <= 0) {
+      result.budgetReached = true;
+      return 0;
+    }
+
+    const batch = state.pendingChannels.splice(0, affordableCount);
+    state.inFlightChannels = batch; // VTuberリストへの追加が終わるまで作業状態に残す
+    const entries = new Map(batch.map(entry => [entry.channelId, entry]));
+    const remainingIds = [];
+
+    const channels = this.searcher.getChannelDetails(batch.map(entry => entry.channelId), remainingIds);
+    this.estimatedUsage += Math.ceil(batch.length / CONFIG.MAX_RESULTS_PER_REQUEST) + channels.length * 2;
+
+    // 中断で処理できなかったチャンネルは次回に持ち越す
+    const remainingSet = new Set(remainingIds);
+    remainingIds.forEach(channelId => state.pendingChannels.push(entries.get(channelId)));
+    state.inFlightChannels = batch.filter(entry => !remainingSet.has(entry.channelId));
+
+    channels.forEach(channel => {
+      channel.discoverySource = CONFIG.DISCOVERY_SOURCES.graph;
+    });
+    const accepted = this.searcher.screenByConfidence(channels);
+    if (accepted.length > 0) {
+      this.sheetManager.appendChannels(accepted);
+      result.added += accepted.length;
+    }
+    state.inFlightChannels = null;
+
+    accepted.forEach(channel => {
+      const entry = entries.get(channel.channelId);
+      Logger.log(`チャンネルグラフから追加: ${channel.channelName}（${entry.source}: ${entry.sourceChannelId}、深さ${entry.depth}）`);
+      if (entry.depth < CONFIG.GRAPH_MAX_DEPTH) {
+        state.frontier.push({ channelId: channel.channelId, handle: channel.handle, depth: entry.depth });
+      }
+    });
+
+    return batch.length - remainingIds.length;
+  }
+
+  /**
+   * この実行（GASの1回の実行）で使用したクォータ
+   * @return {number} 使用ユニット数
+   */
+  getExecutionUsage() {
+    return this.quotaTracker
+      ? this.quotaTracker.getTotalQuota() - this.quotaAtStart
+      : this.estimatedUsage;
+  }
+
+  /**
+   * 1回の実行のクォータ上限までの残り（ユニット）。継続実行の前までの使用量を含めて数える
+   * @return {number} 残りユニット数
+   */
+  getRemainingBudget() {
+    return CONFIG.GRAPH_QUOTA_BUDGET_PER_RUN - this.usedBeforeExecution - this.getExecutionUsage();
+  }
+
+  /**
+   * 1回の実行のクォータ上限に収まるか
+   * @param {number} units 使用するユニット数（見込み）
+   * @return {boolean} 収まる場合true
+   */
+  canAfford(units) {
+    return this.getRemainingBudget() >= units;
+  }
+}
+
+// つながりの種類（ログ・作業状態に記録）
+ChannelGraphCrawler.SOURCES = {
+  featured: 'おすすめチャンネル',
+  mention: '動画の説明文'
+};
@@ -0,0 +1,226 @@
+/**
+ * 既存チャンネル定期更新クラス
+ * VTuberリストに登録済みの全チャンネルを取得日時の古い順に再取得する
+ * 検索結果に現れなくなったチャンネルの情報も古いまま残らないようにする
+ */
+
+class ChannelRefresher {
+  constructor(sheetManager = null, quotaTracker = null) {
+    this.startTime = new Date().getTime();
+    this.sheetManager = sheetManager || new SpreadsheetManager();
+    this.quotaTracker = quotaTracker; // API使用量追跡オブジェクト（オプション）
+    this.errorLogger = new ErrorLogger();
+    this.searcher = new YouTubeSearcher(this.sheetManager, quotaTracker);
+    this.properties = PropertiesService.getScriptProperties();
+  }
+
+  /**
+   * 既存チャンネルの情報を更新
+   * 前回の実行で中断した位置から再開し、クォータ上限に達するまで50件ずつ再取得する
+   * @return {Object} {updated: 更新件数, processed: 処理件数, remaining: 残件数, cycleCompleted: 一巡したか}
+   */
+  refreshChannels() {
+    Logger.log('--- 既存チャンネル更新開始 ---');
+
+    const existingChannels = this.sheetManager.getExistingChannelIds();
+    let cursor = this.loadCursor();
+    let queue = this.buildQueue(existingChannels, cursor);
+
+    // 前回のサイクルで全件処理済みの場合は新しいサイクルを開始
+    if (cursor && queue.length === 0) {
+      Logger.log('前回のサイクルは完了しています。新しいサイクルを開始します。');
+      cursor = null;
+      queue = this.buildQueue(existingChannels, cursor);
+    }
+
+    if (!cursor) {
+      cursor = {
+        cycleStartedAt: new Date().getTime(),
+        lastFetchedAt: 0,
+        lastChannelId: ''
+      };
+    }
+
+    Logger.log(`登録チャンネル数: ${existingChannels.size}`);
+    Logger.log(`更新待ちチャンネル数: ${queue.length}`);
+
+    const batchSize = CONFIG.MAX_RESULTS_PER_REQUEST;
+    const budget = CONFIG.REFRESH_QUOTA_BUDGET_PER_RUN;
+    const quotaAtStart = this.quotaTracker ? this.quotaTracker.getTotalQuota() : 0;
+    let estimatedUsage = 0;
+    let processed = 0;
+    let updated = 0;
+
+    while (processed < queue.length) {
+      if (this.isTimeoutApproaching()) {
+        Logger.log('実行時間制限が近づいています。更新処理を中断します。');
+        break;
+      }
+
+      // 使用済みクォータ（トラッカーがない場合は推定値）
+      const usedQuota = this.quotaTracker
+        ? this.quotaTracker.getTotalQuota() - quotaAtStart
+        : estimatedUsage;
+
+      // クォータ上限（1回の実行の予算・本日の予算）に収まる件数にバッチを縮める
+      const affordableCount = this.searcher.getAffordableUpdateCount(batchSize, budget - usedQuota);
+      if (affordableCount <= 0) {
+        Logger.log(`クォータ上限（1回${budget}ユニットまたは本日の予算）に達しました。更新処理を中断します。`);
+        // 本日の予算が尽きた場合は実行結果に予算超過を記録
+        if (this.quotaTracker && this.searcher.getAffordableUpdateCount(batchSize) <= 0) {
+          this.quotaTracker.markBudgetExhausted();
+        }
+        break;
+      }
+
+      const batch = queue.slice(processed, processed + affordableCount);
+      Logger.log(`チャンネル再取得中... (${processed + 1}〜${processed + batch.length}/${queue.length})`);
+
+      const unprocessedIds = [];
+      const updates = this.searcher.getChannelDetailsForUpdate(
+        batch.map(channel => ({ id: channel.channelId, row: channel.row })),
+        unprocessedIds,
+        { statsOnly: true } // 追加時の条件で除外すると取得日時が更新されず、毎回キューの先頭に戻るため
+      );
+
+      if (updates.length > 0) {
+        this.sheetManager.updateChannels(updates);
+        updated += updates.length;
+      }
+
+      // 中断で取得できなかったチャンネル（バッチの末尾）は次回に持ち越す
+      const processedCount = batch.length - unprocessedIds.length;
+      if (processedCount <= 0) {
+        break;
+      }
+
+      processed += processedCount;
+      estimatedUsage += this.estimateBatchCost(processedCount);
+
+      // 処理済みの位置を保存（次回はこの続きから再開）
+      const lastChannel = batch[processedCount - 1];
+      cursor.lastFetchedAt = lastChannel.fetchedAtTime;
+      cursor.lastChannelId = lastChannel.channelId;
+      this.saveCursor(cursor);
+
+      if (unprocessedIds.length > 0) {
+        break;
+      }
+    }
+
+    const remaining = queue.length - processed;
+    Logger.log(`更新完了: ${updated}件更新 / ${processed}件処理（残り${remaining}件）`);
+    Logger.log('--- 既存チャンネル更新完了 ---');
+
+    return {
+      updated: updated,
+      processed: processed,
+      remaining: remaining,
+      cycleCompleted: remaining === 0
+    };
+  }
+
+  /**
+   * 更新待ちキューを構築
+   * 今回のサイクル開始前に取得され、かつ前回の中断位置より後ろのチャンネルを取得日時の古い順に並べる
+   * @param {Map} existingChannels 既存のチャンネル情報（ID -> {row, fetchedAt}）
+   * @param {Object|null} cursor 再開位置（{cycleStartedAt, lastFetchedAt, lastChannelId}）
+   * @return {Array} {channelId, row, fetchedAtTime}の配列
+   */
+  buildQueue(existingChannels, cursor) {
+    const queue = [];
+
+    existingChannels.forEach((info, channelId) => {
+      // 取得日時が不正な場合は最も古いものとして扱う
+      const fetchedAtTime = isNaN(info.fetchedAt.getTime()) ? 0 : info.fetchedAt.getTime();
+
+      if (!this.sheetManager.shouldUpdateChannel(new Date(fetchedAtTime))) {
+        return;
+      }
+
+      if (cursor) {
+        // 今回のサイクルで既に更新済み
+        if (fetchedAtTime >= cursor.cycleStartedAt) {
+          return;
+        }
+        // 前回の中断位置以前（更新対象外だったチャンネルを含む）
+        if (this.compareQueuePosition(fetchedAtTime, channelId, cursor.lastFetchedAt, cursor.lastChannelId) <= 0) {
+          return;
+        }
+      }
+
+      queue.push({
+        channelId: channelId,
+        row: info.row,
+        fetchedAtTime: fetchedAtTime
+      });
+    });
+
+    queue.sort((a, b) => this.compareQueuePosition(a.fetchedAtTime, a.channelId, b.fetchedAtTime, b.channelId));
+    return queue;
+  }
+
+  /**
+   * キュー内の位置を比較（取得日時 → チャンネルIDの順）
+   * @return {number} aが前なら負、同じなら0、後ろなら正
+   */
+  compareQueuePosition(fetchedAtA, channelIdA, fetchedAtB, channelIdB) {
+    if (fetchedAtA !== fetchedAtB) {
+      return fetchedAtA - fetchedAtB;
+    }
+    return channelIdA < channelIdB ? -1 : (channelIdA > channelIdB ? 1 : 0);
+  }
+
+  /**
+   * バッチの推定クォータ使用量を計算
+   * @param {number} channelCount バッチ内のチャンネル数
+   * @return {number} 推定クォータユニット数
+   */
+  estimateBatchCost(channelCount) {
+    return 1 + channelCount * 2;
+  }
+
+  /**
+   * 再開位置を読み込み
+   * @return {Object|null} 再開位置
+   */
+  loadCursor() {
+    const value = this.properties.getProperty(CONFIG.REFRESH_CURSOR_PROPERTY_KEY);
+    if (!value) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      Logger.log(`再開位置の読み込みエラー: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 再開位置を保存
+   * @param {Object} cursor 再開位置
+   */
+  saveCursor(cursor) {
+    this.properties.setProperty(CONFIG.REFRESH_CURSOR_PROPERTY_KEY, JSON.stringify(cursor));
+  }
+
+  /**
+   * 再開位置をリセット（次回は最初から更新）
+   */
+  resetCursor() {
+    this.properties.deleteProperty(CONFIG.REFRESH_CURSOR_PROPERTY_KEY);
+    Logger.log('既存チャンネル更新の再開位置をリセットしました');
+  }
+
+  /**
+   * 実行時間制限が近づいているかチェック
+   * @return {boolean} 制限が近い場合true
+   */
+  isTimeoutApproaching() {
+    const currentTime = new Date().getTime();
+    const elapsedTime = (currentTime - this.startTime) / 1000;
+    return elapsedTime > CONFIG.MAX_EXECUTION_TIME;
+  }
+}
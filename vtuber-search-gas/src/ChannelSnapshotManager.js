@@ -0,0 +1,513 @@
+/**
+ * チャンネル統計スナップショット管理クラス
+ * 登録者数・総再生回数などを1日1回履歴シートに追記し、期間ごとの伸びを計算する
+ * VTuberリストの値は更新のたびに上書きされるため、推移はこの履歴シートから求める
+ * 履歴シートは チャンネル数 × 日数 で増えるため、最新の伸びは記録のたびに「伸びの集計」シートに書き出し、一覧表示ではそちらを読む
+ */
+
+class ChannelSnapshotManager {
+  constructor(sheetManager = null, quotaTracker = null) {
+    this.startTime = new Date().getTime();
+    this.sheetManager = sheetManager || new SpreadsheetManager();
+    this.quotaTracker = quotaTracker; // API使用量追跡オブジェクト（オプション）
+    this.errorLogger = new ErrorLogger();
+  }
+
+  /**
+   * 統計履歴シートを初期化
+   * @return {Sheet} 統計履歴シート
+   */
+  initializeHistorySheet() {
+    const spreadsheet = this.sheetManager.spreadsheet;
+    let historySheet = spreadsheet.getSheetByName(CONFIG.SNAPSHOT_SHEET_NAME);
+
+    if (!historySheet) {
+      historySheet = spreadsheet.insertSheet(CONFIG.SNAPSHOT_SHEET_NAME);
+      Logger.log(`シート "${CONFIG.SNAPSHOT_SHEET_NAME}" を作成しました`);
+    }
+
+    // ヘッダー行が既に存在するかチェック
+    if (historySheet.getLastRow() === 0) {
+      historySheet.appendRow(CONFIG.SNAPSHOT_HEADERS);
+
+      // ヘッダー行を太字にし、背景色を設定
+      const headerRange = historySheet.getRange(1, 1, 1, CONFIG.SNAPSHOT_HEADERS.length);
+      headerRange.setFontWeight('bold');
+      headerRange.setBackground('#34a853');
+      headerRange.setFontColor('#ffffff');
+
+      // 最初の行を固定
+      historySheet.setFrozenRows(1);
+
+      Logger.log('統計履歴シートヘッダーを初期化しました');
+    }
+
+    return historySheet;
+  }
+
+  /**
+   * 全チャンネルの統計スナップショットを記録
+   * Channels.list（statistics）を50件ずつ呼び出し、当日分が未記録のチャンネルのみ追記する
+   * @return {Object} {recorded: 記録件数, skipped: 当日記録済みの件数}
+   */
+  takeSnapshot() {
+    Logger.log('--- 統計スナップショット記録開始 ---');
+
+    const historySheet = this.initializeHistorySheet();
+    const today = this.formatDateKey(new Date());
+
+    // 当日分が記録済みのチャンネルは対象外（再実行しても重複しない）
+    const recordedToday = new Set(
+      this.readHistory()
+        .filter(snapshot => snapshot.date === today)
+        .map(snapshot => snapshot.channelId)
+    );
+
+    // VTuberリストの平均再生回数も合わせて記録
+    const channelRows = this.getTrackedChannelRows();
+    const targetIds = Array.from(channelRows.keys()).filter(channelId => !recordedToday.has(channelId));
+
+    Logger.log(`対象チャンネル数: ${targetIds.length}（当日記録済み: ${recordedToday.size}）`);
+
+    const recordedAt = Utilities.formatDate(new Date(), 'JST', 'yyyy-MM-dd HH:mm:ss');
+    const batchSize = CONFIG.MAX_RESULTS_PER_REQUEST;
+    const rows = [];
+
+    for (let i = 0; i < targetIds.length; i += batchSize) {
+      if (this.isTimeoutApproaching()) {
+        Logger.log('実行時間制限が近づいています。スナップショット記録を中断します。');
+        break;
+      }
+
+      // 本日のクォータ予算チェック（未記録のチャンネルは次回の実行で記録）
+      if (this.quotaTracker && !this.quotaTracker.hasBudget('YouTube.Channels.list')) {
+        break;
+      }
+
+      const batch = targetIds.slice(i, i + batchSize);
+
+      try {
+        const response = YouTube.Channels.list('statistics', {
+          id: batch.join(','),
+          maxResults: batch.length
+        });
+
+        // API使用量を記録
+        if (this.quotaTracker) {
+          this.quotaTracker.recordAPICall('YouTube.Channels.list');
+        }
+
+        (response.items || []).forEach(item => {
+          const statistics = item.statistics || {};
+          rows.push([
+            today,
+            item.id,
+            // 登録者数非公開のチャンネルは空欄
+            statistics.hiddenSubscriberCount ? '' : parseInt(statistics.subscriberCount) || 0,
+            parseInt(statistics.viewCount) || 0,
+            parseInt(statistics.videoCount) || 0,
+            channelRows.get(item.id) || 0,
+            recordedAt
+          ]);
+        });
+
+      } catch (error) {
+        Logger.log(`統計取得エラー: ${error.message}`);
+        this.errorLogger.logError(error, {
+          functionName: 'takeSnapshot',
+          apiName: 'YouTube.Channels.list',
+          parameters: { channelIds: batch.length }
+        });
+        // クォータエラーの場合は処理を中断
+        if (this.errorLogger.isQuotaError(error)) {
+          Logger.log('クォータエラーが発生しました。スナップショット記録を中断します。');
+          break;
+        }
+      }
+    }
+
+    if (rows.length > 0) {
+      const startRow = historySheet.getLastRow() + 1;
+      historySheet.getRange(startRow, 1, rows.length, CONFIG.SNAPSHOT_HEADERS.length).setValues(rows);
+      historySheet.getRange(startRow, 3, rows.length, 4).setNumberFormat('#,##0');
+    }
+
+    Logger.log(`記録件数: ${rows.length}`);
+    Logger.log('--- 統計スナップショット記録完了 ---');
+
+    return {
+      recorded: rows.length,
+      skipped: recordedToday.size
+    };
+  }
+
+  /**
+   * 全チャンネルの最新の伸びを「伸びの集計」シートに書き直す（スナップショット記録の後に実行）
+   * @return {number} 書き込んだチャンネル数
+   */
+  writeGrowthSummary() {
+    const growthMetrics = this.getGrowthMetrics();
+    const columns = ChannelSnapshotManager.getGrowthColumns();
+    const headers = ['チャンネルID'].concat(columns.map(column => column.header)).concat(['集計日時']);
+    const now = Utilities.formatDate(new Date(), 'JST', 'yyyy-MM-dd HH:mm:ss');
+
+    const rows = [];
+    growthMetrics.forEach((metrics, channelId) => {
+      rows.push([channelId]
+        .concat(columns.map(column => metrics[column.key] === null || metrics[column.key] === undefined ? '' : metrics[column.key]))
+        .concat([now]));
+    });
+
+    return this.sheetManager.withWriteLock('伸びの集計の更新', () => {
+      const spreadsheet = this.sheetManager.spreadsheet;
+      let sheet = spreadsheet.getSheetByName(CONFIG.GROWTH_SHEET_NAME);
+      if (!sheet) {
+        sheet = spreadsheet.insertSheet(CONFIG.GROWTH_SHEET_NAME);
+        Logger.log(`シート "${CONFIG.GROWTH_SHEET_NAME}" を作成しました`);
+      }
+
+      // 期間の設定が変わっても列が揃うよう、ヘッダー行を含めて書き直す
+      sheet.clearContents();
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+      const headerRange = sheet.getRange(1, 1, 1, headers.length);
+      headerRange.setFontWeight('bold');
+      headerRange.setBackground('#34a853');
+      headerRange.setFontColor('#ffffff');
+      sheet.setFrozenRows(1);
+
+      if (rows.length > 0) {
+        sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+      }
+
+      Logger.log(`伸びの集計を更新しました: ${rows.length}チャンネル`);
+      return rows.length;
+    });
+  }
+
+  /**
+   * 「伸びの集計」シートから最新の伸びを取得（統計履歴シートは読まない）
+   * シートがない場合（スナップショットをまだ記録していない場合）は空のMap
+   * @return {Map} チャンネルID -> 伸びの指標（calculateGrowthの戻り値と同じ項目）
+   */
+  getLatestGrowthMetrics() {
+    const growthMetrics = new Map();
+    const sheet = this.sheetManager.spreadsheet.getSheetByName(CONFIG.GROWTH_SHEET_NAME);
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return growthMetrics;
+    }
+
+    const data = sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
+    const headerIndex = new Map(data[0].map((header, index) => [String(header), index]));
+    const columns = ChannelSnapshotManager.getGrowthColumns();
+
+    data.slice(1).forEach(row => {
+      const channelId = String(row[0] || '');
+      if (!channelId) {
+        return;
+      }
+      const metrics = {};
+      columns.forEach(column => {
+        const index = headerIndex.get(column.header);
+        const value = index === undefined ? '' : row[index];
+        metrics[column.key] = value === '' || value === null ? null : Number(value);
+      });
+      growthMetrics.set(channelId, metrics);
+    });
+
+    return growthMetrics;
+  }
+
+  /**
+   * 追跡中（除外フラグなし）のチャンネルと平均再生回数を取得
+   * @return {Map} チャンネルID -> 平均再生回数
+   */
+  getTrackedChannelRows() {
+    const channels = new Map();
+    const columns = this.sheetManager.getColumns();
+
+    this.sheetManager.getDataRows().forEach(row => {
+      const excludeFlag = columns.value(row, 'excludeFlag');
+      const channelId = columns.value(row, 'channelId');
+      if (channelId && excludeFlag !== true) {
+        channels.set(channelId, Number(columns.value(row, 'avgViewCount')) || 0);
+      }
+    });
+
+    return channels;
+  }
+
+  /**
+   * 統計履歴を読み込み
+   * @return {Array} {date, channelId, subscriberCount, viewCount, videoCount, avgViewCount}の配列
+   */
+  readHistory() {
+    const historySheet = this.initializeHistorySheet();
+    const lastRow = historySheet.getLastRow();
+    if (lastRow <= 1) {
+      return [];
+    }
+
+    const data = historySheet.getRange(2, 1, lastRow - 1, CONFIG.SNAPSHOT_HEADERS.length).getValues();
+
+    return data
+      .filter(row => row[0] && row[1])
+      .map(row => ({
+        // スプレッドシートが日付として解釈した場合も文字列キーに揃える
+        date: row[0] instanceof Date ? this.formatDateKey(row[0]) : String(row[0]),
+        channelId: row[1],
+        subscriberCount: row[2] === '' ? null : Number(row[2]),
+        viewCount: Number(row[3]) || 0,
+        videoCount: Number(row[4]) || 0,
+        avgViewCount: Number(row[5]) || 0
+      }));
+  }
+
+  /**
+   * チャンネルごとの履歴を日付順にまとめる
+   * @return {Map} チャンネルID -> スナップショットの配列（日付の昇順）
+   */
+  getHistoryByChannel() {
+    const historyByChannel = new Map();
+
+    this.readHistory().forEach(snapshot => {
+      if (!historyByChannel.has(snapshot.channelId)) {
+        historyByChannel.set(snapshot.channelId, []);
+      }
+      historyByChannel.get(snapshot.channelId).push(snapshot);
+    });
+
+    historyByChannel.forEach(snapshots => {
+      snapshots.sort((a, b) => a.date.localeCompare(b.date));
+    });
+
+    return historyByChannel;
+  }
+
+  /**
+   * 全チャンネルの伸び（7日・30日）を計算
+   * @return {Map} チャンネルID -> 伸びの指標（calculateGrowthの戻り値）
+   */
+  getGrowthMetrics() {
+    const growthMetrics = new Map();
+
+    this.getHistoryByChannel().forEach((snapshots, channelId) => {
+      growthMetrics.set(channelId, this.calculateGrowth(snapshots));
+    });
+
+    return growthMetrics;
+  }
+
+  /**
+   * 1チャンネル分の履歴から伸びを計算
+   * 期間の基準値は「最新の日付から指定日数以上前の最新のスナップショット」を使う（履歴が足りない期間はnull）
+   * @param {Array} snapshots スナップショットの配列（日付の昇順）
+   * @return {Object} subscriberGrowth7d・subscriberGrowthRate7d・viewGrowth7dなど（7d/30d）とsubscriberGrowthResolution
+   */
+  calculateGrowth(snapshots) {
+    const metrics = {};
+    const latest = snapshots[snapshots.length - 1];
+
+    CONFIG.GROWTH_WINDOWS_DAYS.forEach(days => {
+      const base = this.findBaseSnapshot(snapshots, latest.date, days);
+
+      metrics[`subscriberGrowth${days}d`] = null;
+      metrics[`subscriberGrowthRate${days}d`] = null;
+      metrics[`viewGrowth${days}d`] = null;
+      metrics[`viewGrowthRate${days}d`] = null;
+
+      if (!base) {
+        return;
+      }
+
+      if (latest.subscriberCount !== null && base.subscriberCount !== null) {
+        const growth = this.calculateSubscriberGrowth(base.subscriberCount, latest.subscriberCount);
+        metrics[`subscriberGrowth${days}d`] = growth;
+        metrics[`subscriberGrowthRate${days}d`] = this.calculateRate(growth, this.estimateSubscriberCount(base.subscriberCount));
+      }
+
+      const viewGrowth = latest.viewCount - base.viewCount;
+      metrics[`viewGrowth${days}d`] = viewGrowth;
+      metrics[`viewGrowthRate${days}d`] = this.calculateRate(viewGrowth, base.viewCount);
+    });
+
+    // 登録者数の伸びの精度（現在の表示単位。この値未満の伸びは観測できず、伸びには±この程度の誤差がある）
+    metrics.subscriberGrowthResolution = latest.subscriberCount !== null
+      ? this.getSubscriberRoundingUnit(latest.subscriberCount)
+      : null;
+
+    return metrics;
+  }
+
+  /**
+   * 指定期間の伸びを正規化して計算（急上昇ランキング用）
+   * 期間分の履歴がない場合は最も古いスナップショットを基準にし、伸び率を期間の長さに換算する
+   * @param {Array} snapshots スナップショットの配列（日付の昇順）
+   * @param {number} days 期間（日数）
+   * @param {string} metric 'subscribers'（登録者数）または 'views'（総再生回数）
+   * @return {Object|null} {growth, rate, normalizedRate, spanDays, sparkline}（計算できない場合はnull）
+   */
+  calculateWindowGrowth(snapshots, days, metric) {
+    if (snapshots.length < 2) {
+      return null;
+    }
+
+    const latest = snapshots[snapshots.length - 1];
+    let base = this.findBaseSnapshot(snapshots, latest.date, days);
+
+    // 期間分の履歴がない場合は、一定日数以上の履歴があれば最も古い記録で代用
+    if (!base && this.daysBetween(snapshots[0].date, latest.date) >= CONFIG.RISING_MIN_HISTORY_DAYS) {
+      base = snapshots[0];
+    }
+    if (!base) {
+      return null;
+    }
+
+    const valueOf = snapshot => metric === 'views' ? snapshot.viewCount : snapshot.subscriberCount;
+    if (valueOf(base) === null || valueOf(latest) === null) {
+      return null;
+    }
+
+    const growth = metric === 'views'
+      ? latest.viewCount - base.viewCount
+      : this.calculateSubscriberGrowth(base.subscriberCount, latest.subscriberCount);
+    const baseValue = metric === 'views'
+      ? base.viewCount
+      : this.estimateSubscriberCount(base.subscriberCount);
+    const spanDays = this.daysBetween(base.date, latest.date);
+    const rate = this.calculateRate(growth, baseValue);
+
+    if (rate === null || spanDays <= 0) {
+      return null;
+    }
+
+    // 基準日以降の推移（スパークライン用、新しい方から最大件数まで）
+    const sparkline = snapshots
+      .filter(snapshot => snapshot.date >= base.date && valueOf(snapshot) !== null)
+      .slice(-CONFIG.RISING_SPARKLINE_MAX_POINTS)
+      .map(snapshot => ({ date: snapshot.date, value: valueOf(snapshot) }));
+
+    return {
+      growth: growth,
+      rate: rate,
+      normalizedRate: Math.round(rate * days / spanDays * 10) / 10,
+      spanDays: spanDays,
+      sparkline: sparkline
+    };
+  }
+
+  /**
+   * 2つの日付キーの間の日数を計算
+   * @param {string} fromDate 開始日（yyyy-MM-dd）
+   * @param {string} toDate 終了日（yyyy-MM-dd）
+   * @return {number} 日数
+   */
+  daysBetween(fromDate, toDate) {
+    const from = new Date(fromDate + 'T00:00:00+09:00');
+    const to = new Date(toDate + 'T00:00:00+09:00');
+    return Math.round((to - from) / (1000 * 60 * 60 * 24));
+  }
+
+  /**
+   * 期間の基準となるスナップショットを検索
+   * @param {Array} snapshots スナップショットの配列（日付の昇順）
+   * @param {string} latestDate 最新の日付（yyyy-MM-dd）
+   * @param {number} days 期間（日数）
+   * @return {Object|null} 基準のスナップショット
+   */
+  findBaseSnapshot(snapshots, latestDate, days) {
+    const target = new Date(latestDate + 'T00:00:00+09:00');
+    target.setDate(target.getDate() - days);
+    const targetDate = this.formatDateKey(target);
+
+    for (let i = snapshots.length - 1; i >= 0; i--) {
+      if (snapshots[i].date <= targetDate) {
+        return snapshots[i];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 登録者数の伸びを計算
+   * YouTubeの登録者数は上位3桁に切り捨てて公開されるため、それぞれの値を切り捨て範囲の中央値に補正してから差を取る
+   * 例: 9,990（単位10）→ 10,000（単位100）の場合、9,994.5 → 10,049.5 として伸びは55
+   * @param {number} baseCount 基準日の登録者数（公開値）
+   * @param {number} latestCount 最新の登録者数（公開値）
+   * @return {number} 登録者数の伸び（推定値）
+   */
+  calculateSubscriberGrowth(baseCount, latestCount) {
+    return Math.round(this.estimateSubscriberCount(latestCount) - this.estimateSubscriberCount(baseCount));
+  }
+
+  /**
+   * 公開値から実際の登録者数を推定（切り捨て範囲の中央値）
+   * @param {number} count 登録者数（公開値）
+   * @return {number} 推定登録者数
+   */
+  estimateSubscriberCount(count) {
+    return count + (this.getSubscriberRoundingUnit(count) - 1) / 2;
+  }
+
+  /**
+   * 登録者数の表示単位（丸め幅）を取得
+   * 1,000人未満は正確な値、それ以上は上位3桁に切り捨て（例: 12,345 → 12,300 なら単位は100）
+   * @param {number} count 登録者数
+   * @return {number} 表示単位
+   */
+  getSubscriberRoundingUnit(count) {
+    if (count < 1000) {
+      return 1;
+    }
+    const digits = String(Math.floor(count)).length;
+    return Math.pow(10, digits - 3);
+  }
+
+  /**
+   * 伸び率（%）を計算
+   * @param {number} growth 伸び
+   * @param {number} base 基準値
+   * @return {number|null} 伸び率（小数第1位まで）、基準値が0の場合はnull
+   */
+  calculateRate(growth, base) {
+    if (!base) {
+      return null;
+    }
+    return Math.round(growth / base * 1000) / 10;
+  }
+
+  /**
+   * 日付キー（JST、yyyy-MM-dd）を取得
+   * @param {Date} date 日時
+   * @return {string} 日付キー
+   */
+  formatDateKey(date) {
+    return Utilities.formatDate(date, 'JST', 'yyyy-MM-dd');
+  }
+
+  /**
+   * 「伸びの集計」シートの列（伸びの指標のキーとヘッダー名）
+   * @return {Array} {key, header}の配列
+   */
+  static getGrowthColumns() {
+    const columns = [];
+    CONFIG.GROWTH_WINDOWS_DAYS.forEach(days => {
+      columns.push({ key: `subscriberGrowth${days}d`, header: `登録者数の伸び（${days}日）` });
+      columns.push({ key: `subscriberGrowthRate${days}d`, header: `登録者数の伸び率（${days}日）` });
+      columns.push({ key: `viewGrowth${days}d`, header: `総再生回数の伸び（${days}日）` });
+      columns.push({ key: `viewGrowthRate${days}d`, header: `総再生回数の伸び率（${days}日）` });
+    });
+    columns.push({ key: 'subscriberGrowthResolution', header: '登録者数の伸びの精度' });
+    return columns;
+  }
+
+  /**
+   * 実行時間制限が近づいているかチェック
+   * @return {boolean} 制限が近い場合true
+   */
+  isTimeoutApproaching() {
+    const currentTime = new Date().getTime();
+    const elapsedTime = (currentTime - this.startTime) / 1000;
+    return elapsedTime > CONFIG.MAX_EXECUTION_TIME;
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * 切り抜きチャンネル検出クラス
+ * チャンネル名・説明文のパターンから切り抜きチャンネルを判定し、
+ * 説明文でクレジットされている元チャンネル（@ハンドル、/channel/ のURL）を抽出する
+ */
+
+class ClipChannelDetector {
+  /**
+   * 切り抜きチャンネルか判定
+   * @param {string} channelName チャンネル名
+   * @param {string} description 説明文（切り詰める前の全文）
+   * @param {string} ownHandle 自チャンネルのハンドル（snippet.customUrl。クレジットから除く）
+   * @return {Object} {isClip, reasons: 判定理由の配列, channelIds: クレジットされたチャンネルID, handles: クレジットされたハンドル（@なし）}
+   */
+  detect(channelName, description, ownHandle = '') {
+    const name = String(channelName || '').toLowerCase();
+    const text = String(description || '');
+    const lowerText = text.toLowerCase();
+
+    const reasons = [];
+    CONFIG.CLIP_NAME_PATTERNS.forEach(pattern => {
+      if (name.includes(pattern.toLowerCase())) {
+        reasons.push(`チャンネル名: ${pattern}`);
+      }
+    });
+    CONFIG.CLIP_DESCRIPTION_PATTERNS.forEach(pattern => {
+      if (lowerText.includes(pattern.toLowerCase())) {
+        reasons.push(`説明文: ${pattern}`);
+      }
+    });
+
+    if (reasons.length === 0) {
+      return { isClip: false, reasons: [], channelIds: [], handles: [] };
+    }
+
+    return {
+      isClip: true,
+      reasons: reasons,
+      channelIds: this.extractChannelIds(text),
+      handles: this.extractHandles(text, ownHandle)
+    };
+  }
+
+  /**
+   * 説明文から /channel/ 形式のURLのチャンネルIDを抽出
+   * @param {string} text 説明文
+   * @return {Array} チャンネルID（重複なし、出現順）
+   */
+  extractChannelIds(text) {
+    const ids = [];
+    const pattern = /youtube\.com\/channel\/(UC[A-Za-z0-9_-]{22})/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (ids.indexOf(match[1]) === -1) {
+        ids.push(match[1]);
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * 説明文から@ハンドルを抽出（youtube.com/@handle 形式と、本文中の @handle）
+   * メールアドレスの@は英数字の直後にあるため対象外
+   * @param {string} text 説明文
+   * @param {string} ownHandle 自チャンネルのハンドル（除外する）
+   * @return {Array} ハンドル（@なし、重複なし、出現順）
+   */
+  extractHandles(text, ownHandle = '') {
+    const own = String(ownHandle || '').replace(/^@/, '').toLowerCase();
+    const handles = [];
+    const pattern = /(?:youtube\.com\/|^|[^A-Za-z0-9._%+\-/])@([A-Za-z0-9._-]{3,30})/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const handle = match[1].replace(/[._-]+$/, ''); // 文末の句読点を除く
+      if (handle.length >= 3 && handle.toLowerCase() !== own &&
+          !handles.some(existing => existing.toLowerCase() === handle.toLowerCase())) {
+        handles.push(handle);
+      }
+    }
+    return handles;
+  }
+}
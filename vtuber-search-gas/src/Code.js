@@ -13,8 +13,14 @@ function onOpen() {
   SpreadsheetApp.getUi()
     .createMenu('VTuber Radar')
     .addItem('チャンネルをURLで追加', 'showAddChannelDialog')
+    .addItem('VTuber判定レビューを反映', 'applyVTuberReviews')
+    .addItem('事務所マスタで所属を判定し直す', 'relabelAffiliations')
     .addSeparator()
     .addItem('APIクォータを確認', 'checkAPIQuota')
+    .addItem('ジョブ状態を表示', 'showJobStatus')
+    .addItem('発見経路ごとの成果を表示', 'showDiscoveryYields')
+    .addSeparator()
+    .addItem('スキーマ移行を実行', 'runSchemaMigrations')
     .addToUi();
 }
 
@@ -97,28 +103,13 @@ function addChannelFromMenu(channelIdentifier, enableLiveMonitor = false) {
   const errorLogger = new ErrorLogger();
 
   try {
-    // チャンネルIDを取得
-    let channelId;
-    try {
-      channelId = getChannelIdFromIdentifier(channelIdentifier);
-    } catch (error) {
-      // クォータエラーの場合は処理を中断
-      if (errorLogger.isQuotaError(error)) {
-        Logger.log('クォータエラーが発生しました。処理を中断します。');
-        quotaTracker.logToSheet('異常終了', error.message);
-        throw error; // クォータエラーを再throwして処理を中断
-      }
-      // その他のエラー
-      const errorMsg = 'チャンネルIDを取得できませんでした。URLまたはチャンネルIDが正しいか確認してください。';
-      Logger.log(`エラー: ${errorMsg}`);
-      quotaTracker.logToSheet('異常終了', errorMsg);
-      throw new Error(errorMsg);
-    }
+    // チャンネルIDを取得（API使用量はこの関数のトラッカーにまとめて記録する）
+    // エラーログ・API使用量ログへの記録は下のcatchで1回だけ行う
+    const channelId = getChannelIdFromIdentifier(channelIdentifier, quotaTracker);
 
     if (!channelId) {
       const errorMsg = 'チャンネルIDを取得できませんでした。URLまたはチャンネルIDが正しいか確認してください。';
       Logger.log(`エラー: ${errorMsg}`);
-      quotaTracker.logToSheet('異常終了', errorMsg);
       throw new Error(errorMsg);
     }
 
@@ -136,38 +127,41 @@ function addChannelFromMenu(channelIdentifier, enableLiveMonitor = false) {
       
       // ライブ配信監視フラグを更新するか確認
       if (enableLiveMonitor) {
-        sheetManager.sheet.getRange(info.row, 1).setValue(true); // A列のチェックボックスをON
-        Logger.log('ライブ配信監視フラグを有効にしました');
+        logLiveMonitorFlagResult(sheetManager.setLiveMonitorFlag(channelId, true)); // ライブ配信監視のチェックボックスをON
       }
       
       quotaTracker.logToSheet('正常終了');
       return;
     }
 
+    // 除外済みのチャンネルかチェック
+    if (sheetManager.getSuppressedChannelIds().has(channelId)) {
+      const errorMsg = 'このチャンネルは除外されています。追加する場合は先に除外を解除してください（unsuppressChannelManually関数、またはWebアプリの除外者タブ）。';
+      Logger.log(`エラー: ${errorMsg}`);
+      throw new Error(errorMsg);
+    }
+
     // チャンネル詳細を取得
     const searcher = new YouTubeSearcher(sheetManager, quotaTracker);
     const channelDetails = searcher.getChannelDetails([channelId]);
 
     if (channelDetails.length === 0) {
-      const errorMsg = 'チャンネル情報を取得できませんでした。チャンネルが存在するか、または条件を満たしているか確認してください。';
+      const errorMsg = quotaTracker.isBudgetExhausted()
+        ? '本日のクォータ予算が残っていないため、チャンネル情報を取得できませんでした。明日以降に再度お試しください。'
+        : 'チャンネル情報を取得できませんでした。チャンネルが存在するか、または条件を満たしているか確認してください。';
       Logger.log(`エラー: ${errorMsg}`);
-      quotaTracker.logToSheet('異常終了', errorMsg);
       throw new Error(errorMsg);
     }
 
     const channel = channelDetails[0];
+    channel.discoverySource = CONFIG.DISCOVERY_SOURCES.manual;
 
     // チャンネルをスプレッドシートに追加
     sheetManager.appendChannels([channel]);
 
-    // ライブ配信監視フラグを有効にする場合は、追加後に更新
+    // ライブ配信監視フラグを有効にする場合は、追加後に更新（行はチャンネルIDで検索）
     if (enableLiveMonitor) {
-      const addedChannels = sheetManager.getExistingChannelIds();
-      if (addedChannels.has(channelId)) {
-        const channelInfo = addedChannels.get(channelId);
-        sheetManager.sheet.getRange(channelInfo.row, 1).setValue(true); // A列のチェックボックスをON
-        Logger.log('ライブ配信監視フラグを有効にしました');
-      }
+      logLiveMonitorFlagResult(sheetManager.setLiveMonitorFlag(channelId, true)); // ライブ配信監視のチェックボックスをON
     }
 
     Logger.log(`=== チャンネル追加完了: ${channel.channelName} ===`);
@@ -178,21 +172,14 @@ function addChannelFromMenu(channelIdentifier, enableLiveMonitor = false) {
   } catch (error) {
     Logger.log(`エラーが発生しました: ${error.message}`);
     Logger.log(error.stack);
-    
-    // クォータエラーの場合は処理を中断
-    if (errorLogger.isQuotaError(error)) {
-      Logger.log('クォータエラーが発生しました。処理を中断します。');
-      errorLogger.logError(error, {
-        functionName: 'addChannelFromMenu',
-        apiName: 'YouTube.Search.list / YouTube.Channels.list',
-        parameters: { channelIdentifier: channelIdentifier }
-      });
-      quotaTracker.logToSheet('異常終了', error.message);
-      // クォータエラーを再throwして処理を中断
+
+    // クォータ予算切れはエラーではないため、API使用量ログにだけ記録して中断する
+    if (quotaTracker.isBudgetExhausted()) {
+      quotaTracker.logToSheet('クォータ予算超過', error.message);
       throw error;
     }
-    
-    // その他のエラー
+
+    // クォータエラー・その他のエラー（ここで1回だけ記録する）
     errorLogger.logError(error, {
       functionName: 'addChannelFromMenu',
       apiName: 'YouTube.Search.list / YouTube.Channels.list',
@@ -207,6 +194,7 @@ function addChannelFromMenu(channelIdentifier, enableLiveMonitor = false) {
 /**
  * メインエントリーポイント
  * トリガーから実行される関数
+ * 実行時間制限で中断した場合は作業キューを保存し、継続トリガーで続きから再開する
  */
 function searchAndSaveVTuberChannels() {
   const startTime = new Date().getTime();
@@ -214,19 +202,33 @@ function searchAndSaveVTuberChannels() {
 
   const errorLogger = new ErrorLogger();
   const quotaTracker = new APIQuotaTracker('searchAndSaveVTuberChannels');
+  let job = null;
 
   try {
     // スプレッドシートマネージャーを初期化
     const sheetManager = new SpreadsheetManager();
     sheetManager.initializeSheet();
 
+    // 中断中の検索があれば続きから再開
+    job = BatchJob.claim('searchAndSaveVTuberChannels');
+    if (!job) {
+      Logger.log('別の実行が検索を処理中のため、今回の実行はスキップします');
+      return;
+    }
+
     // 既存のチャンネル情報を取得（ID、行番号、取得日時）
     const existingChannels = sheetManager.getExistingChannelIds();
     Logger.log(`既存チャンネル数: ${existingChannels.size}`);
 
+    // クォータ使用量を見積もり、本日の残り予算に収まるよう検索ページ数を決める
+    const planner = new QuotaPlanner(sheetManager);
+    const plan = planner.planSearch(existingChannels, job.state, quotaTracker.getRemainingBudget());
+    planner.formatPlan(plan).forEach(line => Logger.log(line));
+    quotaTracker.setEstimatedQuota(plan.estimatedCost);
+
     // YouTube検索を実行（SpreadsheetManagerとquotaTrackerを渡す）
     const searcher = new YouTubeSearcher(sheetManager, quotaTracker);
-    const result = searcher.searchVTuberChannels(existingChannels);
+    const result = searcher.searchVTuberChannels(existingChannels, job.state, plan);
 
     Logger.log(`新規チャンネル発見数: ${result.newChannels.length}`);
     Logger.log(`更新対象チャンネル数: ${result.updateChannels.length}`);
@@ -246,6 +248,32 @@ function searchAndSaveVTuberChannels() {
     } else {
       Logger.log('更新対象のチャンネルがありませんでした');
     }
+    searcher.completeInFlightIds(job.state);
+
+    // 進捗を記録（保存後に状態を確定させるため、スプレッドシートへの反映の後で行う）
+    const cursor = job.state.searchCursor;
+    const videoCursor = job.state.videoSearchCursor;
+    job.progress['新規追加'] = (job.progress['新規追加'] || 0) + result.newChannels.length;
+    job.progress['情報更新'] = (job.progress['情報更新'] || 0) + result.updateChannels.length;
+    if (job.state.searchCompleted) {
+      job.progress['検索'] = '完了';
+    } else if (cursor.orderIndex < CONFIG.SEARCH_ORDERS.length) {
+      job.progress['検索'] = `検索順序 ${cursor.orderIndex + 1}/${CONFIG.SEARCH_ORDERS.length}・キーワード ${cursor.keywordIndex + 1}/${CONFIG.SEARCH_KEYWORDS.length}`;
+    } else {
+      job.progress['検索'] = `動画検索 ${videoCursor.strategyIndex + 1}/${CONFIG.VIDEO_SEARCH_STRATEGIES.length}・キーワード ${videoCursor.keywordIndex + 1}/${CONFIG.VIDEO_SEARCH_KEYWORDS.length}`;
+    }
+    job.progress['未取得（新規）'] = job.state.pendingNewIds.length;
+    job.progress['未取得（更新）'] = job.state.pendingUpdateIds.length;
+
+    // クォータ予算の超過で中断した場合、すぐに継続しても呼び出せないため次回の定期実行を待つ
+    const budgetExhausted = quotaTracker.isBudgetExhausted();
+    if (result.completed) {
+      job.complete();
+    } else if (budgetExhausted) {
+      job.suspend('クォータ予算超過', false);
+    } else {
+      job.suspend();
+    }
 
     // 実行時間をログ出力
     const endTime = new Date().getTime();
@@ -258,8 +286,8 @@ function searchAndSaveVTuberChannels() {
       Logger.log('警告: 実行時間が5分を超えています。GASの6分制限に注意してください。');
     }
 
-    // API使用量をログに記録（正常終了）
-    quotaTracker.logToSheet('正常終了');
+    // API使用量をログに記録
+    quotaTracker.logToSheet(getRunStatus(result.completed, budgetExhausted));
 
   } catch (error) {
     Logger.log(`エラーが発生しました: ${error.message}`);
@@ -268,12 +296,119 @@ function searchAndSaveVTuberChannels() {
       functionName: 'searchAndSaveVTuberChannels',
       apiName: 'メイン処理'
     });
+    // 作業キューを残したまま異常終了を記録（次回の実行で再開）
+    if (job) {
+      job.fail(error.message);
+    }
     // API使用量をログに記録（異常終了）
     quotaTracker.logToSheet('異常終了', error.message);
     throw error;
   }
 }
 
+/**
+ * API使用量ログに記録する実行ステータスを取得
+ * @param {boolean} completed すべての処理を終えたか
+ * @param {boolean} budgetExhausted クォータ予算の超過でAPI呼び出しを見送ったか
+ * @return {string} ステータス
+ */
+function getRunStatus(completed, budgetExhausted) {
+  if (budgetExhausted) {
+    return 'クォータ予算超過';
+  }
+  return completed ? '正常終了' : '中断（継続予定）';
+}
+
+/**
+ * 操作したユーザーのメールアドレスを取得（除外者・更新者の記録用）
+ * 取得できない場合（権限がない・別ドメインのユーザーなど）は代わりの表記を返す
+ * @param {string} fallback 取得できない場合の表記
+ * @param {boolean} effectiveUser 実行ユーザー（Session.getEffectiveUser）で取得するか
+ * @return {string} メールアドレスまたは代わりの表記
+ */
+function getUserEmail(fallback, effectiveUser = false) {
+  try {
+    const user = effectiveUser ? Session.getEffectiveUser() : Session.getActiveUser();
+    return user.getEmail() || fallback;
+  } catch (error) {
+    Logger.log(`ユーザーのメールアドレスを取得できませんでした: ${error.message}`);
+    return fallback;
+  }
+}
+
+/**
+ * 継続トリガーから実行される関数
+ * 実行時間制限で中断したジョブを1件ずつ続きから実行する（残りのジョブは次の継続トリガーで実行）
+ */
+function continueBatchJobs() {
+  Logger.log('=== 中断ジョブの継続実行開始 ===');
+
+  // 1回限りのトリガーは実行後も残るため削除
+  BatchJob.deleteContinuationTriggers();
+
+  const handlers = {
+    searchAndSaveVTuberChannels: searchAndSaveVTuberChannels,
+    monitorLiveStreams: monitorLiveStreams,
+    scanDebutChannels: scanDebutChannels,
+    crawlChannelGraph: crawlChannelGraph
+  };
+
+  const jobNames = BatchJob.getSuspendedJobNames().filter(jobName => handlers[jobName]);
+  if (jobNames.length === 0) {
+    Logger.log('中断中のジョブはありません');
+    return;
+  }
+
+  try {
+    Logger.log(`継続実行: ${jobNames[0]}`);
+    handlers[jobNames[0]]();
+  } finally {
+    // 他にも中断中のジョブが残っていれば次の継続トリガーを設定
+    if (BatchJob.getSuspendedJobNames().some(jobName => handlers[jobName])) {
+      BatchJob.scheduleContinuation();
+    }
+    Logger.log('=== 中断ジョブの継続実行完了 ===');
+  }
+}
+
+/**
+ * ジョブの状態を表示（メニューから実行）
+ */
+function showJobStatus() {
+  const ui = SpreadsheetApp.getUi();
+  const jobs = BatchJob.getAllStatuses();
+
+  if (jobs.length === 0) {
+    ui.alert('ジョブ状態', '実行されたジョブはまだありません', ui.ButtonSet.OK);
+    return;
+  }
+
+  const lines = jobs.map(job => {
+    const progressLines = Object.keys(job.progress).map(key => `  ${key}: ${job.progress[key]}`);
+    return [
+      `■ ${job.jobName}`,
+      `  ステータス: ${job.status}（${job.runCount}回目の実行）`,
+      `  開始: ${formatDateValue(job.startedAt)} / 更新: ${formatDateValue(job.updatedAt)}`
+    ].concat(progressLines).join('\n');
+  });
+
+  ui.alert('ジョブ状態', lines.join('\n\n'), ui.ButtonSet.OK);
+}
+
+/**
+ * 発見経路ごとの成果を表示（メニューから実行）
+ */
+function showDiscoveryYields() {
+  const ui = SpreadsheetApp.getUi();
+  const lines = getDiscoveryYieldsApi().sources.map(item => [
+    `■ ${item.source}`,
+    `  VTuberリスト: ${item.listed}件（平均登録者数 ${item.avgSubscribers}人） / 除外: ${item.excluded}件`,
+    `  レビュー待ち: ${item.reviewPending}件 / 却下: ${item.rejected}件`
+  ].join('\n'));
+
+  ui.alert('発見経路ごとの成果', lines.join('\n\n'), ui.ButtonSet.OK);
+}
+
 /**
  * 手動実行用：スプレッドシートの初期化
  */
@@ -282,18 +417,53 @@ function initializeSpreadsheet() {
   const sheetManager = new SpreadsheetManager();
   sheetManager.initializeSheet();
   sheetManager.initializeViewerCountSheet();
+  sheetManager.initializeViewerSampleSheet();
+  sheetManager.initializeStreamSessionSheet();
   sheetManager.initializeExcludedKeywordsSheet();
+  new AgencyRegistry(sheetManager).initializeSheet();
+  new DebutRadar(sheetManager).initializeSheet();
   sheetManager.initializeAttributeSheet();
+  sheetManager.initializeSuppressionSheet();
+  sheetManager.syncSuppressionFromExcludeFlags();
   Logger.log('スプレッドシートの初期化が完了しました');
 }
 
 /**
- * 手動実行用：APIクォータの確認
+ * APIクォータの確認（メニューから実行）
  */
 function checkAPIQuota() {
-  Logger.log('YouTube Data APIクォータは直接確認できません');
+  const ui = SpreadsheetApp.getUi();
+
+  // 本日（太平洋時間）の台帳の使用状況
+  const usage = APIQuotaTracker.getDailyUsage();
+  const lines = [
+    `${usage.date}（太平洋時間）の使用量: ${usage.total} / ${usage.limit}ユニット`,
+    ''
+  ].concat(usage.jobs.map(job => `${job.budgetKey}: ${job.used} / ${job.allowance}ユニット`));
+
+  // 次回のチャンネル検索の実行計画（中断中の検索があればその続き）
+  const sheetManager = new SpreadsheetManager();
+  const record = new BatchJob('searchAndSaveVTuberChannels').findResumableRecord();
+  const planner = new QuotaPlanner(sheetManager);
+  const plan = planner.planSearch(
+    sheetManager.getExistingChannelIds(),
+    record ? record.state : {},
+    APIQuotaTracker.getRemainingBudgetFor('searchAndSaveVTuberChannels')
+  );
+  lines.push('', `■ 次回のチャンネル検索の計画${record ? '（中断中の検索の続き）' : ''}`);
+  planner.formatPlan(plan).forEach(line => lines.push(line));
+
+  lines.forEach(line => Logger.log(line));
+
+  Logger.log('YouTube Data APIの実際のクォータは直接確認できません');
   Logger.log('Google Cloud Consoleで確認してください:');
   Logger.log('https://console.cloud.google.com/apis/api/youtube.googleapis.com/quotas');
+
+  ui.alert(
+    'APIクォータ',
+    lines.join('\n') + '\n\n※ このスクリプトが記録した使用量です。実際のクォータはGoogle Cloud Consoleで確認してください。',
+    ui.ButtonSet.OK
+  );
 }
 
 /**
@@ -362,6 +532,379 @@ function deleteTrigger() {
   Logger.log('トリガーを削除しました');
 }
 
+/**
+ * 既存チャンネル定期更新メイン関数
+ * 検索結果に関係なく、登録済みの全チャンネルを取得日時の古い順に再取得する
+ * トリガーから実行される
+ */
+function refreshTrackedChannels() {
+  const startTime = new Date().getTime();
+  Logger.log('=== 既存チャンネル定期更新開始 ===');
+
+  const errorLogger = new ErrorLogger();
+  const quotaTracker = new APIQuotaTracker('refreshTrackedChannels');
+
+  try {
+    const sheetManager = new SpreadsheetManager();
+    sheetManager.initializeSheet();
+
+    const refresher = new ChannelRefresher(sheetManager, quotaTracker);
+    const result = refresher.refreshChannels();
+
+    Logger.log(`更新チャンネル数: ${result.updated}`);
+    Logger.log(`残りチャンネル数: ${result.remaining}`);
+
+    const endTime = new Date().getTime();
+    const executionTime = (endTime - startTime) / 1000;
+    Logger.log(`実行時間: ${executionTime}秒`);
+    Logger.log('=== 既存チャンネル定期更新完了 ===');
+
+    // API使用量をログに記録
+    quotaTracker.logToSheet(getRunStatus(true, quotaTracker.isBudgetExhausted()));
+
+  } catch (error) {
+    Logger.log(`エラーが発生しました: ${error.message}`);
+    Logger.log(error.stack);
+    errorLogger.logError(error, {
+      functionName: 'refreshTrackedChannels',
+      apiName: 'メイン処理'
+    });
+    // API使用量をログに記録（異常終了）
+    quotaTracker.logToSheet('異常終了', error.message);
+    throw error;
+  }
+}
+
+/**
+ * 手動実行用：既存チャンネル定期更新の再開位置をリセット
+ * 次回の実行は取得日時が最も古いチャンネルから始まる
+ */
+function resetRefreshCursor() {
+  const refresher = new ChannelRefresher();
+  refresher.resetCursor();
+}
+
+/**
+ * 既存チャンネル定期更新トリガーの設定
+ */
+function setupRefreshTrigger() {
+  // 既存のトリガーを削除
+  const triggers = ScriptApp.getProjectTriggers();
+  triggers.forEach(trigger => {
+    if (trigger.getHandlerFunction() === 'refreshTrackedChannels') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+
+  ScriptApp.newTrigger('refreshTrackedChannels')
+    .timeBased()
+    .everyHours(CONFIG.REFRESH_TRIGGER_INTERVAL_HOURS)
+    .create();
+
+  Logger.log(`既存チャンネル定期更新トリガーを設定しました: ${CONFIG.REFRESH_TRIGGER_INTERVAL_HOURS}時間ごとに実行`);
+}
+
+/**
+ * 既存チャンネル定期更新トリガーの削除
+ */
+function deleteRefreshTrigger() {
+  const triggers = ScriptApp.getProjectTriggers();
+  triggers.forEach(trigger => {
+    if (trigger.getHandlerFunction() === 'refreshTrackedChannels') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+
+  Logger.log('既存チャンネル定期更新トリガーを削除しました');
+}
+
+/**
+ * 全チャンネルの統計スナップショットを記録
+ * トリガーから1日1回実行される（同じ日に再実行しても記録済みのチャンネルはスキップ）
+ */
+function takeDailyChannelSnapshot() {
+  const startTime = new Date().getTime();
+  Logger.log('=== 統計スナップショット記録開始 ===');
+
+  const errorLogger = new ErrorLogger();
+  const quotaTracker = new APIQuotaTracker('takeDailyChannelSnapshot');
+
+  try {
+    const snapshotManager = new ChannelSnapshotManager(null, quotaTracker);
+    const result = snapshotManager.takeSnapshot();
+
+    Logger.log(`記録件数: ${result.recorded}（当日記録済み: ${result.skipped}）`);
+
+    // 一覧表示用に最新の伸びを書き出す（一覧のたびに統計履歴全体を読まないようにする）
+    snapshotManager.writeGrowthSummary();
+
+    const endTime = new Date().getTime();
+    const executionTime = (endTime - startTime) / 1000;
+    Logger.log(`実行時間: ${executionTime}秒`);
+    Logger.log('=== 統計スナップショット記録完了 ===');
+
+    // API使用量をログに記録
+    quotaTracker.logToSheet(getRunStatus(true, quotaTracker.isBudgetExhausted()));
+
+  } catch (error) {
+    Logger.log(`エラーが発生しました: ${error.message}`);
+    Logger.log(error.stack);
+    errorLogger.logError(error, {
+      functionName: 'takeDailyChannelSnapshot',
+      apiName: 'メイン処理'
+    });
+    // API使用量をログに記録（異常終了）
+    quotaTracker.logToSheet('異常終了', error.message);
+    throw error;
+  }
+}
+
+/**
+ * 統計スナップショットトリガーの設定
+ */
+function setupSnapshotTrigger() {
+  // 既存のトリガーを削除
+  const triggers = ScriptApp.getProjectTriggers();
+  triggers.forEach(trigger => {
+    if (trigger.getHandlerFunction() === 'takeDailyChannelSnapshot') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+
+  // 毎日1回実行するトリガーを設定
+  ScriptApp.newTrigger('takeDailyChannelSnapshot')
+    .timeBased()
+    .everyDays(1)
+    .atHour(CONFIG.SNAPSHOT_TRIGGER_HOUR)
+    .create();
+
+  Logger.log(`統計スナップショットトリガーを設定しました: 毎日${CONFIG.SNAPSHOT_TRIGGER_HOUR}時実行`);
+}
+
+/**
+ * 統計スナップショットトリガーの削除
+ */
+function deleteSnapshotTrigger() {
+  const triggers = ScriptApp.getProjectTriggers();
+  triggers.forEach(trigger => {
+    if (trigger.getHandlerFunction() === 'takeDailyChannelSnapshot') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+
+  Logger.log('統計スナップショットトリガーを削除しました');
+}
+
+/**
+ * 新人発掘メイン関数
+ * 新人ウォッチリストの昇格確認の後、開設から間もないチャンネルを検索してウォッチリストに記録する
+ * トリガーから1日1回実行される（実行時間制限で中断した場合は継続トリガーで続きから）
+ */
+function scanDebutChannels() {
+  const startTime = new Date().getTime();
+  Logger.log('=== 新人発掘開始 ===');
+
+  const errorLogger = new ErrorLogger();
+  const quotaTracker = new APIQuotaTracker('scanDebutChannels');
+  let job = null;
+
+  try {
+    const sheetManager = new SpreadsheetManager();
+    sheetManager.initializeSheet();
+
+    // 中断中の新人発掘があれば続きから再開
+    job = BatchJob.claim('scanDebutChannels');
+    if (!job) {
+      Logger.log('別の実行が新人発掘を処理中のため、今回の実行はスキップします');
+      return;
+    }
+
+    const radar = new DebutRadar(sheetManager, quotaTracker);
+    const result = radar.scan(job.state);
+
+    job.progress['ウォッチリスト追加'] = (job.progress['ウォッチリスト追加'] || 0) + result.watched;
+    job.progress['昇格'] = (job.progress['昇格'] || 0) + result.promoted;
+    job.progress['未取得'] = job.state.pendingIds.length;
+
+    // クォータ予算の超過で中断した場合は次回の定期実行で再開
+    const budgetExhausted = quotaTracker.isBudgetExhausted();
+    if (result.completed) {
+      job.complete();
+    } else if (budgetExhausted) {
+      job.suspend('クォータ予算超過', false);
+    } else {
+      job.suspend();
+    }
+
+    const endTime = new Date().getTime();
+    const executionTime = (endTime - startTime) / 1000;
+    Logger.log(`実行時間: ${executionTime}秒`);
+    Logger.log('=== 新人発掘完了 ===');
+
+    // API使用量をログに記録
+    quotaTracker.logToSheet(getRunStatus(result.completed, budgetExhausted));
+
+  } catch (error) {
+    Logger.log(`エラーが発生しました: ${error.message}`);
+    Logger.log(error.stack);
+    errorLogger.logError(error, {
+      functionName: 'scanDebutChannels',
+      apiName: 'メイン処理'
+    });
+    // 作業キューを残したまま異常終了を記録（次回の実行で再開）
+    if (job) {
+      job.fail(error.message);
+    }
+    // API使用量をログに記録（異常終了）
+    quotaTracker.logToSheet('異常終了', error.message);
+    throw error;
+  }
+}
+
+/**
+ * 新人発掘トリガーの設定
+ */
+function setupDebutRadarTrigger() {
+  // 既存のトリガーを削除
+  const triggers = ScriptApp.getProjectTriggers();
+  triggers.forEach(trigger => {
+    if (trigger.getHandlerFunction() === 'scanDebutChannels') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+
+  // 毎日1回実行するトリガーを設定
+  ScriptApp.newTrigger('scanDebutChannels')
+    .timeBased()
+    .everyDays(1)
+    .atHour(CONFIG.DEBUT_TRIGGER_HOUR)
+    .create();
+
+  Logger.log(`新人発掘トリガーを設定しました: 毎日${CONFIG.DEBUT_TRIGGER_HOUR}時実行`);
+}
+
+/**
+ * 新人発掘トリガーの削除
+ */
+function deleteDebutRadarTrigger() {
+  const triggers = ScriptApp.getProjectTriggers();
+  triggers.forEach(trigger => {
+    if (trigger.getHandlerFunction() === 'scanDebutChannels') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+
+  Logger.log('新人発掘トリガーを削除しました');
+}
+
+/**
+ * チャンネルグラフ探索メイン関数
+ * VTuberリストのチャンネルから、おすすめチャンネルと最近の動画の説明文の@メンションをたどって新規チャンネルを探す
+ * トリガーから実行される（1回の実行のクォータ上限で中断した場合は次回の定期実行で続きから）
+ */
+function crawlChannelGraph() {
+  const startTime = new Date().getTime();
+  Logger.log('=== チャンネルグラフ探索開始 ===');
+
+  const errorLogger = new ErrorLogger();
+  const quotaTracker = new APIQuotaTracker('crawlChannelGraph');
+  let job = null;
+
+  try {
+    const sheetManager = new SpreadsheetManager();
+    sheetManager.initializeSheet();
+
+    // 中断中の探索があれば続きから再開
+    job = BatchJob.claim('crawlChannelGraph');
+    if (!job) {
+      Logger.log('別の実行がチャンネルグラフ探索を処理中のため、今回の実行はスキップします');
+      return;
+    }
+    if (job.resumedStatus && job.resumedStatus !== BatchJob.STATUS.SUSPENDED) {
+      // 実行時間制限からの継続以外（定期実行からの再開）は、1回の実行のクォータ上限を数え直す
+      job.state.runQuotaUsed = 0;
+    }
+
+    const crawler = new ChannelGraphCrawler(sheetManager, quotaTracker);
+    const result = crawler.crawl(job.state);
+
+    job.progress['探索チャンネル数'] = (job.progress['探索チャンネル数'] || 0) + result.expanded;
+    job.progress['発見'] = (job.progress['発見'] || 0) + result.discovered;
+    job.progress['新規追加'] = (job.progress['新規追加'] || 0) + result.added;
+    job.progress['未探索'] = job.state.frontier.length;
+    job.progress['未判定'] = job.state.pendingChannels.length;
+
+    // クォータの上限・予算で中断した場合は次回の定期実行で再開
+    const budgetExhausted = quotaTracker.isBudgetExhausted();
+    if (result.completed) {
+      job.complete();
+    } else if (budgetExhausted) {
+      job.suspend('クォータ予算超過', false);
+    } else if (result.budgetReached) {
+      job.suspend(`1回の実行のクォータ上限（${CONFIG.GRAPH_QUOTA_BUDGET_PER_RUN}ユニット）`, false);
+    } else {
+      job.suspend();
+    }
+
+    const endTime = new Date().getTime();
+    const executionTime = (endTime - startTime) / 1000;
+    Logger.log(`実行時間: ${executionTime}秒`);
+    Logger.log('=== チャンネルグラフ探索完了 ===');
+
+    // API使用量をログに記録
+    quotaTracker.logToSheet(getRunStatus(result.completed, budgetExhausted));
+
+  } catch (error) {
+    Logger.log(`エラーが発生しました: ${error.message}`);
+    Logger.log(error.stack);
+    errorLogger.logError(error, {
+      functionName: 'crawlChannelGraph',
+      apiName: 'メイン処理'
+    });
+    // 作業キューを残したまま異常終了を記録（次回の実行で再開）
+    if (job) {
+      job.fail(error.message);
+    }
+    // API使用量をログに記録（異常終了）
+    quotaTracker.logToSheet('異常終了', error.message);
+    throw error;
+  }
+}
+
+/**
+ * チャンネルグラフ探索トリガーの設定
+ */
+function setupGraphCrawlTrigger() {
+  // 既存のトリガーを削除
+  const triggers = ScriptApp.getProjectTriggers();
+  triggers.forEach(trigger => {
+    if (trigger.getHandlerFunction() === 'crawlChannelGraph') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+
+  ScriptApp.newTrigger('crawlChannelGraph')
+    .timeBased()
+    .everyHours(CONFIG.GRAPH_TRIGGER_INTERVAL_HOURS)
+    .create();
+
+  Logger.log(`チャンネルグラフ探索トリガーを設定しました: ${CONFIG.GRAPH_TRIGGER_INTERVAL_HOURS}時間ごとに実行`);
+}
+
+/**
+ * チャンネルグラフ探索トリガーの削除
+ */
+function deleteGraphCrawlTrigger() {
+  const triggers = ScriptApp.getProjectTriggers();
+  triggers.forEach(trigger => {
+    if (trigger.getHandlerFunction() === 'crawlChannelGraph') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+
+  Logger.log('チャンネルグラフ探索トリガーを削除しました');
+}
+
 /**
  * ライブ配信監視メイン関数
  * トリガーから定期実行される
@@ -372,18 +915,40 @@ function monitorLiveStreams() {
 
   const errorLogger = new ErrorLogger();
   const quotaTracker = new APIQuotaTracker('monitorLiveStreams');
+  let job = null;
 
   try {
+    // 前回の監視が中断していれば未確認のチャンネルから再開
+    job = BatchJob.claim('monitorLiveStreams');
+    if (!job) {
+      Logger.log('別の実行がライブ配信監視を処理中のため、今回の実行はスキップします');
+      return;
+    }
+
     const monitor = new LiveStreamMonitor(quotaTracker);
-    monitor.monitorLiveStreams();
+    const result = monitor.monitorLiveStreams(job.state);
+
+    job.progress['確認チャンネル数'] = (job.progress['確認チャンネル数'] || 0) + result.checkedCount;
+    job.progress['ライブ配信数'] = (job.progress['ライブ配信数'] || 0) + result.liveStreamCount;
+    job.progress['未確認チャンネル数'] = job.state.remainingChannelIds ? job.state.remainingChannelIds.length : 0;
+
+    // クォータ予算の超過で中断した場合は次回の定期実行（監視間隔ごと）で再開
+    const budgetExhausted = quotaTracker.isBudgetExhausted();
+    if (result.completed) {
+      job.complete();
+    } else if (budgetExhausted) {
+      job.suspend('クォータ予算超過', false);
+    } else {
+      job.suspend();
+    }
 
     const endTime = new Date().getTime();
     const executionTime = (endTime - startTime) / 1000;
     Logger.log(`実行時間: ${executionTime}秒`);
     Logger.log('=== ライブ配信監視実行完了 ===');
 
-    // API使用量をログに記録（正常終了）
-    quotaTracker.logToSheet('正常終了');
+    // API使用量をログに記録
+    quotaTracker.logToSheet(getRunStatus(result.completed, budgetExhausted));
 
   } catch (error) {
     Logger.log(`エラーが発生しました: ${error.message}`);
@@ -392,6 +957,9 @@ function monitorLiveStreams() {
       functionName: 'monitorLiveStreams',
       apiName: 'メイン処理'
     });
+    if (job) {
+      job.fail(error.message);
+    }
     // API使用量をログに記録（異常終了）
     quotaTracker.logToSheet('異常終了', error.message);
     throw error;
@@ -445,6 +1013,20 @@ function testLiveStreamMonitor() {
   Logger.log('=== ライブ配信監視テスト完了 ===');
 }
 
+/**
+ * 手動実行用：最大同時接続数を配信ごとの集計値から再計算
+ * 同時接続数シートのピーク同時接続数をVTuberリストの最大同時接続数に反映する
+ */
+function recalculateMaxViewerCounts() {
+  Logger.log('=== 最大同時接続数の再計算開始 ===');
+
+  const sheetManager = new SpreadsheetManager();
+  const updatedCount = sheetManager.recalculateMaxViewerCounts();
+
+  Logger.log(`更新件数: ${updatedCount}`);
+  Logger.log('=== 最大同時接続数の再計算完了 ===');
+}
+
 /**
  * 手動実行用：除外キーワードシートの初期化
  */
@@ -467,8 +1049,8 @@ function addChannelManually(channelIdentifier, enableLiveMonitor = false) {
   const errorLogger = new ErrorLogger();
 
   try {
-    // チャンネルIDを取得
-    const channelId = getChannelIdFromIdentifier(channelIdentifier);
+    // チャンネルIDを取得（API使用量はこの関数のトラッカーにまとめて記録する）
+    const channelId = getChannelIdFromIdentifier(channelIdentifier, quotaTracker);
 
     if (!channelId) {
       Logger.log('エラー: チャンネルIDを取得できませんでした');
@@ -489,17 +1071,30 @@ function addChannelManually(channelIdentifier, enableLiveMonitor = false) {
       return;
     }
 
+    // 除外済みのチャンネルかチェック
+    if (sheetManager.getSuppressedChannelIds().has(channelId)) {
+      Logger.log('このチャンネルは除外されています。追加する場合は先にunsuppressChannelManually関数で除外を解除してください');
+      quotaTracker.logToSheet('正常終了');
+      return;
+    }
+
     // チャンネル詳細を取得
     const searcher = new YouTubeSearcher(sheetManager, quotaTracker);
     const channelDetails = searcher.getChannelDetails([channelId]);
 
     if (channelDetails.length === 0) {
+      if (quotaTracker.isBudgetExhausted()) {
+        Logger.log('エラー: 本日のクォータ予算が残っていないため、チャンネル情報を取得できませんでした');
+        quotaTracker.logToSheet('クォータ予算超過');
+        return;
+      }
       Logger.log('エラー: チャンネル情報を取得できませんでした');
       quotaTracker.logToSheet('異常終了', 'チャンネル情報を取得できませんでした');
       return;
     }
 
     const channel = channelDetails[0];
+    channel.discoverySource = CONFIG.DISCOVERY_SOURCES.manual;
 
     // ライブ配信監視フラグを設定
     if (enableLiveMonitor) {
@@ -509,14 +1104,9 @@ function addChannelManually(channelIdentifier, enableLiveMonitor = false) {
     // チャンネルをスプレッドシートに追加
     sheetManager.appendChannels([channel]);
 
-    // ライブ配信監視フラグを有効にする場合は、追加後に更新
+    // ライブ配信監視フラグを有効にする場合は、追加後に更新（行はチャンネルIDで検索）
     if (enableLiveMonitor) {
-      const addedChannels = sheetManager.getExistingChannelIds();
-      if (addedChannels.has(channelId)) {
-        const channelInfo = addedChannels.get(channelId);
-        sheetManager.sheet.getRange(channelInfo.row, 1).setValue(true); // A列のチェックボックスをON
-        Logger.log('ライブ配信監視フラグを有効にしました');
-      }
+      logLiveMonitorFlagResult(sheetManager.setLiveMonitorFlag(channelId, true)); // ライブ配信監視のチェックボックスをON
     }
 
     Logger.log('=== チャンネル手動追加完了 ===');
@@ -527,6 +1117,11 @@ function addChannelManually(channelIdentifier, enableLiveMonitor = false) {
   } catch (error) {
     Logger.log(`エラーが発生しました: ${error.message}`);
     Logger.log(error.stack);
+    // クォータ予算切れはエラーではないため、API使用量ログにだけ記録する
+    if (quotaTracker.isBudgetExhausted()) {
+      quotaTracker.logToSheet('クォータ予算超過');
+      throw error;
+    }
     errorLogger.logError(error, {
       functionName: 'addChannelManually',
       apiName: 'YouTube.Search.list / YouTube.Channels.list',
@@ -538,16 +1133,42 @@ function addChannelManually(channelIdentifier, enableLiveMonitor = false) {
   }
 }
 
+/**
+ * ライブ配信監視フラグの更新結果をログに出力
+ * @param {Object} result SpreadsheetManager.setLiveMonitorFlagの戻り値
+ */
+function logLiveMonitorFlagResult(result) {
+  if (result.deferred) {
+    Logger.log('VTuberリストを別の処理が更新中のため、ライブ配信監視フラグは次の書き込み時に反映されます');
+  } else if (result.updated > 0) {
+    Logger.log('ライブ配信監視フラグを有効にしました');
+  } else {
+    Logger.log('ライブ配信監視フラグを設定するチャンネルの行が見つかりませんでした');
+  }
+}
+
 /**
  * チャンネル識別子（ID、ハンドル名、URL）からチャンネルIDを取得
+ * 呼び出し元のquotaTrackerを渡した場合、API使用量ログへの記録は呼び出し元が1回だけ行う
+ * （この関数はログ行を書かない）。クォータ関連のエラーはログに記録せずにthrowするため、
+ * 呼び出し元のcatchで1回だけ記録すること。
  * @param {string} identifier チャンネルID、ハンドル名、またはURL
+ * @param {APIQuotaTracker} quotaTracker 呼び出し元のクォータトラッカー（省略時は単独実行として自前で記録）
  * @return {string|null} チャンネルID
- * @throws {Error} クォータエラーの場合、エラーをthrow
+ * @throws {Error} クォータ予算切れ・クォータエラーの場合、エラーをthrow
  */
-function getChannelIdFromIdentifier(identifier) {
-  const quotaTracker = new APIQuotaTracker('getChannelIdFromIdentifier');
+function getChannelIdFromIdentifier(identifier, quotaTracker = null) {
+  const ownsTracker = !quotaTracker;
+  const tracker = quotaTracker || new APIQuotaTracker('getChannelIdFromIdentifier');
   const errorLogger = new ErrorLogger();
-  
+
+  // 単独実行時のみAPI使用量ログに記録する（呼び出し元がある場合は呼び出し元が記録する）
+  const logIfOwned = (status, errorMessage = '') => {
+    if (ownsTracker) {
+      tracker.logToSheet(status, errorMessage);
+    }
+  };
+
   try {
     // URLの場合はハンドル名またはチャンネルIDを抽出
     let channelIdentifier = identifier;
@@ -571,149 +1192,194 @@ function getChannelIdFromIdentifier(identifier) {
       const handle = channelIdentifier.substring(1); // @ を除去
       Logger.log(`ハンドル名から検索: ${handle}`);
 
+      // 本日のクォータ予算チェック（予算切れはtracker.isBudgetExhausted()で呼び出し元が判別できる）
+      if (!tracker.hasBudget('YouTube.Search.list')) {
+        throw new Error('本日のクォータ予算が残っていないため、ハンドル名からチャンネルを検索できません。チャンネルIDまたは/channel/形式のURLで指定するか、明日以降に再度お試しください。');
+      }
+
+      let response;
       try {
         // YouTube Data API: search.list でハンドル名から検索
-        const response = YouTube.Search.list('snippet', {
+        response = YouTube.Search.list('snippet', {
           q: handle,
           type: 'channel',
           maxResults: 1
         });
-
-        // API使用量を記録
-        quotaTracker.recordAPICall('YouTube.Search.list');
-
-        if (response.items && response.items.length > 0) {
-          quotaTracker.logToSheet('正常終了');
-          return response.items[0].id.channelId;
-        }
-
-        Logger.log('ハンドル名からチャンネルが見つかりませんでした');
-        quotaTracker.logToSheet('正常終了');
-        return null;
       } catch (apiError) {
-        // クォータエラーの場合は処理を中断
+        // クォータエラーは分かりやすいメッセージに置き換えてthrow（記録は下のcatchで1回だけ）
         if (errorLogger.isQuotaError(apiError)) {
-          Logger.log('クォータエラーが発生しました。処理を中断します。');
-          errorLogger.logError(apiError, {
-            functionName: 'getChannelIdFromIdentifier',
-            apiName: 'YouTube.Search.list',
-            parameters: { identifier: identifier }
-          });
-          quotaTracker.logToSheet('異常終了', apiError.message);
-          // クォータエラーを再throwして処理を中断
+          Logger.log(`クォータエラーが発生しました。処理を中断します: ${apiError.message}`);
           throw new Error('YouTube Data APIのクォータを超過しました。翌日まで待つか、Google Cloud Consoleでクォータを確認してください。');
         }
-        // その他のエラーは再throw
         throw apiError;
       }
+
+      // API使用量を記録
+      tracker.recordAPICall('YouTube.Search.list');
+
+      if (response.items && response.items.length > 0) {
+        logIfOwned('正常終了');
+        return response.items[0].id.channelId;
+      }
+
+      Logger.log('ハンドル名からチャンネルが見つかりませんでした');
+      logIfOwned('正常終了');
+      return null;
     }
 
     // チャンネルIDの場合はそのまま返す
     if (channelIdentifier.startsWith('UC') && channelIdentifier.length === 24) {
-      quotaTracker.logToSheet('正常終了');
+      logIfOwned('正常終了');
       return channelIdentifier;
     }
 
     Logger.log('有効なチャンネルIDまたはハンドル名ではありません');
-    quotaTracker.logToSheet('正常終了');
+    logIfOwned('正常終了');
     return null;
 
   } catch (error) {
-    // クォータエラーの場合は再throwして処理を中断
-    if (errorLogger.isQuotaError(error)) {
+    // クォータ予算切れ・クォータエラーは処理を中断するためthrow
+    // 呼び出し元がある場合、エラーログ・API使用量ログへの記録は呼び出し元のcatchに任せる
+    if (tracker.isBudgetExhausted() || errorLogger.isQuotaError(error)) {
       Logger.log(`クォータエラー: ${error.message}`);
-      errorLogger.logError(error, {
-        functionName: 'getChannelIdFromIdentifier',
-        apiName: 'YouTube.Search.list',
-        parameters: { identifier: identifier }
-      });
-      quotaTracker.logToSheet('異常終了', error.message);
+      if (ownsTracker) {
+        if (tracker.isBudgetExhausted()) {
+          tracker.logToSheet('クォータ予算超過');
+        } else {
+          errorLogger.logError(error, {
+            functionName: 'getChannelIdFromIdentifier',
+            apiName: 'YouTube.Search.list',
+            parameters: { identifier: identifier }
+          });
+          tracker.logToSheet('異常終了', error.message);
+        }
+      }
       throw error;
     }
-    
-    // その他のエラー
+
+    // その他のエラーはここで記録してnullを返す（呼び出し元はnullを「取得できなかった」として扱う）
     Logger.log(`チャンネルID取得エラー: ${error.message}`);
     errorLogger.logError(error, {
       functionName: 'getChannelIdFromIdentifier',
       apiName: 'YouTube.Search.list',
       parameters: { identifier: identifier }
     });
-    quotaTracker.logToSheet('異常終了', error.message);
+    logIfOwned('異常終了', error.message);
     return null;
   }
 }
 
 /**
- * 手動実行用：スターバックスボサコーヒーチャンネルを追加（ライブ配信サンプル用）
+ * 手動実行用：チャンネルを除外
+ * 除外チャンネルシートに登録され、以降の検索ではAPIを呼び出さずにスキップされる
+ * @param {string} channelId チャンネルID
+ * @param {string} reason 除外理由
  */
-function addStarbucksBossaCoffeeChannel() {
-  addChannelManually('https://www.youtube.com/@starbucksbossacoffee6122', true);
+function suppressChannelManually(channelId, reason = '') {
+  const sheetManager = new SpreadsheetManager();
+  const suppressedBy = getUserEmail('GASエディタ', true);
+  sheetManager.suppressChannel(channelId, reason, suppressedBy);
 }
 
 /**
- * 手動実行用：既存データに除外フラグ列を追加（移行用）
- * 既存のスプレッドシートにB列として除外フラグ列を挿入します
+ * 手動実行用：チャンネルの除外を解除
+ * VTuberリストの行が失われている場合は除外時の元データから復元する
+ * @param {string} channelId チャンネルID
  */
-function migrateToExcludeFlagColumn() {
-  Logger.log('=== 除外フラグ列への移行開始 ===');
+function unsuppressChannelManually(channelId) {
+  const sheetManager = new SpreadsheetManager();
+  const result = sheetManager.unsuppressChannel(channelId);
+  if (!result.success) {
+    Logger.log(`除外解除に失敗しました: ${result.error}`);
+  }
+}
+
+/**
+ * VTuber判定レビューの結果を反映
+ * VTuber判定レビューシートの判定列に「承認」と入力したチャンネルをVTuberリストに追加する
+ * （「却下」の行は以降の検索でもスキップされる）
+ */
+function applyVTuberReviews() {
+  Logger.log('=== VTuber判定レビューの反映開始 ===');
 
   try {
-    const sheetManager = new SpreadsheetManager();
-    const sheet = sheetManager.sheet;
+    const reviewQueue = new VTuberReviewQueue();
+    const result = reviewQueue.applyDecisions();
+    Logger.log(`承認: ${result.approved}件（VTuberリストに追加） / 却下: ${result.rejected}件`);
+    Logger.log('=== VTuber判定レビューの反映完了 ===');
+    return result;
 
-    const lastRow = sheet.getLastRow();
-    if (lastRow <= 1) {
-      Logger.log('データがありません。移行は不要です。');
-      return;
-    }
+  } catch (error) {
+    Logger.log(`エラーが発生しました: ${error.message}`);
+    const errorLogger = new ErrorLogger();
+    errorLogger.logError(error, {
+      functionName: 'applyVTuberReviews',
+      apiName: 'スプレッドシート操作'
+    });
+    throw error;
+  }
+}
 
-    // 現在のヘッダーを確認
-    const currentHeaders = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-    
-    // 既に除外フラグ列があるかチェック
-    if (currentHeaders.length >= 2 && currentHeaders[1] === '除外フラグ') {
-      Logger.log('除外フラグ列は既に存在します。移行は不要です。');
-      return;
-    }
+/**
+ * 事務所マスタで所属・所属区分を判定し直す（事務所マスタの編集後に実行）
+ * 除外する区分に変わった事務所の既存チャンネルはVTuberリストに残る（除外フラグで非表示にできる）
+ */
+function relabelAffiliations() {
+  Logger.log('=== 所属の判定開始 ===');
 
-    Logger.log('除外フラグ列をB列に挿入します...');
+  try {
+    const registry = new AgencyRegistry();
+    const updated = registry.labelChannels();
+    Logger.log(`所属が変わったチャンネル: ${updated}件`);
+    Logger.log('=== 所属の判定完了 ===');
+    return updated;
 
-    // B列に新しい列を挿入
-    sheet.insertColumnBefore(2);
-    
-    // ヘッダー行に「除外フラグ」を設定
-    sheet.getRange(1, 2).setValue('除外フラグ');
-    sheet.getRange(1, 2).setFontWeight('bold');
-    sheet.getRange(1, 2).setBackground('#4285f4');
-    sheet.getRange(1, 2).setFontColor('#ffffff');
-
-    // データ行にfalse（チェックボックス）を設定
-    if (lastRow > 1) {
-      const excludeRange = sheet.getRange(2, 2, lastRow - 1, 1);
-      excludeRange.insertCheckboxes();
-      excludeRange.setValue(false);
-    }
+  } catch (error) {
+    Logger.log(`エラーが発生しました: ${error.message}`);
+    const errorLogger = new ErrorLogger();
+    errorLogger.logError(error, {
+      functionName: 'relabelAffiliations',
+      apiName: 'スプレッドシート操作'
+    });
+    throw error;
+  }
+}
 
-    Logger.log('除外フラグ列の追加が完了しました');
-    Logger.log('行の表示/非表示を更新します...');
+/**
+ * 手動実行用：VTuberリストの列構成を最新に移行
+ * 未適用のマイグレーション（列の追加など）を順番に適用する。適用済みの場合は何もしない
+ */
+function runSchemaMigrations() {
+  Logger.log('=== スキーマ移行開始 ===');
 
-    // 行の表示/非表示を更新
-    sheetManager.updateRowVisibility();
+  try {
+    const sheetManager = new SpreadsheetManager();
+    const migrator = new SchemaMigrator(sheetManager);
+    const result = migrator.migrate();
 
-    Logger.log('=== 除外フラグ列への移行完了 ===');
+    if (result.applied.length === 0) {
+      Logger.log(`スキーマは最新です（v${result.toVersion}）。移行は不要です。`);
+    } else {
+      result.applied.forEach(description => Logger.log(`適用: ${description}`));
+    }
+
+    Logger.log('=== スキーマ移行完了 ===');
 
   } catch (error) {
     Logger.log(`エラーが発生しました: ${error.message}`);
     Logger.log(error.stack);
-    const errorLogger = new ErrorLogger();
-    errorLogger.logError(error, {
-      functionName: 'migrateToExcludeFlagColumn',
-      apiName: 'スプレッドシート操作'
-    });
+    // エラーログへの記録はSchemaMigrator.migrate内で行う
     throw error;
   }
 }
 
+/**
+ * 手動実行用：スターバックスボサコーヒーチャンネルを追加（ライブ配信サンプル用）
+ */
+function addStarbucksBossaCoffeeChannel() {
+  addChannelManually('https://www.youtube.com/@starbucksbossacoffee6122', true);
+}
+
 /**
  * テキストからURLを削除するヘルパー関数
  * @param {string} text 元のテキスト
@@ -744,13 +1410,32 @@ function removeUrls(text) {
 
 /**
  * 属性チェック処理のバッチ関数
- * 説明文内のキーワードを元に、VTuberに対して属性ラベルを振る
+ * 属性は検索・定期更新でチャンネルを書き込む時点で付与されるため、このバッチは付与後に
+ * 属性管理シートのルール・固定属性・チャンネル名・説明文・最近の動画タイトルが変わった行だけを判定し直す
+ * （属性ハッシュ列で判定。ルールに一致しなくなった属性は外れ、固定属性列の属性は常に残る）
+ * 付与したルールは属性の根拠列に記録する
  * 1日1回実行する想定
  * URLは比較対象から除外される
  */
 function checkAndAssignAttributes() {
+  assignChannelAttributes(false);
+}
+
+/**
+ * 手動実行用：全チャンネルの属性を判定し直す（属性ハッシュが同じ行も対象）
+ * 属性列を手動で編集してしまった場合などに使用
+ */
+function reassignAllAttributes() {
+  assignChannelAttributes(true);
+}
+
+/**
+ * VTuberリストの属性を判定し直してまとめて書き込む
+ * @param {boolean} force trueの場合は属性ハッシュが同じ行も判定し直す
+ */
+function assignChannelAttributes(force) {
   const startTime = new Date().getTime();
-  Logger.log('=== 属性チェック処理開始 ===');
+  Logger.log(`=== 属性チェック処理開始${force ? '（全件）' : ''} ===`);
 
   const errorLogger = new ErrorLogger();
 
@@ -759,13 +1444,16 @@ function checkAndAssignAttributes() {
     const sheet = sheetManager.sheet;
 
     // 属性設定を取得
-    const attributeSettings = sheetManager.getAttributeSettings();
-    if (attributeSettings.length === 0) {
-      Logger.log('属性設定がありません。処理をスキップします。');
-      return;
-    }
-
-    Logger.log(`属性設定数: ${attributeSettings.length}`);
+    const attributeService = sheetManager.getAttributeService();
+    const engine = attributeService.getEngine();
+    Logger.log(`属性ルール数: ${engine.rules.length}（読み込めなかったルール: ${engine.invalidRules.length}）`);
+    engine.invalidRules.forEach(rule => {
+      errorLogger.logError(new Error(`属性ルールを読み込めませんでした: ${rule.error}`), {
+        functionName: 'checkAndAssignAttributes',
+        apiName: '属性チェック処理',
+        parameters: { row: rule.row, filterText: rule.filterText }
+      });
+    });
 
     // VTuberリストシートから全データを取得
     const lastRow = sheet.getLastRow();
@@ -774,62 +1462,46 @@ function checkAndAssignAttributes() {
       return;
     }
 
-    const data = sheet.getRange(2, 1, lastRow - 1, CONFIG.SHEET_HEADERS.length).getValues();
+    const columns = sheetManager.getColumns();
+    const data = sheetManager.getDataRows();
     Logger.log(`処理対象チャンネル数: ${data.length}`);
 
-    let updatedCount = 0;
+    // チャンネルID -> 属性・属性の根拠・属性ハッシュ（書き込みはロック取得後にチャンネルIDで行を解決してまとめて行う）
+    const attributeUpdates = new Map();
 
-    // 各行を処理
-    data.forEach((row, index) => {
-      const actualRow = index + 2; // 実際の行番号（ヘッダー分+1、0-indexed分+1）
-      const excludeFlag = row[1]; // B列（除外フラグ）
-      const channelName = row[4]; // E列（チャンネル名）
-      const description = row[13]; // N列（チャンネル説明文）
-      const currentAttributes = row[7] || ''; // H列（属性）
+    // 前回の判定からルール・入力が変わった行の属性を付け直す
+    data.forEach(row => {
+      const channelId = columns.value(row, 'channelId');
+      const excludeFlag = columns.value(row, 'excludeFlag');
+      const channelName = columns.value(row, 'channelName');
 
       // 除外フラグがtrueの行はスキップ
-      if (excludeFlag === true) {
+      if (!channelId || excludeFlag === true) {
         return;
       }
 
-      // 説明文からURLを除外して検索対象テキストを作成
-      const descriptionWithoutUrl = removeUrls(description || '');
-      const searchText = ((channelName || '') + ' ' + descriptionWithoutUrl).toLowerCase();
-
-      // 既存の属性を配列に変換（カンマ区切り）
-      const existingAttributes = currentAttributes
-        ? currentAttributes.split(',').map(attr => attr.trim()).filter(attr => attr !== '')
-        : [];
-
-      // 新しい属性を追加
-      const newAttributes = [...existingAttributes];
-
-      // 各属性設定をチェック
-      attributeSettings.forEach(setting => {
-        const filterText = setting.filterText.toLowerCase();
-        const attributeValue = setting.attribute || setting.attributeName || filterText;
-
-        // フィルタ文言が説明文またはチャンネル名に含まれているかチェック
-        if (searchText.includes(filterText)) {
-          // 既に同じ属性が設定されていないかチェック
-          if (!existingAttributes.includes(attributeValue)) {
-            newAttributes.push(attributeValue);
-            Logger.log(`チャンネル "${channelName}" に属性 "${attributeValue}" を追加（フィルタ: "${setting.filterText}"）`);
-          }
-        }
-      });
+      const values = attributeService.reevaluateRow(row, columns, force);
+      if (!values) {
+        return;
+      }
 
-      // 属性が変更された場合のみ更新
-      if (newAttributes.length !== existingAttributes.length) {
-        const attributesString = newAttributes.join(', ');
-        const attributeCell = sheet.getRange(actualRow, 8);
-        // 型付きセル（チェックボックスなど）のデータ検証をクリアしてから値を設定
-        attributeCell.clearDataValidations();
-        attributeCell.setValue(attributesString); // H列に属性を設定
-        updatedCount++;
+      const previous = AttributeEngine.parseList(columns.value(row, 'attributes'));
+      const current = AttributeEngine.parseList(values.attributes);
+      const added = current.filter(attribute => previous.indexOf(attribute) === -1);
+      const removed = previous.filter(attribute => current.indexOf(attribute) === -1);
+      if (added.length > 0 || removed.length > 0) {
+        Logger.log(`チャンネル "${channelName}" の属性を変更（追加: ${added.join(', ') || 'なし'} / 削除: ${removed.join(', ') || 'なし'}）`);
       }
+      attributeUpdates.set(channelId, values);
     });
 
+    // 型付きセル（チェックボックスなど）のデータ検証をクリアしてから値を設定
+    const result = sheetManager.updateChannelValues(attributeUpdates, { clearValidations: true });
+    const updatedCount = result.updated;
+    if (result.missing.length > 0) {
+      Logger.log(`行が見つからなかったチャンネル（処理中に削除された可能性があります）: ${result.missing.length}件`);
+    }
+
     const endTime = new Date().getTime();
     const executionTime = (endTime - startTime) / 1000;
     Logger.log(`更新されたチャンネル数: ${updatedCount}`);
@@ -840,7 +1512,7 @@ function checkAndAssignAttributes() {
     Logger.log(`エラーが発生しました: ${error.message}`);
     Logger.log(error.stack);
     errorLogger.logError(error, {
-      functionName: 'checkAndAssignAttributes',
+      functionName: force ? 'reassignAllAttributes' : 'checkAndAssignAttributes',
       apiName: '属性チェック処理'
     });
     throw error;
@@ -857,64 +1529,6 @@ function initializeAttributeSheet() {
   Logger.log('属性管理シートの初期化が完了しました');
 }
 
-/**
- * 手動実行用：既存データに属性カラムを追加（移行用）
- * 既存のスプレッドシートにH列として属性カラムを挿入します
- */
-function migrateToAttributeColumn() {
-  Logger.log('=== 属性カラムへの移行開始 ===');
-
-  try {
-    const sheetManager = new SpreadsheetManager();
-    const sheet = sheetManager.sheet;
-
-    const lastRow = sheet.getLastRow();
-    if (lastRow <= 1) {
-      Logger.log('データがありません。移行は不要です。');
-      return;
-    }
-
-    // 現在のヘッダーを確認
-    const currentHeaders = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-    
-    // 既に属性カラムがあるかチェック（H列 = 8列目）
-    if (currentHeaders.length >= 8 && currentHeaders[7] === '属性') {
-      Logger.log('属性カラムは既に存在します。移行は不要です。');
-      return;
-    }
-
-    Logger.log('属性カラムをH列に挿入します...');
-
-    // H列に新しい列を挿入
-    sheet.insertColumnBefore(8);
-    
-    // ヘッダー行に「属性」を設定
-    sheet.getRange(1, 8).setValue('属性');
-    sheet.getRange(1, 8).setFontWeight('bold');
-    sheet.getRange(1, 8).setBackground('#4285f4');
-    sheet.getRange(1, 8).setFontColor('#ffffff');
-
-    // データ行に空文字を設定
-    if (lastRow > 1) {
-      const attributeRange = sheet.getRange(2, 8, lastRow - 1, 1);
-      attributeRange.setValue('');
-    }
-
-    Logger.log('属性カラムの追加が完了しました');
-    Logger.log('=== 属性カラムへの移行完了 ===');
-
-  } catch (error) {
-    Logger.log(`エラーが発生しました: ${error.message}`);
-    Logger.log(error.stack);
-    const errorLogger = new ErrorLogger();
-    errorLogger.logError(error, {
-      functionName: 'migrateToAttributeColumn',
-      apiName: 'スプレッドシート操作'
-    });
-    throw error;
-  }
-}
-
 /**
  * 属性チェック処理トリガーの設定
  * 1日1回実行するトリガーを設定
@@ -962,80 +1576,36 @@ function repairCellFormulas() {
   try {
     const sheetManager = new SpreadsheetManager();
     const sheet = sheetManager.sheet;
-    const lastRow = sheet.getLastRow();
-
-    if (lastRow <= 1) {
-      Logger.log('データがありません。修復は不要です。');
-      return;
-    }
 
-    // A列・B列のチェックボックスはスプレッドシートのテーブル機能で管理されているため、
-    // GASからの設定は行わない
-
-    let iconRepairedCount = 0;
-    let twitterRepairedCount = 0;
-    let channelUrlRepairedCount = 0;
-
-    // データ行を処理（2行目から）
-    for (let row = 2; row <= lastRow; row++) {
-      // C列：アイコンIMAGE関数の修復
-      const iconCell = sheet.getRange(row, 3);
-      const iconValue = iconCell.getValue();
-      const iconFormula = iconCell.getFormula();
-
-      if (!iconFormula || !iconFormula.startsWith('=IMAGE')) {
-        if (iconValue && String(iconValue).startsWith('http')) {
-          iconCell.clearDataValidations();
-          iconCell.setFormula(`=IMAGE("${iconValue}", 1)`);
-          iconRepairedCount++;
-          Logger.log(`行 ${row}: アイコンIMAGE関数を設定しました`);
-        }
+    // 読み込んだ値から数式を作るため、読み込みから書き込みまでの間に行が移動しないよう書き込みロック内で処理する
+    const counts = sheetManager.withWriteLock('セル書式の修復', () => {
+      const lastRow = sheet.getLastRow();
+      if (lastRow <= 1) {
+        return null;
       }
 
-      // F列：チャンネルURLのHYPERLINK関数の修復
-      const channelUrlCell = sheet.getRange(row, 6);
-      const channelUrlValue = channelUrlCell.getValue();
-      const channelUrlFormula = channelUrlCell.getFormula();
-
-      if (!channelUrlFormula || !channelUrlFormula.startsWith('=HYPERLINK')) {
-        if (channelUrlValue && String(channelUrlValue).includes('youtube.com')) {
-          const channelName = sheet.getRange(row, 5).getValue(); // E列：チャンネル名
-          if (channelName) {
-            channelUrlCell.clearDataValidations();
-            // チャンネル名の特殊文字をエスケープ
-            const escapedName = String(channelName).replace(/"/g, '""');
-            channelUrlCell.setFormula(`=HYPERLINK("${channelUrlValue}", "${escapedName}")`);
-            channelUrlRepairedCount++;
-            Logger.log(`行 ${row}: チャンネルURLのHYPERLINK関数を設定しました`);
-          }
-        }
-      }
+      // ライブ配信監視・除外フラグのチェックボックスはスプレッドシートのテーブル機能で管理されているため、
+      // GASからの設定は行わない
+      // データ行（2行目から）をまとめて読み込み、数式が外れているセルのみ列ごとにまとめて再設定
+      const range = sheet.getRange(2, 1, lastRow - 1, sheetManager.getColumns().getWidth());
+      const repaired = sheetManager.applyCellFormulas(2, range.getValues(), range.getFormulas());
 
-      // O列：TwitterリンクのHYPERLINK関数の修復
-      const twitterCell = sheet.getRange(row, 15);
-      const twitterValue = twitterCell.getValue();
-      const twitterFormula = twitterCell.getFormula();
-
-      if (!twitterFormula || !twitterFormula.startsWith('=HYPERLINK')) {
-        if (twitterValue && String(twitterValue).includes('twitter.com') || String(twitterValue).includes('x.com')) {
-          const twitterUrl = String(twitterValue);
-          if (twitterUrl !== 'N/A' && twitterUrl.startsWith('http')) {
-            // URLからユーザー名を抽出（最後の/以降）
-            const username = twitterUrl.split('/').pop();
-            twitterCell.clearDataValidations();
-            twitterCell.setFormula(`=HYPERLINK("${twitterUrl}", "@${username}")`);
-            twitterRepairedCount++;
-            Logger.log(`行 ${row}: TwitterリンクのHYPERLINK関数を設定しました`);
-          }
-        }
+      // 行の高さを設定
+      if (repaired.icon > 0) {
+        sheet.setRowHeights(2, lastRow - 1, 80);
       }
-    }
+      return repaired;
+    }, CONFIG.WRITE_LOCK_BULK_TIMEOUT_MS);
 
-    // 行の高さを設定
-    if (iconRepairedCount > 0) {
-      sheet.setRowHeights(2, lastRow - 1, 80);
+    if (!counts) {
+      Logger.log('データがありません。修復は不要です。');
+      return;
     }
 
+    const iconRepairedCount = counts.icon;
+    const channelUrlRepairedCount = counts.channelUrl;
+    const twitterRepairedCount = counts.twitterLink;
+
     Logger.log(`アイコン修復数: ${iconRepairedCount}`);
     Logger.log(`チャンネルURL修復数: ${channelUrlRepairedCount}`);
     Logger.log(`Twitterリンク修復数: ${twitterRepairedCount}`);
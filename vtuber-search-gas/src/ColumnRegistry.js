@@ -0,0 +1,157 @@
+/**
+ * 列レジストリクラス
+ * VTuberリストの列位置をヘッダー行から解決する
+ * コードでは列番号（row[3]、getRange(row, 17)など）ではなく、CONFIG.SHEET_COLUMNSのキー（'channelId'など）で列を参照する
+ * 列の追加・並べ替えはSchemaMigratorのマイグレーションで行い、各モジュールの変更は不要
+ */
+
+class ColumnRegistry {
+  /**
+   * @param {Sheet} sheet 対象シート
+   * @param {Object} columns 列キー -> ヘッダー名
+   * @param {Array} defaultHeaders ヘッダー行が空の場合に使う列構成
+   */
+  constructor(sheet, columns = CONFIG.SHEET_COLUMNS, defaultHeaders = CONFIG.SHEET_HEADERS) {
+    this.sheet = sheet;
+    this.columns = columns;
+    this.defaultHeaders = defaultHeaders;
+    this.headers = [];
+    this.positions = new Map(); // ヘッダー名 -> 0始まりの列インデックス
+    this.reload();
+  }
+
+  /**
+   * ヘッダー行を読み込み直す（列を追加・移動した後に呼び出す）
+   */
+  reload() {
+    const lastColumn = this.sheet.getLastColumn();
+    const headerRow = lastColumn > 0 ? this.sheet.getRange(1, 1, 1, lastColumn).getValues()[0] : [];
+    const hasHeaders = headerRow.some(header => header !== '' && header !== null);
+
+    this.headers = hasHeaders ? headerRow.map(header => String(header).trim()) : this.defaultHeaders.slice();
+    this.positions = new Map();
+    this.headers.forEach((header, index) => {
+      // 同名の列がある場合は左側を優先
+      if (header && !this.positions.has(header)) {
+        this.positions.set(header, index);
+      }
+    });
+  }
+
+  /**
+   * ヘッダー行を取得
+   * @return {Array} ヘッダー名の配列（列順）
+   */
+  getHeaders() {
+    return this.headers.slice();
+  }
+
+  /**
+   * 列キーからヘッダー名を取得
+   * @param {string} key 列キー
+   * @return {string} ヘッダー名
+   */
+  getHeaderName(key) {
+    const header = this.columns[key];
+    if (!header) {
+      throw new Error(`未定義の列キーです: ${key}`);
+    }
+    return header;
+  }
+
+  /**
+   * 列がシートに存在するか
+   * @param {string} key 列キー
+   * @return {boolean} 存在する場合true
+   */
+  has(key) {
+    return this.positions.has(this.getHeaderName(key));
+  }
+
+  /**
+   * 列インデックスを取得（行データの配列用、0始まり）
+   * @param {string} key 列キー
+   * @return {number} 列インデックス
+   */
+  index(key) {
+    const header = this.getHeaderName(key);
+    if (!this.positions.has(header)) {
+      throw new Error(`列「${header}」がシート「${this.sheet.getName()}」にありません。runSchemaMigrations関数を実行してください`);
+    }
+    return this.positions.get(header);
+  }
+
+  /**
+   * 列番号を取得（getRange用、1始まり）
+   * @param {string} key 列キー
+   * @return {number} 列番号
+   */
+  column(key) {
+    return this.index(key) + 1;
+  }
+
+  /**
+   * データ範囲の列数を取得（ヘッダー行の列数）
+   * @return {number} 列数
+   */
+  getWidth() {
+    return this.headers.length;
+  }
+
+  /**
+   * 行データから値を取得
+   * @param {Array} row 行データ
+   * @param {string} key 列キー
+   * @return {*} 値
+   */
+  value(row, key) {
+    return row[this.index(key)];
+  }
+
+  /**
+   * 行データに値を設定（指定されていない列はそのまま）
+   * @param {Array} row 行データ
+   * @param {Object} values 列キー -> 値
+   * @return {Array} 行データ
+   */
+  assign(row, values) {
+    Object.keys(values).forEach(key => {
+      row[this.index(key)] = values[key];
+    });
+    return row;
+  }
+
+  /**
+   * 新しい行データを作成（指定されていない列は空欄）
+   * @param {Object} values 列キー -> 値
+   * @return {Array} 行データ
+   */
+  createRow(values) {
+    const row = new Array(this.getWidth()).fill('');
+    return this.assign(row, values);
+  }
+
+  /**
+   * 行データをヘッダー名をキーとするオブジェクトに変換（列構成が変わっても復元できる形式）
+   * @param {Array} row 行データ
+   * @return {Object} ヘッダー名 -> 値
+   */
+  toHeaderObject(row) {
+    const object = {};
+    this.headers.forEach((header, index) => {
+      if (header) {
+        object[header] = row[index];
+      }
+    });
+    return object;
+  }
+
+  /**
+   * ヘッダー名をキーとするオブジェクトを現在の列構成の行データに変換
+   * @param {Object} object ヘッダー名 -> 値
+   * @return {Array} 行データ（オブジェクトにない列は空欄）
+   */
+  fromHeaderObject(object) {
+    return this.headers.map(header => (header && object.hasOwnProperty(header) ? object[header] : ''));
+  }
+}
@@ -14,8 +14,7 @@ const CONFIG = {
 
   // YouTube検索設定
   SEARCH_KEYWORDS: [
-    'VTuber 個人勢',
-    // '新人VTuber'
+    'VTuber 個人勢'
   ],
 
   // 検索順序（複数指定可能）
@@ -24,27 +23,200 @@ const CONFIG = {
     'rating'      // 評価順
   ],
 
+  // 動画検索設定（配信中・最近公開された動画を検索し、投稿したチャンネルを候補にする）
+  // チャンネル名・説明文にキーワードがなくても、VTuberの配信をしているチャンネルを見つけられる
+  VIDEO_SEARCH_KEYWORDS: [
+    'VTuber 配信',
+    'VTuber 歌枠',
+    'VTuber 雑談'
+  ],
+  VIDEO_SEARCH_STRATEGIES: [
+    'live',   // 配信中の動画（eventType=live）
+    'recent'  // 最近公開された動画（VIDEO_SEARCH_RECENT_HOURS以内）
+  ],
+  VIDEO_SEARCH_RECENT_HOURS: 24, // 最近公開された動画とする時間
+  VIDEO_SEARCH_MAX_PAGES: 1, // 1つの検索方法・キーワードあたりのSearch.listの最大ページ数（1ページ=100クォータ）
+
+  // 発見経路（VTuberリストの「発見経路」列に記録し、経路ごとの成果を比較する）
+  DISCOVERY_SOURCES: {
+    keyword: 'キーワード検索',
+    liveVideo: '配信中の動画',
+    recentVideo: '最近の動画',
+    debut: '新人発掘',
+    graph: 'チャンネルグラフ',
+    manual: '手動追加'
+  },
+  DISCOVERY_SOURCE_UNKNOWN_LABEL: '不明', // 発見経路が空欄のチャンネル（機能追加前に追加したチャンネル）の集計上の表記
+
   // チャンネル条件
   MIN_SUBSCRIBER_COUNT: 5000, // 最小登録者数
   MAX_RESULTS: 500, // 最大取得件数
   ACTIVE_DAYS_THRESHOLD: 7, // アクティブ判定: 最終投稿が何日以内か
   UPDATE_INTERVAL_DAYS: 7, // 既存チャンネルの情報更新間隔（日数）
 
-  // 除外する企業・グループ名（部分一致）
-  EXCLUDED_KEYWORDS: [
-    'ホロライブ',
-    'hololive',
-    'にじさんじ',
-    'nijisanji',
-    'ぶいすぽ',
-    'VSPO',
-    '.LIVE',
-    '774inc',
-    'Re:AcT',
-    'のりプロ',
-    'あおぎり高校',
-    'RIONECTION'
+  // 既存チャンネル定期更新設定（検索結果に現れないチャンネルも含めて再取得）
+  REFRESH_QUOTA_BUDGET_PER_RUN: 500, // 1回の実行で使用するクォータ上限（ユニット）
+  REFRESH_TRIGGER_INTERVAL_HOURS: 6, // 定期更新トリガーの実行間隔（時間）
+  REFRESH_CURSOR_PROPERTY_KEY: 'CHANNEL_REFRESH_CURSOR', // 再開位置を保存するスクリプトプロパティのキー
+
+  // 新人発掘設定（開設から間もないチャンネルを、登録者数ではなく開設日で拾って新人ウォッチリストに記録）
+  // 通常のチャンネル条件（MIN_SUBSCRIBER_COUNTなど）とVTuber判定を満たした時点でVTuberリストに昇格する
+  DEBUT_SEARCH_KEYWORDS: [
+    '新人VTuber',
+    'VTuber 初配信'
+  ],
+  DEBUT_MAX_CHANNEL_AGE_DAYS: 90, // 開設から何日以内のチャンネルを新人とするか
+  DEBUT_SEARCH_WINDOW_DAYS: 30, // 検索を開設日（publishedAfter / publishedBefore）で区切る期間の日数（期間ごとに検索結果を取得する）
+  DEBUT_MAX_SEARCH_PAGES: 1, // 1つの期間・キーワードあたりのSearch.listの最大ページ数（1ページ=100クォータ）
+  DEBUT_MIN_SUBSCRIBER_COUNT: 100, // 新人ウォッチリストに記録する最小登録者数
+  DEBUT_WATCH_DAYS: 365, // 開設からこの日数を過ぎても昇格しないチャンネルは期限切れにする
+  DEBUT_TRIGGER_HOUR: 5, // 新人発掘の実行時刻（時）
+  DEBUT_SHEET_NAME: '新人ウォッチリスト',
+  DEBUT_HEADERS: [
+    'チャンネルID',
+    'チャンネル名',
+    'チャンネルURL',
+    'チャンネル開設日',
+    '登録者数', // 最終確認日時の時点
+    '確度', // 発見時のVTuber判定の確度
+    '状態', // 監視中 / 昇格済み / レビュー送り / 期限切れ
+    '発見日時',
+    '最終確認日時',
+    '状態変更日時'
+  ],
+  DEBUT_STATUSES: {
+    watching: '監視中', // 昇格の条件を満たすか毎回確認する
+    promoted: '昇格済み', // VTuberリストに追加済み
+    review: 'レビュー送り', // 登録者数は条件を満たしたが、VTuber判定の確度が足りずVTuber判定レビューに記録
+    expired: '期限切れ' // DEBUT_WATCH_DAYSを過ぎても昇格しなかった
+  },
+
+  // チャンネルグラフ探索設定（VTuberリストのチャンネルから、おすすめチャンネルと最近の動画の説明文の@メンションをたどって新規チャンネルを探す）
+  // キーワード検索（1ページ100ユニット）より少ないクォータで、検索の上位に出ないチャンネルが見つかる
+  GRAPH_MAX_DEPTH: 2, // VTuberリストのチャンネルから何段階先までたどるか（1: 直接つながるチャンネルのみ。追加されたチャンネルは深さがこれ未満ならさらにたどる）
+  GRAPH_QUOTA_BUDGET_PER_RUN: 200, // 1回の実行で使用するクォータ上限（ユニット）。残りは次回の実行で続きから
+  GRAPH_RECENT_VIDEOS: 10, // @メンションを探す最近の動画数（動画一覧1回分、1ユニット）
+  GRAPH_MAX_HANDLES_PER_CHANNEL: 5, // 1チャンネルあたりに解決する@ハンドルの上限（1件1ユニット。VTuberリストのハンドルは解決しない）
+  GRAPH_TRIGGER_INTERVAL_HOURS: 6, // チャンネルグラフ探索トリガーの実行間隔（時間）
+
+  // VTuber判定設定（キーワード検索で見つかった新規チャンネルの確度を0〜100で採点）
+  // 確度がCLASSIFIER_ACCEPT_THRESHOLD以上はVTuberリストに追加、CLASSIFIER_REVIEW_THRESHOLD以上はレビュー待ち、未満は却下
+  CLASSIFIER_ACCEPT_THRESHOLD: 60,
+  CLASSIFIER_REVIEW_THRESHOLD: 35,
+  CLASSIFIER_WEIGHTS: {
+    keywords: 35, // チャンネル名・説明文のVTuberキーワード（2語以上で満点）
+    branding: 15, // チャンネルキーワード（brandingSettings）のVTuberキーワード
+    titles: 25, // 最近の動画タイトルのうち配信タイトルの形式（【歌枠】など）の割合（半数以上で満点）
+    streams: 25, // 最近の動画のうちライブ配信（アーカイブ）の割合（半数以上で満点）
+    negative: 40 // 切り抜き・ゲーム実況などの否定キーワード1語ごとの減点（2語まで）
+  },
+  CLASSIFIER_KEYWORDS: [
+    'vtuber',
+    'バーチャルyoutuber',
+    'バーチャルライバー',
+    '個人勢',
+    '企業勢',
+    'live2d',
+    '3dモデル',
+    '新人vtuber',
+    'ママ：',
+    'ママ:',
+    'パパ：',
+    'パパ:'
+  ],
+  CLASSIFIER_NEGATIVE_KEYWORDS: [
+    '切り抜き',
+    'clip',
+    'まとめ',
+    'ゲーム実況チャンネル',
+    '攻略'
+  ],
+  CLASSIFIER_TITLE_PATTERNS: [
+    '【歌枠',
+    '【雑談',
+    '【初配信',
+    '【新人vtuber',
+    '【asmr',
+    '【朝活',
+    '【耐久',
+    '【#',
+    '#vtuber',
+    '#新人vtuber'
+  ],
+  CLASSIFIER_REVIEW_SHEET_NAME: 'VTuber判定レビュー',
+  CLASSIFIER_REVIEW_HEADERS: [
+    'チャンネルID',
+    'チャンネル名',
+    'チャンネルURL',
+    '登録者数',
+    '確度',
+    '判定理由',
+    '登録日時',
+    '判定', // 承認 / 却下（空欄はレビュー待ち。承認するとapplyVTuberReviewsでVTuberリストに追加）
+    '反映日時',
+    'チャンネルデータ' // 承認時に追加するチャンネル情報（JSON）
+  ],
+
+  // 切り抜きチャンネル検出設定（検出したチャンネルはVTuberリストに追加せず、元チャンネルの関連チャンネルとして記録）
+  CLIP_NAME_PATTERNS: ['切り抜き', '切抜', 'clip'], // チャンネル名に含まれる場合は切り抜きチャンネル
+  CLIP_DESCRIPTION_PATTERNS: [ // 説明文に含まれる場合は切り抜きチャンネル
+    '切り抜きチャンネル',
+    '切り抜き動画を投稿',
+    '公認切り抜き',
+    '非公式切り抜き',
+    '切り抜きガイドライン',
+    'clip channel'
+  ],
+  CLIP_MAX_CREDITS_PER_CHANNEL: 3, // 1つの切り抜きチャンネルから記録する元チャンネルの上限（@ハンドルの解決に1件1ユニット）
+  RELATED_CHANNEL_SHEET_NAME: '関連チャンネル',
+  RELATED_CHANNEL_HEADERS: [
+    'チャンネルID', // 元チャンネル（特定できなかった場合は空欄）
+    '関連チャンネルID',
+    '関連チャンネル名',
+    '種別', // 切り抜き など
+    '登録者数',
+    '関連チャンネルURL',
+    '根拠', // 元チャンネルを特定した@ハンドル・URLと検出理由
+    '記録日時'
+  ],
+  RELATED_TYPE_CLIP: '切り抜き', // 切り抜きチャンネルの種別
+
+  // 事務所マスタ設定（チャンネルの所属事務所を判定し、VTuberリストの所属・所属区分列に記録）
+  AGENCY_SHEET_NAME: '事務所マスタ',
+  AGENCY_HEADERS: [
+    '事務所名',
+    '別名', // 表記ゆれ・英語表記など（カンマ・改行区切り、部分一致）
+    '公式チャンネルID', // 事務所・所属タレントのチャンネルID（カンマ・改行区切り、完全一致）
+    '区分', // 大手 / 中小 / 個人
+    '備考'
+  ],
+  AGENCY_TIERS: ['大手', '中小', '個人'],
+  AGENCY_EXCLUDED_TIERS: ['大手', '中小'], // 検索で追加しない区分（所属の判定はすべての区分で行う）
+  AGENCY_UNAFFILIATED_LABEL: '所属なし', // Webアプリの所属フィルタで、どの事務所にも該当しないチャンネルを表す
+  AGENCY_DEFAULTS: [ // 事務所マスタを作成したときの初期データ
+    { name: 'ホロライブ', aliases: ['hololive'], tier: '大手' },
+    { name: 'にじさんじ', aliases: ['nijisanji'], tier: '大手' },
+    { name: 'ぶいすぽっ！', aliases: ['ぶいすぽ', 'VSPO'], tier: '大手' },
+    { name: '.LIVE', aliases: [], tier: '中小' },
+    { name: '774inc', aliases: [], tier: '中小' },
+    { name: 'Re:AcT', aliases: [], tier: '中小' },
+    { name: 'のりプロ', aliases: [], tier: '中小' },
+    { name: 'あおぎり高校', aliases: [], tier: '中小' },
+    { name: 'RIONECTION', aliases: [], tier: '中小' }
+  ],
+
+  // SNSリンク設定（説明文・概要ページのリンクからSNSなどのリンクを抽出し、SNSリンクシートに記録）
+  SOCIAL_LINK_SHEET_NAME: 'SNSリンク',
+  SOCIAL_LINK_HEADERS: [
+    'チャンネルID',
+    'プラットフォーム', // X / Twitch / TikTok / Instagram / pixiv FANBOX / BOOTH / マシュマロ / pixiv / Webサイト
+    'アカウント',
+    'URL', // プラットフォームごとに正規化したURL
+    '取得元', // 説明文 / 概要ページ / 説明文（@表記）
+    '記録日時' // 最初に記録した日時
   ],
+  SOCIAL_LINK_FETCH_ABOUT_PAGE: true, // 概要ページ（youtube.com/channel/ID/about）のリンクも取得するか（1チャンネル1リクエスト、クォータは使わない）
+  SOCIAL_LINK_WEBSITE_PLATFORM: 'Webサイト', // 概要ページの既知のプラットフォーム以外のリンクのプラットフォーム名
 
   // API設定
   MAX_RESULTS_PER_REQUEST: 50, // YouTube APIの1リクエストあたりの最大取得数
@@ -59,9 +231,46 @@ const CONFIG = {
   ESTIMATED_QUOTA_PER_CHANNEL: 15, // 1チャンネルあたりの推定クォータ使用量
   MAX_SEARCH_PAGES: 3, // Search.listの最大ページ数（1ページ=100クォータ、一時的に抑制中）
 
+  // 1日のクォータ予算（全実行で共有する台帳をスクリプトプロパティに保存）
+  // YouTubeのクォータと同じく太平洋時間の0時にリセットされる
+  DAILY_QUOTA_LIMIT: 10000, // 1日に使用するクォータの上限（ユニット）
+  QUOTA_RESET_TIMEZONE: 'America/Los_Angeles',
+  QUOTA_LEDGER_PROPERTY_KEY: 'DAILY_QUOTA_LEDGER', // 台帳を保存するスクリプトプロパティのキー（実行ごとの使用量は「キー:日付:実行ID」に保存し、読み込み時に合計する）
+  QUOTA_LEDGER_FLUSH_UNITS: 50, // 実行中の使用量を台帳に反映する間隔（ユニット）
+  // ジョブごとの予算の割合（関数名 -> 1日の上限に対する割合）。未指定の関数（手動追加など）は default を共有
+  QUOTA_JOB_SHARES: {
+    searchAndSaveVTuberChannels: 0.27,
+    monitorLiveStreams: 0.33,
+    refreshTrackedChannels: 0.15,
+    takeDailyChannelSnapshot: 0.02,
+    scanDebutChannels: 0.08,
+    crawlChannelGraph: 0.08,
+    default: 0.07
+  },
+
+  // クォータ計画設定（チャンネル検索の実行前に使用量を見積もり、残り予算に収まるよう検索ページ数を減らす）
+  PLANNER_NEW_CHANNEL_RATIO: 0.2, // 検索結果のうち未登録チャンネルの割合（推定）
+  PLANNER_PHASE1_PASS_RATIO: 0.5, // 新規チャンネルのうち基本情報フィルタを通過する割合（推定。通過すると動画情報取得で2ユニット）
+
   // 実行時間制限対策
   MAX_EXECUTION_TIME: 330, // 秒（5分30秒）GASの6分制限に対するバッファ
 
+  // バッチジョブ設定（実行時間制限で中断した処理を次の実行に引き継ぐ）
+  JOB_STATE_SHEET_NAME: 'ジョブ状態', // 作業キュー・カーソルを保存する非表示シート
+  JOB_STATE_HEADERS: [
+    'ジョブ名',
+    'ステータス',
+    '開始日時',
+    '更新日時',
+    '実行回数',
+    '進捗', // JSON（状態表示用の集計値）
+    '状態' // JSON（作業キュー・カーソル）。長い場合は右の列に分割して保存
+  ],
+  JOB_STATE_CHUNK_SIZE: 45000, // 状態JSONを分割する文字数（セルの上限は50,000文字）
+  JOB_CONTINUATION_HANDLER: 'continueBatchJobs', // 継続トリガーから実行される関数名
+  JOB_CONTINUATION_DELAY_SECONDS: 60, // 中断から継続実行までの待ち時間（秒）
+  JOB_STALE_SECONDS: 420, // 実行中のまま更新がないジョブを終了済みとみなす秒数（GASの実行時間上限6分に余裕を持たせた値）
+
   // スプレッドシートのヘッダー
   SHEET_HEADERS: [
     'ライブ配信監視',
@@ -69,21 +278,81 @@ const CONFIG = {
     'アイコン',
     'チャンネルID',
     'チャンネル名',
+    'ハンドル', // @ハンドル（チャンネルURLのリンクの表示名にも使用）
     'チャンネルURL',
     '登録者数',
-    '属性', // H列：属性管理用カラム（カンマ区切りで複数指定可能）
+    '総再生回数',
+    '動画数',
+    'VTuber確度', // VTuber判定の確度（0〜100）
+    '発見経路', // チャンネルを見つけた経路（DISCOVERY_SOURCES。機能追加前に追加したチャンネルは空欄）
+    '所属', // 事務所マスタで判定した所属事務所（該当なしは空欄）
+    '所属区分', // 所属事務所の区分（大手 / 中小 / 個人）
+    '属性', // 属性管理用カラム（カンマ区切りで複数指定可能）
+    '固定属性', // ルールに関係なく常に付与する属性（手動で入力、カンマ区切り）
+    '属性の根拠', // 属性ごとに付与したルール（属性チェック処理が記録）
+    '属性ハッシュ', // 属性の判定に使ったルールと入力のハッシュ（変更がない行は判定し直さない）
     '投稿頻度（本/月）',
     '平均再生回数',
     '平均いいね数',
     '平均コメント数',
     '最終投稿日',
+    'チャンネル開設日',
+    '国', // チャンネルに設定された国（ISO 3166-1のコード。未設定は空欄）
+    '言語', // チャンネルの既定の言語（未設定は空欄）
     'チャンネル説明文',
-    'X（Twitter）リンク',
+    '最近の動画タイトル', // 属性ルールの照合用（改行区切り）
+    'X（Twitter）リンク', // SNSリンクシートのXのリンク（SNSリンクの一覧はSNSリンクシート）
     '取得日時',
     '最大同時接続数',
     '最大同時接続数日時'
   ],
 
+  // VTuberリストの列キー -> ヘッダー名
+  // 列の位置はColumnRegistryがヘッダー行から解決する（SHEET_HEADERSは新規シートの列順）
+  SHEET_COLUMNS: {
+    liveMonitor: 'ライブ配信監視',
+    excludeFlag: '除外フラグ',
+    icon: 'アイコン',
+    channelId: 'チャンネルID',
+    channelName: 'チャンネル名',
+    handle: 'ハンドル',
+    channelUrl: 'チャンネルURL',
+    subscriberCount: '登録者数',
+    totalViewCount: '総再生回数',
+    videoCount: '動画数',
+    vtuberConfidence: 'VTuber確度',
+    discoverySource: '発見経路',
+    affiliation: '所属',
+    affiliationTier: '所属区分',
+    attributes: '属性',
+    pinnedAttributes: '固定属性',
+    attributeSources: '属性の根拠',
+    attributeHash: '属性ハッシュ',
+    uploadFrequency: '投稿頻度（本/月）',
+    avgViewCount: '平均再生回数',
+    avgLikeCount: '平均いいね数',
+    avgCommentCount: '平均コメント数',
+    lastPublishedAt: '最終投稿日',
+    channelPublishedAt: 'チャンネル開設日',
+    country: '国',
+    defaultLanguage: '言語',
+    description: 'チャンネル説明文',
+    recentVideoTitles: '最近の動画タイトル',
+    twitterLink: 'X（Twitter）リンク',
+    fetchedAt: '取得日時',
+    maxViewerCount: '最大同時接続数',
+    maxViewerCountDate: '最大同時接続数日時'
+  },
+
+  // スキーマ移行設定（VTuberリストの列構成のバージョン管理）
+  SCHEMA_VERSION_METADATA_KEY: 'VTUBER_LIST_SCHEMA_VERSION', // スキーマバージョンを保存するシートのデベロッパーメタデータのキー
+  SCHEMA_MIGRATION_LOCK_TIMEOUT_MS: 30000, // マイグレーション実行時のロック待ち時間（ミリ秒）
+
+  // 書き込みロック設定（同時に実行された処理がVTuberリストの行番号を取り違えないよう書き込みを直列化）
+  WRITE_LOCK_TIMEOUT_MS: 10000, // フラグ更新など短い書き込みのロック待ち時間（ミリ秒）
+  WRITE_LOCK_BULK_TIMEOUT_MS: 30000, // チャンネルの追加・更新、並べ替え・重複削除など行をまとめて書き換える処理のロック待ち時間（ミリ秒）
+  DEFERRED_WRITE_PROPERTY_PREFIX: 'DEFERRED_WRITE_', // ロックを取得できなかった書き込みを保存するスクリプトプロパティのキーの接頭辞
+
   // 同時接続数シート設定
   VIEWER_COUNT_SHEET_NAME: '同時接続数',
   VIEWER_COUNT_HEADERS: [
@@ -92,28 +361,131 @@ const CONFIG = {
     '配信タイトル',
     '配信URL',
     '同時接続数',
-    '記録日時',
-    '配信ステータス'
+    '記録日時', // 最新サンプルの記録日時
+    '配信ステータス',
+    '動画ID', // 以下は同時接続数サンプルシートから集計した配信ごとの統計値
+    'ピーク同時接続数',
+    'ピーク日時',
+    '平均同時接続数',
+    '中央値同時接続数',
+    '閾値超え時間（分）',
+    'サンプル数'
+  ],
+
+  // 同時接続数サンプルシート設定（監視のたびに1行ずつ追記する時系列データ）
+  VIEWER_SAMPLE_SHEET_NAME: '同時接続数サンプル',
+  VIEWER_SAMPLE_HEADERS: [
+    '動画ID',
+    'チャンネルID',
+    '同時接続数',
+    '記録日時'
+  ],
+  VIEWER_THRESHOLD: 100, // 「閾値超え時間」の判定に使う同時接続数
+  VIEWER_SAMPLE_RETENTION_DAYS: 30, // 終了した配信のサンプルを残す日数（配信ごとの集計値は同時接続数シートに残る）
+  VIEWER_SAMPLE_PRUNE_PROPERTY_KEY: 'VIEWER_SAMPLE_PRUNED_DATE', // 古いサンプルを最後に整理した日付を保存するスクリプトプロパティのキー
+
+  // 配信セッションシート設定（配信ごとの開始・終了時刻の記録）
+  STREAM_SESSION_SHEET_NAME: '配信セッション',
+  STREAM_SESSION_HEADERS: [
+    '動画ID',
+    'チャンネルID',
+    'チャンネル名',
+    '配信タイトル',
+    '予定開始日時', // liveStreamingDetails.scheduledStartTime
+    '開始日時', // liveStreamingDetails.actualStartTime
+    '終了日時', // liveStreamingDetails.actualEndTime
+    '配信時間（分）', // 配信中は経過時間
+    '最終ステータス',
+    '同時接続数サンプル', // 同時接続数サンプルシートへのリンク
+    '最終確認日時'
   ],
 
   // ライブ配信監視設定
   MONITOR_INTERVAL_MINUTES: 5, // 監視間隔（分）
   LIVE_STREAM_CHECK_ENABLED: true, // ライブ配信チェック機能の有効/無効
+  LIVE_CHECK_RECENT_VIDEOS: 5, // ライブ配信判定に使うアップロードプレイリストの直近動画数（チャンネルごと）
 
-  // 除外キーワードシート設定
+  // 統計履歴シート設定（登録者数・再生回数の日次スナップショット）
+  SNAPSHOT_SHEET_NAME: '統計履歴',
+  SNAPSHOT_HEADERS: [
+    '日付', // JSTの日付（yyyy-MM-dd）。1チャンネル1日1行
+    'チャンネルID',
+    '登録者数', // YouTubeの公開値（上位3桁に切り捨て）。非公開の場合は空欄
+    '総再生回数',
+    '動画数',
+    '平均再生回数', // 記録時点のVTuberリストの値
+    '記録日時'
+  ],
+  SNAPSHOT_TRIGGER_HOUR: 4, // 日次スナップショットの実行時刻（時）
+  GROWTH_WINDOWS_DAYS: [7, 30], // 伸びを計算する期間（日数）
+  GROWTH_SHEET_NAME: '伸びの集計', // 最新の伸び（チャンネルごとに1行）。スナップショット記録のたびに書き直し、Webアプリの一覧はこのシートのみ読む
+
+  // 急上昇ランキング設定（Webアプリの「急上昇」タブ）
+  RISING_WINDOW_OPTIONS_DAYS: [7, 14, 30], // 選択できる期間（日数）
+  RISING_DEFAULT_WINDOW_DAYS: 7,
+  RISING_MIN_SUBSCRIBERS: 1000, // ランキング対象の最小登録者数（初期値）
+  RISING_MIN_HISTORY_DAYS: 3, // 期間分の履歴がない場合に、最も古い記録で代用するための最低日数
+  RISING_SPARKLINE_MAX_POINTS: 30, // スパークラインの最大点数
+
+  // 除外キーワードシート設定（事務所以外の除外条件。事務所は事務所マスタの区分で除外する）
   EXCLUDED_KEYWORDS_SHEET_NAME: '除外キーワード',
   EXCLUDED_KEYWORDS_HEADERS: [
     'キーワード',
     '説明'
   ],
 
+  // 除外チャンネルシート設定（除外したチャンネルの台帳。検索時にAPI呼び出し前に参照される）
+  SUPPRESSION_SHEET_NAME: '除外チャンネル',
+  SUPPRESSION_HEADERS: [
+    'チャンネルID',
+    'チャンネル名',
+    '除外者',
+    '除外日時',
+    '除外理由',
+    '元データ' // 除外時点のVTuberリストの行データ（JSON）。除外解除時に行が失われていれば復元に使用
+  ],
+
+  // スカウト管理設定（チャンネルごとのスカウト状況と、メモ・連絡の履歴）
+  SCOUTING_SHEET_NAME: 'スカウト管理',
+  SCOUTING_HEADERS: [
+    'チャンネルID',
+    'チャンネル名',
+    'ステージ',
+    '担当者',
+    '次回アクション日',
+    '次回アクション',
+    '登録日時',
+    '更新日時',
+    '更新者'
+  ],
+  SCOUTING_ACTIVITY_SHEET_NAME: 'スカウト履歴',
+  SCOUTING_ACTIVITY_HEADERS: [
+    'チャンネルID',
+    '日時',
+    '種別', // メモ / 連絡 / ステージ変更
+    '記入者',
+    '内容',
+    '連絡手段' // 種別が「連絡」の場合のみ
+  ],
+  SCOUTING_STAGES: ['候補', '調査中', '連絡済', '交渉中', '契約', '見送り'], // カンバンの列順
+  SCOUTING_CLOSED_STAGES: ['契約', '見送り'], // 次回アクション日の期限切れを判定しないステージ
+  SCOUTING_ACTIVITY_TYPES: ['メモ', '連絡'], // Webアプリから追加できる履歴の種別
+  SCOUTING_BOARD_RECENT_ACTIVITIES: 3, // カンバンのカードに表示する直近の履歴数
+
   // 属性管理シート設定
   ATTRIBUTE_SHEET_NAME: '属性管理',
   ATTRIBUTE_HEADERS: [
-    'フィルタ文言',
+    'フィルタ文言', // セル内改行で複数指定可能（部分一致・単語はカンマ・読点でも区切れる）
     '属性名',
-    '属性'
+    '属性',
+    'マッチ方式', // 部分一致（空欄時） / 単語 / 正規表現
+    '条件', // フィルタ文言が複数の場合: いずれか（空欄時） / すべて
+    '除外語', // いずれかに一致した場合はルールを適用しない（フィルタ文言と同じマッチ方式・区切り）
+    '対象', // チャンネル名、説明文、動画タイトル（カンマ区切り、空欄時はATTRIBUTE_DEFAULT_FIELDS）
+    '優先度', // 数値が大きいほど属性の並び順で先になる（空欄時0）
+    '有効' // チェックを外すとルールを適用しない（空欄時は有効）
   ],
+  ATTRIBUTE_DEFAULT_FIELDS: ['チャンネル名', '説明文'], // 対象が空欄のルールで照合する項目
 
   // エラーログシート設定
   ERROR_LOG_SHEET_NAME: 'エラーログ',
@@ -147,7 +519,9 @@ const CONFIG = {
     'Videos.listクォータ',
     '合計API呼び出し回数',
     '合計クォータ使用量',
-    'エラーメッセージ'
+    'エラーメッセージ',
+    '推定削減クォータ', // 従来方式と比較して削減できたクォータ（ライブ配信監視など）
+    '推定クォータ' // 実行前にQuotaPlannerで見積もったクォータ（チャンネル検索）
   ]
 };
 
@@ -0,0 +1,523 @@
+/**
+ * 新人発掘クラス
+ * 開設から間もないチャンネルを、登録者数ではなくチャンネルの開設日で検索して「新人ウォッチリスト」シートに記録し、
+ * 通常のチャンネル条件とVTuber判定を満たした時点でVTuberリストに昇格する
+ *
+ * - 検索は開設日の範囲（publishedAfter / publishedBefore）をDEBUT_SEARCH_WINDOW_DAYSごとに区切り、範囲ごとに結果を取得する
+ *   （1回の検索で取得できる件数に上限があるため、範囲を区切ったほうが多くの新人チャンネルが見つかる）
+ * - 基本情報フィルタは新人向けの条件（DEBUT_MIN_SUBSCRIBER_COUNT・DEBUT_MAX_CHANNEL_AGE_DAYS）で行う。除外キーワード・事務所・切り抜きの判定は通常と同じ
+ * - VTuber判定で却下されたチャンネルはウォッチリストに入れず、VTuber判定レビューに却下として記録する
+ */
+
+class DebutRadar {
+  constructor(sheetManager = null, quotaTracker = null) {
+    this.sheetManager = sheetManager || new SpreadsheetManager();
+    this.quotaTracker = quotaTracker; // API使用量追跡オブジェクト（オプション）
+    this.errorLogger = new ErrorLogger();
+    this.searcher = new YouTubeSearcher(this.sheetManager, quotaTracker);
+  }
+
+  /**
+   * 新人ウォッチリストシートを初期化
+   * @return {Sheet} 新人ウォッチリストシート
+   */
+  initializeSheet() {
+    const spreadsheet = this.sheetManager.spreadsheet;
+    let sheet = spreadsheet.getSheetByName(CONFIG.DEBUT_SHEET_NAME);
+
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(CONFIG.DEBUT_SHEET_NAME);
+      Logger.log(`シート "${CONFIG.DEBUT_SHEET_NAME}" を作成しました`);
+    }
+
+    // ヘッダー行が既に存在するかチェック
+    if (sheet.getLastRow() === 0) {
+      sheet.appendRow(CONFIG.DEBUT_HEADERS);
+
+      // ヘッダー行を太字にし、背景色を設定
+      const headerRange = sheet.getRange(1, 1, 1, CONFIG.DEBUT_HEADERS.length);
+      headerRange.setFontWeight('bold');
+      headerRange.setBackground('#34a853');
+      headerRange.setFontColor('#ffffff');
+
+      // 最初の行を固定
+      sheet.setFrozenRows(1);
+
+      Logger.log('新人ウォッチリストシートヘッダーを初期化しました');
+    }
+
+    return sheet;
+  }
+
+  /**
+   * シートの行を取得
+   * @return {Array} {row, channelId, channelName, channelPublishedAt, subscriberCount, confidence, status, lastCheckedAt}の配列
+   */
+  getRows() {
+    const sheet = this.initializeSheet();
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) {
+      return [];
+    }
+
+    return sheet.getRange(2, 1, lastRow - 1, CONFIG.DEBUT_HEADERS.length).getValues()
+      .map((row, index) => ({
+        row: index + 2, // 実際の行番号
+        channelId: String(row[0] || ''),
+        channelName: String(row[1] || ''),
+        channelPublishedAt: row[3],
+        subscriberCount: Number(row[4]) || 0,
+        confidence: Number(row[5]) || 0,
+        status: String(row[6] || '').trim(),
+        lastCheckedAt: row[8]
+      }))
+      .filter(row => row.channelId);
+  }
+
+  /**
+   * 新人ウォッチリストの昇格確認と、新人チャンネルの検索を実行
+   * 実行時間制限・クォータ予算で中断した場合、残りの検索・未取得のチャンネルIDはstateに残る
+   * @param {Object} state 作業状態（BatchJobで保存すれば次の実行で続きから再開できる）
+   * @return {Object} {watched: ウォッチリストへの追加数, promoted: 昇格数, completed: すべて処理したか}
+   */
+  scan(state) {
+    Logger.log('--- 新人発掘開始 ---');
+    this.initializeScanState(state);
+    let promoted = 0;
+
+    // Step 1: ウォッチリストの昇格確認（ジョブの開始時に1回だけ）
+    if (!state.promotionChecked) {
+      promoted += this.promoteChannels();
+      state.promotionChecked = true;
+    }
+
+    // Step 2: 開設日の範囲ごとにキーワード検索
+    if (!state.searchCompleted) {
+      state.searchCompleted = this.runDebutSearches(state);
+      Logger.log(`合計発見チャンネル数: ${state.discoveredIds.length}`);
+    }
+
+    // Step 3: 記録済みのチャンネルを除いて詳細を取得（処理しきれなかったIDはキューに残る）
+    if (state.searchCompleted && state.discoveredIds.length > 0) {
+      const knownIds = this.getKnownChannelIds();
+      const candidateIds = state.discoveredIds.filter(id => !knownIds.has(id));
+      state.pendingIds = state.pendingIds.concat(candidateIds);
+      Logger.log(`新人候補チャンネル数: ${candidateIds.length}（記録済み ${state.discoveredIds.length - candidateIds.length}件を除外）`);
+      state.discoveredIds = [];
+    }
+
+    const candidateIds = state.pendingIds.splice(0);
+    state.inFlightIds = candidateIds; // ウォッチリスト・VTuberリストへの追加が終わるまで作業状態に残す
+    const channels = this.searcher.getChannelDetails(candidateIds, state.pendingIds, DebutRadar.criteria());
+
+    // 中断で処理できなかったIDはpendingIdsに戻っているため、詳細を取得したIDだけを残す
+    const remainingSet = new Set(state.pendingIds);
+    state.inFlightIds = candidateIds.filter(id => !remainingSet.has(id));
+    const result = this.addChannels(channels);
+    state.inFlightIds = null;
+    promoted += result.promoted;
+
+    const completed = state.searchCompleted && state.pendingIds.length === 0;
+    Logger.log(`新人発掘: ウォッチリスト追加${result.watched}件 / 昇格${promoted}件`);
+    Logger.log('--- 新人発掘完了 ---');
+
+    return {
+      watched: result.watched,
+      promoted: promoted,
+      completed: completed
+    };
+  }
+
+  /**
+   * 新人発掘の作業状態を初期化（未設定の項目のみ）
+   * 開設日の範囲はジョブの開始時点で固定する（中断をまたいでも同じ範囲で検索する）
+   * @param {Object} state 作業状態
+   */
+  initializeScanState(state) {
+    if (!state.windows) {
+      state.windows = DebutRadar.buildWindows(new Date());
+    }
+    if (!state.searchCursor) {
+      state.searchCursor = { windowIndex: 0, keywordIndex: 0, page: null };
+    }
+    state.promotionChecked = state.promotionChecked || false;
+    state.searchCompleted = state.searchCompleted || false;
+    state.discoveredIds = state.discoveredIds || [];
+    state.pendingIds = state.pendingIds || [];
+
+    // 前回の実行がウォッチリスト・VTuberリストへの追加前に失敗した場合、詳細取得中だったIDをキューに戻す
+    // （追加済みのチャンネルはrecordChannels・appendChannelsがスキップする）
+    if (state.inFlightIds) {
+      state.pendingIds = Array.from(new Set(state.inFlightIds.concat(state.pendingIds)));
+      Logger.log(`前回追加できなかったチャンネルをキューに戻しました: ${state.inFlightIds.length}件`);
+      state.inFlightIds = null;
+    }
+  }
+
+  /**
+   * 開設日の範囲 × 新人発掘キーワードの検索を実行
+   * @param {Object} state 作業状態（searchCursor・discoveredIdsを更新）
+   * @return {boolean} すべての検索が完了した場合true（実行時間制限・クォータ予算で中断した場合false）
+   */
+  runDebutSearches(state) {
+    const cursor = state.searchCursor;
+    const discovered = new Set(state.discoveredIds);
+
+    try {
+      while (cursor.windowIndex < state.windows.length) {
+        const range = state.windows[cursor.windowIndex];
+
+        while (cursor.keywordIndex < CONFIG.DEBUT_SEARCH_KEYWORDS.length) {
+          // 実行時間チェック
+          if (this.searcher.isTimeoutApproaching()) {
+            Logger.log('実行時間制限が近づいています。検索を中断します。');
+            return false;
+          }
+
+          const keyword = CONFIG.DEBUT_SEARCH_KEYWORDS[cursor.keywordIndex];
+          Logger.log(`キーワード: "${keyword}"（開設日 ${range.publishedAfter.substring(0, 10)}〜${range.publishedBefore.substring(0, 10)}）で検索中...`);
+
+          if (!cursor.page) {
+            cursor.page = { pageToken: '', pageCount: 0, foundCount: 0, done: false };
+          }
+
+          // 新人は新しい順に並べたほうが見つかりやすい（関連度順では登録者数の多いチャンネルが上位になる）
+          const channelIds = this.searcher.searchByKeyword(keyword, 'date', cursor.page, {
+            publishedAfter: range.publishedAfter,
+            publishedBefore: range.publishedBefore,
+            maxPages: CONFIG.DEBUT_MAX_SEARCH_PAGES
+          });
+          Logger.log(`  ${channelIds.length}件のチャンネルを発見`);
+          channelIds.forEach(id => discovered.add(id));
+
+          // ページの途中で中断した場合（実行時間制限・クォータ予算）は次回同じキーワードの続きのページから
+          if (!cursor.page.done) {
+            Logger.log('検索を中断します。続きのページは次回の実行で取得します。');
+            return false;
+          }
+
+          cursor.keywordIndex++;
+          cursor.page = null;
+        }
+
+        cursor.windowIndex++;
+        cursor.keywordIndex = 0;
+      }
+
+      return true;
+
+    } finally {
+      state.discoveredIds = Array.from(discovered);
+    }
+  }
+
+  /**
+   * 新人発掘で詳細を取得しないチャンネルIDを取得
+   * （VTuberリスト・新人ウォッチリスト・除外チャンネル・VTuber判定レビュー・切り抜きチャンネルに記録済み）
+   * @return {Set} チャンネルIDのSet
+   */
+  getKnownChannelIds() {
+    const knownIds = new Set(this.sheetManager.getAllChannelIds());
+    const add = ids => ids.forEach(id => knownIds.add(id));
+
+    add(this.getRows().map(row => row.channelId));
+    add(this.sheetManager.getSuppressedChannelIds());
+    add(this.searcher.reviewQueue.getRecordedChannelIds());
+    add(this.searcher.relatedChannels.getRelatedChannelIds(CONFIG.RELATED_TYPE_CLIP));
+
+    return knownIds;
+  }
+
+  /**
+   * 新人チャンネルを振り分けて記録
+   * 通常のチャンネル条件とVTuber判定を既に満たすチャンネルはすぐにVTuberリストに追加し、昇格済みとして記録する
+   * @param {Array} channels チャンネル情報の配列（getChannelDetailsの戻り値）
+   * @return {Object} {watched: ウォッチリストに記録した件数, promoted: VTuberリストに追加した件数}
+   */
+  addChannels(channels) {
+    channels.forEach(channel => {
+      channel.discoverySource = CONFIG.DISCOVERY_SOURCES.debut;
+    });
+    const rejected = channels.filter(channel => channel.classification.decision === 'reject');
+    const debuts = channels.filter(channel => channel.classification.decision !== 'reject');
+    const promotable = debuts.filter(channel => this.meetsPromotionCriteria(channel));
+
+    rejected.forEach(channel => {
+      Logger.log(`VTuber判定で却下: ${channel.channelName}（確度${channel.vtuberConfidence}）`);
+    });
+
+    try {
+      // 却下したチャンネルは以降の検索で詳細を取得しない
+      this.searcher.reviewQueue.record(rejected, '却下');
+    } catch (error) {
+      // 記録できなかったチャンネルは次回の新人発掘で再度判定される
+      Logger.log(`VTuber判定レビューへの記録エラー: ${error.message}`);
+      this.errorLogger.logError(error, {
+        functionName: 'addChannels',
+        apiName: 'スプレッドシート操作',
+        parameters: { rejected: rejected.length }
+      });
+    }
+
+    if (promotable.length > 0) {
+      this.sheetManager.appendChannels(promotable);
+      promotable.forEach(channel => Logger.log(`新人をVTuberリストに追加: ${channel.channelName}（登録者数${channel.subscriberCount}人）`));
+    }
+
+    const promotedIds = new Set(promotable.map(channel => channel.channelId));
+    const watched = this.recordChannels(debuts, promotedIds);
+    return { watched: watched, promoted: promotable.length };
+  }
+
+  /**
+   * 新人ウォッチリストにチャンネルを記録
+   * @param {Array} channels チャンネル情報の配列
+   * @param {Set} promotedIds VTuberリストに追加済みのチャンネルID（昇格済みとして記録）
+   * @return {number} 記録した件数
+   */
+  recordChannels(channels, promotedIds) {
+    if (channels.length === 0) {
+      return 0;
+    }
+
+    return this.sheetManager.withWriteLock('新人ウォッチリストへの記録', () => {
+      const sheet = this.initializeSheet();
+      const recordedIds = new Set(this.getRows().map(row => row.channelId));
+      const now = Utilities.formatDate(new Date(), 'JST', 'yyyy-MM-dd HH:mm:ss');
+
+      const rows = channels
+        .filter(channel => !recordedIds.has(channel.channelId))
+        .map(channel => {
+          const promoted = promotedIds.has(channel.channelId);
+          return [
+            channel.channelId,
+            channel.channelName,
+            channel.channelUrl,
+            channel.channelPublishedAt,
+            channel.subscriberCount,
+            channel.vtuberConfidence,
+            promoted ? CONFIG.DEBUT_STATUSES.promoted : CONFIG.DEBUT_STATUSES.watching,
+            now,
+            now,
+            promoted ? now : ''
+          ];
+        });
+
+      if (rows.length > 0) {
+        sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, CONFIG.DEBUT_HEADERS.length).setValues(rows);
+      }
+      return rows.length;
+    });
+  }
+
+  /**
+   * 監視中のチャンネルのうち、通常のチャンネル条件を満たしたものをVTuberリストに昇格
+   * 登録者数を再取得し（Channels.list 50件で1ユニット）、MIN_SUBSCRIBER_COUNT以上のチャンネルのみ通常の検索と同じ判定を行う
+   * （VTuber判定の確度が足りないチャンネルはVTuber判定レビューに記録する）
+   * @return {number} 昇格したチャンネル数
+   */
+  promoteChannels() {
+    const statuses = CONFIG.DEBUT_STATUSES;
+    const watching = this.getRows().filter(row => row.status === statuses.watching);
+    if (watching.length === 0) {
+      return 0;
+    }
+
+    const now = Utilities.formatDate(new Date(), 'JST', 'yyyy-MM-dd HH:mm:ss');
+    const updates = new Map(); // チャンネルID -> {subscriberCount, status, lastCheckedAt, statusChangedAt}
+    const listedIds = this.sheetManager.getAllChannelIds();
+    const targets = [];
+
+    watching.forEach(row => {
+      if (listedIds.has(row.channelId)) {
+        // 通常の検索・手動追加で既にVTuberリストにある
+        updates.set(row.channelId, { status: statuses.promoted, statusChangedAt: now });
+      } else if (DebutRadar.getChannelAgeDays(row.channelPublishedAt) > CONFIG.DEBUT_WATCH_DAYS) {
+        updates.set(row.channelId, { status: statuses.expired, statusChangedAt: now });
+        Logger.log(`新人ウォッチリストの期限切れ: ${row.channelName}（登録者数${row.subscriberCount}人）`);
+      } else {
+        targets.push(row);
+      }
+    });
+
+    // 確認日時の古い順に登録者数を再取得（中断しても次回は未確認のチャンネルから）
+    targets.sort((a, b) => DebutRadar.toTime(a.lastCheckedAt) - DebutRadar.toTime(b.lastCheckedAt));
+    const subscriberCounts = this.fetchSubscriberCounts(targets.map(row => row.channelId));
+    subscriberCounts.forEach((subscriberCount, channelId) => {
+      updates.set(channelId, { subscriberCount: subscriberCount, lastCheckedAt: now });
+    });
+
+    // 登録者数の条件を満たしたチャンネルは通常の検索と同じ判定でVTuberリストに追加
+    const candidateIds = Array.from(subscriberCounts.keys())
+      .filter(channelId => subscriberCounts.get(channelId) >= CONFIG.MIN_SUBSCRIBER_COUNT);
+    const checkedChannels = this.searcher.getChannelDetails(candidateIds);
+    checkedChannels.forEach(channel => {
+      channel.discoverySource = CONFIG.DISCOVERY_SOURCES.debut;
+    });
+    const accepted = this.searcher.screenByConfidence(checkedChannels);
+    if (accepted.length > 0) {
+      this.sheetManager.appendChannels(accepted);
+    }
+
+    const acceptedIds = new Set(accepted.map(channel => channel.channelId));
+    checkedChannels.forEach(channel => {
+      const promoted = acceptedIds.has(channel.channelId);
+      Object.assign(updates.get(channel.channelId), {
+        status: promoted ? statuses.promoted : statuses.review,
+        statusChangedAt: now
+      });
+      Logger.log(`新人ウォッチリストから${promoted ? '昇格' : 'VTuber判定レビューへ'}: ${channel.channelName}（登録者数${channel.subscriberCount}人）`);
+    });
+
+    this.updateRows(updates);
+    Logger.log(`新人ウォッチリストの確認: 監視中${watching.length}件 / 登録者数を確認${subscriberCounts.size}件 / 昇格${accepted.length}件`);
+    return accepted.length;
+  }
+
+  /**
+   * チャンネルの登録者数を取得（Channels.list 50件で1ユニット）
+   * 実行時間制限・クォータ予算で中断した場合は取得できた分のみ返す
+   * @param {Array} channelIds チャンネルID一覧
+   * @return {Map} チャンネルID -> 登録者数（削除・非公開のチャンネルは含まない）
+   */
+  fetchSubscriberCounts(channelIds) {
+    const subscriberCounts = new Map();
+    const batchSize = CONFIG.MAX_RESULTS_PER_REQUEST;
+
+    for (let i = 0; i < channelIds.length; i += batchSize) {
+      if (this.searcher.isTimeoutApproaching()) {
+        Logger.log('実行時間制限が近づいています。登録者数の確認を中断します。');
+        break;
+      }
+      if (this.quotaTracker && !this.quotaTracker.hasBudget('YouTube.Channels.list')) {
+        break;
+      }
+
+      const batch = channelIds.slice(i, i + batchSize);
+      try {
+        const response = YouTube.Channels.list('statistics', {
+          id: batch.join(','),
+          maxResults: batchSize
+        });
+
+        // API使用量を記録
+        if (this.quotaTracker) {
+          this.quotaTracker.recordAPICall('YouTube.Channels.list');
+        }
+
+        (response.items || []).forEach(channel => {
+          subscriberCounts.set(channel.id, parseInt(channel.statistics.subscriberCount) || 0);
+        });
+
+      } catch (error) {
+        Logger.log(`登録者数の取得エラー: ${error.message}`);
+        this.errorLogger.logError(error, {
+          functionName: 'fetchSubscriberCounts',
+          apiName: 'YouTube.Channels.list',
+          parameters: { batchSize: batch.length }
+        });
+        // クォータエラーの場合は処理を中断
+        if (this.errorLogger.isQuotaError(error)) {
+          break;
+        }
+      }
+    }
+
+    return subscriberCounts;
+  }
+
+  /**
+   * 新人ウォッチリストの行を更新
+   * @param {Map} updates チャンネルID -> {subscriberCount, status, lastCheckedAt, statusChangedAt}（指定した項目のみ更新）
+   */
+  updateRows(updates) {
+    if (updates.size === 0) {
+      return;
+    }
+
+    this.sheetManager.withWriteLock('新人ウォッチリストの更新', () => {
+      const sheet = this.initializeSheet();
+      const columns = {
+        subscriberCount: CONFIG.DEBUT_HEADERS.indexOf('登録者数') + 1,
+        status: CONFIG.DEBUT_HEADERS.indexOf('状態') + 1,
+        lastCheckedAt: CONFIG.DEBUT_HEADERS.indexOf('最終確認日時') + 1,
+        statusChangedAt: CONFIG.DEBUT_HEADERS.indexOf('状態変更日時') + 1
+      };
+
+      // ロック取得後に行番号を解決する（待っている間に行が追加・削除されている可能性があるため）
+      this.getRows().forEach(entry => {
+        const values = updates.get(entry.channelId);
+        if (!values) {
+          return;
+        }
+        Object.keys(columns).forEach(key => {
+          if (values[key] !== undefined) {
+            sheet.getRange(entry.row, columns[key]).setValue(values[key]);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * 新人向けの基本情報フィルタの条件
+   * @return {Object} {minSubscriberCount, maxChannelAgeDays}
+   */
+  static criteria() {
+    return {
+      minSubscriberCount: CONFIG.DEBUT_MIN_SUBSCRIBER_COUNT,
+      maxChannelAgeDays: CONFIG.DEBUT_MAX_CHANNEL_AGE_DAYS
+    };
+  }
+
+  /**
+   * 通常のチャンネル条件とVTuber判定を満たすか（VTuberリストに追加できるか）
+   * @param {Object} channel チャンネル情報（getChannelDetailsの戻り値）
+   * @return {boolean} 満たす場合true
+   */
+  meetsPromotionCriteria(channel) {
+    return channel.subscriberCount >= CONFIG.MIN_SUBSCRIBER_COUNT && channel.classification.decision === 'accept';
+  }
+
+  /**
+   * 検索する開設日の範囲を作成（新しい範囲から順に、DEBUT_MAX_CHANNEL_AGE_DAYSまでをDEBUT_SEARCH_WINDOW_DAYSごとに区切る）
+   * @param {Date} now 基準日時
+   * @return {Array} {publishedAfter, publishedBefore}（ISO 8601）の配列
+   */
+  static buildWindows(now) {
+    const dayMs = 1000 * 60 * 60 * 24;
+    const windows = [];
+    for (let offset = 0; offset < CONFIG.DEBUT_MAX_CHANNEL_AGE_DAYS; offset += CONFIG.DEBUT_SEARCH_WINDOW_DAYS) {
+      const days = Math.min(CONFIG.DEBUT_SEARCH_WINDOW_DAYS, CONFIG.DEBUT_MAX_CHANNEL_AGE_DAYS - offset);
+      windows.push({
+        publishedAfter: new Date(now.getTime() - (offset + days) * dayMs).toISOString(),
+        publishedBefore: new Date(now.getTime() - offset * dayMs).toISOString()
+      });
+    }
+    return windows;
+  }
+
+  /**
+   * 開設日からの日数を計算
+   * @param {Date|string} publishedAt 開設日
+   * @return {number} 日数（開設日が不明な場合はNaN）
+   */
+  static getChannelAgeDays(publishedAt) {
+    if (!publishedAt) {
+      return NaN;
+    }
+    return (new Date() - DebutRadar.toTime(publishedAt)) / (1000 * 60 * 60 * 24);
+  }
+
+  /**
+   * 日時の値をミリ秒に変換（空欄は0）
+   * @param {Date|string} value 日時
+   * @return {number} ミリ秒
+   */
+  static toTime(value) {
+    if (!value) {
+      return 0;
+    }
+    return value instanceof Date ? value.getTime() : new Date(String(value).replace(/-/g, '/')).getTime();
+  }
+}
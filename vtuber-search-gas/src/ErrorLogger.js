@@ -126,6 +126,7 @@ class ErrorLogger {
     // クォータエラーの判定
     if (errorString.includes('quota') || 
         errorString.includes('quotaexceeded') ||
+        errorString.includes('クォータ') ||
         errorString.includes('daily limit') ||
         errorString.includes('user rate limit')) {
       return 'クォータエラー';
@@ -13,189 +13,356 @@ class LiveStreamMonitor {
 
   /**
    * ライブ配信監視を実行
+   * 実行時間制限で中断した場合、未確認のチャンネルIDはstate.remainingChannelIdsに残り、次の実行ではそのチャンネルのみ確認する
+   * @param {Object} state 作業状態（省略時は1回の実行で完結し、残りは破棄）
+   * @return {Object} {completed: すべてのチャンネルを確認したか, checkedCount: 確認したチャンネル数, liveStreamCount: ライブ配信数}
    */
-  monitorLiveStreams() {
+  monitorLiveStreams(state = {}) {
     Logger.log('=== ライブ配信監視開始 ===');
 
     if (!CONFIG.LIVE_STREAM_CHECK_ENABLED) {
       Logger.log('ライブ配信チェック機能が無効になっています');
-      return;
+      return { completed: true, checkedCount: 0, liveStreamCount: 0 };
     }
 
-    // 監視対象のチャンネルを取得
-    const monitoredChannels = this.sheetManager.getMonitoredChannels();
+    // 監視対象のチャンネルを取得（前回の続きの場合は未確認のチャンネルのみ）
+    let monitoredChannels = this.sheetManager.getMonitoredChannels();
+    if (state.remainingChannelIds && state.remainingChannelIds.length > 0) {
+      const remainingIds = new Set(state.remainingChannelIds);
+      monitoredChannels = monitoredChannels.filter(channel => remainingIds.has(channel.channelId));
+      Logger.log('前回中断した監視の続きを実行します');
+    }
+    state.remainingChannelIds = [];
     Logger.log(`監視対象チャンネル数: ${monitoredChannels.length}`);
 
-    if (monitoredChannels.length === 0) {
+    // 記録先のシートをまとめて読み込み（記録はメモリ上で行い、最後にまとめて書き込む）
+    const cycle = new MonitoringCycle(this.sheetManager);
+
+    // 前回まで配信中だったセッション（監視を外したチャンネルの配信も終了させるため先に取得）
+    const openSessions = cycle.getOpenStreamSessions();
+
+    if (monitoredChannels.length === 0 && openSessions.size === 0) {
       Logger.log('監視対象のチャンネルがありません');
-      return;
+      return { completed: true, checkedCount: 0, liveStreamCount: 0 };
     }
 
-    // 同時接続数シートを初期化
-    this.sheetManager.initializeViewerCountSheet();
+    const quotaAtStart = this.quotaTracker ? this.quotaTracker.getTotalQuota() : 0;
+
+    // Step 1: 各チャンネルのアップロードプレイリストから直近の動画IDを取得（1ユニット/チャンネル）
+    const recentVideos = this.collectRecentVideoIds(monitoredChannels, state.remainingChannelIds);
+    const checkedCount = new Set(recentVideos.map(video => video.channel.channelId)).size;
+
+    // 配信中だったセッションも確認対象に加える（直近の動画から外れた配信も終了日時を取得するため）
+    const candidateVideos = recentVideos.slice();
+    const candidateIds = new Set(recentVideos.map(video => video.videoId));
+    openSessions.forEach((session, videoId) => {
+      if (!candidateIds.has(videoId)) {
+        candidateIds.add(videoId);
+        candidateVideos.push({
+          videoId: videoId,
+          channel: { channelId: session.channelId, channelName: session.channelName }
+        });
+      }
+    });
+
+    // Step 2: 動画IDを最大50件ずつまとめてライブ配信状況を取得（1ユニット/50件）
+    const videoDetails = this.getLiveVideoDetails(Array.from(candidateIds));
 
-    let checkedCount = 0;
     let liveStreamCount = 0;
 
-    // 各チャンネルのライブ配信をチェック
-    for (const channel of monitoredChannels) {
+    candidateVideos.forEach(({videoId, channel}) => {
+      const details = videoDetails.get(videoId);
+
+      // ライブ配信中の動画のみ記録
+      if (!details || !details.isLive) {
+        return;
+      }
+
       try {
-        const liveStream = this.checkLiveStream(channel.channelId, channel.channelName);
-
-        if (liveStream) {
-          liveStreamCount++;
-
-          // 同時接続数を記録
-          this.sheetManager.recordViewerCount({
-            channelId: channel.channelId,
-            channelName: channel.channelName,
-            title: liveStream.title,
-            url: liveStream.url,
-            viewerCount: liveStream.viewerCount,
-            recordedAt: new Date(),
-            status: liveStream.status
-          });
+        liveStreamCount++;
+        const recordedAt = new Date();
 
-          // 最大同時接続数を更新
-          this.sheetManager.updateMaxViewerCount(
-            channel.channelId,
-            liveStream.viewerCount,
-            new Date()
-          );
+        // 同時接続数サンプルを記録し、配信ごとの統計値を取得
+        const stats = cycle.recordViewerCount({
+          videoId: videoId,
+          channelId: channel.channelId,
+          channelName: channel.channelName,
+          title: details.title,
+          url: `https://www.youtube.com/watch?v=${videoId}`,
+          viewerCount: details.viewerCount,
+          recordedAt: recordedAt,
+          status: details.status
+        });
 
-          Logger.log(`ライブ配信検出: ${channel.channelName} - ${liveStream.viewerCount}人視聴中`);
-        }
+        // 配信セッションを記録
+        cycle.recordStreamSession({
+          videoId: videoId,
+          channelId: channel.channelId,
+          channelName: channel.channelName,
+          title: details.title,
+          liveDetails: details.liveDetails,
+          status: details.status,
+          firstSampleRow: stats.firstSampleRow,
+          sampleCount: stats.sampleCount
+        });
 
-        checkedCount++;
+        // 配信のピーク同時接続数でチャンネルの最大同時接続数を更新
+        cycle.updateMaxViewerCount(
+          channel.channelId,
+          stats.peak,
+          stats.peakAt || recordedAt
+        );
 
-        // 実行時間チェック
-        if (this.isTimeoutApproaching()) {
-          Logger.log('実行時間制限が近づいています。監視を中断します。');
-          break;
+        Logger.log(`ライブ配信検出: ${channel.channelName} - ${details.viewerCount}人視聴中`);
+
+      } catch (error) {
+        Logger.log(`チャンネル ${channel.channelName} の記録エラー: ${error.message}`);
+        this.errorLogger.logError(error, {
+          functionName: 'monitorLiveStreams',
+          apiName: 'スプレッドシート操作',
+          channelId: channel.channelId,
+          channelName: channel.channelName
+        });
+      }
+    });
+
+    // Step 3: ライブ配信中でなくなったセッションを終了（終了日時は再取得した動画情報から記録）
+    const closedCount = this.closeEndedSessions(cycle, openSessions, videoDetails);
+
+    // 記録をシートにまとめて書き込む
+    try {
+      cycle.flush();
+    } catch (error) {
+      Logger.log(`監視結果の書き込みエラー: ${error.message}`);
+      this.errorLogger.logError(error, {
+        functionName: 'monitorLiveStreams',
+        apiName: 'スプレッドシート操作',
+        parameters: { liveStreamCount: liveStreamCount, closedCount: closedCount }
+      });
+      throw error;
+    }
+
+    // 従来方式（チャンネルごとにSearch.list eventType=live）と比較した削減量を記録
+    if (this.quotaTracker) {
+      const usedQuota = this.quotaTracker.getTotalQuota() - quotaAtStart;
+      const legacyQuota = this.estimateLegacyQuota(checkedCount, liveStreamCount);
+      this.quotaTracker.recordQuotaSavings(legacyQuota - usedQuota);
+      Logger.log(`クォータ使用量: ${usedQuota}ユニット（従来方式の推定: ${legacyQuota}ユニット）`);
+    }
+
+    Logger.log(`チェック完了: ${checkedCount}/${monitoredChannels.length}チャンネル`);
+    Logger.log(`ライブ配信中: ${liveStreamCount}件`);
+    Logger.log(`終了した配信: ${closedCount}件`);
+    Logger.log('=== ライブ配信監視完了 ===');
+
+    return {
+      completed: state.remainingChannelIds.length === 0,
+      checkedCount: checkedCount,
+      liveStreamCount: liveStreamCount
+    };
+  }
+
+  /**
+   * 監視対象チャンネルの直近の動画IDを取得
+   * アップロードプレイリストIDはチャンネルIDの先頭「UC」を「UU」に置き換えて求める（Channels.list不要）
+   * @param {Array} monitoredChannels 監視対象チャンネルの配列（{channelId, channelName, row}）
+   * @param {Array} remainingIds 中断により確認できなかったチャンネルIDの追加先（省略可）
+   * @return {Array} {videoId, channel}の配列
+   */
+  collectRecentVideoIds(monitoredChannels, remainingIds = null) {
+    const recentVideos = [];
+
+    for (let i = 0; i < monitoredChannels.length; i++) {
+      const channel = monitoredChannels[i];
+
+      // 実行時間チェック
+      if (this.isTimeoutApproaching()) {
+        Logger.log('実行時間制限が近づいています。監視を中断します。');
+        this.keepRemaining(remainingIds, monitoredChannels.slice(i));
+        break;
+      }
+
+      // 本日のクォータ予算チェック
+      if (this.quotaTracker && !this.quotaTracker.hasBudget('YouTube.PlaylistItems.list')) {
+        this.keepRemaining(remainingIds, monitoredChannels.slice(i));
+        break;
+      }
+
+      const uploadsPlaylistId = 'UU' + String(channel.channelId).substring(2);
+
+      try {
+        const response = YouTube.PlaylistItems.list('contentDetails', {
+          playlistId: uploadsPlaylistId,
+          maxResults: CONFIG.LIVE_CHECK_RECENT_VIDEOS
+        });
+
+        // API使用量を記録
+        if (this.quotaTracker) {
+          this.quotaTracker.recordAPICall('YouTube.PlaylistItems.list');
         }
 
-        // API制限を考慮した待機
-        Utilities.sleep(100);
+        if (response.items) {
+          response.items.forEach(item => {
+            const videoId = item.contentDetails?.videoId;
+            if (videoId) {
+              recentVideos.push({ videoId: videoId, channel: channel });
+            }
+          });
+        }
 
       } catch (error) {
-        Logger.log(`チャンネル ${channel.channelName} のチェックエラー: ${error.message}`);
+        Logger.log(`チャンネル ${channel.channelName} の動画一覧取得エラー: ${error.message}`);
         this.errorLogger.logError(error, {
-          functionName: 'monitorLiveStreams',
-          apiName: 'YouTube.Search.list / YouTube.Videos.list',
+          functionName: 'collectRecentVideoIds',
+          apiName: 'YouTube.PlaylistItems.list',
           channelId: channel.channelId,
           channelName: channel.channelName
         });
         // クォータエラーの場合は処理を中断
         if (this.errorLogger.isQuotaError(error)) {
           Logger.log('クォータエラーが発生しました。ライブ配信監視を中断します。');
+          this.keepRemaining(remainingIds, monitoredChannels.slice(i));
           break;
         }
       }
     }
 
-    Logger.log(`チェック完了: ${checkedCount}/${monitoredChannels.length}チャンネル`);
-    Logger.log(`ライブ配信中: ${liveStreamCount}件`);
-    Logger.log('=== ライブ配信監視完了 ===');
+    return recentVideos;
   }
 
   /**
-   * チャンネルのライブ配信をチェック
-   * @param {string} channelId チャンネルID
-   * @param {string} channelName チャンネル名
-   * @return {Object|null} ライブ配信情報、または配信していない場合はnull
+   * 動画のライブ配信情報をまとめて取得（同時接続数含む）
+   * @param {Array} videoIds 動画ID一覧
+   * @return {Map} 動画ID -> {title, isLive, viewerCount, status, liveDetails}（取得できなかった動画はnull、エラーで未確認の動画は含まない）
    */
-  checkLiveStream(channelId, channelName) {
-    try {
-      // YouTube Data API: search.list でライブ配信を検索
-      const response = YouTube.Search.list('snippet', {
-        channelId: channelId,
-        type: 'video',
-        eventType: 'live', // ライブ配信中のみ
-        maxResults: 1
-      });
-
-      // API使用量を記録
-      if (this.quotaTracker) {
-        this.quotaTracker.recordAPICall('YouTube.Search.list');
+  getLiveVideoDetails(videoIds) {
+    const videoDetails = new Map();
+    const batchSize = CONFIG.MAX_RESULTS_PER_REQUEST;
+
+    for (let i = 0; i < videoIds.length; i += batchSize) {
+      // 本日のクォータ予算チェック（未確認の動画は結果に含めない）
+      if (this.quotaTracker && !this.quotaTracker.hasBudget('YouTube.Videos.list')) {
+        break;
       }
 
-      if (response.items && response.items.length > 0) {
-        const liveVideo = response.items[0];
-        const videoId = liveVideo.id.videoId;
-
-        // 動画の詳細情報を取得（同時接続数を取得するため）
-        const videoDetails = this.getVideoDetails(videoId);
-
-        if (videoDetails) {
-          return {
-            videoId: videoId,
-            title: liveVideo.snippet.title,
-            url: `https://www.youtube.com/watch?v=${videoId}`,
-            viewerCount: videoDetails.viewerCount,
-            status: videoDetails.status
-          };
+      const batch = videoIds.slice(i, i + batchSize);
+
+      try {
+        const response = YouTube.Videos.list('liveStreamingDetails,snippet', {
+          id: batch.join(','),
+          maxResults: batch.length
+        });
+
+        // API使用量を記録
+        if (this.quotaTracker) {
+          this.quotaTracker.recordAPICall('YouTube.Videos.list');
         }
-      }
 
-      return null;
+        if (response.items) {
+          response.items.forEach(video => {
+            const liveDetails = video.liveStreamingDetails;
+            const liveBroadcastContent = video.snippet.liveBroadcastContent;
+
+            // 開始済みかつ未終了の配信をライブ配信中とみなす
+            const isLive = liveBroadcastContent === 'live' &&
+              !!liveDetails && !!liveDetails.actualStartTime && !liveDetails.actualEndTime;
+
+            videoDetails.set(video.id, {
+              title: video.snippet.title,
+              isLive: isLive,
+              viewerCount: liveDetails ? parseInt(liveDetails.concurrentViewers) || 0 : 0,
+              status: this.determineStatus(liveBroadcastContent, liveDetails),
+              liveDetails: liveDetails || null
+            });
+          });
+        }
 
-    } catch (error) {
-      // ライブ配信がない場合やAPIエラーの場合
-      if (!error.message.includes('quotaExceeded')) {
-        Logger.log(`ライブ配信チェックエラー (${channelName}): ${error.message}`);
+        // 取得できなかった動画（削除・非公開化など）は確認済みとしてnullを設定
+        batch.forEach(videoId => {
+          if (!videoDetails.has(videoId)) {
+            videoDetails.set(videoId, null);
+          }
+        });
+
+      } catch (error) {
+        Logger.log(`動画詳細取得エラー: ${error.message}`);
+        this.errorLogger.logError(error, {
+          functionName: 'getLiveVideoDetails',
+          apiName: 'YouTube.Videos.list',
+          parameters: { videoIds: batch.length }
+        });
+        // クォータエラーの場合は処理を中断
+        if (this.errorLogger.isQuotaError(error)) {
+          Logger.log('クォータエラーが発生しました。ライブ配信監視を中断します。');
+          break;
+        }
       }
-      this.errorLogger.logError(error, {
-        functionName: 'checkLiveStream',
-        apiName: 'YouTube.Search.list',
-        channelId: channelId,
-        channelName: channelName
-      });
-      return null;
     }
+
+    return videoDetails;
   }
 
   /**
-   * 動画の詳細情報を取得（同時接続数含む）
-   * @param {string} videoId 動画ID
-   * @return {Object|null} 動画詳細情報
+   * 配信中だったセッションのうち、ライブ配信中でなくなったものを終了
+   * @param {MonitoringCycle} cycle 監視サイクル（記録は cycle.flush() で書き込まれる）
+   * @param {Map} openSessions 配信中のセッション（動画ID -> {row, channelId, channelName, title}）
+   * @param {Map} videoDetails 今回取得した動画情報（getLiveVideoDetailsの戻り値）
+   * @return {number} 終了したセッション数
    */
-  getVideoDetails(videoId) {
-    try {
-      const response = YouTube.Videos.list('liveStreamingDetails,snippet', {
-        id: videoId
-      });
+  closeEndedSessions(cycle, openSessions, videoDetails) {
+    let closedCount = 0;
 
-      // API使用量を記録
-      if (this.quotaTracker) {
-        this.quotaTracker.recordAPICall('YouTube.Videos.list');
+    openSessions.forEach((session, videoId) => {
+      // エラー等で確認できなかった場合は次回に持ち越す
+      if (!videoDetails.has(videoId)) {
+        return;
       }
 
-      if (response.items && response.items.length > 0) {
-        const video = response.items[0];
-        const liveDetails = video.liveStreamingDetails;
+      const details = videoDetails.get(videoId);
 
-        // ライブ配信の詳細情報がない場合は配信終了済み
-        if (!liveDetails) {
-          return null;
-        }
+      // 配信継続中
+      if (details && details.isLive) {
+        return;
+      }
 
-        return {
-          viewerCount: parseInt(liveDetails.concurrentViewers) || 0,
-          status: this.determineStatus(video.snippet.liveBroadcastContent, liveDetails)
-        };
+      try {
+        // 動画が取得できない場合（削除・非公開化など）は終了日時なしで閉じる
+        cycle.recordStreamSession({
+          videoId: videoId,
+          channelId: session.channelId,
+          channelName: session.channelName,
+          title: details ? details.title : session.title,
+          liveDetails: details ? details.liveDetails : null,
+          status: details ? details.status : '動画取得不可'
+        });
+        closedCount++;
+
+        Logger.log(`配信終了: ${session.channelName} - ${videoId}`);
+
+      } catch (error) {
+        Logger.log(`配信セッション ${videoId} の終了処理エラー: ${error.message}`);
+        this.errorLogger.logError(error, {
+          functionName: 'closeEndedSessions',
+          apiName: 'スプレッドシート操作',
+          channelId: session.channelId,
+          channelName: session.channelName
+        });
       }
+    });
 
-      return null;
+    return closedCount;
+  }
 
-    } catch (error) {
-      Logger.log(`動画詳細取得エラー (${videoId}): ${error.message}`);
-      this.errorLogger.logError(error, {
-        functionName: 'getVideoDetails',
-        apiName: 'YouTube.Videos.list',
-        parameters: { videoId: videoId }
-      });
-      return null;
-    }
+  /**
+   * 従来方式（チャンネルごとにSearch.list eventType=live + 配信中の動画ごとにVideos.list）の推定クォータ
+   * @param {number} channelCount チェックしたチャンネル数
+   * @param {number} liveStreamCount 検出したライブ配信数
+   * @return {number} 推定クォータユニット数
+   */
+  estimateLegacyQuota(channelCount, liveStreamCount) {
+    const searchUnits = this.quotaTracker.getQuotaUnits('YouTube.Search.list');
+    const videosUnits = this.quotaTracker.getQuotaUnits('YouTube.Videos.list');
+    return channelCount * searchUnits + liveStreamCount * videosUnits;
   }
 
   /**
@@ -215,6 +382,18 @@ class LiveStreamMonitor {
     return '不明';
   }
 
+  /**
+   * 未確認のチャンネルIDを追加先に残す
+   * @param {Array|null} remainingIds 追加先（nullの場合は破棄）
+   * @param {Array} channels 未確認のチャンネル（{channelId, channelName, row}）
+   */
+  keepRemaining(remainingIds, channels) {
+    if (remainingIds && channels.length > 0) {
+      channels.forEach(channel => remainingIds.push(channel.channelId));
+      Logger.log(`未確認の${channels.length}チャンネルを次回に持ち越します`);
+    }
+  }
+
   /**
    * 実行時間制限が近づいているかチェック
    * @return {boolean} 制限が近い場合true
@@ -0,0 +1,523 @@
+/**
+ * 監視サイクルクラス
+ * ライブ配信監視1回分の記録先（同時接続数・同時接続数サンプル・配信セッション・VTuberリストの最大同時接続数）を
+ * 最初にまとめて読み込み、動画ID・チャンネルIDから行を引く索引を作る
+ * 同時接続数サンプルは、配信中のセッションのうち最も古い先頭サンプル行（配信セッションのリンク先）以降のみ読み込む
+ * 終了した配信の古いサンプルは1日1回、書き込み時に削除する（pruneSamples）
+ * 記録はメモリ上の配列に反映し、flush()で変更のあった範囲をシートごとにまとめて書き込む
+ * VTuberリストの行は読み込みから書き込みまでの間に並べ替え等で移動しうるため、flush()で書き込みロックを取得してからチャンネルIDで行を解決する
+ *
+ * 使い方:
+ *   const cycle = new MonitoringCycle(sheetManager);
+ *   const stats = cycle.recordViewerCount({...});
+ *   cycle.recordStreamSession({...});
+ *   cycle.updateMaxViewerCount(channelId, stats.peak, stats.peakAt);
+ *   cycle.flush();
+ */
+
+class MonitoringCycle {
+  /**
+   * @param {SpreadsheetManager} sheetManager スプレッドシートマネージャー
+   */
+  constructor(sheetManager) {
+    this.sheetManager = sheetManager;
+    this.viewerCountSheet = sheetManager.initializeViewerCountSheet();
+    this.sampleSheet = sheetManager.initializeViewerSampleSheet();
+    this.sessionSheet = sheetManager.initializeStreamSessionSheet();
+    this.load();
+  }
+
+  /**
+   * 記録先のシートをまとめて読み込み、索引を作成
+   */
+  load() {
+    // 同時接続数（動画ID -> 配列のインデックス）
+    this.viewerCounts = this.readSheet(this.viewerCountSheet, CONFIG.VIEWER_COUNT_HEADERS.length);
+    this.viewerCountIndex = new Map();
+    this.viewerCounts.values.forEach((row, index) => {
+      // 動画ID列のない旧形式の行は配信URL（HYPERLINK関数内を含む）の動画IDで照合する
+      let videoId = row[7];
+      if (!videoId) {
+        const url = this.viewerCounts.formulas[index][3] || String(row[3] || '');
+        const videoIdMatch = url.match(/[?&]v=([^&"]+)/);
+        videoId = videoIdMatch ? videoIdMatch[1] : '';
+      }
+      if (videoId && !this.viewerCountIndex.has(videoId)) {
+        this.viewerCountIndex.set(videoId, index);
+      }
+    });
+    this.changedViewerCountRows = new Set();
+
+    // 配信セッション（動画ID -> 配列のインデックス）
+    this.sessions = this.readSheet(this.sessionSheet, CONFIG.STREAM_SESSION_HEADERS.length);
+    this.sessionIndex = new Map();
+    this.sessions.values.forEach((row, index) => {
+      if (row[0] && !this.sessionIndex.has(row[0])) {
+        this.sessionIndex.set(row[0], index);
+      }
+    });
+    this.changedSessionRows = new Set();
+
+    // 同時接続数サンプル（動画ID -> サンプルの配列）。追記分は flush() まで pendingSamples に溜める
+    this.samplesByVideo = new Map();
+    const sampleLastRow = this.sampleSheet.getLastRow();
+    const sampleStartRow = this.getSampleStartRow();
+    if (sampleStartRow !== null && sampleLastRow >= sampleStartRow) {
+      const samples = this.sampleSheet
+        .getRange(sampleStartRow, 1, sampleLastRow - sampleStartRow + 1, CONFIG.VIEWER_SAMPLE_HEADERS.length)
+        .getValues();
+      samples.forEach((row, index) => {
+        this.addSample(row[0], Number(row[2]) || 0, this.sheetManager.parseRecordedAt(row[3]), sampleStartRow + index);
+      });
+    }
+    this.pendingSamples = [];
+    this.nextSampleRow = Math.max(sampleLastRow, 1) + 1;
+
+    // VTuberリストの最大同時接続数（チャンネルID -> {maxViewerCount, maxViewerCountDate}）
+    this.channelMaxima = this.readChannelMaxima().maxima;
+    this.changedChannelIds = new Set();
+  }
+
+  /**
+   * 同時接続数サンプルの読み込み開始行を求める
+   * サンプルは記録順に追記されるため、配信中のセッションの先頭サンプル行のうち最も小さい行以降に、集計に必要なサンプルがすべて含まれる
+   * @return {number|null} 開始行（配信中のセッションがない場合はnull。リンクのないセッションがある場合は2）
+   */
+  getSampleStartRow() {
+    let startRow = null;
+
+    this.getOpenStreamSessions().forEach(session => {
+      const firstRow = MonitoringCycle.parseSampleRow(this.sessions.formulas[session.row - 2][9]);
+      // リンクのない旧形式のセッションは先頭サンプルの位置が分からないため、先頭から読む
+      const row = firstRow || 2;
+      startRow = startRow === null ? row : Math.min(startRow, row);
+    });
+
+    return startRow;
+  }
+
+  /**
+   * 配信セッションの「同時接続数サンプル」リンクからサンプルの行番号を取得
+   * @param {string} formula リンクの数式
+   * @return {number|null} 行番号（リンクがない場合はnull）
+   */
+  static parseSampleRow(formula) {
+    const match = String(formula || '').match(/range=A(\d+)/);
+    return match ? Number(match[1]) : null;
+  }
+
+  /**
+   * 同時接続数サンプルへのリンクの数式を作成
+   * @param {number} row 先頭サンプルの行番号
+   * @param {number} sampleCount サンプル数
+   * @return {string} HYPERLINK関数
+   */
+  buildSampleLink(row, sampleCount) {
+    return `=HYPERLINK("#gid=${this.sampleSheet.getSheetId()}&range=A${row}", "サンプル${sampleCount}件")`;
+  }
+
+  /**
+   * VTuberリストのチャンネルIDと最大同時接続数を読み込み
+   * @return {Object} {maxima: チャンネルID -> {index, maxViewerCount, maxViewerCountDate}, maxViewerCounts, maxViewerCountDates}
+   *                  （maxViewerCounts・maxViewerCountDatesは列の値の配列。インデックス0が2行目）
+   */
+  readChannelMaxima() {
+    const channelIds = this.sheetManager.getColumnValues('channelId');
+    const maxViewerCounts = this.sheetManager.getColumnValues('maxViewerCount');
+    const maxViewerCountDates = this.sheetManager.getColumnValues('maxViewerCountDate');
+    const maxima = new Map();
+
+    channelIds.forEach((channelId, index) => {
+      if (channelId && !maxima.has(channelId)) {
+        maxima.set(channelId, {
+          index: index,
+          maxViewerCount: maxViewerCounts[index] || 0,
+          maxViewerCountDate: maxViewerCountDates[index]
+        });
+      }
+    });
+
+    return { maxima: maxima, maxViewerCounts: maxViewerCounts, maxViewerCountDates: maxViewerCountDates };
+  }
+
+  /**
+   * シートのデータ行（値と数式）を読み込み
+   * @param {Sheet} sheet シート
+   * @param {number} width 列数
+   * @return {Object} {values, formulas}（ヘッダー行を除く。インデックス0が2行目）
+   */
+  readSheet(sheet, width) {
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) {
+      return { values: [], formulas: [] };
+    }
+
+    const range = sheet.getRange(2, 1, lastRow - 1, width);
+    return { values: range.getValues(), formulas: range.getFormulas() };
+  }
+
+  /**
+   * サンプルを索引に追加
+   * @param {string} videoId 動画ID
+   * @param {number} viewerCount 同時接続数
+   * @param {Date} recordedAt 記録日時
+   * @param {number} row サンプルシートの行番号
+   */
+  addSample(videoId, viewerCount, recordedAt, row) {
+    if (!videoId || isNaN(recordedAt.getTime())) {
+      return;
+    }
+    if (!this.samplesByVideo.has(videoId)) {
+      this.samplesByVideo.set(videoId, []);
+    }
+    this.samplesByVideo.get(videoId).push({ viewerCount: viewerCount, recordedAt: recordedAt, row: row });
+  }
+
+  /**
+   * 配信中のままになっている配信セッションを取得
+   * @return {Map} 動画ID -> {row, channelId, channelName, title}
+   */
+  getOpenStreamSessions() {
+    const openSessions = new Map();
+
+    this.sessions.values.forEach((row, index) => {
+      // 終了日時が未記録かつ配信中のセッションのみ
+      if (row[0] && !row[6] && row[8] === 'ライブ配信中') {
+        openSessions.set(row[0], {
+          row: index + 2, // 実際の行番号
+          channelId: row[1],
+          channelName: row[2],
+          title: row[3]
+        });
+      }
+    });
+
+    return openSessions;
+  }
+
+  /**
+   * 同時接続数を記録
+   * サンプルを時系列で追記し、配信ごとの集計行（同時接続数シート）を更新する
+   * @param {Object} liveStreamData ライブ配信データ（videoId, channelId, channelName, title, url, viewerCount, recordedAt, status）
+   * @return {Object} 配信の統計値（calculateViewerStatsの戻り値 + firstSampleRow）
+   */
+  recordViewerCount(liveStreamData) {
+    const recordedAtText = Utilities.formatDate(liveStreamData.recordedAt, 'JST', 'yyyy-MM-dd HH:mm:ss');
+
+    // サンプルを追記（上書きしない）
+    this.pendingSamples.push([
+      liveStreamData.videoId,
+      liveStreamData.channelId,
+      liveStreamData.viewerCount,
+      recordedAtText
+    ]);
+    this.addSample(liveStreamData.videoId, liveStreamData.viewerCount, liveStreamData.recordedAt, this.nextSampleRow);
+    this.nextSampleRow++;
+
+    const samples = (this.samplesByVideo.get(liveStreamData.videoId) || [])
+      .slice()
+      .sort((a, b) => a.recordedAt - b.recordedAt);
+    const stats = this.sheetManager.calculateViewerStats(samples);
+    stats.firstSampleRow = samples.length > 0 ? samples[0].row : null;
+
+    const rowData = [
+      liveStreamData.channelId,
+      liveStreamData.channelName,
+      liveStreamData.title,
+      liveStreamData.url,
+      liveStreamData.viewerCount,
+      recordedAtText,
+      liveStreamData.status,
+      liveStreamData.videoId,
+      stats.peak,
+      stats.peakAt ? Utilities.formatDate(stats.peakAt, 'JST', 'yyyy-MM-dd HH:mm:ss') : '',
+      stats.average,
+      stats.median,
+      stats.minutesAboveThreshold,
+      stats.sampleCount
+    ];
+
+    const index = this.findOrAppend(this.viewerCounts, this.viewerCountIndex, liveStreamData.videoId, rowData.length);
+    this.viewerCounts.values[index] = rowData;
+    // 配信URLをハイパーリンクに設定
+    this.viewerCounts.formulas[index][3] = `=HYPERLINK("${liveStreamData.url}", "視聴する")`;
+    this.changedViewerCountRows.add(index);
+
+    Logger.log(`同時接続数を記録: ${liveStreamData.channelName} - ${liveStreamData.viewerCount}人（ピーク${stats.peak}人 / ${stats.sampleCount}サンプル）`);
+
+    return stats;
+  }
+
+  /**
+   * 配信セッションを記録（動画IDが既にあれば更新）
+   * @param {Object} sessionData {videoId, channelId, channelName, title, liveDetails, status, firstSampleRow, sampleCount}
+   */
+  recordStreamSession(sessionData) {
+    const liveDetails = sessionData.liveDetails || {};
+    const now = new Date();
+
+    const formatTime = value => value
+      ? Utilities.formatDate(new Date(value), 'JST', 'yyyy-MM-dd HH:mm:ss')
+      : '';
+
+    // 配信時間（終了前は現在までの経過時間）
+    let durationMinutes = '';
+    if (liveDetails.actualStartTime) {
+      const endTime = liveDetails.actualEndTime ? new Date(liveDetails.actualEndTime) : now;
+      durationMinutes = Math.max(0, Math.round((endTime - new Date(liveDetails.actualStartTime)) / (1000 * 60)));
+    }
+
+    const index = this.findOrAppend(this.sessions, this.sessionIndex, sessionData.videoId, CONFIG.STREAM_SESSION_HEADERS.length);
+
+    // 既存行の値は、今回の取得で得られなかった項目のみ引き継ぐ
+    const previous = this.sessions.values[index];
+    const previousLink = this.sessions.formulas[index][9];
+
+    // 同時接続数サンプルの先頭行へのリンク（サンプルがない場合は既存のリンクを維持）
+    let linkFormula = previousLink;
+    if (sessionData.firstSampleRow) {
+      linkFormula = this.buildSampleLink(sessionData.firstSampleRow, sessionData.sampleCount);
+    }
+
+    this.sessions.values[index] = [
+      sessionData.videoId,
+      sessionData.channelId || previous[1] || '',
+      sessionData.channelName || previous[2] || '',
+      sessionData.title || previous[3] || '',
+      formatTime(liveDetails.scheduledStartTime) || previous[4] || '',
+      formatTime(liveDetails.actualStartTime) || previous[5] || '',
+      formatTime(liveDetails.actualEndTime) || previous[6] || '',
+      durationMinutes !== '' ? durationMinutes : (previous[7] || ''),
+      sessionData.status,
+      '', // 同時接続数サンプルへのリンク（数式で設定）
+      Utilities.formatDate(now, 'JST', 'yyyy-MM-dd HH:mm:ss')
+    ];
+    this.sessions.formulas[index][9] = linkFormula || '';
+    this.changedSessionRows.add(index);
+  }
+
+  /**
+   * チャンネルの最大同時接続数を更新
+   * 配信ごとのピーク同時接続数（同時接続数サンプルから集計）を受け取り、現在の最大値を超えた場合のみ更新する
+   * @param {string} channelId チャンネルID
+   * @param {number} viewerCount 配信のピーク同時接続数
+   * @param {Date} recordedAt ピークを記録した日時
+   */
+  updateMaxViewerCount(channelId, viewerCount, recordedAt) {
+    const current = this.channelMaxima.get(channelId);
+    if (!current) {
+      Logger.log(`チャンネル ${channelId} が見つかりません`);
+      return;
+    }
+
+    // 新しい値が現在の最大値より大きい場合のみ更新
+    if (viewerCount > current.maxViewerCount) {
+      const recordedAtText = Utilities.formatDate(recordedAt, 'JST', 'yyyy-MM-dd HH:mm:ss');
+      current.maxViewerCount = viewerCount;
+      current.maxViewerCountDate = recordedAtText;
+      this.changedChannelIds.add(channelId);
+      Logger.log(`チャンネル ${channelId} の最大同時接続数を更新: ${viewerCount} (${recordedAtText})`);
+    }
+  }
+
+  /**
+   * 索引から行を検索し、なければ末尾に空行を追加
+   * @param {Object} table {values, formulas}
+   * @param {Map} index 動画ID -> 配列のインデックス
+   * @param {string} videoId 動画ID
+   * @param {number} width 列数
+   * @return {number} 配列のインデックス
+   */
+  findOrAppend(table, index, videoId, width) {
+    if (index.has(videoId)) {
+      return index.get(videoId);
+    }
+
+    table.values.push(new Array(width).fill(''));
+    table.formulas.push(new Array(width).fill(''));
+    index.set(videoId, table.values.length - 1);
+    return table.values.length - 1;
+  }
+
+  /**
+   * 記録をシートにまとめて書き込む
+   * シートごとに、変更のあった最初の行から最後の行までを1回で書き込む（間の未変更の行は読み込んだ値・数式のまま）
+   */
+  flush() {
+    this.sheetManager.withWriteLock('ライブ配信監視の記録', () => {
+      this.writeAll();
+      this.pruneSamples();
+    }, CONFIG.WRITE_LOCK_BULK_TIMEOUT_MS);
+  }
+
+  /**
+   * 記録を書き込む（書き込みロック内で呼び出す）
+   */
+  writeAll() {
+    // 同時接続数サンプル（追記）
+    if (this.pendingSamples.length > 0) {
+      const startRow = this.nextSampleRow - this.pendingSamples.length;
+      this.sampleSheet.getRange(startRow, 1, this.pendingSamples.length, CONFIG.VIEWER_SAMPLE_HEADERS.length)
+        .setValues(this.pendingSamples);
+      this.pendingSamples = [];
+    }
+
+    // 同時接続数
+    const viewerCountSpan = this.writeChangedRows(this.viewerCountSheet, this.viewerCounts, this.changedViewerCountRows);
+    if (viewerCountSpan) {
+      // 数値列の書式設定（同時接続数・ピーク・平均・中央値）
+      this.viewerCountSheet.getRange(viewerCountSpan.startRow, 5, viewerCountSpan.numRows, 1).setNumberFormat('#,##0');
+      this.viewerCountSheet.getRange(viewerCountSpan.startRow, 9, viewerCountSpan.numRows, 1).setNumberFormat('#,##0');
+      this.viewerCountSheet.getRange(viewerCountSpan.startRow, 11, viewerCountSpan.numRows, 2).setNumberFormat('#,##0');
+    }
+
+    // 配信セッション
+    this.writeChangedRows(this.sessionSheet, this.sessions, this.changedSessionRows);
+
+    // VTuberリストの最大同時接続数
+    if (this.changedChannelIds.size > 0) {
+      this.writeChannelMaxima();
+    }
+  }
+
+  /**
+   * 終了した配信の古い同時接続数サンプルを削除（書き込みロック内で、writeAllの後に呼び出す）
+   * 1日1回のみ実行する。記録日時が保存期間（CONFIG.VIEWER_SAMPLE_RETENTION_DAYS）より古い先頭部分のサンプルのうち、
+   * 配信中のセッションのものは先頭に詰めて残し、それ以外を削除して配信セッションのリンク先の行を付け替える
+   * @return {number} 削除したサンプル数
+   */
+  pruneSamples() {
+    const properties = PropertiesService.getScriptProperties();
+    const today = Utilities.formatDate(new Date(), 'JST', 'yyyy-MM-dd');
+    if (properties.getProperty(CONFIG.VIEWER_SAMPLE_PRUNE_PROPERTY_KEY) === today) {
+      return 0;
+    }
+
+    const lastRow = this.sampleSheet.getLastRow();
+    let removedCount = 0;
+
+    if (lastRow > 1) {
+      const samples = this.sampleSheet.getRange(2, 1, lastRow - 1, CONFIG.VIEWER_SAMPLE_HEADERS.length).getValues();
+      const cutoff = new Date(Date.now() - CONFIG.VIEWER_SAMPLE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+      // サンプルは記録順に追記されるため、保存期間より古いサンプルは先頭に連続している
+      let expiredCount = 0;
+      while (expiredCount < samples.length &&
+             this.sheetManager.parseRecordedAt(samples[expiredCount][3]) < cutoff) {
+        expiredCount++;
+      }
+
+      const openVideoIds = new Set(this.getOpenStreamSessions().keys());
+      const kept = samples.slice(0, expiredCount).filter(row => openVideoIds.has(row[0]));
+      removedCount = expiredCount - kept.length;
+
+      if (removedCount > 0) {
+        if (kept.length > 0) {
+          this.sampleSheet.getRange(2, 1, kept.length, CONFIG.VIEWER_SAMPLE_HEADERS.length).setValues(kept);
+        }
+        this.sampleSheet.deleteRows(kept.length + 2, removedCount);
+        this.relinkSessions(kept.concat(samples.slice(expiredCount)));
+        this.writeChangedRows(this.sessionSheet, this.sessions, this.changedSessionRows);
+        Logger.log(`保存期間を過ぎた同時接続数サンプルを${removedCount}件削除しました`);
+      }
+    }
+
+    properties.setProperty(CONFIG.VIEWER_SAMPLE_PRUNE_PROPERTY_KEY, today);
+    return removedCount;
+  }
+
+  /**
+   * サンプルの削除後に、配信セッションのリンク先を各動画の先頭サンプルの行に付け替える
+   * サンプルが残っていないセッションはリンクを外す（配信ごとの集計値は同時接続数シートに残る）
+   * @param {Array} remainingSamples 削除後のサンプル（インデックス0が2行目）
+   */
+  relinkSessions(remainingSamples) {
+    const firstRows = new Map();
+    const sampleCounts = new Map();
+    remainingSamples.forEach((row, index) => {
+      if (!firstRows.has(row[0])) {
+        firstRows.set(row[0], index + 2);
+      }
+      sampleCounts.set(row[0], (sampleCounts.get(row[0]) || 0) + 1);
+    });
+
+    this.sessions.values.forEach((row, index) => {
+      const currentRow = MonitoringCycle.parseSampleRow(this.sessions.formulas[index][9]);
+      if (!currentRow) {
+        return;
+      }
+      const firstRow = firstRows.get(row[0]);
+      if (firstRow === currentRow) {
+        return;
+      }
+      this.sessions.formulas[index][9] = firstRow ? this.buildSampleLink(firstRow, sampleCounts.get(row[0])) : '';
+      this.changedSessionRows.add(index);
+    });
+
+    // 読み込み済みのサンプルの行番号は以後使わないため、索引は作り直さない
+  }
+
+  /**
+   * VTuberリストの最大同時接続数を書き込む（書き込みロック内で呼び出す）
+   * 行番号と現在の最大値はロック取得後に読み直し、読み直した値より大きい場合のみ上書きする
+   * 最大同時接続数・日時の列は隣接しているとは限らないため、列ごとに書き込む
+   */
+  writeChannelMaxima() {
+    const latest = this.readChannelMaxima();
+    const changedIndexes = [];
+
+    this.changedChannelIds.forEach(channelId => {
+      const recorded = this.channelMaxima.get(channelId);
+      const current = latest.maxima.get(channelId);
+      if (!current) {
+        Logger.log(`チャンネル ${channelId} が見つかりません（監視中に削除された可能性があります）`);
+        return;
+      }
+      if (recorded.maxViewerCount > current.maxViewerCount) {
+        latest.maxViewerCounts[current.index] = recorded.maxViewerCount;
+        latest.maxViewerCountDates[current.index] = recorded.maxViewerCountDate;
+        changedIndexes.push(current.index);
+      }
+    });
+    this.changedChannelIds.clear();
+
+    if (changedIndexes.length === 0) {
+      return;
+    }
+
+    const first = Math.min(...changedIndexes);
+    const last = Math.max(...changedIndexes);
+    const columns = this.sheetManager.getColumns();
+    const toColumn = values => values.slice(first, last + 1).map(value => [value]);
+
+    this.sheetManager.sheet.getRange(first + 2, columns.column('maxViewerCount'), last - first + 1, 1)
+      .setValues(toColumn(latest.maxViewerCounts));
+    this.sheetManager.sheet.getRange(first + 2, columns.column('maxViewerCountDate'), last - first + 1, 1)
+      .setValues(toColumn(latest.maxViewerCountDates));
+  }
+
+  /**
+   * 変更のあった行の範囲を書き込む（数式のあるセルは数式を書き込む）
+   * @param {Sheet} sheet シート
+   * @param {Object} table {values, formulas}
+   * @param {Set} changedRows 変更のあった配列のインデックス
+   * @return {Object|null} 書き込んだ範囲 {startRow, numRows}（変更がない場合はnull）
+   */
+  writeChangedRows(sheet, table, changedRows) {
+    if (changedRows.size === 0) {
+      return null;
+    }
+
+    const changed = Array.from(changedRows);
+    const first = Math.min(...changed);
+    const last = Math.max(...changed);
+    const rows = table.values.slice(first, last + 1).map((row, i) =>
+      row.map((value, column) => table.formulas[first + i][column] || value)
+    );
+
+    sheet.getRange(first + 2, 1, rows.length, rows[0].length).setValues(rows);
+    changedRows.clear();
+
+    return { startRow: first + 2, numRows: rows.length };
+  }
+}
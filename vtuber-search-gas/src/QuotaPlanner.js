@@ -0,0 +1,183 @@
+/**
+ * クォータ計画クラス
+ * チャンネル検索の実行前にクォータ使用量を見積もり、本日の残り予算に収まるよう検索ページ数を減らす
+ *
+ * 見積もりの内訳:
+ *   検索: 残りの検索ページ数（SEARCH_KEYWORDS × SEARCH_ORDERS × MAX_SEARCH_PAGES
+ *         + VIDEO_SEARCH_KEYWORDS × VIDEO_SEARCH_STRATEGIES × VIDEO_SEARCH_MAX_PAGES） × 100ユニット
+ *   新規チャンネル: Channels.list 50件ごとに1ユニット + 基本情報フィルタ通過分 × 2ユニット（動画一覧・動画詳細）
+ *   更新チャンネル: Channels.list 50件ごとに1ユニット + 1件ごとに2ユニット
+ * 検索1ページで見つかるチャンネルのうち、新規・更新対象の件数は設定の割合と更新待ち（情報が古い）チャンネルの割合から推定する
+ */
+
+class QuotaPlanner {
+  constructor(sheetManager = null) {
+    this.sheetManager = sheetManager || new SpreadsheetManager();
+  }
+
+  /**
+   * チャンネル検索の実行計画を作成
+   * @param {Map} existingChannels 既存のチャンネル情報（ID -> {row, fetchedAt}）
+   * @param {Object} state 検索の作業状態（中断中のジョブの状態。新規実行の場合は空オブジェクト）。変更しない
+   * @param {number} remainingBudget 本日の残り予算（ユニット）
+   * @return {Object} 実行計画（plannedSearchPages, allowedSearchPages, expectedNewChannels, expectedUpdateChannels,
+   *                  refreshBacklog, fullCost, estimatedCost, remainingBudget, trimmed）
+   */
+  planSearch(existingChannels, state, remainingBudget) {
+    const plannedSearchPages = this.countRemainingSearchPages(state);
+    const refreshBacklog = this.countRefreshBacklog(existingChannels);
+
+    // 既に見つかっているチャンネル（中断中のジョブのキュー・分類前の検索結果）
+    const queued = this.countQueuedChannels(existingChannels, state);
+
+    // 検索1ページあたりの新規・更新対象の件数（推定）
+    const staleRatio = existingChannels.size > 0 ? refreshBacklog / existingChannels.size : 0;
+    const newPerPage = CONFIG.MAX_RESULTS_PER_REQUEST * CONFIG.PLANNER_NEW_CHANNEL_RATIO;
+    const updatePerPage = CONFIG.MAX_RESULTS_PER_REQUEST * (1 - CONFIG.PLANNER_NEW_CHANNEL_RATIO) * staleRatio;
+
+    // キューの処理は検索より優先し、残りの予算で検索できるページ数を決める
+    const queueCost = this.estimateNewChannelCost(queued.newCount) + this.estimateUpdateChannelCost(queued.updateCount);
+    const pageCost = 100 +
+      this.estimateNewChannelCost(newPerPage) +
+      this.estimateUpdateChannelCost(Math.min(updatePerPage, refreshBacklog));
+    const affordablePages = Math.max(0, Math.floor((remainingBudget - queueCost) / pageCost));
+    const allowedSearchPages = Math.min(plannedSearchPages, affordablePages);
+
+    const fullCost = Math.ceil(queueCost + plannedSearchPages * pageCost);
+    const estimatedCost = Math.min(remainingBudget, Math.ceil(queueCost + allowedSearchPages * pageCost));
+
+    return {
+      plannedSearchPages: plannedSearchPages,
+      allowedSearchPages: allowedSearchPages,
+      expectedNewChannels: Math.round(queued.newCount + allowedSearchPages * newPerPage),
+      expectedUpdateChannels: Math.round(queued.updateCount + Math.min(allowedSearchPages * updatePerPage, refreshBacklog)),
+      refreshBacklog: refreshBacklog,
+      fullCost: fullCost,
+      estimatedCost: estimatedCost,
+      remainingBudget: remainingBudget,
+      trimmed: allowedSearchPages < plannedSearchPages || queueCost > remainingBudget
+    };
+  }
+
+  /**
+   * 残りの検索ページ数を計算（キーワード検索と動画検索の合計）
+   * @param {Object} state 検索の作業状態
+   * @return {number} 検索ページ数（上限まで取得する場合）
+   */
+  countRemainingSearchPages(state) {
+    if (state.searchCompleted) {
+      return 0;
+    }
+
+    const keywordPages = this.countRemainingPages(
+      state.searchCursor, 'orderIndex', CONFIG.SEARCH_ORDERS.length, CONFIG.SEARCH_KEYWORDS.length, CONFIG.MAX_SEARCH_PAGES);
+    const videoPages = this.countRemainingPages(
+      state.videoSearchCursor, 'strategyIndex', CONFIG.VIDEO_SEARCH_STRATEGIES.length, CONFIG.VIDEO_SEARCH_KEYWORDS.length, CONFIG.VIDEO_SEARCH_MAX_PAGES);
+
+    return keywordPages + videoPages;
+  }
+
+  /**
+   * 検索カーソルから残りのページ数を計算
+   * @param {Object} cursor 検索カーソル（未開始の場合はundefined）
+   * @param {string} groupKey 外側のループのインデックスのキー（orderIndex・strategyIndex）
+   * @param {number} groupCount 外側のループの件数
+   * @param {number} keywordCount キーワード数
+   * @param {number} pagesPerSearch 1検索あたりの最大ページ数
+   * @return {number} 残りのページ数
+   */
+  countRemainingPages(cursor, groupKey, groupCount, keywordCount, pagesPerSearch) {
+    const totalSearches = groupCount * keywordCount;
+    if (!cursor) {
+      return totalSearches * pagesPerSearch;
+    }
+
+    const doneSearches = cursor[groupKey] * keywordCount + cursor.keywordIndex;
+    const donePages = cursor.page ? cursor.page.pageCount : 0;
+
+    return Math.max(0, (totalSearches - doneSearches) * pagesPerSearch - donePages);
+  }
+
+  /**
+   * 情報更新が必要な既存チャンネル数を計算（検索で見つかった場合に更新対象になる）
+   * @param {Map} existingChannels 既存のチャンネル情報
+   * @return {number} 更新待ちチャンネル数
+   */
+  countRefreshBacklog(existingChannels) {
+    const now = new Date();
+    let count = 0;
+
+    existingChannels.forEach(info => {
+      const daysSinceLastFetch = (now - info.fetchedAt) / (1000 * 60 * 60 * 24);
+      // 取得日時が不正な場合も更新対象
+      if (isNaN(daysSinceLastFetch) || daysSinceLastFetch >= CONFIG.UPDATE_INTERVAL_DAYS) {
+        count++;
+      }
+    });
+
+    return count;
+  }
+
+  /**
+   * 中断中のジョブのキューにあるチャンネル数を計算
+   * 分類前の検索結果は既存チャンネルかどうかで振り分けて数える
+   * @param {Map} existingChannels 既存のチャンネル情報
+   * @param {Object} state 検索の作業状態
+   * @return {Object} {newCount, updateCount}
+   */
+  countQueuedChannels(existingChannels, state) {
+    // 書き込み前に失敗したチャンネル（inFlightIds）は次の実行でキューに戻る
+    const inFlight = state.inFlightIds || { newIds: [], updateIds: [] };
+    let newCount = (state.pendingNewIds || []).length + inFlight.newIds.length;
+    let updateCount = (state.pendingUpdateIds || []).length + inFlight.updateIds.length;
+
+    (state.discoveredIds || []).forEach(id => {
+      if (existingChannels.has(id)) {
+        updateCount++;
+      } else {
+        newCount++;
+      }
+    });
+
+    return { newCount: newCount, updateCount: updateCount };
+  }
+
+  /**
+   * 新規チャンネルの詳細取得の推定クォータ
+   * @param {number} count チャンネル数
+   * @return {number} 推定クォータユニット数
+   */
+  estimateNewChannelCost(count) {
+    return Math.ceil(count / CONFIG.MAX_RESULTS_PER_REQUEST) + count * CONFIG.PLANNER_PHASE1_PASS_RATIO * 2;
+  }
+
+  /**
+   * 既存チャンネルの情報更新の推定クォータ
+   * @param {number} count チャンネル数
+   * @return {number} 推定クォータユニット数
+   */
+  estimateUpdateChannelCost(count) {
+    return Math.ceil(count / CONFIG.MAX_RESULTS_PER_REQUEST) + count * 2;
+  }
+
+  /**
+   * 実行計画を表示用の文字列に変換
+   * @param {Object} plan planSearchの戻り値
+   * @return {Array} 行の配列
+   */
+  formatPlan(plan) {
+    const lines = [
+      `検索ページ数: ${plan.allowedSearchPages} / ${plan.plannedSearchPages}ページ`,
+      `新規チャンネル（推定）: ${plan.expectedNewChannels}件`,
+      `情報更新（推定）: ${plan.expectedUpdateChannels}件（更新待ち ${plan.refreshBacklog}件）`,
+      `推定クォータ: ${plan.estimatedCost}ユニット（すべて実行した場合 ${plan.fullCost}ユニット）`,
+      `残り予算: ${plan.remainingBudget}ユニット`
+    ];
+
+    if (plan.trimmed) {
+      lines.push('※ 残り予算に収まるよう処理を減らします。残りは次回以降の実行で続きから処理します');
+    }
+
+    return lines;
+  }
+}
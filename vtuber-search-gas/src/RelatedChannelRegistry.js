@@ -0,0 +1,160 @@
+/**
+ * 関連チャンネル管理クラス
+ * VTuberリストのチャンネル（元チャンネル）に関連するチャンネル（切り抜きチャンネルなど）を「関連チャンネル」シートに記録する
+ * 1行が「元チャンネル × 関連チャンネル × 種別」の1件で、元チャンネルを特定できなかった場合はチャンネルIDを空欄にする
+ */
+
+class RelatedChannelRegistry {
+  constructor(sheetManager = null) {
+    this.sheetManager = sheetManager || new SpreadsheetManager();
+  }
+
+  /**
+   * 関連チャンネルシートを初期化
+   * @return {Sheet} 関連チャンネルシート
+   */
+  initializeSheet() {
+    const spreadsheet = this.sheetManager.spreadsheet;
+    let sheet = spreadsheet.getSheetByName(CONFIG.RELATED_CHANNEL_SHEET_NAME);
+
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(CONFIG.RELATED_CHANNEL_SHEET_NAME);
+      Logger.log(`シート "${CONFIG.RELATED_CHANNEL_SHEET_NAME}" を作成しました`);
+    }
+
+    // ヘッダー行が既に存在するかチェック
+    if (sheet.getLastRow() === 0) {
+      sheet.appendRow(CONFIG.RELATED_CHANNEL_HEADERS);
+
+      // ヘッダー行を太字にし、背景色を設定
+      const headerRange = sheet.getRange(1, 1, 1, CONFIG.RELATED_CHANNEL_HEADERS.length);
+      headerRange.setFontWeight('bold');
+      headerRange.setBackground('#34a853');
+      headerRange.setFontColor('#ffffff');
+
+      // 最初の行を固定
+      sheet.setFrozenRows(1);
+
+      Logger.log('関連チャンネルシートヘッダーを初期化しました');
+    }
+
+    return sheet;
+  }
+
+  /**
+   * 関連チャンネルをすべて取得
+   * @return {Array} {row, channelId, relatedChannelId, relatedChannelName, type, subscriberCount, relatedChannelUrl, evidence, recordedAt}の配列
+   */
+  getRelations() {
+    const sheet = this.initializeSheet();
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) {
+      return [];
+    }
+
+    return sheet.getRange(2, 1, lastRow - 1, CONFIG.RELATED_CHANNEL_HEADERS.length).getValues()
+      .map((row, index) => ({
+        row: index + 2, // 実際の行番号
+        channelId: String(row[0] || ''),
+        relatedChannelId: String(row[1] || ''),
+        relatedChannelName: String(row[2] || ''),
+        type: String(row[3] || ''),
+        subscriberCount: Number(row[4]) || 0,
+        relatedChannelUrl: String(row[5] || ''),
+        evidence: String(row[6] || ''),
+        recordedAt: row[7]
+      }))
+      .filter(relation => relation.relatedChannelId);
+  }
+
+  /**
+   * 記録済みの関連チャンネルのIDを取得
+   * @param {string} type 種別
+   * @return {Set} 関連チャンネルIDのSet
+   */
+  getRelatedChannelIds(type) {
+    return new Set(this.getRelations()
+      .filter(relation => relation.type === type)
+      .map(relation => relation.relatedChannelId));
+  }
+
+  /**
+   * 元チャンネルごとの関連チャンネル数を取得
+   * @param {string} type 種別
+   * @return {Map} 元チャンネルID -> 関連チャンネル数
+   */
+  countByChannel(type) {
+    const counts = new Map();
+    this.getRelations().forEach(relation => {
+      if (relation.type !== type || !relation.channelId) {
+        return;
+      }
+      counts.set(relation.channelId, (counts.get(relation.channelId) || 0) + 1);
+    });
+    return counts;
+  }
+
+  /**
+   * 関連チャンネルを記録（同じ元チャンネル・関連チャンネル・種別の行があれば名前・登録者数・根拠を更新）
+   * @param {Array} relations {channelId, relatedChannelId, relatedChannelName, type, subscriberCount, relatedChannelUrl, evidence}の配列
+   * @return {Object} {added: 追加した件数, updated: 更新した件数}
+   */
+  record(relations) {
+    if (relations.length === 0) {
+      return { added: 0, updated: 0 };
+    }
+
+    return this.sheetManager.withWriteLock('関連チャンネルの記録', () => {
+      const sheet = this.initializeSheet();
+      const now = Utilities.formatDate(new Date(), 'JST', 'yyyy-MM-dd HH:mm:ss');
+      const key = relation => `${relation.channelId}|${relation.relatedChannelId}|${relation.type}`;
+      const existingRows = new Map(this.getRelations().map(relation => [key(relation), relation.row]));
+
+      // 元チャンネルを特定できた関連チャンネルは、未特定（チャンネルID空欄）の行を置き換える
+      const resolvedIds = new Set(relations.filter(relation => relation.channelId).map(relation => `${relation.relatedChannelId}|${relation.type}`));
+
+      const toRow = relation => [
+        relation.channelId,
+        relation.relatedChannelId,
+        relation.relatedChannelName,
+        relation.type,
+        relation.subscriberCount,
+        relation.relatedChannelUrl,
+        relation.evidence,
+        now
+      ];
+
+      const newRows = [];
+      const newRowIndexes = new Map(); // この呼び出しで追加する行（キー -> newRowsの添字）。同じ呼び出し内の重複は後の値で上書きする
+      let updated = 0;
+      relations.forEach(relation => {
+        const row = existingRows.get(key(relation));
+        if (row) {
+          sheet.getRange(row, 1, 1, CONFIG.RELATED_CHANNEL_HEADERS.length).setValues([toRow(relation)]);
+          updated++;
+        } else if (!relation.channelId && resolvedIds.has(`${relation.relatedChannelId}|${relation.type}`)) {
+          return;
+        } else if (newRowIndexes.has(key(relation))) {
+          newRows[newRowIndexes.get(key(relation))] = toRow(relation);
+        } else {
+          newRowIndexes.set(key(relation), newRows.length);
+          newRows.push(toRow(relation));
+        }
+      });
+
+      // 未特定の行のうち、今回元チャンネルを特定できたものを削除（下の行から）
+      this.getRelations()
+        .filter(relation => !relation.channelId && resolvedIds.has(`${relation.relatedChannelId}|${relation.type}`))
+        .map(relation => relation.row)
+        .sort((a, b) => b - a)
+        .forEach(row => sheet.deleteRow(row));
+
+      if (newRows.length > 0) {
+        sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, CONFIG.RELATED_CHANNEL_HEADERS.length).setValues(newRows);
+      }
+
+      Logger.log(`関連チャンネルを記録しました: 追加${newRows.length}件 / 更新${updated}件`);
+      return { added: newRows.length, updated: updated };
+    });
+  }
+}
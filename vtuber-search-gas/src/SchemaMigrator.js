@@ -0,0 +1,344 @@
+/**
+ * スキーマ移行クラス
+ * VTuberリストの列構成をバージョン管理し、未適用のマイグレーションを順番に適用する
+ * 適用済みのバージョンはシートのデベロッパーメタデータに保存する（シートをコピーしても引き継がれる）
+ *
+ * マイグレーションの追加方法:
+ *   SchemaMigrator.MIGRATIONS の末尾に {version, description, apply} を追加する
+ *   apply は途中で失敗して再実行されても結果が変わらないように書く（列の有無をヘッダー名で確認してから追加するなど）
+ */
+
+class SchemaMigrator {
+  /**
+   * @param {SpreadsheetManager} sheetManager スプレッドシートマネージャー
+   */
+  constructor(sheetManager = null) {
+    this.sheetManager = sheetManager || new SpreadsheetManager();
+    this.sheet = this.sheetManager.sheet;
+  }
+
+  /**
+   * 最新のスキーマバージョンを取得
+   * @return {number} バージョン
+   */
+  getLatestVersion() {
+    return SchemaMigrator.MIGRATIONS.reduce((latest, migration) => Math.max(latest, migration.version), 0);
+  }
+
+  /**
+   * シートに記録されているスキーマバージョンを取得
+   * @return {number} バージョン（未記録の場合は0）
+   */
+  getCurrentVersion() {
+    const metadata = this.findVersionMetadata();
+    return metadata ? Number(metadata.getValue()) || 0 : 0;
+  }
+
+  /**
+   * スキーマバージョンをシートに記録
+   * @param {number} version バージョン
+   */
+  setCurrentVersion(version) {
+    const metadata = this.findVersionMetadata();
+    if (metadata) {
+      metadata.setValue(String(version));
+    } else {
+      this.sheet.addDeveloperMetadata(CONFIG.SCHEMA_VERSION_METADATA_KEY, String(version));
+    }
+  }
+
+  /**
+   * スキーマバージョンのデベロッパーメタデータを検索
+   * @return {DeveloperMetadata|null} メタデータ（未記録の場合はnull）
+   */
+  findVersionMetadata() {
+    const metadataList = this.sheet.getDeveloperMetadata();
+    for (let i = 0; i < metadataList.length; i++) {
+      if (metadataList[i].getKey() === CONFIG.SCHEMA_VERSION_METADATA_KEY) {
+        return metadataList[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 未適用のマイグレーションを取得
+   * @param {number} currentVersion 現在のバージョン
+   * @return {Array} マイグレーションの配列（バージョン順）
+   */
+  getPendingMigrations(currentVersion) {
+    return SchemaMigrator.MIGRATIONS
+      .filter(migration => migration.version > currentVersion)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * 未適用のマイグレーションがあるか判定
+   * @return {boolean} ある場合true
+   */
+  needsMigration() {
+    return this.getCurrentVersion() < this.getLatestVersion();
+  }
+
+  /**
+   * 新規作成したシートを最新バージョンとして記録（マイグレーションは適用しない）
+   */
+  markAsLatest() {
+    this.setCurrentVersion(this.getLatestVersion());
+    Logger.log(`スキーマバージョンを記録しました: v${this.getLatestVersion()}`);
+  }
+
+  /**
+   * 未適用のマイグレーションを順番に適用
+   * 同時に複数の実行が移行しないようスクリプトロック（WriteCoordinator）を取得し、ロック取得後にバージョンを読み直す
+   * マイグレーションごとにバージョンを記録するため、途中で失敗した場合は次回の実行で失敗したマイグレーションから再開する
+   * @return {Object} {fromVersion, toVersion, applied: 適用したマイグレーションの説明の配列}
+   */
+  migrate() {
+    if (!WriteCoordinator.acquire(CONFIG.SCHEMA_MIGRATION_LOCK_TIMEOUT_MS)) {
+      throw new Error('スキーマ移行のロックを取得できませんでした。別の実行が移行中の可能性があります。しばらくしてから再実行してください');
+    }
+
+    const fromVersion = this.getCurrentVersion();
+    const applied = [];
+    let currentMigration = null;
+
+    try {
+      // ヘッダー行がない（空の）シートは新規作成時の列構成になるため、マイグレーションは不要
+      if (this.sheet.getLastRow() === 0) {
+        this.markAsLatest();
+        return { fromVersion: fromVersion, toVersion: this.getLatestVersion(), applied: applied };
+      }
+
+      this.getPendingMigrations(fromVersion).forEach(migration => {
+        currentMigration = migration;
+        Logger.log(`スキーマ移行 v${migration.version}: ${migration.description}`);
+        migration.apply(this);
+        this.setCurrentVersion(migration.version);
+        this.sheetManager.columns = null; // 列構成が変わったため、次回の参照時にヘッダー行を読み直す
+        applied.push(`v${migration.version}: ${migration.description}`);
+      });
+
+      if (applied.length > 0) {
+        Logger.log(`スキーマ移行が完了しました: v${fromVersion} → v${this.getCurrentVersion()}`);
+      }
+      return { fromVersion: fromVersion, toVersion: this.getCurrentVersion(), applied: applied };
+
+    } catch (error) {
+      Logger.log(`スキーマ移行エラー: ${error.message}`);
+      const errorLogger = new ErrorLogger();
+      errorLogger.logError(error, {
+        functionName: 'SchemaMigrator.migrate',
+        apiName: 'スプレッドシート操作',
+        parameters: {
+          fromVersion: fromVersion,
+          failedVersion: currentMigration ? currentMigration.version : null
+        }
+      });
+      throw error;
+
+    } finally {
+      this.sheetManager.columns = null;
+      WriteCoordinator.release();
+    }
+  }
+
+  /**
+   * 属性列の値のうち、属性管理シートのどのルールでも付与されない属性を固定属性列に移す
+   * 属性チェック処理は属性を付け直すため、手動で入力された属性が消えないようにする
+   */
+  pinManualAttributes() {
+    const ruleAttributes = new Set(this.sheetManager.getAttributeSettings()
+      .map(setting => setting.attribute || setting.attributeName || setting.filterText));
+
+    const columns = this.sheetManager.getColumns();
+    const pinnedUpdates = new Map();
+    this.sheetManager.getDataRows().forEach(row => {
+      const channelId = columns.value(row, 'channelId');
+      const pinned = AttributeEngine.parseList(columns.value(row, 'attributes'))
+        .filter(attribute => !ruleAttributes.has(attribute));
+      if (channelId && pinned.length > 0) {
+        pinnedUpdates.set(channelId, { pinnedAttributes: pinned.join(', ') });
+      }
+    });
+
+    this.sheetManager.updateChannelValues(pinnedUpdates);
+    Logger.log(`手動で入力された属性を固定属性に移しました: ${pinnedUpdates.size}件`);
+  }
+
+  /**
+   * 総再生回数・動画数が空欄のチャンネルに、統計履歴の最新の記録の値を入れる
+   * （ハンドル・チャンネル開設日・国・言語は次にチャンネル情報を更新したときに入る）
+   */
+  fillTotalsFromSnapshots() {
+    const latest = new Map();
+    new ChannelSnapshotManager(this.sheetManager).getHistoryByChannel().forEach((snapshots, channelId) => {
+      latest.set(channelId, snapshots[snapshots.length - 1]);
+    });
+
+    const columns = this.sheetManager.getColumns();
+    const updates = new Map();
+    this.sheetManager.getDataRows().forEach(row => {
+      const channelId = columns.value(row, 'channelId');
+      const snapshot = latest.get(channelId);
+      if (snapshot && columns.value(row, 'totalViewCount') === '') {
+        updates.set(channelId, { totalViewCount: snapshot.viewCount, videoCount: snapshot.videoCount });
+      }
+    });
+
+    this.sheetManager.updateChannelValues(updates);
+    Logger.log(`統計履歴から総再生回数・動画数を補完しました: ${updates.size}件`);
+  }
+
+  /**
+   * 列がなければ追加（既にある場合は何もしない）
+   * @param {string} header 追加する列のヘッダー名
+   * @param {string|null} afterHeader この列の右に追加する（nullまたは見つからない場合は末尾に追加）
+   * @param {Object} options {checkbox: チェックボックスにするか, defaultValue: データ行の初期値}
+   * @return {boolean} 追加した場合true
+   */
+  ensureColumn(header, afterHeader, options = {}) {
+    const columns = new ColumnRegistry(this.sheet);
+    const headers = columns.getHeaders();
+    if (headers.includes(header)) {
+      Logger.log(`列「${header}」は既に存在します`);
+      return false;
+    }
+
+    const afterIndex = afterHeader ? headers.indexOf(afterHeader) : -1;
+    const lastColumn = this.sheet.getLastColumn();
+    let column;
+    if (afterIndex >= 0 && afterIndex + 1 < lastColumn) {
+      this.sheet.insertColumnAfter(afterIndex + 1);
+      column = afterIndex + 2;
+    } else {
+      column = lastColumn + 1;
+    }
+
+    // ヘッダーを既存のヘッダー行と同じ書式で設定
+    const headerCell = this.sheet.getRange(1, column);
+    headerCell.setValue(header);
+    headerCell.setFontWeight('bold');
+    headerCell.setBackground('#4285f4');
+    headerCell.setFontColor('#ffffff');
+
+    // データ行の初期値を設定
+    const lastRow = this.sheet.getLastRow();
+    if (lastRow > 1) {
+      const dataRange = this.sheet.getRange(2, column, lastRow - 1, 1);
+      if (options.checkbox) {
+        dataRange.insertCheckboxes();
+      }
+      dataRange.setValue(options.defaultValue !== undefined ? options.defaultValue : '');
+    }
+
+    Logger.log(`列「${header}」を${column}列目に追加しました`);
+    return true;
+  }
+}
+
+/**
+ * マイグレーション一覧（バージョン順）
+ * バージョン記録の導入前から使われているシートはバージョン0として扱い、すべてのマイグレーションを適用する
+ * （既に列がある場合は何もしない）
+ */
+SchemaMigrator.MIGRATIONS = [
+  {
+    version: 1,
+    description: '除外フラグ列を追加',
+    apply: migrator => {
+      if (migrator.ensureColumn('除外フラグ', 'ライブ配信監視', { checkbox: true, defaultValue: false })) {
+        migrator.sheetManager.columns = null;
+        migrator.sheetManager.updateRowVisibility();
+      }
+    }
+  },
+  {
+    version: 2,
+    description: '属性列を追加',
+    apply: migrator => {
+      migrator.ensureColumn('属性', '登録者数');
+    }
+  },
+  {
+    version: 3,
+    description: '最大同時接続数・最大同時接続数日時の列を追加',
+    apply: migrator => {
+      migrator.ensureColumn('最大同時接続数', '取得日時', { defaultValue: 0 });
+      migrator.ensureColumn('最大同時接続数日時', '最大同時接続数');
+    }
+  },
+  {
+    version: 4,
+    description: '除外フラグ付きの行を除外チャンネルシートに登録',
+    apply: migrator => {
+      migrator.sheetManager.columns = null;
+      migrator.sheetManager.syncSuppressionFromExcludeFlags();
+    }
+  },
+  {
+    version: 5,
+    description: '固定属性・属性の根拠・最近の動画タイトルの列を追加し、ルール由来でない既存の属性を固定属性に移す',
+    apply: migrator => {
+      const added = migrator.ensureColumn('固定属性', '属性');
+      migrator.ensureColumn('属性の根拠', '固定属性');
+      migrator.ensureColumn('最近の動画タイトル', 'チャンネル説明文');
+      migrator.sheetManager.columns = null;
+      if (added) {
+        migrator.pinManualAttributes();
+      }
+    }
+  },
+  {
+    version: 6,
+    description: '属性ハッシュの列を追加',
+    apply: migrator => {
+      migrator.ensureColumn('属性ハッシュ', '属性の根拠');
+    }
+  },
+  {
+    version: 7,
+    description: 'VTuber確度の列を追加',
+    apply: migrator => {
+      migrator.ensureColumn('VTuber確度', '登録者数');
+    }
+  },
+  {
+    version: 8,
+    description: '所属・所属区分の列を追加し、事務所マスタで既存チャンネルの所属を判定',
+    apply: migrator => {
+      migrator.ensureColumn('所属', 'VTuber確度');
+      migrator.ensureColumn('所属区分', '所属');
+      migrator.sheetManager.columns = null;
+      new AgencyRegistry(migrator.sheetManager).labelChannels();
+    }
+  },
+  {
+    version: 9,
+    description: 'ハンドル・総再生回数・動画数・チャンネル開設日・国・言語の列を追加し、総再生回数・動画数を統計履歴から補完',
+    apply: migrator => {
+      migrator.ensureColumn('ハンドル', 'チャンネル名');
+      migrator.ensureColumn('総再生回数', '登録者数');
+      migrator.ensureColumn('動画数', '総再生回数');
+      migrator.ensureColumn('チャンネル開設日', '最終投稿日');
+      migrator.ensureColumn('国', 'チャンネル開設日');
+      migrator.ensureColumn('言語', '国');
+      migrator.sheetManager.columns = null;
+      migrator.fillTotalsFromSnapshots();
+    }
+  },
+  {
+    version: 10,
+    description: '発見経路の列を追加（既存のチャンネルは経路が分からないため空欄）',
+    apply: migrator => {
+      migrator.ensureColumn('発見経路', 'VTuber確度');
+    }
+  },
+  {
+    version: 11,
+    description: '事務所マスタの事務所名・別名と同じキーワードを除外キーワードシートから削除',
+    apply: migrator => {
+      new AgencyRegistry(migrator.sheetManager).removeAgencyKeywords();
+    }
+  }
+];
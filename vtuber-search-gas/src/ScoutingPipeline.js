@@ -0,0 +1,359 @@
+/**
+ * スカウト管理クラス
+ * VTuberリストのチャンネルごとに、スカウトのステージ・担当者・次回アクションを「スカウト管理」シートで管理し、
+ * メモ・連絡履歴・ステージ変更を「スカウト履歴」シートに追記する
+ * どちらのシートもチャンネルIDで行を特定する（VTuberリストの行番号には依存しない）
+ */
+
+class ScoutingPipeline {
+  constructor(sheetManager = null) {
+    this.sheetManager = sheetManager || new SpreadsheetManager();
+  }
+
+  /**
+   * スカウト管理シートを初期化
+   * @return {Sheet} スカウト管理シート
+   */
+  initializeSheet() {
+    return this.initializeSheetWithHeaders(CONFIG.SCOUTING_SHEET_NAME, CONFIG.SCOUTING_HEADERS);
+  }
+
+  /**
+   * スカウト履歴シートを初期化
+   * @return {Sheet} スカウト履歴シート
+   */
+  initializeActivitySheet() {
+    return this.initializeSheetWithHeaders(CONFIG.SCOUTING_ACTIVITY_SHEET_NAME, CONFIG.SCOUTING_ACTIVITY_HEADERS);
+  }
+
+  /**
+   * シートを取得（なければ作成し、ヘッダー行を設定）
+   * @param {string} sheetName シート名
+   * @param {Array} headers ヘッダー
+   * @return {Sheet} シート
+   */
+  initializeSheetWithHeaders(sheetName, headers) {
+    const spreadsheet = this.sheetManager.spreadsheet;
+    let sheet = spreadsheet.getSheetByName(sheetName);
+
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+      Logger.log(`シート "${sheetName}" を作成しました`);
+    }
+
+    // ヘッダー行が既に存在するかチェック
+    if (sheet.getLastRow() === 0) {
+      sheet.appendRow(headers);
+
+      // ヘッダー行を太字にし、背景色を設定
+      const headerRange = sheet.getRange(1, 1, 1, headers.length);
+      headerRange.setFontWeight('bold');
+      headerRange.setBackground('#34a853');
+      headerRange.setFontColor('#ffffff');
+
+      // 最初の行を固定
+      sheet.setFrozenRows(1);
+
+      Logger.log(`${sheetName}シートヘッダーを初期化しました`);
+    }
+
+    return sheet;
+  }
+
+  /**
+   * スカウト対象のチャンネルを取得
+   * @return {Map} チャンネルID -> {row, channelId, channelName, stage, owner, nextActionDate, nextAction, createdAt, updatedAt, updatedBy}
+   */
+  getEntries() {
+    const sheet = this.initializeSheet();
+    const entries = new Map();
+
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) {
+      return entries;
+    }
+
+    const data = sheet.getRange(2, 1, lastRow - 1, CONFIG.SCOUTING_HEADERS.length).getValues();
+    data.forEach((row, index) => {
+      const channelId = String(row[0] || '');
+      if (!channelId || entries.has(channelId)) {
+        return;
+      }
+
+      entries.set(channelId, {
+        row: index + 2, // 実際の行番号
+        channelId: channelId,
+        channelName: String(row[1] || ''),
+        stage: String(row[2] || CONFIG.SCOUTING_STAGES[0]),
+        owner: String(row[3] || ''),
+        nextActionDate: this.formatDate(row[4]),
+        nextAction: String(row[5] || ''),
+        createdAt: this.formatDateTime(row[6]),
+        updatedAt: this.formatDateTime(row[7]),
+        updatedBy: String(row[8] || '')
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * スカウト履歴をチャンネルごとに取得
+   * @param {string|null} channelId 指定した場合はそのチャンネルのみ
+   * @return {Map} チャンネルID -> {date, type, author, content, method}の配列（新しい順）
+   */
+  getActivitiesByChannel(channelId = null) {
+    const sheet = this.initializeActivitySheet();
+    const activities = new Map();
+
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) {
+      return activities;
+    }
+
+    const data = sheet.getRange(2, 1, lastRow - 1, CONFIG.SCOUTING_ACTIVITY_HEADERS.length).getValues();
+    data.forEach(row => {
+      const rowChannelId = String(row[0] || '');
+      if (!rowChannelId || (channelId && rowChannelId !== channelId)) {
+        return;
+      }
+
+      if (!activities.has(rowChannelId)) {
+        activities.set(rowChannelId, []);
+      }
+      activities.get(rowChannelId).push({
+        date: this.formatDateTime(row[1]),
+        type: String(row[2] || ''),
+        author: String(row[3] || ''),
+        content: String(row[4] || ''),
+        method: String(row[5] || '')
+      });
+    });
+
+    // 日時の新しい順（同じ日時は後から追記したものを先に）
+    activities.forEach(list => list.reverse().sort((a, b) => b.date.localeCompare(a.date)));
+
+    return activities;
+  }
+
+  /**
+   * チャンネルのスカウト情報を保存（未登録の場合は「候補」として登録）
+   * ステージを変更した場合はスカウト履歴に記録する
+   * @param {string} channelId チャンネルID
+   * @param {Object} changes {stage, owner, nextActionDate, nextAction}（指定した項目のみ更新）
+   * @param {string} editor 更新者
+   * @return {Object} 保存後のスカウト情報
+   */
+  saveEntry(channelId, changes, editor) {
+    this.validateChanges(changes);
+
+    return this.sheetManager.withWriteLock('スカウト情報の更新', () => {
+      const sheet = this.initializeSheet();
+      const now = Utilities.formatDate(new Date(), 'JST', 'yyyy-MM-dd HH:mm:ss');
+      let entry = this.getEntries().get(channelId);
+      const previousStage = entry ? entry.stage : null;
+
+      if (!entry) {
+        entry = {
+          row: null,
+          channelId: channelId,
+          channelName: this.findChannelName(channelId),
+          stage: CONFIG.SCOUTING_STAGES[0],
+          owner: '',
+          nextActionDate: '',
+          nextAction: '',
+          createdAt: now
+        };
+      }
+
+      ['stage', 'owner', 'nextActionDate', 'nextAction'].forEach(key => {
+        if (changes[key] !== undefined && changes[key] !== null) {
+          entry[key] = String(changes[key]).trim();
+        }
+      });
+      entry.updatedAt = now;
+      entry.updatedBy = editor || '';
+
+      // Webアプリから入力された自由記述は数式として解釈されないよう文字列として書き込む
+      const rowData = [
+        entry.channelId,
+        entry.channelName,
+        entry.stage,
+        ScoutingPipeline.toPlainText(entry.owner),
+        entry.nextActionDate,
+        ScoutingPipeline.toPlainText(entry.nextAction),
+        entry.createdAt,
+        entry.updatedAt,
+        ScoutingPipeline.toPlainText(entry.updatedBy)
+      ];
+
+      if (entry.row) {
+        sheet.getRange(entry.row, 1, 1, rowData.length).setValues([rowData]);
+      } else {
+        entry.row = sheet.getLastRow() + 1;
+        sheet.getRange(entry.row, 1, 1, rowData.length).setValues([rowData]);
+        Logger.log(`スカウト対象に追加しました: ${entry.channelName || channelId}`);
+      }
+
+      if (previousStage !== entry.stage) {
+        this.appendActivity(channelId, {
+          type: 'ステージ変更',
+          content: previousStage ? `${previousStage} → ${entry.stage}` : `${entry.stage}として登録`
+        }, editor, now);
+      }
+
+      return entry;
+    });
+  }
+
+  /**
+   * メモ・連絡履歴を追加（未登録のチャンネルは「候補」として登録）
+   * @param {string} channelId チャンネルID
+   * @param {Object} activity {type: 'メモ' | '連絡', content, method: 連絡手段, date: 日付（省略時は現在日時）}
+   * @param {string} editor 記入者
+   * @return {Object} 追加した履歴 {date, type, author, content, method}
+   */
+  addActivity(channelId, activity, editor) {
+    const type = activity.type || 'メモ';
+    const content = String(activity.content || '').trim();
+
+    if (CONFIG.SCOUTING_ACTIVITY_TYPES.indexOf(type) === -1) {
+      throw new Error(`履歴の種別が不正です: ${type}（${CONFIG.SCOUTING_ACTIVITY_TYPES.join('、')}のいずれか）`);
+    }
+    if (!content) {
+      throw new Error('内容を入力してください');
+    }
+    if (activity.date && !this.isValidDate(activity.date)) {
+      throw new Error(`日付の形式が不正です: ${activity.date}（yyyy-MM-dd）`);
+    }
+
+    return this.sheetManager.withWriteLock('スカウト履歴の追加', () => {
+      // 更新日時・更新者を記録（未登録の場合は登録）
+      this.saveEntry(channelId, {}, editor);
+
+      const date = activity.date
+        ? `${activity.date} 00:00:00`
+        : Utilities.formatDate(new Date(), 'JST', 'yyyy-MM-dd HH:mm:ss');
+
+      return this.appendActivity(channelId, {
+        type: type,
+        content: content,
+        method: type === '連絡' ? String(activity.method || '').trim() : ''
+      }, editor, date);
+    });
+  }
+
+  /**
+   * スカウト履歴シートに1行追記
+   * @param {string} channelId チャンネルID
+   * @param {Object} activity {type, content, method}
+   * @param {string} author 記入者
+   * @param {string} date 日時（yyyy-MM-dd HH:mm:ss）
+   * @return {Object} 追加した履歴 {date, type, author, content, method}
+   */
+  appendActivity(channelId, activity, author, date) {
+    const sheet = this.initializeActivitySheet();
+    const record = {
+      date: date,
+      type: activity.type,
+      author: author || '',
+      content: activity.content,
+      method: activity.method || ''
+    };
+
+    sheet.appendRow([
+      channelId,
+      record.date,
+      record.type,
+      ScoutingPipeline.toPlainText(record.author),
+      ScoutingPipeline.toPlainText(record.content),
+      ScoutingPipeline.toPlainText(record.method)
+    ]);
+    return record;
+  }
+
+  /**
+   * 変更内容を検証
+   * @param {Object} changes {stage, owner, nextActionDate, nextAction}
+   */
+  validateChanges(changes) {
+    if (changes.stage !== undefined && CONFIG.SCOUTING_STAGES.indexOf(changes.stage) === -1) {
+      throw new Error(`ステージが不正です: ${changes.stage}（${CONFIG.SCOUTING_STAGES.join('、')}のいずれか）`);
+    }
+    if (changes.nextActionDate && !this.isValidDate(changes.nextActionDate)) {
+      throw new Error(`次回アクション日の形式が不正です: ${changes.nextActionDate}（yyyy-MM-dd）`);
+    }
+  }
+
+  /**
+   * VTuberリストからチャンネル名を取得
+   * @param {string} channelId チャンネルID
+   * @return {string} チャンネル名
+   */
+  findChannelName(channelId) {
+    const row = this.sheetManager.findChannelRow(channelId);
+    if (!row) {
+      throw new Error(`VTuberリストにないチャンネルです: ${channelId}`);
+    }
+    return String(this.sheetManager.sheet.getRange(row, this.sheetManager.getColumns().column('channelName')).getValue() || '');
+  }
+
+  /**
+   * 次回アクション日が過ぎているか（契約・見送りのチャンネルは対象外）
+   * @param {Object} entry スカウト情報
+   * @param {string} today 今日の日付（yyyy-MM-dd）
+   * @return {boolean} 過ぎている場合true
+   */
+  isOverdue(entry, today) {
+    return !!entry.nextActionDate &&
+      entry.nextActionDate < today &&
+      CONFIG.SCOUTING_CLOSED_STAGES.indexOf(entry.stage) === -1;
+  }
+
+  /**
+   * 日付文字列（yyyy-MM-dd）か判定
+   * @param {string} value 値
+   * @return {boolean} 日付として正しい場合true
+   */
+  isValidDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !isNaN(new Date(`${value}T00:00:00+09:00`).getTime());
+  }
+
+  /**
+   * セルの日付値を yyyy-MM-dd に変換
+   * @param {Date|string} value セルの値
+   * @return {string} 日付
+   */
+  formatDate(value) {
+    if (!value) return '';
+    if (value instanceof Date) {
+      return Utilities.formatDate(value, 'JST', 'yyyy-MM-dd');
+    }
+    return String(value);
+  }
+
+  /**
+   * セルの日時値を yyyy-MM-dd HH:mm:ss に変換
+   * @param {Date|string} value セルの値
+   * @return {string} 日時
+   */
+  formatDateTime(value) {
+    if (!value) return '';
+    if (value instanceof Date) {
+      return Utilities.formatDate(value, 'JST', 'yyyy-MM-dd HH:mm:ss');
+    }
+    return String(value);
+  }
+
+  /**
+   * 自由記述をシートに文字列として書き込むための値に変換
+   * 「=」「+」「-」で始まる値は数式として解釈される（「+81 90-…」がエラーになる、=IMPORTXML(...)が実行される）ため、
+   * 先頭に「'」を付ける（セルの表示と読み込んだ値には「'」は含まれない）
+   * @param {string} text 入力値
+   * @return {string} 書き込む値
+   */
+  static toPlainText(text) {
+    const value = String(text || '');
+    return /^[=+\-]/.test(value) ? `'${value}` : value;
+  }
+}
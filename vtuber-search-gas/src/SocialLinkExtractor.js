@@ -0,0 +1,282 @@
+/**
+ * SNSリンク抽出クラス
+ * チャンネルの説明文と概要ページのリンクから、X・Twitch・TikTok・Instagram・pixiv FANBOX・BOOTH・マシュマロなどの
+ * リンクを抽出し、プラットフォームごとの正規のURLに揃える
+ *
+ * - 説明文からは既知のプラットフォームのリンクのみ抽出する（BGMのクレジットなど無関係なURLが多いため）
+ * - 概要ページのリンクはチャンネルの運営者が設定したものなので、既知のプラットフォーム以外はWebサイトとして扱う
+ */
+
+class SocialLinkExtractor {
+  /**
+   * 説明文と概要ページのリンクからSNSなどのリンクを抽出
+   * @param {string} description 説明文（切り詰める前の全文）
+   * @param {Array|null} aboutPageUrls 概要ページのリンクのURL（fetchAboutPageUrlsの戻り値。取得に失敗した場合はnull）
+   * @return {Array} {platform, account, url, source}の配列（同じプラットフォーム・アカウントは最初の1件のみ）
+   */
+  extract(description, aboutPageUrls = []) {
+    const links = this.extractFromText(description, '説明文');
+    (aboutPageUrls || []).forEach(url => {
+      const link = this.normalize(url, SocialLinkExtractor.ABOUT_PAGE_SOURCE) ||
+        this.normalizeWebsite(url, SocialLinkExtractor.ABOUT_PAGE_SOURCE);
+      if (link) {
+        links.push(link);
+      }
+    });
+
+    // XのURLがどこにもない場合のみ、説明文の「@ユーザー名」「Twitter: ユーザー名」の表記から推定
+    if (!links.some(link => link.platform === 'X')) {
+      const account = this.findXAccountMention(description);
+      const mention = account ? this.normalize(`https://x.com/${account}`, '説明文（@表記）') : null;
+      if (mention) {
+        links.push(mention);
+      }
+    }
+
+    return this.unique(links);
+  }
+
+  /**
+   * テキスト中のURLから既知のプラットフォームのリンクを抽出
+   * @param {string} text テキスト
+   * @param {string} source 取得元の表記
+   * @return {Array} {platform, account, url, source}の配列
+   */
+  extractFromText(text, source) {
+    const urlPattern = /(?:https?:\/\/)?(?:[a-z0-9-]+\.)*[a-z0-9-]+\.[a-z]{2,}(?:\/[^\s"'<>()（）「」、，]*)?/gi;
+    const links = [];
+    (String(text || '').match(urlPattern) || []).forEach(url => {
+      const link = this.normalize(url, source);
+      if (link) {
+        links.push(link);
+      }
+    });
+    return links;
+  }
+
+  /**
+   * URLを既知のプラットフォームのリンクに正規化
+   * @param {string} url URL（スキームなしも可）
+   * @param {string} source 取得元の表記
+   * @return {Object|null} {platform, account, url, source}、既知のプラットフォームでなければnull
+   */
+  normalize(url, source) {
+    const text = String(url || '').trim();
+    for (const platform of SocialLinkExtractor.PLATFORMS) {
+      const match = text.match(platform.pattern);
+      if (!match) {
+        continue;
+      }
+      const matched = match.slice(1).find(group => group); // 表記が複数あるプラットフォームは最初に一致したグループ
+      const account = platform.lowerCase ? matched.toLowerCase() : matched;
+      if ((platform.reserved || []).includes(account.toLowerCase())) {
+        return null;
+      }
+      return {
+        platform: platform.name,
+        account: account,
+        url: platform.url(account),
+        source: source
+      };
+    }
+    return null;
+  }
+
+  /**
+   * 既知のプラットフォーム以外のURLをWebサイトのリンクに正規化（YouTube・リンク短縮サービスは除く）
+   * @param {string} url URL
+   * @param {string} source 取得元の表記
+   * @return {Object|null} {platform, account, url, source}、対象外の場合はnull
+   */
+  normalizeWebsite(url, source) {
+    const match = String(url || '').trim().match(/^(?:https?:\/\/)?((?:[a-z0-9-]+\.)+[a-z]{2,})(\/[^\s?#]*)?/i);
+    if (!match) {
+      return null;
+    }
+    const host = match[1].toLowerCase().replace(/^www\./, '');
+    if (SocialLinkExtractor.IGNORED_HOSTS.some(ignored => host === ignored || host.endsWith('.' + ignored))) {
+      return null;
+    }
+    const path = (match[2] || '').replace(/\/+$/, '');
+    return {
+      platform: CONFIG.SOCIAL_LINK_WEBSITE_PLATFORM,
+      account: host + path,
+      url: `https://${host}${path}`,
+      source: source
+    };
+  }
+
+  /**
+   * チャンネルの概要ページに設定されたリンクのURLを取得（クォータは使わない）
+   * 取得に失敗した場合はnullを返す（リンクがない場合の空の配列と区別し、記録済みの概要ページのリンクを残すため）
+   * @param {string} channelId チャンネルID
+   * @return {Array|null} URLの配列、取得に失敗した場合はnull
+   */
+  fetchAboutPageUrls(channelId) {
+    try {
+      const response = UrlFetchApp.fetch(`https://www.youtube.com/channel/${channelId}/about`, {
+        muteHttpExceptions: true,
+        headers: { 'Accept-Language': 'ja' }
+      });
+      if (response.getResponseCode() !== 200) {
+        Logger.log(`概要ページを取得できませんでした (${channelId}): HTTP ${response.getResponseCode()}`);
+        return null;
+      }
+      return this.parseAboutPageUrls(response.getContentText());
+
+    } catch (error) {
+      Logger.log(`概要ページの取得エラー (${channelId}): ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 概要ページのHTMLからリンクのURLを抽出
+   * リンクはリダイレクトURL（q=に元のURL）と、表示用のテキスト（スキームなし）の2通りで埋め込まれている
+   * @param {string} html 概要ページのHTML
+   * @return {Array} URLの配列（重複なし）
+   */
+  parseAboutPageUrls(html) {
+    const text = String(html || '').replace(/\\u0026/g, '&').replace(/\\\//g, '/');
+    const urls = [];
+    const add = url => {
+      if (url && urls.indexOf(url) === -1) {
+        urls.push(url);
+      }
+    };
+
+    let match;
+    const redirectPattern = /youtube\.com\/redirect\?[^"\s]*?[?&]q=([^&"\s]+)/g;
+    while ((match = redirectPattern.exec(text)) !== null) {
+      try {
+        add(decodeURIComponent(match[1]));
+      } catch (error) {
+        // 不正なエンコードのリンクは無視
+      }
+    }
+
+    const contentPattern = /"channelExternalLinkViewModel":\{"title":\{"content":"[^"]*"\},"link":\{"content":"([^"]+)"/g;
+    while ((match = contentPattern.exec(text)) !== null) {
+      add(`https://${match[1]}`);
+    }
+
+    return urls;
+  }
+
+  /**
+   * 説明文の「@ユーザー名」「Twitter: ユーザー名」の表記からXのアカウントを推定
+   * @param {string} description 説明文
+   * @return {string|null} アカウント名
+   */
+  findXAccountMention(description) {
+    const text = String(description || '');
+
+    // @の後にスペースや記号がない、有効なユーザー名のみ（メールアドレスの@は英数字の直後にあるため対象外）
+    const mentionMatch = text.match(/(?:^|[^A-Za-z0-9._%+-])@([a-zA-Z0-9_]{1,15})(?:\s|$|[^\w])/);
+    if (mentionMatch) {
+      return mentionMatch[1];
+    }
+
+    // 例: "Twitter: username" または "X: username"
+    const keywordMatch = text.match(/(?:twitter|X|x)[\s:：]+([a-zA-Z0-9_]{1,15})/i);
+    if (keywordMatch) {
+      return keywordMatch[1];
+    }
+
+    return null;
+  }
+
+  /**
+   * 同じプラットフォーム・アカウントのリンクを1件にまとめる（先に見つかったものを残す）
+   * @param {Array} links {platform, account, url, source}の配列
+   * @return {Array} 重複を除いた配列
+   */
+  unique(links) {
+    const seen = new Set();
+    return links.filter(link => {
+      const key = `${link.platform}|${link.account.toLowerCase()}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * リンクのうち、指定したプラットフォームの最初のURL（VTuberリストのX（Twitter）リンク列などに使う）
+   * @param {Array} links {platform, url}の配列
+   * @param {string} platform プラットフォーム名
+   * @return {string} URL、該当がなければN/A
+   */
+  static primaryUrl(links, platform) {
+    const link = links.find(link => link.platform === platform);
+    return link ? link.url : 'N/A';
+  }
+}
+
+// プラットフォームの定義（上から順に照合。patternのグループのうち一致したものがアカウント）
+SocialLinkExtractor.PLATFORMS = [
+  {
+    name: 'X',
+    pattern: /^(?:https?:\/\/)?(?:www\.|mobile\.)?(?:twitter|x)\.com\/([A-Za-z0-9_]{1,15})(?![A-Za-z0-9_])/i,
+    reserved: ['home', 'intent', 'share', 'search', 'hashtag', 'i', 'explore', 'settings'],
+    url: account => `https://x.com/${account}`
+  },
+  {
+    name: 'Twitch',
+    pattern: /^(?:https?:\/\/)?(?:www\.|m\.)?twitch\.tv\/([A-Za-z0-9_]{3,25})(?![A-Za-z0-9_])/i,
+    lowerCase: true,
+    reserved: ['directory', 'videos', 'p', 'downloads'],
+    url: account => `https://www.twitch.tv/${account}`
+  },
+  {
+    name: 'TikTok',
+    pattern: /^(?:https?:\/\/)?(?:www\.|m\.)?tiktok\.com\/@([A-Za-z0-9_.]{2,24})(?![A-Za-z0-9_])/i,
+    url: account => `https://www.tiktok.com/@${account}`
+  },
+  {
+    name: 'Instagram',
+    pattern: /^(?:https?:\/\/)?(?:www\.)?instagram\.com\/([A-Za-z0-9_.]{1,30})(?![A-Za-z0-9_.])/i,
+    reserved: ['p', 'reel', 'reels', 'explore', 'stories', 'accounts'],
+    url: account => `https://www.instagram.com/${account}`
+  },
+  {
+    name: 'pixiv FANBOX',
+    pattern: /^(?:https?:\/\/)?(?:(?:www\.)?fanbox\.cc\/@([a-z0-9-]+)|([a-z0-9-]+)\.fanbox\.cc)/i,
+    lowerCase: true,
+    reserved: ['www', 'api', 'downloads'],
+    url: account => `https://${account}.fanbox.cc`
+  },
+  {
+    name: 'BOOTH',
+    pattern: /^(?:https?:\/\/)?([a-z0-9-]+)\.booth\.pm/i,
+    lowerCase: true,
+    reserved: ['www', 'accounts', 'manage', 'checkout'],
+    url: account => `https://${account}.booth.pm`
+  },
+  {
+    name: 'マシュマロ',
+    pattern: /^(?:https?:\/\/)?(?:www\.)?marshmallow-qa\.com\/([A-Za-z0-9_]+)/i,
+    reserved: ['messages', 'settings', 'about'],
+    url: account => `https://marshmallow-qa.com/${account}`
+  },
+  {
+    name: 'pixiv',
+    pattern: /^(?:https?:\/\/)?(?:www\.)?pixiv\.net\/(?:[a-z]{2}\/)?users\/(\d+)/i,
+    url: account => `https://www.pixiv.net/users/${account}`
+  }
+];
+
+// 概要ページのリンクの取得元の表記（SNSリンクシートの取得元列）
+SocialLinkExtractor.ABOUT_PAGE_SOURCE = '概要ページ';
+
+// Webサイトとして扱わないホスト（YouTube自身・リンク短縮サービス）
+SocialLinkExtractor.IGNORED_HOSTS = [
+  'youtube.com',
+  'youtu.be',
+  'google.com',
+  'goo.gl',
+  'bit.ly',
+  't.co'
+];
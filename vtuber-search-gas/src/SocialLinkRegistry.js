@@ -0,0 +1,146 @@
+/**
+ * SNSリンク管理クラス
+ * チャンネルごとのSNSなどのリンク（SocialLinkExtractorの抽出結果）を「SNSリンク」シートに記録する
+ * 1行が「チャンネル × プラットフォーム × アカウント」の1件。VTuberリストのX（Twitter）リンク列はこのうちXの1件
+ */
+
+class SocialLinkRegistry {
+  constructor(sheetManager = null) {
+    this.sheetManager = sheetManager || new SpreadsheetManager();
+  }
+
+  /**
+   * SNSリンクシートを初期化
+   * @return {Sheet} SNSリンクシート
+   */
+  initializeSheet() {
+    const spreadsheet = this.sheetManager.spreadsheet;
+    let sheet = spreadsheet.getSheetByName(CONFIG.SOCIAL_LINK_SHEET_NAME);
+
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(CONFIG.SOCIAL_LINK_SHEET_NAME);
+      Logger.log(`シート "${CONFIG.SOCIAL_LINK_SHEET_NAME}" を作成しました`);
+    }
+
+    // ヘッダー行が既に存在するかチェック
+    if (sheet.getLastRow() === 0) {
+      sheet.appendRow(CONFIG.SOCIAL_LINK_HEADERS);
+
+      // ヘッダー行を太字にし、背景色を設定
+      const headerRange = sheet.getRange(1, 1, 1, CONFIG.SOCIAL_LINK_HEADERS.length);
+      headerRange.setFontWeight('bold');
+      headerRange.setBackground('#34a853');
+      headerRange.setFontColor('#ffffff');
+
+      // 最初の行を固定
+      sheet.setFrozenRows(1);
+
+      Logger.log('SNSリンクシートヘッダーを初期化しました');
+    }
+
+    return sheet;
+  }
+
+  /**
+   * SNSリンクをすべて取得
+   * @return {Array} {channelId, platform, account, url, source, recordedAt}の配列
+   */
+  getLinks() {
+    const sheet = this.initializeSheet();
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) {
+      return [];
+    }
+
+    return sheet.getRange(2, 1, lastRow - 1, CONFIG.SOCIAL_LINK_HEADERS.length).getValues()
+      .map(row => ({
+        channelId: String(row[0] || ''),
+        platform: String(row[1] || ''),
+        account: String(row[2] || ''),
+        url: String(row[3] || ''),
+        source: String(row[4] || ''),
+        recordedAt: row[5]
+      }))
+      .filter(link => link.channelId && link.url);
+  }
+
+  /**
+   * チャンネルごとのSNSリンクを取得
+   * @return {Map} チャンネルID -> {platform, account, url, source, recordedAt}の配列
+   */
+  getLinksByChannel() {
+    const linksByChannel = new Map();
+    this.getLinks().forEach(link => {
+      if (!linksByChannel.has(link.channelId)) {
+        linksByChannel.set(link.channelId, []);
+      }
+      linksByChannel.get(link.channelId).push(link);
+    });
+    return linksByChannel;
+  }
+
+  /**
+   * チャンネルのSNSリンクを置き換える（抽出結果にないリンクは削除、既にあるリンクは記録日時を保持）
+   * 概要ページを取得できなかったチャンネル（aboutPageUnavailable）は、記録済みの概要ページのリンクを残し、説明文のリンクのみ置き換える
+   * @param {Array} channels {channelId, socialLinks, aboutPageUnavailable}の配列（socialLinksがないチャンネルは何もしない）
+   * @return {number} 置き換えたチャンネル数
+   */
+  replaceLinks(channels) {
+    const targets = channels.filter(channel => Array.isArray(channel.socialLinks));
+    if (targets.length === 0) {
+      return 0;
+    }
+
+    return this.sheetManager.withWriteLock('SNSリンクの記録', () => {
+      const sheet = this.initializeSheet();
+      const now = Utilities.formatDate(new Date(), 'JST', 'yyyy-MM-dd HH:mm:ss');
+      const key = (channelId, link) => `${channelId}|${link.platform}|${link.account.toLowerCase()}`;
+      const targetIds = new Set(targets.map(channel => channel.channelId));
+
+      const existing = this.getLinks();
+      const recordedAt = new Map(existing.map(link => [key(link.channelId, link), link.recordedAt]));
+      const toRow = (channelId, link) => [
+        channelId,
+        link.platform,
+        link.account,
+        link.url,
+        link.source,
+        recordedAt.get(key(channelId, link)) || now
+      ];
+
+      const rows = existing
+        .filter(link => !targetIds.has(link.channelId))
+        .map(link => toRow(link.channelId, link));
+      const existingByChannel = new Map();
+      existing.forEach(link => {
+        if (!existingByChannel.has(link.channelId)) {
+          existingByChannel.set(link.channelId, []);
+        }
+        existingByChannel.get(link.channelId).push(link);
+      });
+
+      targets.forEach(channel => {
+        const links = channel.socialLinks.slice();
+        if (channel.aboutPageUnavailable) {
+          const extractedKeys = new Set(links.map(link => key(channel.channelId, link)));
+          (existingByChannel.get(channel.channelId) || [])
+            .filter(link => link.source === SocialLinkExtractor.ABOUT_PAGE_SOURCE && !extractedKeys.has(key(channel.channelId, link)))
+            .forEach(link => links.push(link));
+        }
+        links.forEach(link => rows.push(toRow(channel.channelId, link)));
+      });
+
+      // 行数が減る場合があるため、データ行を消してから書き直す
+      const lastRow = sheet.getLastRow();
+      if (lastRow > 1) {
+        sheet.getRange(2, 1, lastRow - 1, CONFIG.SOCIAL_LINK_HEADERS.length).clearContent();
+      }
+      if (rows.length > 0) {
+        sheet.getRange(2, 1, rows.length, CONFIG.SOCIAL_LINK_HEADERS.length).setValues(rows);
+      }
+
+      Logger.log(`SNSリンクを記録しました: ${targets.length}チャンネル`);
+      return targets.length;
+    });
+  }
+}
@@ -7,9 +7,203 @@ class SpreadsheetManager {
   constructor() {
     this.spreadsheet = null;
     this.sheet = null;
+    this.columns = null;
+    this.attributeService = null;
     this.initialize();
   }
 
+  /**
+   * VTuberリストの列レジストリを取得（初回呼び出し時にヘッダー行を読み込む）
+   * @return {ColumnRegistry} 列レジストリ
+   */
+  getColumns() {
+    if (!this.columns) {
+      this.columns = new ColumnRegistry(this.sheet);
+    }
+    return this.columns;
+  }
+
+  /**
+   * 属性付与サービスを取得（属性管理シートは初回の判定時に読み込む）
+   * @return {AttributeService} 属性付与サービス
+   */
+  getAttributeService() {
+    if (!this.attributeService) {
+      this.attributeService = new AttributeService(this);
+    }
+    return this.attributeService;
+  }
+
+  /**
+   * VTuberリストのデータ行をすべて取得
+   * @return {Array} 行データの配列（ヘッダー行を除く）
+   */
+  getDataRows() {
+    const lastRow = this.sheet.getLastRow();
+    if (lastRow <= 1) {
+      return [];
+    }
+    return this.sheet.getRange(2, 1, lastRow - 1, this.getColumns().getWidth()).getValues();
+  }
+
+  /**
+   * VTuberリストの1列分のデータを取得
+   * @param {string} key 列キー
+   * @return {Array} 値の配列（ヘッダー行を除く。2行目が先頭）
+   */
+  getColumnValues(key) {
+    const lastRow = this.sheet.getLastRow();
+    if (lastRow <= 1) {
+      return [];
+    }
+    return this.sheet.getRange(2, this.getColumns().column(key), lastRow - 1, 1).getValues().map(row => row[0]);
+  }
+
+  /**
+   * VTuberリストのセルの値を設定
+   * 行番号は並べ替え・重複削除で変わるため、書き込みロック内で求めた行番号にのみ使う
+   * （ロックの外ではupdateChannelValuesでチャンネルIDを指定する）
+   * @param {number} row 行番号
+   * @param {string} key 列キー
+   * @param {*} value 値
+   */
+  setChannelValue(row, key, value) {
+    this.sheet.getRange(row, this.getColumns().column(key)).setValue(value);
+  }
+
+  /**
+   * VTuberリストの書き込みロックを取得して処理を実行
+   * ロックを新たに取得した場合は、先に待ち行列の書き込みを反映する
+   * @param {string} label 処理名（ログ・エラーメッセージ用）
+   * @param {Function} fn 実行する処理
+   * @param {number} timeoutMs ロック待ち時間（ミリ秒）
+   * @return {*} fnの戻り値
+   */
+  withWriteLock(label, fn, timeoutMs = CONFIG.WRITE_LOCK_TIMEOUT_MS) {
+    return WriteCoordinator.run(label, fn, {
+      timeoutMs: timeoutMs,
+      onAcquire: () => this.applyDeferredWrites()
+    });
+  }
+
+  /**
+   * チャンネルIDから行番号への索引を作成（同じチャンネルIDが複数ある場合は上の行）
+   * @return {Map} チャンネルID -> 行番号
+   */
+  getChannelRowIndex() {
+    const rowIndex = new Map();
+    this.getColumnValues('channelId').forEach((channelId, index) => {
+      if (channelId && !rowIndex.has(channelId)) {
+        rowIndex.set(channelId, index + 2); // 実際の行番号
+      }
+    });
+    return rowIndex;
+  }
+
+  /**
+   * チャンネルごとの値を更新（行番号は書き込みロックの取得後にチャンネルIDから解決する）
+   * @param {Map} updates チャンネルID -> {列キー: 値}
+   * @param {Object} options {clearValidations: 書き込み前にデータ検証をクリアするか,
+   *                          defer: ロックを取得できない場合に待ち行列に積み、次にロックを取得した実行で書き込むか}
+   * @return {Object} {updated: 更新したチャンネル数, missing: 見つからなかったチャンネルIDの配列, deferred: 待ち行列に積んだか}
+   */
+  updateChannelValues(updates, options = {}) {
+    const entries = Array.from(updates.entries()).map(([channelId, values]) => ({
+      channelId: channelId,
+      values: values,
+      clearValidations: options.clearValidations === true
+    }));
+
+    if (entries.length === 0) {
+      return { updated: 0, missing: [], deferred: false };
+    }
+
+    try {
+      return this.withWriteLock('チャンネルの値の更新', () => this.writeChannelValues(entries));
+    } catch (error) {
+      if (!options.defer || !WriteCoordinator.isLockTimeout(error)) {
+        throw error;
+      }
+      entries.forEach(entry => WriteCoordinator.defer(entry));
+      return { updated: 0, missing: [], deferred: true };
+    }
+  }
+
+  /**
+   * チャンネルのライブ配信監視フラグを設定
+   * ロックを取得できない場合は待ち行列に積み、次にロックを取得した実行で反映する
+   * @param {string} channelId チャンネルID
+   * @param {boolean} value フラグの値
+   * @return {Object} updateChannelValuesの戻り値
+   */
+  setLiveMonitorFlag(channelId, value) {
+    return this.updateChannelValues(new Map([[channelId, { liveMonitor: value }]]), { defer: true });
+  }
+
+  /**
+   * チャンネルごとの値を書き込む（書き込みロック内で呼び出す）
+   * @param {Array} entries {channelId, values: {列キー: 値}, clearValidations}の配列（後の要素ほど優先）
+   * @return {Object} {updated: 更新したチャンネル数, missing: 見つからなかったチャンネルIDの配列, deferred: false}
+   */
+  writeChannelValues(entries) {
+    const columns = this.getColumns();
+    const rowIndex = this.getChannelRowIndex();
+    const missing = [];
+    let updated = 0;
+
+    entries.forEach(entry => {
+      const row = rowIndex.get(entry.channelId);
+      if (!row) {
+        missing.push(entry.channelId);
+        return;
+      }
+
+      Object.keys(entry.values).forEach(key => {
+        const cell = this.sheet.getRange(row, columns.column(key));
+        // 型付きセル（チェックボックスなど）のデータ検証をクリアしてから値を設定
+        if (entry.clearValidations) {
+          cell.clearDataValidations();
+        }
+        cell.setValue(entry.values[key]);
+      });
+      updated++;
+    });
+
+    return { updated: updated, missing: missing, deferred: false };
+  }
+
+  /**
+   * 待ち行列に積まれた書き込みを反映（書き込みロックを新たに取得した直後に呼び出される）
+   * @return {number} 反映したチャンネル数
+   */
+  applyDeferredWrites() {
+    const entries = WriteCoordinator.takeDeferred();
+    if (entries.length === 0) {
+      return 0;
+    }
+
+    try {
+      const result = this.writeChannelValues(entries);
+      if (result.missing.length > 0) {
+        Logger.log(`待ち行列の書き込み先のチャンネルが見つかりませんでした: ${result.missing.join(', ')}`);
+      }
+      Logger.log(`待ち行列の書き込みを${result.updated}件反映しました`);
+      return result.updated;
+
+    } catch (error) {
+      // 反映できなかった書き込みは待ち行列に戻し、次にロックを取得した実行で再試行する
+      entries.forEach(entry => WriteCoordinator.defer(entry));
+      Logger.log(`待ち行列の書き込みエラー: ${error.message}`);
+      const errorLogger = new ErrorLogger();
+      errorLogger.logError(error, {
+        functionName: 'applyDeferredWrites',
+        apiName: 'スプレッドシート操作',
+        parameters: { entries: entries.length }
+      });
+      return 0;
+    }
+  }
+
   /**
    * スプレッドシートとシートを初期化
    */
@@ -64,9 +258,19 @@ class SpreadsheetManager {
       // 最初の行を固定
       this.sheet.setFrozenRows(1);
 
+      // 新規シートは最新の列構成のため、マイグレーションは不要
+      this.columns = null;
+      new SchemaMigrator(this).markAsLatest();
+
       Logger.log('シートヘッダーを初期化しました');
     } else {
       Logger.log('シートは既に初期化されています');
+
+      // 列構成が古い場合はマイグレーションを適用
+      const migrator = new SchemaMigrator(this);
+      if (migrator.needsMigration()) {
+        migrator.migrate();
+      }
     }
   }
 
@@ -76,20 +280,15 @@ class SpreadsheetManager {
    */
   getExistingChannelIds() {
     const existingChannels = new Map();
+    const columns = this.getColumns();
 
-    const lastRow = this.sheet.getLastRow();
-    if (lastRow <= 1) {
-      // ヘッダーのみまたは空のシート
-      return existingChannels;
-    }
-
-    // チャンネルID（D列）と取得日時（P列 = 16列目）を取得
-    const data = this.sheet.getRange(2, 1, lastRow - 1, CONFIG.SHEET_HEADERS.length).getValues();
+    // ヘッダーのみまたは空のシートの場合は空配列
+    const data = this.getDataRows();
 
     data.forEach((row, index) => {
-      const excludeFlag = row[1]; // B列（除外フラグ）
-      const channelId = row[3]; // D列（0-indexedで3）
-      const fetchedAt = row[15]; // P列（0-indexedで15）
+      const excludeFlag = columns.value(row, 'excludeFlag');
+      const channelId = columns.value(row, 'channelId');
+      const fetchedAt = columns.value(row, 'fetchedAt');
 
       // 除外フラグがtrueの行はスキップ
       if (excludeFlag === true) {
@@ -107,6 +306,40 @@ class SpreadsheetManager {
     return existingChannels;
   }
 
+  /**
+   * 除外行を含むすべてのチャンネルIDを取得
+   * @return {Set} チャンネルIDのSet
+   */
+  getAllChannelIds() {
+    const channelIds = new Set();
+
+    // チャンネルID列のみ取得
+    this.getColumnValues('channelId').forEach(channelId => {
+      if (channelId) {
+        channelIds.add(channelId);
+      }
+    });
+
+    return channelIds;
+  }
+
+  /**
+   * チャンネルIDから行番号を検索（除外行を含む）
+   * 行番号は並べ替え・重複削除で変わるため、書き込みに使う場合は書き込みロック内で検索する
+   * @param {string} channelId チャンネルID
+   * @return {number|null} 行番号、見つからない場合はnull
+   */
+  findChannelRow(channelId) {
+    const channelIds = this.getColumnValues('channelId');
+    for (let i = 0; i < channelIds.length; i++) {
+      if (channelIds[i] === channelId) {
+        return i + 2; // 実際の行番号
+      }
+    }
+
+    return null;
+  }
+
   /**
    * チャンネルを更新すべきか判定
    * @param {Date} lastFetchedAt 最終取得日時
@@ -128,32 +361,56 @@ class SpreadsheetManager {
       return;
     }
 
+    this.withWriteLock('チャンネルの追加', () => this.writeNewChannels(channels), CONFIG.WRITE_LOCK_BULK_TIMEOUT_MS);
+  }
+
+  /**
+   * チャンネル情報をシートの末尾に書き込む（書き込みロック内で呼び出す）
+   * 同時に実行された別の処理が追加した行と重複しないよう、登録済みのチャンネルはロック取得後に判定する
+   * @param {Array} channels チャンネル情報の配列
+   */
+  writeNewChannels(channels) {
+    // 除外済みのチャンネルと既に行があるチャンネル（除外行を含む）は追加しない
+    const suppressedIds = this.getSuppressedChannelIds();
+    const listedIds = this.getAllChannelIds();
+    channels = channels.filter(channel => {
+      if (suppressedIds.has(channel.channelId)) {
+        Logger.log(`除外済みのため追加をスキップ: ${channel.channelName} (${channel.channelId})`);
+        return false;
+      }
+      if (listedIds.has(channel.channelId)) {
+        Logger.log(`登録済みのため追加をスキップ: ${channel.channelName} (${channel.channelId})`);
+        return false;
+      }
+      return true;
+    });
+
+    if (channels.length === 0) {
+      Logger.log('追加するチャンネルがありません');
+      return;
+    }
+
     // データ行を構築
-    const rows = channels.map(channel => [
-      false, // ライブ配信監視フラグ（デフォルトはfalse）
-      false, // 除外フラグ（デフォルトはfalse）
-      channel.thumbnailUrl, // アイコンURL（後でIMAGE関数に変換）
-      channel.channelId,
-      channel.channelName,
-      channel.channelUrl,
-      channel.subscriberCount,
-      '', // 属性（H列：初期値は空、後でバッチ処理で設定）
-      channel.uploadFrequency,
-      channel.avgViewCount,
-      channel.avgLikeCount,
-      channel.avgCommentCount,
-      channel.lastPublishedAt,
-      channel.description,
-      channel.twitterLink,
-      Utilities.formatDate(channel.fetchedAt, 'JST', 'yyyy-MM-dd HH:mm:ss'),
-      0, // 最大同時接続数（初期値0）
-      '' // 最大同時接続数日時（初期値空）
-    ]);
+    const columns = this.getColumns();
+    const attributeService = this.getAttributeService();
+    const rows = channels.map(channel => columns.createRow(Object.assign({
+      liveMonitor: false, // ライブ配信監視フラグ（デフォルトはfalse）
+      excludeFlag: false // 除外フラグ（デフォルトはfalse）
+    }, this.buildChannelValues(channel), {
+      maxViewerCount: 0, // 最大同時接続数（初期値0）
+      maxViewerCountDate: '', // 最大同時接続数日時（初期値空）
+      discoverySource: channel.discoverySource || '' // 発見経路（情報更新では変更しないため追加時のみ書き込む）
+    }, channel.attributeHash ? {
+      // 検索時に判定済みの属性（YouTubeSearcher.enrichChannelWithVideoData）
+      attributes: channel.attributes,
+      attributeSources: channel.attributeSources,
+      attributeHash: channel.attributeHash
+    } : attributeService.evaluate(channel))));
 
     try {
       // シートに追加
       const startRow = this.sheet.getLastRow() + 1;
-      const range = this.sheet.getRange(startRow, 1, rows.length, CONFIG.SHEET_HEADERS.length);
+      const range = this.sheet.getRange(startRow, 1, rows.length, columns.getWidth());
       range.setValues(rows);
 
       Logger.log(`${rows.length}件のチャンネル情報をスプレッドシートに追加しました`);
@@ -161,6 +418,9 @@ class SpreadsheetManager {
       // データ行の書式設定
       this.formatDataRows(startRow, rows.length);
 
+      // SNSリンクを記録
+      new SocialLinkRegistry(this).replaceLinks(channels);
+
     } catch (error) {
       Logger.log(`スプレッドシート書き込みエラー: ${error.message}`);
       throw error;
@@ -169,7 +429,8 @@ class SpreadsheetManager {
 
   /**
    * 既存チャンネル情報を更新
-   * @param {Array} channels チャンネル情報の配列（{channel: データ, row: 行番号}の形式）
+   * 行番号は取得時から並べ替え・重複削除で変わっている可能性があるため、書き込みロックの取得後にチャンネルIDから解決する
+   * @param {Array} channels チャンネル情報の配列（{channel: データ, row: 取得時の行番号}の形式）
    */
   updateChannels(channels) {
     if (channels.length === 0) {
@@ -177,67 +438,116 @@ class SpreadsheetManager {
       return;
     }
 
+    this.withWriteLock('チャンネル情報の更新', () => this.writeChannelUpdates(channels), CONFIG.WRITE_LOCK_BULK_TIMEOUT_MS);
+  }
+
+  /**
+   * 既存チャンネル情報を書き込む（書き込みロック内で呼び出す）
+   * @param {Array} channels チャンネル情報の配列（{channel: データ, row: 取得時の行番号}の形式）
+   */
+  writeChannelUpdates(channels) {
     Logger.log(`${channels.length}件のチャンネル情報を更新します`);
 
-    channels.forEach(({channel, row}) => {
-      // 既存のライブ配信監視フラグ、除外フラグ、属性、最大同時接続数、最大同時接続数日時を取得
-      const existingData = this.sheet.getRange(row, 1, 1, CONFIG.SHEET_HEADERS.length).getValues()[0];
-      const liveMonitorFlag = existingData[0]; // ライブ配信監視フラグ
-      const excludeFlag = existingData[1] || false; // 除外フラグ
-      const attributes = existingData[7] || ''; // 属性（H列）
-      const maxViewerCount = existingData[16] || 0; // 最大同時接続数
-      const maxViewerCountDate = existingData[17] || ''; // 最大同時接続数日時
-
-      // データ行を構築
-      const rowData = [
-        liveMonitorFlag, // 既存のライブ配信監視フラグを保持
-        excludeFlag, // 既存の除外フラグを保持
-        channel.thumbnailUrl,
-        channel.channelId,
-        channel.channelName,
-        channel.channelUrl,
-        channel.subscriberCount,
-        attributes, // 既存の属性を保持
-        channel.uploadFrequency,
-        channel.avgViewCount,
-        channel.avgLikeCount,
-        channel.avgCommentCount,
-        channel.lastPublishedAt,
-        channel.description,
-        channel.twitterLink,
-        Utilities.formatDate(channel.fetchedAt, 'JST', 'yyyy-MM-dd HH:mm:ss'),
-        maxViewerCount, // 既存の最大同時接続数を保持
-        maxViewerCountDate // 既存の最大同時接続数日時を保持
-      ];
+    const columns = this.getColumns();
+    const rowIndex = this.getChannelRowIndex();
+    const attributeService = this.getAttributeService();
+    const updatedChannels = [];
+
+    channels.forEach(({channel}) => {
+      const row = rowIndex.get(channel.channelId);
+      if (!row) {
+        Logger.log(`更新対象のチャンネルが見つかりません（削除された可能性があります）: ${channel.channelName} (${channel.channelId})`);
+        return;
+      }
 
       try {
+        // APIから取得した列のみ上書きし、ライブ配信監視フラグ・除外フラグ・属性・最大同時接続数などの既存の値は保持
+        const range = this.sheet.getRange(row, 1, 1, columns.getWidth());
+        const rowData = range.getValues()[0];
+        columns.assign(rowData, this.buildChannelValues(channel));
+        columns.assign(rowData, {
+          excludeFlag: columns.value(rowData, 'excludeFlag') || false,
+          maxViewerCount: columns.value(rowData, 'maxViewerCount') || 0
+        });
+
+        // 説明文・動画タイトルが変わった場合は固定属性を含めて属性を判定し直す
+        if (columns.value(rowData, 'excludeFlag') !== true) {
+          const attributeValues = attributeService.reevaluateRow(rowData, columns);
+          if (attributeValues) {
+            columns.assign(rowData, attributeValues);
+          }
+        }
+
         // 指定された行を更新
-        const range = this.sheet.getRange(row, 1, 1, CONFIG.SHEET_HEADERS.length);
         range.setValues([rowData]);
 
         // 書式を再適用
         this.formatDataRows(row, 1);
+        updatedChannels.push(channel);
 
       } catch (error) {
         Logger.log(`行${row}の更新エラー: ${error.message}`);
       }
     });
 
+    // SNSリンクを記録
+    new SocialLinkRegistry(this).replaceLinks(updatedChannels);
+
     Logger.log(`${channels.length}件のチャンネル情報を更新しました`);
   }
 
+  /**
+   * APIから取得したチャンネル情報を列キーごとの値に変換
+   * @param {Object} channel チャンネル情報
+   * @return {Object} 列キー -> 値
+   */
+  buildChannelValues(channel) {
+    return {
+      icon: channel.thumbnailUrl, // アイコンURL（後でIMAGE関数に変換）
+      channelId: channel.channelId,
+      channelName: channel.channelName,
+      handle: channel.handle || '',
+      channelUrl: channel.channelUrl,
+      subscriberCount: channel.subscriberCount,
+      totalViewCount: channel.totalViewCount,
+      videoCount: channel.videoCount,
+      vtuberConfidence: channel.vtuberConfidence,
+      affiliation: channel.affiliation || '',
+      affiliationTier: channel.affiliationTier || '',
+      uploadFrequency: channel.uploadFrequency,
+      avgViewCount: channel.avgViewCount,
+      avgLikeCount: channel.avgLikeCount,
+      avgCommentCount: channel.avgCommentCount,
+      lastPublishedAt: channel.lastPublishedAt,
+      channelPublishedAt: channel.channelPublishedAt || '',
+      country: channel.country || '',
+      defaultLanguage: channel.defaultLanguage || '',
+      description: channel.description,
+      recentVideoTitles: channel.recentVideoTitles || '',
+      twitterLink: channel.twitterLink,
+      fetchedAt: Utilities.formatDate(channel.fetchedAt, 'JST', 'yyyy-MM-dd HH:mm:ss')
+    };
+  }
+
   /**
    * データ行の書式を設定
+   * セルごとの読み書きは行数に比例してAPI呼び出しが増えるため、対象範囲をまとめて読み込み、
+   * 数式・背景色・表示状態をメモリ上で組み立ててから列（連続する行）単位でまとめて書き込む
    * @param {number} startRow 開始行
    * @param {number} numRows 行数
    */
   formatDataRows(startRow, numRows) {
-    // A列・B列のチェックボックスはスプレッドシートのテーブル機能で管理されているため、
+    if (numRows <= 0) {
+      return;
+    }
+
+    // ライブ配信監視・除外フラグのチェックボックスはスプレッドシートのテーブル機能で管理されているため、
     // GASからの設定は行わない
+    const columns = this.getColumns();
 
     // 数値列の書式設定（カンマ区切り）
-    // 属性列追加により列番号が+1シフト
-    const numberColumns = [7, 10, 11, 12, 17]; // 登録者数、平均再生回数、いいね数、コメント数、最大同時接続数
+    const numberColumns = ['subscriberCount', 'totalViewCount', 'videoCount', 'avgViewCount', 'avgLikeCount', 'avgCommentCount', 'maxViewerCount']
+      .map(key => columns.column(key));
     numberColumns.forEach(col => {
       try {
         const range = this.sheet.getRange(startRow, col, numRows, 1);
@@ -250,7 +560,7 @@ class SpreadsheetManager {
 
     // 投稿頻度の書式設定（小数点1桁）
     try {
-      const frequencyRange = this.sheet.getRange(startRow, 9, numRows, 1);
+      const frequencyRange = this.sheet.getRange(startRow, columns.column('uploadFrequency'), numRows, 1);
       frequencyRange.clearDataValidations();
       frequencyRange.setNumberFormat('#,##0.0');
     } catch (e) {
@@ -259,65 +569,130 @@ class SpreadsheetManager {
 
     // URLをハイパーリンクに設定、IMAGE関数を設定
     Logger.log(`formatDataRows: 行 ${startRow} から ${numRows} 行を書式設定中...`);
-    
-    for (let i = 0; i < numRows; i++) {
-      const row = startRow + i;
-
-      // チャンネルアイコン（C列）をIMAGE関数で表示
-      const iconCell = this.sheet.getRange(row, 3);
-      const iconUrl = String(iconCell.getValue() || '');
-      Logger.log(`行 ${row} C列: iconUrl = "${iconUrl.substring(0, 50)}..."`);
-      
-      if (iconUrl && iconUrl.startsWith('http')) {
-        // 型付きセル（チェックボックスなど）のデータ検証をクリアしてから数式を設定
-        iconCell.clearDataValidations();
-        iconCell.setFormula(`=IMAGE("${iconUrl}", 1)`);
-        Logger.log(`行 ${row}: IMAGE関数を設定しました`);
-      }
-
-      // チャンネルURL（F列）
-      const channelUrlCell = this.sheet.getRange(row, 6);
-      const channelUrl = String(channelUrlCell.getValue() || '');
-      if (channelUrl && channelUrl.startsWith('http')) {
-        const channelName = this.sheet.getRange(row, 5).getValue();
-        // チャンネル名の特殊文字をエスケープ
-        const escapedName = String(channelName || '').replace(/"/g, '""');
-        channelUrlCell.clearDataValidations(); // 型付きセルエラー防止
-        channelUrlCell.setFormula(`=HYPERLINK("${channelUrl}", "${escapedName}")`);
-      }
-
-      // Twitterリンクのハイパーリンク設定（O列）
-      const twitterCell = this.sheet.getRange(row, 15);
-      const twitterLink = String(twitterCell.getValue() || '');
-      Logger.log(`行 ${row} O列: twitterLink = "${twitterLink}"`);
-      
-      if (twitterLink && twitterLink.startsWith('http') && twitterLink !== 'N/A') {
+    const range = this.sheet.getRange(startRow, 1, numRows, columns.getWidth());
+    const values = range.getValues();
+    const counts = this.applyCellFormulas(startRow, values, range.getFormulas());
+    Logger.log(`formatDataRows: IMAGE関数 ${counts.icon}件、チャンネルURL ${counts.channelUrl}件、Twitterリンク ${counts.twitterLink}件を設定しました`);
+
+    // 除外フラグがtrueの行は非表示にする
+    this.applyRowVisibility(startRow, values.map(row => columns.value(row, 'excludeFlag') === true));
+
+    // アイコン列の行の高さを設定（画像表示のため）
+    this.sheet.setRowHeights(startRow, numRows, 80);
+
+    // 交互の行に背景色を設定（見やすくするため）。対象外の行は現在の背景色のまま
+    const backgrounds = range.getBackgrounds().map((rowBackgrounds, i) =>
+      i % 2 === 0 ? rowBackgrounds.map(() => '#f3f3f3') : rowBackgrounds
+    );
+    range.setBackgrounds(backgrounds);
+  }
+
+  /**
+   * アイコン（IMAGE関数）・チャンネルURL・Twitterリンク（HYPERLINK関数）の数式を設定
+   * 既に数式が設定されているセルはそのまま。値がURLのセルのみ数式に変換する
+   * @param {number} startRow 開始行
+   * @param {Array} values 対象行の値（startRowから、列はVTuberリストのヘッダー順）
+   * @param {Array} formulas 対象行の数式（valuesと同じ範囲）
+   * @return {Object} 列ごとの設定件数 {icon, channelUrl, twitterLink}
+   */
+  applyCellFormulas(startRow, values, formulas) {
+    const columns = this.getColumns();
+    const counts = { icon: 0, channelUrl: 0, twitterLink: 0 };
+
+    // 列キー -> 値から数式を作る関数（数式にしない場合はnull）
+    const builders = {
+      icon: url => `=IMAGE("${url}", 1)`,
+      channelUrl: (url, row) => {
+        // 表示名はハンドル（ない場合はチャンネル名）。特殊文字をエスケープ
+        const label = columns.value(row, 'handle') || columns.value(row, 'channelName') || '';
+        const escapedLabel = String(label).replace(/"/g, '""');
+        return `=HYPERLINK("${url}", "${escapedLabel}")`;
+      },
+      twitterLink: url => {
         // URLからユーザー名を抽出（最後の/以降）
-        const username = twitterLink.split('/').pop();
-        twitterCell.clearDataValidations(); // 型付きセルエラー防止
-        twitterCell.setFormula(`=HYPERLINK("${twitterLink}", "@${username}")`);
-        Logger.log(`行 ${row}: TwitterリンクのHYPERLINK関数を設定しました`);
+        const username = url.split('/').pop();
+        return `=HYPERLINK("${url}", "@${username}")`;
       }
+    };
+
+    Object.keys(builders).forEach(key => {
+      const index = columns.index(key);
+      const prefix = key === 'icon' ? '=IMAGE' : '=HYPERLINK';
+
+      // 書き込む内容: 新しい数式、既存の数式（そのまま書き戻す）、空欄は''。
+      // 数式以外の値が入っているセルはnull（上書きしない）
+      const cells = [];
+      const changed = [];
+      values.forEach((row, i) => {
+        const existingFormula = String(formulas[i][index] || '');
+        const url = String(row[index] || '');
+        if (!existingFormula.toUpperCase().startsWith(prefix) && url.startsWith('http')) {
+          cells.push(builders[key](url, row));
+          changed.push(true);
+          counts[key]++;
+          return;
+        }
+        cells.push(existingFormula || (row[index] === '' ? '' : null));
+        changed.push(false);
+      });
 
-      // 除外フラグがtrueの場合は行を非表示にする
-      const excludeFlagCell = this.sheet.getRange(row, 2);
-      const excludeFlag = excludeFlagCell.getValue();
-      if (excludeFlag === true) {
-        this.sheet.hideRows(row);
-      } else {
-        this.sheet.showRows(row);
+      this.writeFormulaBlocks(startRow, index + 1, cells, changed);
+    });
+
+    return counts;
+  }
+
+  /**
+   * 1列分の数式を、連続する行ごとにまとめて書き込む
+   * 数式以外の値が入っているセル（null）で区切り、変更のある区間のみ書き込む
+   * @param {number} startRow 開始行
+   * @param {number} column 列番号
+   * @param {Array} cells 行ごとの書き込む数式（空欄は''、書き込めない行はnull）
+   * @param {Array} changed 行ごとの変更有無
+   */
+  writeFormulaBlocks(startRow, column, cells, changed) {
+    let first = -1; // 区間内の最初の変更行
+    let last = -1; // 区間内の最後の変更行
+
+    for (let i = 0; i <= cells.length; i++) {
+      if (i < cells.length && cells[i] !== null) {
+        if (changed[i]) {
+          if (first < 0) first = i;
+          last = i;
+        }
+        continue;
+      }
+
+      // 区間の終わり（nullのセルまたは末尾）
+      if (first >= 0) {
+        const block = cells.slice(first, last + 1).map(formula => [formula]);
+        const range = this.sheet.getRange(startRow + first, column, block.length, 1);
+        range.clearDataValidations(); // 型付きセル（チェックボックスなど）のデータ検証をクリアしてから数式を設定
+        range.setFormulas(block);
       }
+      first = -1;
+      last = -1;
     }
+  }
 
-    // アイコン列の行の高さを設定（画像表示のため）
-    this.sheet.setRowHeights(startRow, numRows, 80);
+  /**
+   * 行の表示/非表示を、同じ状態が連続する行ごとにまとめて設定
+   * @param {number} startRow 開始行
+   * @param {Array} hiddenFlags 行ごとの非表示フラグ（trueの行を非表示）
+   */
+  applyRowVisibility(startRow, hiddenFlags) {
+    let blockStart = 0;
 
-    // 交互の行に背景色を設定（見やすくするため）
-    for (let i = 0; i < numRows; i++) {
-      if (i % 2 === 0) {
-        const range = this.sheet.getRange(startRow + i, 1, 1, CONFIG.SHEET_HEADERS.length);
-        range.setBackground('#f3f3f3');
+    for (let i = 1; i <= hiddenFlags.length; i++) {
+      if (i < hiddenFlags.length && hiddenFlags[i] === hiddenFlags[blockStart]) {
+        continue;
+      }
+      if (hiddenFlags[blockStart]) {
+        this.sheet.hideRows(startRow + blockStart, i - blockStart);
+      } else {
+        this.sheet.showRows(startRow + blockStart, i - blockStart);
       }
+      blockStart = i;
     }
   }
 
@@ -341,49 +716,57 @@ class SpreadsheetManager {
    * データをチャンネル名でソート
    */
   sortByChannelName() {
-    const lastRow = this.sheet.getLastRow();
-    if (lastRow <= 1) return;
-
-    const range = this.sheet.getRange(2, 1, lastRow - 1, CONFIG.SHEET_HEADERS.length);
-    range.sort(5); // チャンネル名（5列目）でソート
-    Logger.log('チャンネル名でソートしました');
+    this.withWriteLock('チャンネル名でソート', () => {
+      const lastRow = this.sheet.getLastRow();
+      if (lastRow <= 1) return;
+
+      const range = this.sheet.getRange(2, 1, lastRow - 1, this.getColumns().getWidth());
+      range.sort(this.getColumns().column('channelName')); // チャンネル名でソート
+      Logger.log('チャンネル名でソートしました');
+    }, CONFIG.WRITE_LOCK_BULK_TIMEOUT_MS);
   }
 
   /**
    * データを登録者数でソート（降順）
    */
   sortBySubscriberCount() {
-    const lastRow = this.sheet.getLastRow();
-    if (lastRow <= 1) return;
-
-    const range = this.sheet.getRange(2, 1, lastRow - 1, CONFIG.SHEET_HEADERS.length);
-    range.sort([{column: 7, ascending: false}]); // 登録者数（7列目）で降順ソート
-    Logger.log('登録者数でソートしました');
+    this.withWriteLock('登録者数でソート', () => {
+      const lastRow = this.sheet.getLastRow();
+      if (lastRow <= 1) return;
+
+      const range = this.sheet.getRange(2, 1, lastRow - 1, this.getColumns().getWidth());
+      range.sort([{column: this.getColumns().column('subscriberCount'), ascending: false}]); // 登録者数で降順ソート
+      Logger.log('登録者数でソートしました');
+    }, CONFIG.WRITE_LOCK_BULK_TIMEOUT_MS);
   }
 
   /**
    * データを平均再生回数でソート（降順）
    */
   sortByAvgViewCount() {
-    const lastRow = this.sheet.getLastRow();
-    if (lastRow <= 1) return;
-
-    const range = this.sheet.getRange(2, 1, lastRow - 1, CONFIG.SHEET_HEADERS.length);
-    range.sort([{column: 9, ascending: false}]); // 平均再生回数（9列目）で降順ソート
-    Logger.log('平均再生回数でソートしました');
+    this.withWriteLock('平均再生回数でソート', () => {
+      const lastRow = this.sheet.getLastRow();
+      if (lastRow <= 1) return;
+
+      const range = this.sheet.getRange(2, 1, lastRow - 1, this.getColumns().getWidth());
+      range.sort([{column: this.getColumns().column('avgViewCount'), ascending: false}]); // 平均再生回数で降順ソート
+      Logger.log('平均再生回数でソートしました');
+    }, CONFIG.WRITE_LOCK_BULK_TIMEOUT_MS);
   }
 
   /**
    * 重複データを削除
    */
   removeDuplicates() {
-    const lastRow = this.sheet.getLastRow();
-    if (lastRow <= 1) return;
+    this.withWriteLock('重複データの削除', () => {
+      const lastRow = this.sheet.getLastRow();
+      if (lastRow <= 1) return;
 
-    const range = this.sheet.getRange(1, 1, lastRow, CONFIG.SHEET_HEADERS.length);
-    const numDuplicates = range.removeDuplicates([4]).length; // チャンネルID（4列目）で重複チェック
+      const range = this.sheet.getRange(1, 1, lastRow, this.getColumns().getWidth());
+      const numDuplicates = range.removeDuplicates([this.getColumns().column('channelId')]).length; // チャンネルIDで重複チェック
 
-    Logger.log(`${numDuplicates}件の重複データを削除しました`);
+      Logger.log(`${numDuplicates}件の重複データを削除しました`);
+    }, CONFIG.WRITE_LOCK_BULK_TIMEOUT_MS);
   }
 
   /**
@@ -392,19 +775,13 @@ class SpreadsheetManager {
    */
   getMonitoredChannels() {
     const monitoredChannels = [];
+    const columns = this.getColumns();
 
-    const lastRow = this.sheet.getLastRow();
-    if (lastRow <= 1) {
-      return monitoredChannels;
-    }
-
-    const data = this.sheet.getRange(2, 1, lastRow - 1, CONFIG.SHEET_HEADERS.length).getValues();
-
-    data.forEach((row, index) => {
-      const liveMonitorFlag = row[0]; // A列（ライブ配信監視フラグ）
-      const excludeFlag = row[1]; // B列（除外フラグ）
-      const channelId = row[3]; // D列（チャンネルID）
-      const channelName = row[4]; // E列（チャンネル名）
+    this.getDataRows().forEach((row, index) => {
+      const liveMonitorFlag = columns.value(row, 'liveMonitor');
+      const excludeFlag = columns.value(row, 'excludeFlag');
+      const channelId = columns.value(row, 'channelId');
+      const channelName = columns.value(row, 'channelName');
 
       // 除外フラグがtrueの行はスキップ
       if (excludeFlag === true) {
@@ -424,35 +801,87 @@ class SpreadsheetManager {
   }
 
   /**
-   * チャンネルの最大同時接続数を更新
-   * @param {string} channelId チャンネルID
-   * @param {number} viewerCount 同時接続数
-   * @param {Date} recordedAt 記録日時
+   * 全チャンネルの最大同時接続数を配信ごとの集計値から再計算
+   * 同時接続数シートに配信が記録されているチャンネルのみ上書きする（記録がないチャンネルは変更しない）
+   * @return {number} 更新したチャンネル数
    */
-  updateMaxViewerCount(channelId, viewerCount, recordedAt) {
-    const existingChannels = this.getExistingChannelIds();
-
-    if (!existingChannels.has(channelId)) {
-      Logger.log(`チャンネル ${channelId} が見つかりません`);
-      return;
+  recalculateMaxViewerCounts() {
+    const viewerCountSheet = this.initializeViewerCountSheet();
+    const lastRow = viewerCountSheet.getLastRow();
+    if (lastRow <= 1) {
+      return 0;
     }
 
-    const channelInfo = existingChannels.get(channelId);
-    const row = channelInfo.row;
+    // チャンネルごとに配信のピーク同時接続数の最大値を求める
+    const summaries = viewerCountSheet.getRange(2, 1, lastRow - 1, CONFIG.VIEWER_COUNT_HEADERS.length).getValues();
+    const channelPeaks = new Map();
+
+    summaries.forEach(row => {
+      const channelId = row[0];
+      if (!channelId) return;
+
+      // 集計列がない旧形式の行は最新の同時接続数をピークとして扱う
+      const hasStats = row[13] !== '' && row[13] !== null;
+      const peak = hasStats ? Number(row[8]) || 0 : Number(row[4]) || 0;
+      const peakAt = hasStats ? row[9] : row[5];
+
+      const current = channelPeaks.get(channelId);
+      if (!current || peak > current.peak) {
+        channelPeaks.set(channelId, { peak: peak, peakAt: peakAt });
+      }
+    });
+
+    // 行番号を読み込んでから書き込むまでの間に行が移動しないよう、書き込みロック内で読み書きする
+    return this.withWriteLock('最大同時接続数の再計算', () => this.writeMaxViewerCounts(channelPeaks), CONFIG.WRITE_LOCK_BULK_TIMEOUT_MS);
+  }
+
+  /**
+   * チャンネルごとのピーク同時接続数を最大同時接続数の列に書き込む（書き込みロック内で呼び出す）
+   * @param {Map} channelPeaks チャンネルID -> {peak, peakAt}
+   * @return {number} 更新したチャンネル数
+   */
+  writeMaxViewerCounts(channelPeaks) {
+    const channelLastRow = this.sheet.getLastRow();
+    if (channelLastRow <= 1) {
+      return 0;
+    }
 
-    // 現在の最大同時接続数を取得
-    const currentMaxViewerCount = this.sheet.getRange(row, 17).getValue() || 0;
+    // 最大同時接続数・日時の列は隣接しているとは限らないため、列ごとに読み書きする
+    const columns = this.getColumns();
+    const channelIds = this.getColumnValues('channelId');
+    const maxCountRange = this.sheet.getRange(2, columns.column('maxViewerCount'), channelLastRow - 1, 1);
+    const maxDateRange = this.sheet.getRange(2, columns.column('maxViewerCountDate'), channelLastRow - 1, 1);
+    const maxCounts = maxCountRange.getValues();
+    const maxDates = maxDateRange.getValues();
+    let updatedCount = 0;
+
+    channelIds.forEach((channelId, index) => {
+      const peakInfo = channelPeaks.get(channelId);
+      if (!peakInfo) return;
+
+      const peakAt = peakInfo.peakAt instanceof Date
+        ? Utilities.formatDate(peakInfo.peakAt, 'JST', 'yyyy-MM-dd HH:mm:ss')
+        : peakInfo.peakAt;
+
+      if (maxCounts[index][0] !== peakInfo.peak || maxDates[index][0] !== peakAt) {
+        maxCounts[index] = [peakInfo.peak];
+        maxDates[index] = [peakAt];
+        updatedCount++;
+      }
+    });
 
-    // 新しい値が現在の最大値より大きい場合のみ更新
-    if (viewerCount > currentMaxViewerCount) {
-      this.sheet.getRange(row, 17).setValue(viewerCount); // Q列：最大同時接続数
-      this.sheet.getRange(row, 18).setValue(Utilities.formatDate(recordedAt, 'JST', 'yyyy-MM-dd HH:mm:ss')); // R列：最大同時接続数日時
-      Logger.log(`チャンネル ${channelId} の最大同時接続数を更新: ${viewerCount} (${Utilities.formatDate(recordedAt, 'JST', 'yyyy-MM-dd HH:mm:ss')})`);
+    if (updatedCount > 0) {
+      maxCountRange.setValues(maxCounts);
+      maxDateRange.setValues(maxDates);
     }
+
+    Logger.log(`最大同時接続数を再計算しました: ${updatedCount}件更新`);
+    return updatedCount;
   }
 
   /**
    * 同時接続数シートを初期化
+   * 同時接続数シートは配信ごとに1行の集計表（最新値・ピーク・平均・中央値など）
    */
   initializeViewerCountSheet() {
     let viewerCountSheet = this.spreadsheet.getSheetByName(CONFIG.VIEWER_COUNT_SHEET_NAME);
@@ -483,108 +912,150 @@ class SpreadsheetManager {
       viewerCountSheet.setFrozenRows(1);
 
       Logger.log('同時接続数シートヘッダーを初期化しました');
+    } else if (viewerCountSheet.getLastColumn() < CONFIG.VIEWER_COUNT_HEADERS.length) {
+      // 集計列が追加される前のシートはヘッダーを拡張
+      const headerRange = viewerCountSheet.getRange(1, 1, 1, CONFIG.VIEWER_COUNT_HEADERS.length);
+      headerRange.setValues([CONFIG.VIEWER_COUNT_HEADERS]);
+      headerRange.setFontWeight('bold');
+      headerRange.setBackground('#34a853');
+      headerRange.setFontColor('#ffffff');
+
+      Logger.log('同時接続数シートに集計列を追加しました');
     }
 
     return viewerCountSheet;
   }
 
   /**
-   * 同時接続数を記録
-   * @param {Object} liveStreamData ライブ配信データ
+   * 同時接続数サンプルシートを初期化
    */
-  recordViewerCount(liveStreamData) {
-    const viewerCountSheet = this.initializeViewerCountSheet();
+  initializeViewerSampleSheet() {
+    let sampleSheet = this.spreadsheet.getSheetByName(CONFIG.VIEWER_SAMPLE_SHEET_NAME);
 
-    // 同じ配信URLの行を検索
-    const lastRow = viewerCountSheet.getLastRow();
-    let existingRow = null;
-
-    if (lastRow > 1) {
-      // videoIdを抽出（URLから）
-      const videoIdMatch = liveStreamData.url.match(/[?&]v=([^&]+)/);
-      const videoId = videoIdMatch ? videoIdMatch[1] : null;
-      
-      // データ行を取得（D列: 配信URL）
-      const data = viewerCountSheet.getRange(2, 4, lastRow - 1, 1).getValues();
-      
-      for (let i = 0; i < data.length; i++) {
-        const rowNum = i + 2;
-        const urlCell = viewerCountSheet.getRange(rowNum, 4);
-        const urlValue = urlCell.getValue();
-        const urlFormula = urlCell.getFormula();
-        
-        // URLが一致するかチェック
-        let urlMatches = false;
-        
-        if (urlValue === liveStreamData.url) {
-          urlMatches = true;
-        } else if (urlFormula && urlFormula.includes(liveStreamData.url)) {
-          urlMatches = true;
-        } else if (videoId) {
-          // videoIdで比較（より確実）
-          const existingVideoIdMatch = (urlValue || '').match(/[?&]v=([^&]+)/);
-          const existingFormulaVideoIdMatch = (urlFormula || '').match(/[?&]v=([^&]+)/);
-          
-          if ((existingVideoIdMatch && existingVideoIdMatch[1] === videoId) ||
-              (existingFormulaVideoIdMatch && existingFormulaVideoIdMatch[1] === videoId)) {
-            urlMatches = true;
-          }
-        }
-        
-        if (urlMatches) {
-          existingRow = rowNum;
-          break;
-        }
-      }
+    if (!sampleSheet) {
+      sampleSheet = this.spreadsheet.insertSheet(CONFIG.VIEWER_SAMPLE_SHEET_NAME);
+      Logger.log(`シート "${CONFIG.VIEWER_SAMPLE_SHEET_NAME}" を作成しました`);
     }
 
-    const rowData = [
-      liveStreamData.channelId,
-      liveStreamData.channelName,
-      liveStreamData.title,
-      liveStreamData.url,
-      liveStreamData.viewerCount,
-      Utilities.formatDate(liveStreamData.recordedAt, 'JST', 'yyyy-MM-dd HH:mm:ss'),
-      liveStreamData.status
-    ];
+    // ヘッダー行が既に存在するかチェック
+    if (sampleSheet.getLastRow() === 0) {
+      sampleSheet.appendRow(CONFIG.VIEWER_SAMPLE_HEADERS);
 
-    if (existingRow) {
-      // 既存の行を更新
-      const range = viewerCountSheet.getRange(existingRow, 1, 1, CONFIG.VIEWER_COUNT_HEADERS.length);
-      range.setValues([rowData]);
-      
-      // 数値列の書式設定
-      viewerCountSheet.getRange(existingRow, 5).setNumberFormat('#,##0'); // 同時接続数
+      // ヘッダー行を太字にし、背景色を設定
+      const headerRange = sampleSheet.getRange(1, 1, 1, CONFIG.VIEWER_SAMPLE_HEADERS.length);
+      headerRange.setFontWeight('bold');
+      headerRange.setBackground('#34a853');
+      headerRange.setFontColor('#ffffff');
 
-      // 配信URLをハイパーリンクに設定
-      const urlCell = viewerCountSheet.getRange(existingRow, 4);
-      const url = urlCell.getValue();
-      if (url) {
-        urlCell.setFormula(`=HYPERLINK("${liveStreamData.url}", "視聴する")`);
-      }
+      // 最初の行を固定
+      sampleSheet.setFrozenRows(1);
 
-      Logger.log(`同時接続数を更新: ${liveStreamData.channelName} - ${liveStreamData.viewerCount}人 (行${existingRow})`);
-    } else {
-      // 新しい行を追加
-      viewerCountSheet.appendRow(rowData);
+      Logger.log('同時接続数サンプルシートヘッダーを初期化しました');
+    }
+
+    return sampleSheet;
+  }
 
-      // 数値列の書式設定
-      const newLastRow = viewerCountSheet.getLastRow();
-      viewerCountSheet.getRange(newLastRow, 5).setNumberFormat('#,##0'); // 同時接続数
+  /**
+   * 記録日時セルの値をDateに変換
+   * スプレッドシートが日付として解釈した場合はDate、文字列のまま保存された場合はJSTとして解釈する
+   * @param {Date|string} value セルの値
+   * @return {Date} 日時（解釈できない場合はInvalid Date）
+   */
+  parseRecordedAt(value) {
+    if (value instanceof Date) {
+      return value;
+    }
+    return new Date(String(value || '').replace(' ', 'T') + '+09:00');
+  }
+
+  /**
+   * 同時接続数サンプルから配信の統計値を計算
+   * 各サンプルは次のサンプルまでの時間（監視間隔の2倍まで）を代表し、最後のサンプルは監視間隔1回分とみなす
+   * @param {Array} samples {viewerCount, recordedAt}の配列（記録日時の昇順）
+   * @return {Object} {peak, peakAt, average, median, minutesAboveThreshold, sampleCount}
+   */
+  calculateViewerStats(samples) {
+    const stats = {
+      peak: 0,
+      peakAt: null,
+      average: 0,
+      median: 0,
+      minutesAboveThreshold: 0,
+      sampleCount: samples.length
+    };
+
+    if (samples.length === 0) {
+      return stats;
+    }
 
-      // 配信URLをハイパーリンクに設定
-      const urlCell = viewerCountSheet.getRange(newLastRow, 4);
-      const url = urlCell.getValue();
-      if (url) {
-        urlCell.setFormula(`=HYPERLINK("${liveStreamData.url}", "視聴する")`);
+    const intervalMinutes = CONFIG.MONITOR_INTERVAL_MINUTES;
+    let total = 0;
+
+    samples.forEach((sample, index) => {
+      total += sample.viewerCount;
+
+      if (sample.viewerCount > stats.peak || !stats.peakAt) {
+        stats.peak = sample.viewerCount;
+        stats.peakAt = sample.recordedAt;
+      }
+
+      // このサンプルが代表する時間（監視が止まっていた区間を数えすぎないよう上限を設ける）
+      const next = samples[index + 1];
+      const minutes = next
+        ? Math.min((next.recordedAt - sample.recordedAt) / (1000 * 60), intervalMinutes * 2)
+        : intervalMinutes;
+
+      if (sample.viewerCount >= CONFIG.VIEWER_THRESHOLD) {
+        stats.minutesAboveThreshold += minutes;
       }
+    });
+
+    const sortedCounts = samples.map(sample => sample.viewerCount).sort((a, b) => a - b);
+    const middle = Math.floor(sortedCounts.length / 2);
+
+    stats.average = Math.round(total / samples.length);
+    stats.median = sortedCounts.length % 2 === 0
+      ? Math.round((sortedCounts[middle - 1] + sortedCounts[middle]) / 2)
+      : sortedCounts[middle];
+    stats.minutesAboveThreshold = Math.round(stats.minutesAboveThreshold);
+
+    return stats;
+  }
+
+  /**
+   * 配信セッションシートを初期化
+   */
+  initializeStreamSessionSheet() {
+    let sessionSheet = this.spreadsheet.getSheetByName(CONFIG.STREAM_SESSION_SHEET_NAME);
+
+    if (!sessionSheet) {
+      sessionSheet = this.spreadsheet.insertSheet(CONFIG.STREAM_SESSION_SHEET_NAME);
+      Logger.log(`シート "${CONFIG.STREAM_SESSION_SHEET_NAME}" を作成しました`);
+    }
+
+    // ヘッダー行が既に存在するかチェック
+    if (sessionSheet.getLastRow() === 0) {
+      sessionSheet.appendRow(CONFIG.STREAM_SESSION_HEADERS);
+
+      // ヘッダー行を太字にし、背景色を設定
+      const headerRange = sessionSheet.getRange(1, 1, 1, CONFIG.STREAM_SESSION_HEADERS.length);
+      headerRange.setFontWeight('bold');
+      headerRange.setBackground('#34a853');
+      headerRange.setFontColor('#ffffff');
+
+      // 最初の行を固定
+      sessionSheet.setFrozenRows(1);
 
-      Logger.log(`同時接続数を記録: ${liveStreamData.channelName} - ${liveStreamData.viewerCount}人`);
+      Logger.log('配信セッションシートヘッダーを初期化しました');
     }
+
+    return sessionSheet;
   }
 
   /**
    * 除外キーワードシートを初期化
+   * 事務所による除外は事務所マスタ（AgencyRegistry）で管理するため、初期データは登録しない
    */
   initializeExcludedKeywordsSheet() {
     let excludedKeywordsSheet = this.spreadsheet.getSheetByName(CONFIG.EXCLUDED_KEYWORDS_SHEET_NAME);
@@ -606,26 +1077,6 @@ class SpreadsheetManager {
       headerRange.setBackground('#ea4335');
       headerRange.setFontColor('#ffffff');
 
-      // デフォルトの除外キーワードを追加
-      const defaultKeywords = [
-        ['ホロライブ', 'ホロライブプロダクション所属'],
-        ['hololive', 'ホロライブプロダクション所属（英語表記）'],
-        ['にじさんじ', 'にじさんじ所属'],
-        ['nijisanji', 'にじさんじ所属（英語表記）'],
-        ['ぶいすぽ', 'ぶいすぽっ！所属'],
-        ['VSPO', 'ぶいすぽっ！所属（英語表記）'],
-        ['.LIVE', 'どっとライブ所属'],
-        ['774inc', '774inc所属'],
-        ['Re:AcT', 'Re:AcT所属'],
-        ['のりプロ', 'のりプロ所属'],
-        ['あおぎり高校', 'あおぎり高校所属'],
-        ['RIONECTION', 'RIONECTION所属']
-      ];
-
-      defaultKeywords.forEach(keyword => {
-        excludedKeywordsSheet.appendRow(keyword);
-      });
-
       // 列幅を自動調整
       for (let i = 1; i <= CONFIG.EXCLUDED_KEYWORDS_HEADERS.length; i++) {
         excludedKeywordsSheet.autoResizeColumn(i);
@@ -674,25 +1125,322 @@ class SpreadsheetManager {
    * 全データ行をチェックして、除外フラグがtrueの行を非表示にする
    */
   updateRowVisibility() {
-    const lastRow = this.sheet.getLastRow();
+    this.withWriteLock('行の表示/非表示の更新', () => {
+      const excludeFlags = this.getColumnValues('excludeFlag');
+      if (excludeFlags.length === 0) {
+        return;
+      }
+
+      this.applyRowVisibility(2, excludeFlags.map(excludeFlag => excludeFlag === true));
+
+      Logger.log('行の表示/非表示を更新しました');
+    }, CONFIG.WRITE_LOCK_BULK_TIMEOUT_MS);
+  }
+
+  /**
+   * 除外チャンネルシートを初期化
+   */
+  initializeSuppressionSheet() {
+    let suppressionSheet = this.spreadsheet.getSheetByName(CONFIG.SUPPRESSION_SHEET_NAME);
+
+    if (!suppressionSheet) {
+      suppressionSheet = this.spreadsheet.insertSheet(CONFIG.SUPPRESSION_SHEET_NAME);
+      Logger.log(`シート "${CONFIG.SUPPRESSION_SHEET_NAME}" を作成しました`);
+    }
+
+    // ヘッダー行が既に存在するかチェック
+    const lastRow = suppressionSheet.getLastRow();
+    if (lastRow === 0) {
+      // ヘッダー行を追加
+      suppressionSheet.appendRow(CONFIG.SUPPRESSION_HEADERS);
+
+      // ヘッダー行を太字にし、背景色を設定
+      const headerRange = suppressionSheet.getRange(1, 1, 1, CONFIG.SUPPRESSION_HEADERS.length);
+      headerRange.setFontWeight('bold');
+      headerRange.setBackground('#ea4335');
+      headerRange.setFontColor('#ffffff');
+
+      // 列幅を自動調整
+      for (let i = 1; i <= CONFIG.SUPPRESSION_HEADERS.length; i++) {
+        suppressionSheet.autoResizeColumn(i);
+      }
+
+      // 最初の行を固定
+      suppressionSheet.setFrozenRows(1);
+
+      Logger.log('除外チャンネルシートを初期化しました');
+    }
+
+    return suppressionSheet;
+  }
+
+  /**
+   * 除外チャンネルシートから除外情報を取得
+   * シートがない場合は作成せずに空のMapを返す（読み取りだけでシートを増やさない）
+   * @return {Map} チャンネルID -> {row, channelName, suppressedBy, suppressedAt, reason, snapshot}
+   */
+  getSuppressedChannels() {
+    const suppressionSheet = this.spreadsheet.getSheetByName(CONFIG.SUPPRESSION_SHEET_NAME);
+    const suppressedChannels = new Map();
+
+    const lastRow = suppressionSheet ? suppressionSheet.getLastRow() : 0;
     if (lastRow <= 1) {
-      return;
+      return suppressedChannels;
     }
 
-    const data = this.sheet.getRange(2, 1, lastRow - 1, CONFIG.SHEET_HEADERS.length).getValues();
+    const data = suppressionSheet.getRange(2, 1, lastRow - 1, CONFIG.SUPPRESSION_HEADERS.length).getValues();
 
     data.forEach((row, index) => {
-      const excludeFlag = row[1]; // B列（除外フラグ）
-      const actualRow = index + 2; // 実際の行番号
+      const channelId = row[0];
+      if (!channelId) {
+        return;
+      }
 
-      if (excludeFlag === true) {
-        this.sheet.hideRows(actualRow);
-      } else {
-        this.sheet.showRows(actualRow);
+      let snapshot = null;
+      if (row[5]) {
+        try {
+          snapshot = this.normalizeSnapshot(JSON.parse(row[5]));
+        } catch (e) {
+          Logger.log(`除外チャンネルの元データが不正です (${channelId}): ${e.message}`);
+        }
+      }
+
+      suppressedChannels.set(String(channelId), {
+        row: index + 2, // 実際の行番号
+        channelName: String(row[1] || ''),
+        suppressedBy: String(row[2] || ''),
+        suppressedAt: row[3],
+        reason: String(row[4] || ''),
+        snapshot: snapshot
+      });
+    });
+
+    return suppressedChannels;
+  }
+
+  /**
+   * 除外チャンネルの元データをヘッダー名をキーとするオブジェクトに揃える
+   * 旧形式（行データの配列）はSHEET_HEADERSの列順で保存されているため、その順にヘッダー名を割り当てる
+   * @param {Array|Object} snapshot 元データ
+   * @return {Object} ヘッダー名 -> 値
+   */
+  normalizeSnapshot(snapshot) {
+    if (!Array.isArray(snapshot)) {
+      return snapshot;
+    }
+
+    const object = {};
+    CONFIG.SHEET_HEADERS.forEach((header, index) => {
+      if (index < snapshot.length) {
+        object[header] = snapshot[index];
       }
     });
+    return object;
+  }
+
+  /**
+   * 除外済みチャンネルIDを取得
+   * 除外チャンネルシートの登録分に加え、VTuberリストで除外フラグが付いている行も含める
+   * @return {Set} チャンネルIDのSet
+   */
+  getSuppressedChannelIds() {
+    const suppressedIds = new Set(this.getSuppressedChannels().keys());
+
+    // 除外フラグ列とチャンネルID列を取得
+    const excludeFlags = this.getColumnValues('excludeFlag');
+    const channelIds = this.getColumnValues('channelId');
+    excludeFlags.forEach((excludeFlag, index) => {
+      if (excludeFlag === true && channelIds[index]) {
+        suppressedIds.add(channelIds[index]);
+      }
+    });
+
+    return suppressedIds;
+  }
+
+  /**
+   * チャンネルを除外（除外チャンネルシートに登録し、VTuberリストの行を非表示にする）
+   * @param {string} channelId チャンネルID
+   * @param {string} reason 除外理由
+   * @param {string} suppressedBy 除外者
+   * @return {Object} {success: 成否, channelId: チャンネルID}
+   */
+  suppressChannel(channelId, reason = '', suppressedBy = '') {
+    return this.withWriteLock('チャンネルの除外', () => this.writeSuppression(channelId, reason, suppressedBy));
+  }
+
+  /**
+   * チャンネルの除外を書き込む（書き込みロック内で呼び出す）
+   * @param {string} channelId チャンネルID
+   * @param {string} reason 除外理由
+   * @param {string} suppressedBy 除外者
+   * @return {Object} {success: 成否, channelId: チャンネルID}
+   */
+  writeSuppression(channelId, reason, suppressedBy) {
+    const suppressionSheet = this.initializeSuppressionSheet();
+    const suppressedChannels = this.getSuppressedChannels();
+
+    // VTuberリストの行データを元データとして保存
+    const row = this.findChannelRow(channelId);
+    let channelName = '';
+    let snapshot = '';
+    if (row) {
+      const columns = this.getColumns();
+      const range = this.sheet.getRange(row, 1, 1, columns.getWidth());
+      const rowData = range.getValues()[0];
+      channelName = String(columns.value(rowData, 'channelName') || '');
+      snapshot = this.buildSuppressionSnapshot(columns, rowData, range.getFormulas()[0]);
+
+      // 除外フラグを設定して行を非表示
+      this.setChannelValue(row, 'excludeFlag', true);
+      this.sheet.hideRows(row);
+    }
+
+    const registryRow = [
+      channelId,
+      channelName,
+      suppressedBy,
+      Utilities.formatDate(new Date(), 'JST', 'yyyy-MM-dd HH:mm:ss'),
+      reason,
+      snapshot
+    ];
+
+    if (suppressedChannels.has(channelId)) {
+      // 既に登録済みの場合は除外者・日時・理由を更新（元データは行がある場合のみ上書き）
+      const existing = suppressedChannels.get(channelId);
+      if (!row) {
+        registryRow[1] = existing.channelName;
+        registryRow[5] = existing.snapshot ? JSON.stringify(existing.snapshot) : '';
+      }
+      suppressionSheet.getRange(existing.row, 1, 1, CONFIG.SUPPRESSION_HEADERS.length).setValues([registryRow]);
+    } else {
+      suppressionSheet.appendRow(registryRow);
+    }
+
+    Logger.log(`チャンネルを除外しました: ${channelName || channelId}（除外者: ${suppressedBy || '不明'}、理由: ${reason || 'なし'}）`);
+    return { success: true, channelId: channelId };
+  }
+
+  /**
+   * 除外チャンネルシートに保存する元データ（JSON文字列）を作成
+   * IMAGE関数・HYPERLINK関数のセルは数式のまま保存（復元時にsetValuesで数式として再設定される）
+   * 列構成が変わっても復元できるよう、ヘッダー名をキーとするオブジェクトで保存
+   * @param {Object} columns 列構成
+   * @param {Array} rowData VTuberリストの行データ
+   * @param {Array} rowFormulas 行の数式
+   * @return {string} 元データ
+   */
+  buildSuppressionSnapshot(columns, rowData, rowFormulas) {
+    return JSON.stringify(columns.toHeaderObject(rowData.map((value, index) => {
+      if (rowFormulas[index]) {
+        return rowFormulas[index];
+      }
+      return value instanceof Date ? Utilities.formatDate(value, 'JST', 'yyyy-MM-dd HH:mm:ss') : value;
+    })));
+  }
+
+  /**
+   * チャンネルの除外を解除（VTuberリストの行を再表示し、行が失われていれば元データから復元する）
+   * @param {string} channelId チャンネルID
+   * @return {Object} {success: 成否, channelId: チャンネルID, restored: 元データから復元したか}
+   */
+  unsuppressChannel(channelId) {
+    return this.withWriteLock('チャンネルの除外解除', () => this.writeUnsuppression(channelId));
+  }
+
+  /**
+   * チャンネルの除外解除を書き込む（書き込みロック内で呼び出す）
+   * @param {string} channelId チャンネルID
+   * @return {Object} {success: 成否, channelId: チャンネルID, restored: 元データから復元したか}
+   */
+  writeUnsuppression(channelId) {
+    const suppressionSheet = this.initializeSuppressionSheet();
+    const suppressedChannels = this.getSuppressedChannels();
+    const suppression = suppressedChannels.get(channelId);
+
+    let restored = false;
+    const row = this.findChannelRow(channelId);
+
+    if (row) {
+      // 行が残っている場合は除外フラグを外して再表示
+      this.setChannelValue(row, 'excludeFlag', false);
+      this.sheet.showRows(row);
+    } else if (suppression && suppression.snapshot) {
+      // 行が失われている場合は元データから復元
+      const columns = this.getColumns();
+      const rowData = columns.fromHeaderObject(suppression.snapshot);
+      columns.assign(rowData, { excludeFlag: false }); // 除外フラグを解除
+
+      const startRow = this.sheet.getLastRow() + 1;
+      this.sheet.getRange(startRow, 1, 1, columns.getWidth()).setValues([rowData]);
+      this.formatDataRows(startRow, 1);
+      restored = true;
+      Logger.log(`除外時の元データから行を復元しました: ${suppression.channelName || channelId}（行${startRow}）`);
+    } else if (!suppression) {
+      return { success: false, channelId: channelId, error: 'Channel not found' };
+    }
+
+    // 除外チャンネルシートから削除
+    if (suppression) {
+      suppressionSheet.deleteRow(suppression.row);
+    }
 
-    Logger.log('行の表示/非表示を更新しました');
+    Logger.log(`チャンネルの除外を解除しました: ${channelId}`);
+    return { success: true, channelId: channelId, restored: restored };
+  }
+
+  /**
+   * VTuberリストの除外フラグを除外チャンネルシートに同期
+   * 台帳に未登録の除外行を登録する（除外チャンネルシート導入前のデータ移行用）
+   * VTuberリストと除外チャンネルシートを1回ずつ読み、登録行はまとめて書き込む
+   * @return {number} 新たに登録した件数
+   */
+  syncSuppressionFromExcludeFlags() {
+    return this.withWriteLock('除外フラグの同期', () => {
+      const lastRow = this.sheet.getLastRow();
+      if (lastRow <= 1) {
+        return 0;
+      }
+
+      const suppressedChannels = this.getSuppressedChannels();
+      const columns = this.getColumns();
+      const range = this.sheet.getRange(2, 1, lastRow - 1, columns.getWidth());
+      const data = range.getValues();
+      const formulas = range.getFormulas();
+      const now = Utilities.formatDate(new Date(), 'JST', 'yyyy-MM-dd HH:mm:ss');
+
+      const registryRows = [];
+      const registeredIds = new Set();
+      data.forEach((row, index) => {
+        const channelId = String(columns.value(row, 'channelId') || '');
+        if (columns.value(row, 'excludeFlag') !== true || !channelId ||
+            suppressedChannels.has(channelId) || registeredIds.has(channelId)) {
+          return;
+        }
+        registeredIds.add(channelId);
+        registryRows.push([
+          channelId,
+          String(columns.value(row, 'channelName') || ''),
+          'シート（除外フラグ）',
+          now,
+          '除外フラグから移行',
+          this.buildSuppressionSnapshot(columns, row, formulas[index])
+        ]);
+      });
+
+      if (registryRows.length > 0) {
+        const suppressionSheet = this.initializeSuppressionSheet();
+        suppressionSheet
+          .getRange(suppressionSheet.getLastRow() + 1, 1, registryRows.length, CONFIG.SUPPRESSION_HEADERS.length)
+          .setValues(registryRows);
+      }
+
+      // 除外フラグの行を非表示（連続する行はまとめて設定）
+      this.applyRowVisibility(2, data.map(row => columns.value(row, 'excludeFlag') === true));
+
+      Logger.log(`除外フラグから${registryRows.length}件のチャンネルを除外チャンネルシートに登録しました`);
+      return registryRows.length;
+    }, CONFIG.WRITE_LOCK_BULK_TIMEOUT_MS);
   }
 
   /**
@@ -727,6 +1475,18 @@ class SpreadsheetManager {
       attributeSheet.setFrozenRows(1);
 
       Logger.log('属性管理シートを初期化しました');
+    } else {
+      // 以前の列構成（フィルタ文言・属性名・属性のみ）のシートには、不足している列を右端に追加
+      const width = attributeSheet.getLastColumn();
+      if (width < CONFIG.ATTRIBUTE_HEADERS.length) {
+        const missingHeaders = CONFIG.ATTRIBUTE_HEADERS.slice(width);
+        const headerRange = attributeSheet.getRange(1, width + 1, 1, missingHeaders.length);
+        headerRange.setValues([missingHeaders]);
+        headerRange.setFontWeight('bold');
+        headerRange.setBackground('#9c27b0');
+        headerRange.setFontColor('#ffffff');
+        Logger.log(`属性管理シートに列を追加しました: ${missingHeaders.join('、')}`);
+      }
     }
 
     return attributeSheet;
@@ -734,7 +1494,8 @@ class SpreadsheetManager {
 
   /**
    * 属性管理シートから属性設定を取得
-   * @return {Array} 属性設定の配列（{filterText: フィルタ文言, attributeName: 属性名, attribute: 属性}）
+   * @return {Array} 属性設定の配列（{row: 行番号, filterText: フィルタ文言, attributeName: 属性名, attribute: 属性,
+   *   matchMode: マッチ方式, condition: 条件, excludeText: 除外語, fields: 対象, priority: 優先度, enabled: 有効}）
    */
   getAttributeSettings() {
     const attributeSheet = this.initializeAttributeSheet();
@@ -750,16 +1511,22 @@ class SpreadsheetManager {
     // データ行を取得
     const data = attributeSheet.getRange(2, 1, lastRow - 1, CONFIG.ATTRIBUTE_HEADERS.length).getValues();
 
-    data.forEach(row => {
-      const filterText = row[0]; // フィルタ文言
-      const attributeName = row[1]; // 属性名
-      const attribute = row[2]; // 属性
+    const text = value => (value !== null && value !== undefined ? value.toString().trim() : '');
+    data.forEach((row, index) => {
+      const filterText = text(row[0]); // フィルタ文言
 
-      if (filterText && filterText.toString().trim() !== '') {
+      if (filterText !== '') {
         attributeSettings.push({
-          filterText: filterText.toString().trim(),
-          attributeName: attributeName ? attributeName.toString().trim() : '',
-          attribute: attribute ? attribute.toString().trim() : ''
+          row: index + 2, // 実際の行番号
+          filterText: filterText,
+          attributeName: text(row[1]), // 属性名
+          attribute: text(row[2]), // 属性
+          matchMode: text(row[3]), // マッチ方式
+          condition: text(row[4]), // 条件
+          excludeText: text(row[5]), // 除外語
+          fields: text(row[6]), // 対象
+          priority: text(row[7]), // 優先度
+          enabled: row[8] !== false && text(row[8]).toUpperCase() !== 'FALSE' // 有効（空欄は有効）
         });
       }
     });
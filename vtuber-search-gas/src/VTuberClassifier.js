@@ -0,0 +1,90 @@
+/**
+ * VTuber判定クラス
+ * チャンネル名・説明文・チャンネルキーワード・最近の動画タイトル・ライブ配信の割合から、
+ * VTuberのチャンネルである確度（0〜100）を採点する
+ * 各シグナルの配点はCONFIG.CLASSIFIER_WEIGHTS、判定の閾値はCONFIG.CLASSIFIER_ACCEPT_THRESHOLD / CLASSIFIER_REVIEW_THRESHOLD
+ */
+
+class VTuberClassifier {
+  /**
+   * チャンネルを採点
+   * @param {Object} signals {channelName, description, brandingKeywords, videoTitles: 動画タイトルの配列, streamCount: ライブ配信の本数, videoCount: 動画の本数}
+   * @return {Object} {score: 確度, decision: 'accept' | 'review' | 'reject', reasons: 判定理由の配列}
+   */
+  classify(signals) {
+    const weights = CONFIG.CLASSIFIER_WEIGHTS;
+    const reasons = [];
+    let score = 0;
+
+    // チャンネル名・説明文のキーワード（URLは除外）
+    const profileText = `${signals.channelName || ''}\n${removeUrls(signals.description || '')}`.toLowerCase();
+    const keywordHits = this.findKeywords(profileText, CONFIG.CLASSIFIER_KEYWORDS);
+    if (keywordHits.length > 0) {
+      score += weights.keywords * Math.min(keywordHits.length, 2) / 2;
+      reasons.push(`キーワード: ${keywordHits.join(', ')}`);
+    }
+
+    // チャンネルキーワード（brandingSettings.channel.keywords）
+    const brandingHits = this.findKeywords(String(signals.brandingKeywords || '').toLowerCase(), CONFIG.CLASSIFIER_KEYWORDS);
+    if (brandingHits.length > 0) {
+      score += weights.branding;
+      reasons.push(`チャンネルキーワード: ${brandingHits.join(', ')}`);
+    }
+
+    // 配信タイトルの形式の割合
+    const titles = signals.videoTitles || [];
+    if (titles.length > 0) {
+      const matched = titles.filter(title => this.findKeywords(title.toLowerCase(), CONFIG.CLASSIFIER_TITLE_PATTERNS).length > 0);
+      if (matched.length > 0) {
+        score += weights.titles * Math.min(matched.length / titles.length * 2, 1);
+        reasons.push(`配信タイトル: ${matched.length}/${titles.length}本`);
+      }
+    }
+
+    // ライブ配信の割合
+    if (signals.videoCount > 0 && signals.streamCount > 0) {
+      score += weights.streams * Math.min(signals.streamCount / signals.videoCount * 2, 1);
+      reasons.push(`ライブ配信: ${signals.streamCount}/${signals.videoCount}本`);
+    }
+
+    // 否定キーワード（チャンネル名・説明文）
+    const negativeHits = this.findKeywords(profileText, CONFIG.CLASSIFIER_NEGATIVE_KEYWORDS);
+    if (negativeHits.length > 0) {
+      score -= weights.negative * Math.min(negativeHits.length, 2);
+      reasons.push(`否定キーワード: ${negativeHits.join(', ')}`);
+    }
+
+    score = Math.max(0, Math.min(100, Math.round(score)));
+
+    return {
+      score: score,
+      decision: this.decide(score),
+      reasons: reasons
+    };
+  }
+
+  /**
+   * 確度から判定を決める
+   * @param {number} score 確度
+   * @return {string} 'accept'（追加） / 'review'（レビュー待ち） / 'reject'（却下）
+   */
+  decide(score) {
+    if (score >= CONFIG.CLASSIFIER_ACCEPT_THRESHOLD) {
+      return 'accept';
+    }
+    if (score >= CONFIG.CLASSIFIER_REVIEW_THRESHOLD) {
+      return 'review';
+    }
+    return 'reject';
+  }
+
+  /**
+   * テキストに含まれるキーワードを取得
+   * @param {string} text 小文字に変換したテキスト
+   * @param {Array} keywords キーワード一覧
+   * @return {Array} 含まれるキーワード
+   */
+  findKeywords(text, keywords) {
+    return keywords.filter(keyword => text.includes(keyword.toLowerCase()));
+  }
+}
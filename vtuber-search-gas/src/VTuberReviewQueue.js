@@ -0,0 +1,167 @@
+/**
+ * VTuber判定レビュークラス
+ * VTuber判定の確度が閾値の間だったチャンネル（レビュー待ち）と、閾値未満で自動却下したチャンネルを
+ * 「VTuber判定レビュー」シートに記録する
+ *
+ * - シートに記録したチャンネルは、以降の検索でチャンネル詳細を取得しない（クォータを使わない）
+ * - 判定列に「承認」と入力したチャンネルは、applyDecisionsでVTuberリストに追加する（自動却下の行も承認できる）
+ */
+
+class VTuberReviewQueue {
+  constructor(sheetManager = null) {
+    this.sheetManager = sheetManager || new SpreadsheetManager();
+  }
+
+  /**
+   * VTuber判定レビューシートを初期化
+   * @return {Sheet} VTuber判定レビューシート
+   */
+  initializeSheet() {
+    const spreadsheet = this.sheetManager.spreadsheet;
+    let sheet = spreadsheet.getSheetByName(CONFIG.CLASSIFIER_REVIEW_SHEET_NAME);
+
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(CONFIG.CLASSIFIER_REVIEW_SHEET_NAME);
+      Logger.log(`シート "${CONFIG.CLASSIFIER_REVIEW_SHEET_NAME}" を作成しました`);
+    }
+
+    // ヘッダー行が既に存在するかチェック
+    if (sheet.getLastRow() === 0) {
+      sheet.appendRow(CONFIG.CLASSIFIER_REVIEW_HEADERS);
+
+      // ヘッダー行を太字にし、背景色を設定
+      const headerRange = sheet.getRange(1, 1, 1, CONFIG.CLASSIFIER_REVIEW_HEADERS.length);
+      headerRange.setFontWeight('bold');
+      headerRange.setBackground('#34a853');
+      headerRange.setFontColor('#ffffff');
+
+      // 最初の行を固定
+      sheet.setFrozenRows(1);
+
+      Logger.log('VTuber判定レビューシートヘッダーを初期化しました');
+    }
+
+    return sheet;
+  }
+
+  /**
+   * シートに記録済みのチャンネルIDを取得（レビュー待ち・却下・承認済みのすべて）
+   * @return {Set} チャンネルIDのSet
+   */
+  getRecordedChannelIds() {
+    return new Set(this.getRows().map(row => row.channelId));
+  }
+
+  /**
+   * シートの行を取得
+   * @return {Array} {row, channelId, channelName, score, decision, appliedAt, channelData}の配列
+   */
+  getRows() {
+    const sheet = this.initializeSheet();
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) {
+      return [];
+    }
+
+    return sheet.getRange(2, 1, lastRow - 1, CONFIG.CLASSIFIER_REVIEW_HEADERS.length).getValues()
+      .map((row, index) => ({
+        row: index + 2, // 実際の行番号
+        channelId: String(row[0] || ''),
+        channelName: String(row[1] || ''),
+        score: Number(row[4]) || 0,
+        decision: String(row[7] || '').trim(),
+        appliedAt: row[8],
+        channelData: String(row[9] || '')
+      }))
+      .filter(row => row.channelId);
+  }
+
+  /**
+   * チャンネルをシートに記録
+   * @param {Array} channels チャンネル情報（vtuberConfidence・classificationを付与済み）の配列
+   * @param {string} decision 判定列の初期値（レビュー待ちは空、自動却下は「却下」）
+   * @return {number} 記録した件数
+   */
+  record(channels, decision) {
+    if (channels.length === 0) {
+      return 0;
+    }
+
+    return this.sheetManager.withWriteLock('VTuber判定レビューへの記録', () => {
+      const sheet = this.initializeSheet();
+      const recordedIds = this.getRecordedChannelIds();
+      const now = Utilities.formatDate(new Date(), 'JST', 'yyyy-MM-dd HH:mm:ss');
+
+      const rows = channels
+        .filter(channel => !recordedIds.has(channel.channelId))
+        .map(channel => [
+          channel.channelId,
+          channel.channelName,
+          channel.channelUrl,
+          channel.subscriberCount,
+          channel.vtuberConfidence,
+          channel.classification.reasons.join(' / '),
+          now,
+          decision,
+          decision ? now : '', // 自動却下は記録時点で反映済み
+          JSON.stringify(channel)
+        ]);
+
+      if (rows.length > 0) {
+        sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, CONFIG.CLASSIFIER_REVIEW_HEADERS.length).setValues(rows);
+      }
+      return rows.length;
+    });
+  }
+
+  /**
+   * 判定列に「承認」と入力された未反映のチャンネルをVTuberリストに追加
+   * 「却下」と入力された行は反映日時のみ記録する
+   * @return {Object} {approved: 追加した件数, rejected: 却下を反映した件数}
+   */
+  applyDecisions() {
+    return this.sheetManager.withWriteLock('VTuber判定レビューの反映', () => {
+      const sheet = this.initializeSheet();
+      const now = Utilities.formatDate(new Date(), 'JST', 'yyyy-MM-dd HH:mm:ss');
+      const appliedColumn = CONFIG.CLASSIFIER_REVIEW_HEADERS.indexOf('反映日時') + 1;
+      const rows = this.getRows();
+      const approvedChannels = [];
+      const appliedRows = new Set();
+      let rejected = 0;
+
+      rows.forEach(entry => {
+        if (entry.appliedAt || (entry.decision !== '承認' && entry.decision !== '却下')) {
+          return;
+        }
+
+        if (entry.decision === '承認') {
+          const channel = JSON.parse(entry.channelData);
+          channel.fetchedAt = new Date(channel.fetchedAt);
+          approvedChannels.push(channel);
+          Logger.log(`レビューで承認: ${entry.channelName} (${entry.channelId})`);
+        } else {
+          rejected++;
+        }
+        appliedRows.add(entry.row);
+      });
+
+      // 追加に失敗した場合に反映済みにならないよう、VTuberリストへの追加が終わってから反映日時を記録する
+      if (approvedChannels.length > 0) {
+        this.sheetManager.appendChannels(approvedChannels);
+      }
+
+      if (appliedRows.size > 0) {
+        const appliedRange = sheet.getRange(2, appliedColumn, sheet.getLastRow() - 1, 1);
+        const appliedValues = appliedRange.getValues();
+        rows.forEach(entry => {
+          if (appliedRows.has(entry.row)) {
+            appliedValues[entry.row - 2][0] = now;
+          }
+        });
+        appliedRange.setValues(appliedValues);
+      }
+
+      return { approved: approvedChannels.length, rejected: rejected };
+    });
+  }
+}
@@ -38,15 +38,39 @@ function handleApiRequest(e) {
       case 'getChannels':
         result = getChannelsApi(e.parameter);
         break;
+      case 'getRisingChannels':
+        result = getRisingChannelsApi(e.parameter);
+        break;
       case 'getStats':
         result = getStatsApi();
         break;
       case 'getLiveStreams':
         result = getLiveStreamsApi();
         break;
+      case 'getJobStatus':
+        result = getJobStatusApi();
+        break;
       case 'updateChannelFlag':
         result = updateChannelFlagApi(e.parameter);
         break;
+      case 'getScoutingBoard':
+        result = getScoutingBoardApi(e.parameter);
+        break;
+      case 'getScoutingEntry':
+        result = getScoutingEntryApi(e.parameter);
+        break;
+      case 'updateScoutingEntry':
+        result = updateScoutingEntryApi(e.parameter);
+        break;
+      case 'addScoutingActivity':
+        result = addScoutingActivityApi(e.parameter);
+        break;
+      case 'getAgencies':
+        result = getAgenciesApi();
+        break;
+      case 'getDiscoveryYields':
+        result = getDiscoveryYieldsApi();
+        break;
       default:
         result = { error: 'Unknown action' };
     }
@@ -77,7 +101,8 @@ function getChannelsApi(params) {
   }
   
   // 全データを取得
-  const range = sheet.getRange(2, 1, lastRow - 1, CONFIG.SHEET_HEADERS.length);
+  const columns = sheetManager.getColumns();
+  const range = sheet.getRange(2, 1, lastRow - 1, columns.getWidth());
   const data = range.getValues();
   const formulas = range.getFormulas();
   
@@ -88,30 +113,7 @@ function getChannelsApi(params) {
   const showAll = params.showAll === 'true' || params.showAll === true;
   
   // チャンネルオブジェクトに変換（すべての値を安全な形式に変換）
-  let channels = data.map((row, index) => ({
-    rank: index + 1,
-    liveMonitor: row[0] === true,
-    excludeFlag: row[1] === true, // B列（除外フラグ）
-    // C列（アイコン）: 式からURLを抽出、または値をそのまま使用
-    thumbnailUrl: String(extractImageUrl(formulas[index][2]) || extractImageUrl(row[2]) || ''),
-    channelId: String(row[3] || ''),
-    channelName: String(row[4] || ''),
-    // F列（チャンネルURL）: 式からURLを抽出、または値をそのまま使用
-    channelUrl: String(extractHyperlinkUrl(formulas[index][5]) || extractHyperlinkUrl(row[5]) || `https://www.youtube.com/channel/${row[3]}`),
-    subscriberCount: Number(row[6]) || 0,
-    attributes: String(row[7] || ''), // H列（属性）
-    uploadFrequency: Number(row[8]) || 0,
-    avgViewCount: Number(row[9]) || 0,
-    avgLikeCount: Number(row[10]) || 0,
-    avgCommentCount: Number(row[11]) || 0,
-    lastPublishedAt: formatDateValue(row[12]),
-    description: String(row[13] || ''),
-    // O列（Twitter）: 式からURLを抽出、または値をそのまま使用
-    twitterLink: String(extractHyperlinkUrl(formulas[index][14]) || extractHyperlinkUrl(row[14]) || row[14] || ''),
-    fetchedAt: formatDateValue(row[15]),
-    maxViewerCount: Number(row[16]) || 0,
-    maxViewerCountDate: formatDateValue(row[17])
-  })).filter(ch => {
+  let channels = data.map((row, index) => buildChannelObject(row, formulas[index], index, columns)).filter(ch => {
     if (!ch.channelId) return false;
     // 除外者のみ表示モード
     if (showExcluded) {
@@ -124,8 +126,51 @@ function getChannelsApi(params) {
     // デフォルト: 除外者を非表示
     return !ch.excludeFlag;
   });
+
+  // 除外者の表示時は除外チャンネルシートの情報（除外者・日時・理由）を付加
+  if (showExcluded || showAll) {
+    const suppressedChannels = sheetManager.getSuppressedChannels();
+    const listedIds = new Set(channels.map(ch => ch.channelId));
+
+    channels.forEach(ch => {
+      const suppression = suppressedChannels.get(ch.channelId);
+      if (suppression) {
+        Object.assign(ch, buildSuppressionInfo(suppression));
+      }
+    });
+
+    // VTuberリストから行が失われた除外チャンネルは元データから表示（除外解除で復元できるようにする）
+    suppressedChannels.forEach((suppression, channelId) => {
+      if (listedIds.has(channelId) || !suppression.snapshot) return;
+      const snapshotRow = columns.fromHeaderObject(suppression.snapshot);
+      const snapshotFormulas = snapshotRow.map(value => String(value).startsWith('=') ? value : '');
+      const ch = buildChannelObject(snapshotRow, snapshotFormulas, channels.length, columns);
+      ch.excludeFlag = true;
+      Object.assign(ch, buildSuppressionInfo(suppression));
+      channels.push(ch);
+    });
+  }
   
   Logger.log('Channels after filter: ' + channels.length);
+
+  // 統計履歴から計算した伸び（7日・30日）を付加（履歴が足りない期間はnull）
+  // 日次スナップショットで書き出した「伸びの集計」シートのみ読む
+  const growthMetrics = new ChannelSnapshotManager(sheetManager).getLatestGrowthMetrics();
+  channels.forEach(ch => {
+    Object.assign(ch, buildGrowthInfo(growthMetrics.get(ch.channelId)));
+  });
+
+  // 切り抜きチャンネル数（人気の指標として詳細に表示）
+  const clipCounts = new RelatedChannelRegistry(sheetManager).countByChannel(CONFIG.RELATED_TYPE_CLIP);
+  channels.forEach(ch => {
+    ch.clipChannelCount = clipCounts.get(ch.channelId) || 0;
+  });
+
+  // SNSリンク（詳細に表示）
+  const socialLinks = new SocialLinkRegistry(sheetManager).getLinksByChannel();
+  channels.forEach(ch => {
+    ch.socialLinks = buildSocialLinks(socialLinks.get(ch.channelId));
+  });
   
   // ソート処理
   const sortBy = params.sortBy || 'maxViewerCount';
@@ -134,6 +179,10 @@ function getChannelsApi(params) {
   channels.sort((a, b) => {
     let valA = a[sortBy];
     let valB = b[sortBy];
+
+    // 値がない（伸びの履歴不足など）チャンネルは並び順に関わらず末尾
+    if (valA === null || valA === undefined) return (valB === null || valB === undefined) ? 0 : 1;
+    if (valB === null || valB === undefined) return -1;
     
     // 数値として比較
     if (typeof valA === 'number' && typeof valB === 'number') {
@@ -156,9 +205,12 @@ function getChannelsApi(params) {
   if (search) {
     channels = channels.filter(ch => 
       ch.channelName.toLowerCase().includes(search) ||
+      ch.handle.toLowerCase().includes(search) ||
       ch.description.toLowerCase().includes(search)
     );
   }
+  channels = filterByAffiliation(channels, params);
+  channels = filterByChannelProfile(channels, params);
   
   // ページネーション
   const page = parseInt(params.page) || 1;
@@ -179,6 +231,254 @@ function getChannelsApi(params) {
   };
 }
 
+/**
+ * 急上昇チャンネルのランキングを取得するAPI
+ * 統計履歴から選択期間の伸び率を求め、期間の長さに換算した値（正規化伸び率）の高い順に並べる
+ * @param {Object} params パラメータ（window: 期間（日数）, minSubscribers: 最小登録者数, metric: 'subscribers' | 'views', search, page, limit）
+ * @return {Object} チャンネルデータ（各チャンネルにrisingGrowth・risingRate・risingScore・sparklineを付加）
+ */
+function getRisingChannelsApi(params) {
+  Logger.log('getRisingChannelsApi called');
+
+  const windowDays = parseInt(params.window) || CONFIG.RISING_DEFAULT_WINDOW_DAYS;
+  const minSubscribers = params.minSubscribers !== undefined && params.minSubscribers !== ''
+    ? Number(params.minSubscribers) || 0
+    : CONFIG.RISING_MIN_SUBSCRIBERS;
+  const metric = params.metric === 'views' ? 'views' : 'subscribers';
+
+  const sheetManager = new SpreadsheetManager();
+  const sheet = sheetManager.sheet;
+  const page = parseInt(params.page) || 1;
+  const limit = parseInt(params.limit) || 50;
+
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= 1) {
+    return { channels: [], total: 0, page: 1, limit: limit, totalPages: 0, window: windowDays, metric: metric };
+  }
+
+  const columns = sheetManager.getColumns();
+  const range = sheet.getRange(2, 1, lastRow - 1, columns.getWidth());
+  const data = range.getValues();
+  const formulas = range.getFormulas();
+
+  const snapshotManager = new ChannelSnapshotManager(sheetManager);
+  const historyByChannel = snapshotManager.getHistoryByChannel();
+
+  let channels = data
+    .map((row, index) => buildChannelObject(row, formulas[index], index, columns))
+    .filter(ch => ch.channelId && !ch.excludeFlag && ch.subscriberCount >= minSubscribers);
+
+  // 履歴から伸びを計算できたチャンネルのみランキング対象
+  channels = channels
+    .map(ch => {
+      const snapshots = historyByChannel.get(ch.channelId);
+      const rising = snapshots ? snapshotManager.calculateWindowGrowth(snapshots, windowDays, metric) : null;
+      if (!rising) return null;
+
+      return Object.assign(ch, {
+        risingGrowth: rising.growth,
+        risingRate: rising.rate,
+        risingScore: rising.normalizedRate,
+        risingSpanDays: rising.spanDays,
+        sparkline: rising.sparkline
+      });
+    })
+    .filter(ch => ch !== null);
+
+  // 切り抜きチャンネル数
+  const clipCounts = new RelatedChannelRegistry(sheetManager).countByChannel(CONFIG.RELATED_TYPE_CLIP);
+  channels.forEach(ch => {
+    ch.clipChannelCount = clipCounts.get(ch.channelId) || 0;
+  });
+
+  // SNSリンク（詳細に表示）
+  const socialLinks = new SocialLinkRegistry(sheetManager).getLinksByChannel();
+  channels.forEach(ch => {
+    ch.socialLinks = buildSocialLinks(socialLinks.get(ch.channelId));
+  });
+
+  channels.sort((a, b) => (b.risingScore - a.risingScore) || (b.risingGrowth - a.risingGrowth));
+
+  // ランキングを再設定
+  channels.forEach((ch, index) => {
+    ch.rank = index + 1;
+  });
+
+  // フィルタリング
+  const search = params.search ? String(params.search).toLowerCase() : '';
+  if (search) {
+    channels = channels.filter(ch =>
+      ch.channelName.toLowerCase().includes(search) ||
+      ch.handle.toLowerCase().includes(search) ||
+      ch.description.toLowerCase().includes(search)
+    );
+  }
+  channels = filterByAffiliation(channels, params);
+  channels = filterByChannelProfile(channels, params);
+
+  const offset = (page - 1) * limit;
+  const total = channels.length;
+
+  Logger.log('Rising channels: ' + total);
+
+  return {
+    channels: channels.slice(offset, offset + limit),
+    total: total,
+    page: page,
+    limit: limit,
+    totalPages: Math.ceil(total / limit),
+    window: windowDays,
+    metric: metric
+  };
+}
+
+/**
+ * VTuberリストの行データをチャンネルオブジェクトに変換
+ * @param {Array} row 行の値
+ * @param {Array} formulaRow 行の数式
+ * @param {number} index 行のインデックス（0始まり）
+ * @param {ColumnRegistry} columns VTuberリストの列レジストリ
+ * @return {Object} チャンネルオブジェクト
+ */
+function buildChannelObject(row, formulaRow, index, columns) {
+  const value = key => columns.value(row, key);
+  const formula = key => formulaRow[columns.index(key)];
+  const channelId = value('channelId');
+
+  return {
+    rank: index + 1,
+    liveMonitor: value('liveMonitor') === true,
+    excludeFlag: value('excludeFlag') === true,
+    // アイコン: 式からURLを抽出、または値をそのまま使用
+    thumbnailUrl: String(extractImageUrl(formula('icon')) || extractImageUrl(value('icon')) || ''),
+    channelId: String(channelId || ''),
+    channelName: String(value('channelName') || ''),
+    handle: String(value('handle') || ''),
+    // チャンネルURL: 式からURLを抽出、または値をそのまま使用
+    channelUrl: String(extractHyperlinkUrl(formula('channelUrl')) || extractHyperlinkUrl(value('channelUrl')) || `https://www.youtube.com/channel/${channelId}`),
+    subscriberCount: Number(value('subscriberCount')) || 0,
+    // 総再生回数・動画数・開設からの日数は未取得の場合null（並べ替えでは末尾）
+    totalViewCount: value('totalViewCount') === '' ? null : Number(value('totalViewCount')) || 0,
+    videoCount: value('videoCount') === '' ? null : Number(value('videoCount')) || 0,
+    channelPublishedAt: formatDateOnly(value('channelPublishedAt')),
+    channelAgeDays: calculateChannelAgeDays(value('channelPublishedAt')),
+    country: String(value('country') || ''),
+    defaultLanguage: String(value('defaultLanguage') || ''),
+    affiliation: String(value('affiliation') || ''),
+    affiliationTier: String(value('affiliationTier') || ''),
+    discoverySource: String(value('discoverySource') || ''),
+    attributes: String(value('attributes') || ''),
+    uploadFrequency: Number(value('uploadFrequency')) || 0,
+    avgViewCount: Number(value('avgViewCount')) || 0,
+    avgLikeCount: Number(value('avgLikeCount')) || 0,
+    avgCommentCount: Number(value('avgCommentCount')) || 0,
+    lastPublishedAt: formatDateValue(value('lastPublishedAt')),
+    description: String(value('description') || ''),
+    // Twitter: 式からURLを抽出、または値をそのまま使用
+    twitterLink: String(extractHyperlinkUrl(formula('twitterLink')) || extractHyperlinkUrl(value('twitterLink')) || value('twitterLink') || ''),
+    fetchedAt: formatDateValue(value('fetchedAt')),
+    maxViewerCount: Number(value('maxViewerCount')) || 0,
+    maxViewerCountDate: formatDateValue(value('maxViewerCountDate'))
+  };
+}
+
+/**
+ * チャンネル開設からの日数・総再生回数でチャンネルを絞り込む（値が未取得のチャンネルは条件を指定した場合に除く）
+ * @param {Array} channels チャンネルオブジェクトの配列
+ * @param {Object} params パラメータ（minChannelAgeDays, maxChannelAgeDays, minTotalViews, maxTotalViews）
+ * @return {Array} 絞り込んだチャンネルオブジェクトの配列
+ */
+function filterByChannelProfile(channels, params) {
+  const bound = name => params[name] !== undefined && params[name] !== '' ? Number(params[name]) : null;
+  const ranges = [
+    { key: 'channelAgeDays', min: bound('minChannelAgeDays'), max: bound('maxChannelAgeDays') },
+    { key: 'totalViewCount', min: bound('minTotalViews'), max: bound('maxTotalViews') }
+  ].filter(range => range.min !== null || range.max !== null);
+
+  return channels.filter(ch => ranges.every(range => {
+    const value = ch[range.key];
+    if (value === null) return false;
+    return (range.min === null || value >= range.min) && (range.max === null || value <= range.max);
+  }));
+}
+
+/**
+ * チャンネル開設日から今日までの日数
+ * @param {Date|string} value チャンネル開設日のセルの値
+ * @return {number|null} 日数（未取得の場合null）
+ */
+function calculateChannelAgeDays(value) {
+  if (!value) return null;
+  const publishedAt = value instanceof Date ? value : new Date(String(value));
+  if (isNaN(publishedAt.getTime())) return null;
+  return Math.floor((new Date() - publishedAt) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * SNSリンクをクライアント向けに変換
+ * @param {Array|undefined} links SocialLinkRegistry.getLinksByChannelの値
+ * @return {Array} {platform, account, url}の配列
+ */
+function buildSocialLinks(links) {
+  return (links || []).map(link => ({
+    platform: link.platform,
+    account: link.account,
+    url: link.url
+  }));
+}
+
+/**
+ * 所属・所属区分でチャンネルを絞り込む
+ * @param {Array} channels チャンネルオブジェクトの配列
+ * @param {Object} params パラメータ（affiliation: 事務所名（CONFIG.AGENCY_UNAFFILIATED_LABELは所属なし）, affiliationTier: 区分）
+ * @return {Array} 絞り込んだチャンネルオブジェクトの配列
+ */
+function filterByAffiliation(channels, params) {
+  const affiliation = params.affiliation ? String(params.affiliation) : '';
+  const tier = params.affiliationTier ? String(params.affiliationTier) : '';
+
+  return channels.filter(ch => {
+    if (affiliation === CONFIG.AGENCY_UNAFFILIATED_LABEL) {
+      if (ch.affiliation) return false;
+    } else if (affiliation && ch.affiliation !== affiliation) {
+      return false;
+    }
+    return !tier || ch.affiliationTier === tier;
+  });
+}
+
+/**
+ * 伸びの指標をクライアント向けに変換
+ * @param {Object|undefined} growth ChannelSnapshotManager.calculateGrowthの戻り値
+ * @return {Object} 期間ごとの登録者数・再生回数の伸びと伸び率（履歴がない場合はすべてnull）
+ */
+function buildGrowthInfo(growth) {
+  const info = {};
+
+  CONFIG.GROWTH_WINDOWS_DAYS.forEach(days => {
+    ['subscriberGrowth', 'subscriberGrowthRate', 'viewGrowth', 'viewGrowthRate'].forEach(name => {
+      const key = `${name}${days}d`;
+      info[key] = growth && growth[key] !== undefined ? growth[key] : null;
+    });
+  });
+  info.subscriberGrowthResolution = growth ? growth.subscriberGrowthResolution : null;
+
+  return info;
+}
+
+/**
+ * 除外チャンネルシートの情報をクライアント向けに変換
+ * @param {Object} suppression 除外情報
+ * @return {Object} {suppressedBy, suppressedAt, suppressReason}
+ */
+function buildSuppressionInfo(suppression) {
+  return {
+    suppressedBy: suppression.suppressedBy,
+    suppressedAt: formatDateValue(suppression.suppressedAt),
+    suppressReason: suppression.reason
+  };
+}
+
 /**
  * 日付値を文字列に変換
  * @param {*} value 日付値（Date, string, または他の値）
@@ -192,6 +492,19 @@ function formatDateValue(value) {
   return String(value);
 }
 
+/**
+ * 日付の値を文字列に変換（日付のみ）
+ * @param {Date|string} value 日付の値
+ * @return {string} yyyy-MM-dd形式の文字列
+ */
+function formatDateOnly(value) {
+  if (!value) return '';
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, 'JST', 'yyyy-MM-dd');
+  }
+  return String(value).substring(0, 10);
+}
+
 /**
  * 統計情報を取得するAPI
  * @return {Object} 統計データ
@@ -215,7 +528,8 @@ function getStatsApi() {
     };
   }
   
-  const data = sheet.getRange(2, 1, lastRow - 1, CONFIG.SHEET_HEADERS.length).getValues();
+  const columns = sheetManager.getColumns();
+  const data = sheetManager.getDataRows();
   
   let totalSubscribers = 0;
   let totalAvgViews = 0;
@@ -223,17 +537,17 @@ function getStatsApi() {
   let validCount = 0;
   
   data.forEach(row => {
-    const excludeFlag = row[1]; // B列（除外フラグ）
+    const excludeFlag = columns.value(row, 'excludeFlag');
     // 除外フラグがtrueの行はスキップ
     if (excludeFlag === true) {
       return;
     }
     
-    if (row[3]) { // チャンネルIDがある場合（D列）
+    if (columns.value(row, 'channelId')) { // チャンネルIDがある場合
       validCount++;
-      totalSubscribers += Number(row[6]) || 0; // 登録者数（G列）
-      totalAvgViews += Number(row[9]) || 0; // 平均再生回数（J列）
-      if (row[0] === true) {
+      totalSubscribers += Number(columns.value(row, 'subscriberCount')) || 0;
+      totalAvgViews += Number(columns.value(row, 'avgViewCount')) || 0;
+      if (columns.value(row, 'liveMonitor') === true) {
         liveMonitorCount++;
       }
     }
@@ -290,7 +604,14 @@ function getLiveStreamsApi() {
       url: String(extractHyperlinkUrl(formulas[index][3]) || extractHyperlinkUrl(row[3]) || row[3] || ''),
       viewerCount: Number(row[4]) || 0,
       recordedAt: formatDateValue(row[5]),
-      status: String(row[6] || '')
+      status: String(row[6] || ''),
+      videoId: String(row[7] || ''),
+      peakViewerCount: Number(row[8]) || Number(row[4]) || 0,
+      peakAt: formatDateValue(row[9]),
+      averageViewerCount: Number(row[10]) || 0,
+      medianViewerCount: Number(row[11]) || 0,
+      minutesAboveThreshold: Number(row[12]) || 0,
+      sampleCount: Number(row[13]) || 0
     }))
     .filter(stream => {
       if (!stream.recordedAt) return false;
@@ -303,6 +624,252 @@ function getLiveStreamsApi() {
   return { liveStreams: liveStreams.slice(0, 20) };
 }
 
+/**
+ * バッチジョブの状態を取得するAPI
+ * @return {Object} ジョブ状態データ（中断中のジョブの進捗を含む）
+ */
+function getJobStatusApi() {
+  Logger.log('getJobStatusApi called');
+
+  const jobs = BatchJob.getAllStatuses().map(job => ({
+    jobName: job.jobName,
+    status: job.status,
+    startedAt: formatDateValue(job.startedAt),
+    updatedAt: formatDateValue(job.updatedAt),
+    runCount: job.runCount,
+    progress: job.progress
+  }));
+
+  return { jobs: jobs };
+}
+
+/**
+ * スカウト管理のカンバンを取得するAPI
+ * @param {Object} params パラメータ（search: チャンネル名の検索, owner: 担当者で絞り込み）
+ * @return {Object} {stages, columns: [{stage, cards}], owners, total}
+ */
+function getScoutingBoardApi(params) {
+  Logger.log('getScoutingBoardApi called');
+
+  const sheetManager = new SpreadsheetManager();
+  const pipeline = new ScoutingPipeline(sheetManager);
+  const entries = pipeline.getEntries();
+  const activitiesByChannel = pipeline.getActivitiesByChannel();
+
+  // VTuberリストのチャンネル情報（アイコン・登録者数など）
+  const channelsById = new Map();
+  const lastRow = sheetManager.sheet.getLastRow();
+  if (lastRow > 1 && entries.size > 0) {
+    const columns = sheetManager.getColumns();
+    const range = sheetManager.sheet.getRange(2, 1, lastRow - 1, columns.getWidth());
+    const data = range.getValues();
+    const formulas = range.getFormulas();
+    data.forEach((row, index) => {
+      const channelId = columns.value(row, 'channelId');
+      if (entries.has(channelId) && !channelsById.has(channelId)) {
+        channelsById.set(channelId, buildChannelObject(row, formulas[index], index, columns));
+      }
+    });
+  }
+
+  const today = Utilities.formatDate(new Date(), 'JST', 'yyyy-MM-dd');
+  const search = params.search ? String(params.search).toLowerCase() : '';
+  const owner = params.owner ? String(params.owner) : '';
+  const owners = new Set();
+
+  const cards = [];
+  entries.forEach(entry => {
+    if (entry.owner) owners.add(entry.owner);
+    if (owner && entry.owner !== owner) return;
+    if (search && !entry.channelName.toLowerCase().includes(search)) return;
+
+    const channel = channelsById.get(entry.channelId);
+    const activities = activitiesByChannel.get(entry.channelId) || [];
+    cards.push(Object.assign({}, entry, {
+      thumbnailUrl: channel ? channel.thumbnailUrl : '',
+      channelUrl: channel ? channel.channelUrl : `https://www.youtube.com/channel/${entry.channelId}`,
+      subscriberCount: channel ? channel.subscriberCount : 0,
+      maxViewerCount: channel ? channel.maxViewerCount : 0,
+      attributes: channel ? channel.attributes : '',
+      listed: !!channel, // VTuberリストに行があるか（削除・重複削除された場合はfalse）
+      overdue: pipeline.isOverdue(entry, today),
+      recentActivities: activities.slice(0, CONFIG.SCOUTING_BOARD_RECENT_ACTIVITIES),
+      activityCount: activities.length
+    }));
+  });
+
+  // 各列は次回アクション日の近い順（未設定は最後）
+  cards.sort((a, b) => (a.nextActionDate || '9999').localeCompare(b.nextActionDate || '9999') || a.channelName.localeCompare(b.channelName));
+
+  return {
+    stages: CONFIG.SCOUTING_STAGES,
+    activityTypes: CONFIG.SCOUTING_ACTIVITY_TYPES,
+    columns: CONFIG.SCOUTING_STAGES.map(stage => ({
+      stage: stage,
+      cards: cards.filter(card => card.stage === stage)
+    })),
+    owners: Array.from(owners).sort(),
+    total: cards.length
+  };
+}
+
+/**
+ * チャンネルのスカウト情報と全履歴を取得するAPI
+ * @param {Object} params パラメータ（channelId）
+ * @return {Object} {entry: スカウト情報（未登録の場合はnull）, activities: 履歴（新しい順）}
+ */
+function getScoutingEntryApi(params) {
+  Logger.log('getScoutingEntryApi called');
+
+  if (!params.channelId) {
+    return { entry: null, activities: [], error: 'channelId is required' };
+  }
+
+  const pipeline = new ScoutingPipeline();
+  return {
+    entry: pipeline.getEntries().get(params.channelId) || null,
+    activities: pipeline.getActivitiesByChannel(params.channelId).get(params.channelId) || []
+  };
+}
+
+/**
+ * スカウト情報を更新するAPI（未登録のチャンネルは「候補」として登録）
+ * @param {Object} params パラメータ（channelId, stage, owner, nextActionDate, nextAction: 指定した項目のみ更新）
+ * @return {Object} 更新結果
+ */
+function updateScoutingEntryApi(params) {
+  Logger.log('updateScoutingEntryApi called');
+
+  try {
+    if (!params.channelId) {
+      return { success: false, error: 'channelId is required' };
+    }
+
+    const pipeline = new ScoutingPipeline();
+    const entry = pipeline.saveEntry(params.channelId, {
+      stage: params.stage,
+      owner: params.owner,
+      nextActionDate: params.nextActionDate,
+      nextAction: params.nextAction
+    }, getUserEmail('Webアプリ'));
+
+    Logger.log(`スカウト情報を更新: ${params.channelId}（${entry.stage}）`);
+    return { success: true, entry: entry };
+
+  } catch (error) {
+    Logger.log(`updateScoutingEntryApi error: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * スカウト履歴（メモ・連絡）を追加するAPI
+ * @param {Object} params パラメータ（channelId, type: 'メモ' | '連絡', content, method: 連絡手段, date: 連絡日（yyyy-MM-dd、省略時は現在日時））
+ * @return {Object} 追加結果
+ */
+function addScoutingActivityApi(params) {
+  Logger.log('addScoutingActivityApi called');
+
+  try {
+    if (!params.channelId) {
+      return { success: false, error: 'channelId is required' };
+    }
+
+    const pipeline = new ScoutingPipeline();
+    const activity = pipeline.addActivity(params.channelId, {
+      type: params.type,
+      content: params.content,
+      method: params.method,
+      date: params.date
+    }, getUserEmail('Webアプリ'));
+
+    Logger.log(`スカウト履歴を追加: ${params.channelId}（${activity.type}）`);
+    return { success: true, activity: activity };
+
+  } catch (error) {
+    Logger.log(`addScoutingActivityApi error: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 事務所マスタの事務所一覧を取得するAPI（所属フィルタの選択肢）
+ * @return {Object} {agencies: {name, tier}の配列, tiers: 区分, excludedTiers: 検索で除外する区分, unaffiliatedLabel: 所属なしの表記}
+ */
+function getAgenciesApi() {
+  const registry = new AgencyRegistry();
+
+  return {
+    agencies: registry.getAgencies().map(agency => ({ name: agency.name, tier: agency.tier })),
+    tiers: CONFIG.AGENCY_TIERS,
+    excludedTiers: CONFIG.AGENCY_EXCLUDED_TIERS,
+    unaffiliatedLabel: CONFIG.AGENCY_UNAFFILIATED_LABEL
+  };
+}
+
+/**
+ * 発見経路ごとの成果を集計するAPI（どの経路がVTuberを多く見つけているかの比較用）
+ * VTuberリストの行と、VTuber判定レビューに記録されたチャンネル（チャンネルデータのJSON）を発見経路で数える
+ * @return {Object} {sources: {source, listed, excluded, avgSubscribers, reviewPending, rejected}の配列}
+ */
+function getDiscoveryYieldsApi() {
+  const sheetManager = new SpreadsheetManager();
+  const columns = sheetManager.getColumns();
+  const yields = new Map();
+  const entry = source => {
+    const label = source || CONFIG.DISCOVERY_SOURCE_UNKNOWN_LABEL;
+    if (!yields.has(label)) {
+      yields.set(label, { source: label, listed: 0, excluded: 0, totalSubscribers: 0, reviewPending: 0, rejected: 0 });
+    }
+    return yields.get(label);
+  };
+
+  // 経路の表示順を固定する（件数が0の経路も表示）
+  Object.keys(CONFIG.DISCOVERY_SOURCES).forEach(key => entry(CONFIG.DISCOVERY_SOURCES[key]));
+
+  sheetManager.getDataRows().forEach(row => {
+    if (!columns.value(row, 'channelId')) {
+      return;
+    }
+    const item = entry(String(columns.value(row, 'discoverySource') || ''));
+    if (columns.value(row, 'excludeFlag') === true) {
+      item.excluded++;
+      return;
+    }
+    item.listed++;
+    item.totalSubscribers += Number(columns.value(row, 'subscriberCount')) || 0;
+  });
+
+  // 承認済みの行はVTuberリストで数えるため、レビュー待ちと却下のみ
+  new VTuberReviewQueue(sheetManager).getRows().forEach(review => {
+    if (review.decision === '承認') {
+      return;
+    }
+    let source = '';
+    try {
+      source = JSON.parse(review.channelData).discoverySource || '';
+    } catch (error) {
+      // チャンネルデータが壊れている行は経路不明として数える
+    }
+    if (review.decision === '却下') {
+      entry(source).rejected++;
+    } else {
+      entry(source).reviewPending++;
+    }
+  });
+
+  return {
+    sources: Array.from(yields.values()).map(item => ({
+      source: item.source,
+      listed: item.listed,
+      excluded: item.excluded,
+      avgSubscribers: item.listed > 0 ? Math.round(item.totalSubscribers / item.listed) : 0,
+      reviewPending: item.reviewPending,
+      rejected: item.rejected
+    }))
+  };
+}
+
 /**
  * IMAGE関数からURLを抽出
  * @param {string|Object} cell セルの値
@@ -383,6 +950,24 @@ function getChannelsForClient(params) {
   }
 }
 
+/**
+ * 急上昇チャンネルのランキングを取得（クライアントサイド用）
+ * @param {Object} params パラメータ
+ * @return {Object} チャンネルデータ
+ */
+function getRisingChannelsForClient(params) {
+  Logger.log('getRisingChannelsForClient called with params: ' + JSON.stringify(params));
+  try {
+    const result = getRisingChannelsApi(params || {});
+    Logger.log('getRisingChannelsForClient success, channels count: ' + (result.channels ? result.channels.length : 0));
+    return result;
+  } catch (error) {
+    Logger.log('getRisingChannelsForClient error: ' + error.message);
+    Logger.log('Stack: ' + error.stack);
+    return { channels: [], total: 0, page: 1, limit: 50, totalPages: 0, error: error.message };
+  }
+}
+
 /**
  * 統計情報を取得（クライアントサイド用）
  * @return {Object} 統計データ
@@ -417,9 +1002,24 @@ function getLiveStreamsForClient() {
   }
 }
 
+/**
+ * バッチジョブの状態を取得（クライアントサイド用）
+ * @return {Object} ジョブ状態データ
+ */
+function getJobStatusForClient() {
+  Logger.log('getJobStatusForClient called');
+  try {
+    return getJobStatusApi();
+  } catch (error) {
+    Logger.log('getJobStatusForClient error: ' + error.message);
+    Logger.log('Stack: ' + error.stack);
+    return { jobs: [], error: error.message };
+  }
+}
+
 /**
  * チャンネルのフラグを更新するAPI
- * @param {Object} params パラメータ（channelId, flagType, value）
+ * @param {Object} params パラメータ（channelId, flagType, value, reason: 除外理由（除外フラグの場合のみ））
  * @return {Object} 更新結果
  */
 function updateChannelFlagApi(params) {
@@ -435,48 +1035,31 @@ function updateChannelFlagApi(params) {
     }
     
     const sheetManager = new SpreadsheetManager();
-    const sheet = sheetManager.sheet;
-    
-    // チャンネルIDで行を検索
-    const lastRow = sheet.getLastRow();
-    if (lastRow <= 1) {
-      return { success: false, error: 'No data found' };
-    }
-    
-    const data = sheet.getRange(2, 1, lastRow - 1, CONFIG.SHEET_HEADERS.length).getValues();
-    let targetRow = null;
     
-    for (let i = 0; i < data.length; i++) {
-      if (data[i][3] === channelId) { // D列（チャンネルID）
-        targetRow = i + 2; // 実際の行番号
-        break;
+    // 除外フラグは除外チャンネルシートで管理（行が失われていても除外解除で復元できる）
+    if (flagType === 'excludeFlag') {
+      const result = value
+        ? sheetManager.suppressChannel(channelId, params.reason || '', getUserEmail('Webアプリ'))
+        : sheetManager.unsuppressChannel(channelId);
+      if (!result.success) {
+        return { success: false, error: result.error };
       }
+      Logger.log(`除外フラグを更新: ${channelId} = ${value}`);
+      return { success: true, channelId: channelId, flagType: flagType, value: value, restored: result.restored === true };
     }
     
-    if (!targetRow) {
-      return { success: false, error: 'Channel not found' };
+    if (flagType !== 'liveMonitor') {
+      return { success: false, error: 'Invalid flagType' };
     }
     
-    // フラグを更新
-    if (flagType === 'liveMonitor') {
-      // A列（ライブ配信監視フラグ）
-      sheet.getRange(targetRow, 1).setValue(value);
-      Logger.log(`ライブ配信監視フラグを更新: ${channelId} = ${value}`);
-    } else if (flagType === 'excludeFlag') {
-      // B列（除外フラグ）
-      sheet.getRange(targetRow, 2).setValue(value);
-      // 行の表示/非表示を更新
-      if (value === true) {
-        sheet.hideRows(targetRow);
-      } else {
-        sheet.showRows(targetRow);
-      }
-      Logger.log(`除外フラグを更新: ${channelId} = ${value}`);
-    } else {
-      return { success: false, error: 'Invalid flagType' };
+    // ライブ配信監視フラグ（行は書き込み時にチャンネルIDで検索。別の処理が更新中の場合は待ち行列に積む）
+    const result = sheetManager.setLiveMonitorFlag(channelId, value);
+    if (result.missing.length > 0) {
+      return { success: false, error: 'Channel not found' };
     }
+    Logger.log(`ライブ配信監視フラグを更新: ${channelId} = ${value}${result.deferred ? '（待ち行列）' : ''}`);
     
-    return { success: true, channelId: channelId, flagType: flagType, value: value };
+    return { success: true, channelId: channelId, flagType: flagType, value: value, deferred: result.deferred };
     
   } catch (error) {
     Logger.log(`updateChannelFlagApi error: ${error.message}`);
@@ -503,6 +1086,100 @@ function updateChannelFlagForClient(params) {
   }
 }
 
+/**
+ * スカウト管理のカンバンを取得（クライアントサイド用）
+ * @param {Object} params パラメータ
+ * @return {Object} カンバンデータ
+ */
+function getScoutingBoardForClient(params) {
+  Logger.log('getScoutingBoardForClient called');
+  try {
+    return getScoutingBoardApi(params || {});
+  } catch (error) {
+    Logger.log('getScoutingBoardForClient error: ' + error.message);
+    Logger.log('Stack: ' + error.stack);
+    return { stages: CONFIG.SCOUTING_STAGES, activityTypes: CONFIG.SCOUTING_ACTIVITY_TYPES, columns: [], owners: [], total: 0, error: error.message };
+  }
+}
+
+/**
+ * チャンネルのスカウト情報と全履歴を取得（クライアントサイド用）
+ * @param {Object} params パラメータ
+ * @return {Object} スカウト情報
+ */
+function getScoutingEntryForClient(params) {
+  Logger.log('getScoutingEntryForClient called');
+  try {
+    return getScoutingEntryApi(params || {});
+  } catch (error) {
+    Logger.log('getScoutingEntryForClient error: ' + error.message);
+    Logger.log('Stack: ' + error.stack);
+    return { entry: null, activities: [], error: error.message };
+  }
+}
+
+/**
+ * スカウト情報を更新（クライアントサイド用）
+ * @param {Object} params パラメータ
+ * @return {Object} 更新結果
+ */
+function updateScoutingEntryForClient(params) {
+  Logger.log('updateScoutingEntryForClient called');
+  try {
+    return updateScoutingEntryApi(params || {});
+  } catch (error) {
+    Logger.log('updateScoutingEntryForClient error: ' + error.message);
+    Logger.log('Stack: ' + error.stack);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * スカウト履歴を追加（クライアントサイド用）
+ * @param {Object} params パラメータ
+ * @return {Object} 追加結果
+ */
+function addScoutingActivityForClient(params) {
+  Logger.log('addScoutingActivityForClient called');
+  try {
+    return addScoutingActivityApi(params || {});
+  } catch (error) {
+    Logger.log('addScoutingActivityForClient error: ' + error.message);
+    Logger.log('Stack: ' + error.stack);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 事務所一覧を取得（クライアントサイド用）
+ * @return {Object} 事務所一覧
+ */
+function getAgenciesForClient() {
+  Logger.log('getAgenciesForClient called');
+  try {
+    return getAgenciesApi();
+  } catch (error) {
+    Logger.log('getAgenciesForClient error: ' + error.message);
+    Logger.log('Stack: ' + error.stack);
+    return { agencies: [], tiers: [], excludedTiers: [], unaffiliatedLabel: CONFIG.AGENCY_UNAFFILIATED_LABEL, error: error.message };
+  }
+}
+
+/**
+ * 発見経路ごとの成果を取得（クライアントサイド用）
+ * @return {Object} 発見経路ごとの成果
+ */
+function getDiscoveryYieldsForClient() {
+  Logger.log('getDiscoveryYieldsForClient called');
+  try {
+    return getDiscoveryYieldsApi();
+  } catch (error) {
+    Logger.log('getDiscoveryYieldsForClient error: ' + error.message);
+    Logger.log('Stack: ' + error.stack);
+    return { sources: [], error: error.message };
+  }
+}
+
 /**
  * テスト用関数 - 接続確認
  * @return {Object} テスト結果
@@ -0,0 +1,137 @@
+/**
+ * 書き込みコーディネータークラス
+ * 検索・ライブ配信監視・属性チェック・Webアプリなど、同時に実行されうる処理のシート書き込みを
+ * スクリプトロックで直列化する
+ *
+ * - 同じ実行内で入れ子になった場合は外側のロックをそのまま使う（内側で解放しない）
+ * - ロックを取得できなかった小さな書き込みは待ち行列（スクリプトプロパティ）に積み、
+ *   次にロックを取得した実行が書き込む（SpreadsheetManager.applyDeferredWritesを参照）
+ *
+ * スクリプトロックは実行単位で保持されるため、スクリプトロックを使う処理はすべてこのクラスを経由すること
+ * （直接LockServiceを使うと、内側の解放で外側のロックまで外れる）
+ */
+
+class WriteCoordinator {
+  /**
+   * ロックを取得（既に同じ実行で取得済みの場合は入れ子の深さのみ増やす）
+   * @param {number} timeoutMs ロック待ち時間（ミリ秒）
+   * @return {boolean} 取得できた場合true
+   */
+  static acquire(timeoutMs = CONFIG.WRITE_LOCK_TIMEOUT_MS) {
+    if (WriteCoordinator.depth > 0) {
+      WriteCoordinator.depth++;
+      return true;
+    }
+
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(timeoutMs)) {
+      return false;
+    }
+
+    WriteCoordinator.lock = lock;
+    WriteCoordinator.depth = 1;
+    return true;
+  }
+
+  /**
+   * ロックを解放（入れ子の一番外側でのみ実際に解放する）
+   */
+  static release() {
+    if (WriteCoordinator.depth === 0) {
+      return;
+    }
+
+    WriteCoordinator.depth--;
+    if (WriteCoordinator.depth === 0) {
+      // 解放前に保留中の書き込みを反映（ロック解放後に他の実行が古い値を読まないようにする）
+      SpreadsheetApp.flush();
+      WriteCoordinator.lock.releaseLock();
+      WriteCoordinator.lock = null;
+    }
+  }
+
+  /**
+   * ロックを保持しているか
+   * @return {boolean} 保持している場合true
+   */
+  static isHeld() {
+    return WriteCoordinator.depth > 0;
+  }
+
+  /**
+   * ロックを取得して処理を実行
+   * @param {string} label 処理名（ログ・エラーメッセージ用）
+   * @param {Function} fn 実行する処理
+   * @param {Object} options {timeoutMs: ロック待ち時間, onAcquire: 新たにロックを取得した直後に実行する処理}
+   * @return {*} fnの戻り値
+   */
+  static run(label, fn, options = {}) {
+    const timeoutMs = options.timeoutMs || CONFIG.WRITE_LOCK_TIMEOUT_MS;
+    const isOutermost = !WriteCoordinator.isHeld();
+
+    if (!WriteCoordinator.acquire(timeoutMs)) {
+      throw new Error(`${WriteCoordinator.LOCK_TIMEOUT_MESSAGE}（${label}、${timeoutMs / 1000}秒待機）。別の処理がVTuberリストを更新中です。しばらくしてから再実行してください`);
+    }
+
+    try {
+      if (isOutermost && options.onAcquire) {
+        options.onAcquire();
+      }
+      return fn();
+    } finally {
+      WriteCoordinator.release();
+    }
+  }
+
+  /**
+   * ロック取得のタイムアウトによるエラーか判定
+   * @param {Error} error エラーオブジェクト
+   * @return {boolean} タイムアウトの場合true
+   */
+  static isLockTimeout(error) {
+    return String(error && error.message || '').indexOf(WriteCoordinator.LOCK_TIMEOUT_MESSAGE) === 0;
+  }
+
+  /**
+   * 書き込みを待ち行列に積む
+   * 1件ごとに別のプロパティキーに保存するため、待ち行列の読み書きにロックは不要
+   * @param {Object} entry 書き込み内容（JSONに変換できる値）
+   */
+  static defer(entry) {
+    const key = `${CONFIG.DEFERRED_WRITE_PROPERTY_PREFIX}${new Date().getTime()}_${Utilities.getUuid()}`;
+    PropertiesService.getScriptProperties().setProperty(key, JSON.stringify(entry));
+    Logger.log(`書き込みを待ち行列に追加しました: ${JSON.stringify(entry)}`);
+  }
+
+  /**
+   * 待ち行列の書き込みを取り出す（取り出した分は待ち行列から削除する）
+   * ロックを保持している間に呼び出すこと
+   * @return {Array} 書き込み内容の配列（積んだ順）
+   */
+  static takeDeferred() {
+    const properties = PropertiesService.getScriptProperties();
+    const all = properties.getProperties();
+    const keys = Object.keys(all)
+      .filter(key => key.indexOf(CONFIG.DEFERRED_WRITE_PROPERTY_PREFIX) === 0)
+      .sort();
+
+    const entries = [];
+    keys.forEach(key => {
+      try {
+        entries.push(JSON.parse(all[key]));
+      } catch (error) {
+        Logger.log(`待ち行列の書き込みを読み込めませんでした（${key}）: ${error.message}`);
+      }
+      properties.deleteProperty(key);
+    });
+
+    return entries;
+  }
+}
+
+// 同じ実行内のロックの入れ子の深さと、保持中のロック
+WriteCoordinator.depth = 0;
+WriteCoordinator.lock = null;
+
+// ロック取得のタイムアウト時のエラーメッセージの先頭（isLockTimeoutの判定に使用）
+WriteCoordinator.LOCK_TIMEOUT_MESSAGE = '書き込みロックを取得できませんでした';
@@ -10,141 +10,446 @@ class YouTubeSearcher {
     this.sheetManager = sheetManager || new SpreadsheetManager();
     this.errorLogger = new ErrorLogger();
     this.quotaTracker = quotaTracker; // API使用量追跡オブジェクト（オプション）
-
-    // 除外キーワードをスプレッドシートから取得
+    this.classifier = new VTuberClassifier();
+    this.reviewQueue = new VTuberReviewQueue(this.sheetManager);
+    this.clipDetector = new ClipChannelDetector();
+    this.relatedChannels = new RelatedChannelRegistry(this.sheetManager);
+    this.socialLinkExtractor = new SocialLinkExtractor();
+    this.detectedClipChannels = []; // Phase 1で検出した切り抜きチャンネル（recordClipChannelsで関連チャンネルシートに記録）
+    this.searchPageLimit = null; // この実行で検索できるページ数（QuotaPlannerの計画。nullの場合は制限なし）
+    this.searchPageCount = 0;
+
+    this.agencyRegistry = new AgencyRegistry(this.sheetManager); // 所属事務所の判定（区分によっては除外）
+
+    // 除外キーワード（事務所以外の除外条件）をスプレッドシートから取得
     this.excludedKeywords = this.sheetManager.getExcludedKeywords();
-
-    // スプレッドシートにキーワードがない場合は、Config.jsのデフォルトを使用
-    if (this.excludedKeywords.length === 0) {
-      Logger.log('除外キーワードシートが空です。Config.jsのデフォルト値を使用します。');
-      this.excludedKeywords = CONFIG.EXCLUDED_KEYWORDS;
-    }
   }
 
   /**
    * VTuberチャンネルを検索
+   * 実行時間制限で中断した場合、残りの検索ページ・未取得のチャンネルIDはstateに残る
+   * （stateをBatchJobで保存すれば次の実行で続きから再開できる）
+   * 詳細を取得したチャンネルのIDはシートへの書き込みが終わるまでstate.inFlightIdsに残るため、
+   * 書き込み後にcompleteInFlightIdsを呼び出す（書き込みに失敗した場合は次の実行でキューに戻る）
    * @param {Map} existingChannels 既存のチャンネル情報（ID -> {row, fetchedAt}）
-   * @return {Object} {newChannels: 新規チャンネル配列, updateChannels: 更新チャンネル配列}
+   * @param {Object} state 作業状態（省略時は1回の実行で完結し、残りは破棄）
+   * @param {Object} plan QuotaPlannerの実行計画（省略時は検索ページ数を制限しない）
+   * @return {Object} {newChannels: 新規チャンネル配列, updateChannels: 更新チャンネル配列, completed: すべて処理したか}
    */
-  searchVTuberChannels(existingChannels) {
+  searchVTuberChannels(existingChannels, state = {}, plan = null) {
     Logger.log('--- YouTube検索開始 ---');
 
-    const allChannelIds = new Set();
+    this.initializeSearchState(state);
+    this.searchPageLimit = plan ? plan.allowedSearchPages : null;
+    this.searchPageCount = 0;
 
-    // 各検索順序で検索
-    for (const order of CONFIG.SEARCH_ORDERS) {
-      Logger.log(`\n=== 検索順序: ${order} ===`);
+    // Step 1: キーワード検索・動画検索（中断した場合は次の実行で同じページから再開）
+    if (!state.searchCompleted) {
+      state.searchCompleted = this.runKeywordSearches(state) && this.runVideoSearches(state);
+      Logger.log(`合計発見チャンネル数: ${state.discoveredIds.length}`);
+    }
 
-      // 各キーワードで検索
-      for (const keyword of CONFIG.SEARCH_KEYWORDS) {
-        Logger.log(`キーワード: "${keyword}" (${order}) で検索中...`);
+    // Step 2: 発見したチャンネルを新規・更新対象に分類（検索が完了した時点で1回だけ）
+    if (state.searchCompleted && state.discoveredIds.length > 0) {
+      this.classifyDiscoveredChannels(state, existingChannels);
+    }
 
-        try {
-          const channelIds = this.searchByKeyword(keyword, order);
-          Logger.log(`  ${channelIds.length}件のチャンネルを発見`);
+    // Step 3: チャンネル詳細を取得（処理しきれなかったIDはキューに残る）
+    // 新規チャンネルはVTuber判定の確度で追加・レビュー待ち・却下に振り分ける
+    const newIds = state.pendingNewIds.splice(0);
+    const updateIds = state.pendingUpdateIds.splice(0);
+    state.inFlightIds = { newIds: newIds, updateIds: updateIds };
+
+    const detailedChannels = this.getChannelDetails(newIds, state.pendingNewIds);
+    this.tagDiscoverySources(detailedChannels, state);
+    const newChannels = this.screenByConfidence(detailedChannels);
+
+    // 更新対象は行番号が変わっている可能性があるため、処理時点の行番号で解決する
+    const updateInfos = updateIds
+      .filter(id => existingChannels.has(id))
+      .map(id => ({id: id, row: existingChannels.get(id).row}));
+    const updateChannels = this.getChannelDetailsForUpdate(updateInfos, state.pendingUpdateIds);
+
+    const completed = state.searchCompleted &&
+      state.pendingNewIds.length === 0 &&
+      state.pendingUpdateIds.length === 0;
+
+    if (!completed) {
+      Logger.log(`未処理: 新規${state.pendingNewIds.length}件 / 更新${state.pendingUpdateIds.length}件` +
+        (state.searchCompleted ? '' : ' / 検索途中'));
+    }
 
-          // チャンネルIDを統合（Setなので自動的に重複排除）
-          channelIds.forEach(id => allChannelIds.add(id));
+    Logger.log('--- YouTube検索完了 ---');
+    return {
+      newChannels: newChannels,
+      updateChannels: updateChannels,
+      completed: completed
+    };
+  }
 
+  /**
+   * 検索の作業状態を初期化（未設定の項目のみ）
+   * @param {Object} state 作業状態
+   */
+  initializeSearchState(state) {
+    if (!state.searchCursor) {
+      state.searchCursor = { orderIndex: 0, keywordIndex: 0, page: null };
+    }
+    if (!state.videoSearchCursor) {
+      state.videoSearchCursor = { strategyIndex: 0, keywordIndex: 0, page: null, publishedAfter: null };
+    }
+    state.searchCompleted = state.searchCompleted || false;
+    state.discoveredIds = state.discoveredIds || [];
+    state.discoverySources = state.discoverySources || {}; // チャンネルID -> 最初に見つけた発見経路
+    state.pendingNewIds = state.pendingNewIds || [];
+    state.pendingUpdateIds = state.pendingUpdateIds || [];
+
+    // 前回の実行がシートへの書き込み前に失敗した場合、詳細を取得していたチャンネルをキューに戻す
+    // （追加済みのチャンネルはappendChannelsが登録済みとしてスキップする）
+    if (state.inFlightIds) {
+      state.pendingNewIds = Array.from(new Set(state.inFlightIds.newIds.concat(state.pendingNewIds)));
+      state.pendingUpdateIds = Array.from(new Set(state.inFlightIds.updateIds.concat(state.pendingUpdateIds)));
+      Logger.log(`前回書き込めなかったチャンネルをキューに戻しました: 新規${state.inFlightIds.newIds.length}件 / 更新${state.inFlightIds.updateIds.length}件`);
+      state.inFlightIds = null;
+    }
+  }
+
+  /**
+   * シートへの書き込みが終わったチャンネルを作業状態から取り除く（searchVTuberChannelsの結果を保存した後に呼び出す）
+   * @param {Object} state 作業状態
+   */
+  completeInFlightIds(state) {
+    state.inFlightIds = null;
+
+    // 未取得のチャンネル以外の発見経路は不要（フィルタで除外されたチャンネル・更新対象を含む）
+    const pendingIds = new Set(state.pendingNewIds.concat(state.discoveredIds));
+    Object.keys(state.discoverySources || {}).forEach(id => {
+      if (!pendingIds.has(id)) {
+        delete state.discoverySources[id];
+      }
+    });
+  }
+
+  /**
+   * 全検索順序 × 全キーワードの検索を実行
+   * @param {Object} state 作業状態（searchCursor・discoveredIdsを更新）
+   * @return {boolean} すべての検索が完了した場合true（実行時間制限で中断した場合false）
+   */
+  runKeywordSearches(state) {
+    const cursor = state.searchCursor;
+    const discovered = new Set(state.discoveredIds);
+
+    try {
+      while (cursor.orderIndex < CONFIG.SEARCH_ORDERS.length) {
+        const order = CONFIG.SEARCH_ORDERS[cursor.orderIndex];
+
+        while (cursor.keywordIndex < CONFIG.SEARCH_KEYWORDS.length) {
           // 実行時間チェック
           if (this.isTimeoutApproaching()) {
             Logger.log('実行時間制限が近づいています。検索を中断します。');
-            break;
+            return false;
           }
 
-        } catch (error) {
-          Logger.log(`検索エラー (${keyword}, ${order}): ${error.message}`);
-          this.errorLogger.logError(error, {
-            functionName: 'searchVTuberChannels',
-            apiName: 'YouTube.Search.list',
-            parameters: { keyword: keyword, order: order }
-          });
+          const keyword = CONFIG.SEARCH_KEYWORDS[cursor.keywordIndex];
+          Logger.log(`キーワード: "${keyword}" (${order}) で検索中...`);
+
+          if (!cursor.page) {
+            cursor.page = { pageToken: '', pageCount: 0, foundCount: 0, done: false };
+          }
+
+          try {
+            const channelIds = this.searchByKeyword(keyword, order, cursor.page);
+            Logger.log(`  ${channelIds.length}件のチャンネルを発見`);
+
+            // チャンネルIDを統合（Setなので自動的に重複排除）
+            channelIds.forEach(id => discovered.add(id));
+            this.recordDiscoverySource(state, channelIds, CONFIG.DISCOVERY_SOURCES.keyword);
+
+          } catch (error) {
+            Logger.log(`検索エラー (${keyword}, ${order}): ${error.message}`);
+            this.errorLogger.logError(error, {
+              functionName: 'searchVTuberChannels',
+              apiName: 'YouTube.Search.list',
+              parameters: { keyword: keyword, order: order }
+            });
+            this.skipSearchPage(cursor.page, error);
+          }
+
+          // ページの途中で中断した場合（実行時間制限・クォータ予算）は次回同じキーワードの続きのページから
+          if (!cursor.page.done) {
+            Logger.log('検索を中断します。続きのページは次回の実行で取得します。');
+            return false;
+          }
+
+          cursor.keywordIndex++;
+          cursor.page = null;
         }
+
+        cursor.orderIndex++;
+        cursor.keywordIndex = 0;
       }
 
-      // 実行時間チェック（外側のループ）
-      if (this.isTimeoutApproaching()) {
-        Logger.log('実行時間制限が近づいています。検索を中断します。');
-        break;
+      return true;
+
+    } finally {
+      state.discoveredIds = Array.from(discovered);
+    }
+  }
+
+  /**
+   * 動画検索を実行（配信中の動画・最近公開された動画を検索し、投稿したチャンネルを集める）
+   * チャンネルページにVTuberと書いていなくても、VTuberの配信をしているチャンネルが見つかる
+   * @param {Object} state 作業状態（videoSearchCursor・discoveredIdsを更新）
+   * @return {boolean} すべての検索が完了した場合true（実行時間制限・クォータ予算で中断した場合false）
+   */
+  runVideoSearches(state) {
+    const cursor = state.videoSearchCursor;
+    const discovered = new Set(state.discoveredIds);
+
+    try {
+      while (cursor.strategyIndex < CONFIG.VIDEO_SEARCH_STRATEGIES.length) {
+        const strategy = CONFIG.VIDEO_SEARCH_STRATEGIES[cursor.strategyIndex];
+
+        // 最近の動画の範囲は検索の開始時点で固定する（中断をまたいでも同じ範囲で検索する）
+        if (strategy === 'recent' && !cursor.publishedAfter) {
+          cursor.publishedAfter = new Date(new Date().getTime() - CONFIG.VIDEO_SEARCH_RECENT_HOURS * 60 * 60 * 1000).toISOString();
+        }
+        const options = strategy === 'live'
+          ? { type: 'video', eventType: 'live', maxPages: CONFIG.VIDEO_SEARCH_MAX_PAGES }
+          : { type: 'video', publishedAfter: cursor.publishedAfter, maxPages: CONFIG.VIDEO_SEARCH_MAX_PAGES };
+        const source = strategy === 'live' ? CONFIG.DISCOVERY_SOURCES.liveVideo : CONFIG.DISCOVERY_SOURCES.recentVideo;
+
+        while (cursor.keywordIndex < CONFIG.VIDEO_SEARCH_KEYWORDS.length) {
+          // 実行時間チェック
+          if (this.isTimeoutApproaching()) {
+            Logger.log('実行時間制限が近づいています。検索を中断します。');
+            return false;
+          }
+
+          const keyword = CONFIG.VIDEO_SEARCH_KEYWORDS[cursor.keywordIndex];
+          Logger.log(`動画キーワード: "${keyword}" (${source}) で検索中...`);
+
+          if (!cursor.page) {
+            cursor.page = { pageToken: '', pageCount: 0, foundCount: 0, done: false };
+          }
+
+          try {
+            const channelIds = this.searchByKeyword(keyword, 'date', cursor.page, options);
+            Logger.log(`  ${channelIds.length}件のチャンネルを発見`);
+            channelIds.forEach(id => discovered.add(id));
+            this.recordDiscoverySource(state, channelIds, source);
+
+          } catch (error) {
+            Logger.log(`動画検索エラー (${keyword}, ${strategy}): ${error.message}`);
+            this.errorLogger.logError(error, {
+              functionName: 'runVideoSearches',
+              apiName: 'YouTube.Search.list',
+              parameters: { keyword: keyword, strategy: strategy }
+            });
+            this.skipSearchPage(cursor.page, error);
+          }
+
+          // ページの途中で中断した場合（実行時間制限・クォータ予算）は次回同じキーワードの続きのページから
+          if (!cursor.page.done) {
+            Logger.log('検索を中断します。続きのページは次回の実行で取得します。');
+            return false;
+          }
+
+          cursor.keywordIndex++;
+          cursor.page = null;
+        }
+
+        cursor.strategyIndex++;
+        cursor.keywordIndex = 0;
       }
+
+      return true;
+
+    } finally {
+      state.discoveredIds = Array.from(discovered);
     }
+  }
+
+  /**
+   * 検索でエラーが発生したキーワードを完了にして次に進む
+   * クォータエラーの場合は完了にせず予算超過を記録する（ジョブは中断し、次回の実行で同じページから再開する）
+   * @param {Object} page 検索ページのカーソル
+   * @param {Error} error エラー
+   */
+  skipSearchPage(page, error) {
+    if (this.errorLogger.isQuotaError(error)) {
+      if (this.quotaTracker) {
+        this.quotaTracker.markBudgetExhausted();
+      }
+      return;
+    }
+    page.done = true;
+  }
+
+  /**
+   * チャンネルの発見経路を記録（最初に見つけた経路のみ）
+   * @param {Object} state 作業状態（discoverySourcesを更新）
+   * @param {Array} channelIds チャンネルID一覧
+   * @param {string} source 発見経路（CONFIG.DISCOVERY_SOURCESの値）
+   */
+  recordDiscoverySource(state, channelIds, source) {
+    channelIds.forEach(id => {
+      if (!state.discoverySources[id]) {
+        state.discoverySources[id] = source;
+      }
+    });
+  }
 
-    Logger.log(`合計発見チャンネル数: ${allChannelIds.size}`);
+  /**
+   * 詳細を取得したチャンネルに発見経路を付与
+   * （作業状態の経路は書き込み後にcompleteInFlightIdsで取り除く）
+   * @param {Array} channels チャンネル情報の配列
+   * @param {Object} state 作業状態
+   */
+  tagDiscoverySources(channels, state) {
+    channels.forEach(channel => {
+      channel.discoverySource = state.discoverySources[channel.channelId] || CONFIG.DISCOVERY_SOURCES.keyword;
+    });
+  }
 
-    // 新規チャンネルと更新対象チャンネルに分類
-    const newChannelIds = [];
-    const updateChannelIds = [];
+  /**
+   * 発見したチャンネルを新規・更新対象のキューに振り分け
+   * @param {Object} state 作業状態（discoveredIdsを空にし、pendingNewIds・pendingUpdateIdsに追加）
+   * @param {Map} existingChannels 既存のチャンネル情報（ID -> {row, fetchedAt}）
+   */
+  classifyDiscoveredChannels(state, existingChannels) {
+    // 除外済みチャンネル・VTuber判定レビューに記録済みのチャンネル（API呼び出し前に除外する）
+    const suppressedIds = this.sheetManager.getSuppressedChannelIds();
+    const reviewedIds = this.reviewQueue.getRecordedChannelIds();
+    const clipIds = this.relatedChannels.getRelatedChannelIds(CONFIG.RELATED_TYPE_CLIP);
+    const queuedIds = new Set(state.pendingNewIds.concat(state.pendingUpdateIds));
+    let suppressedCount = 0;
+    let reviewedCount = 0;
+    let clipCount = 0;
+    let newCount = 0;
+    let updateCount = 0;
+
+    state.discoveredIds.forEach(id => {
+      if (queuedIds.has(id)) {
+        return;
+      }
 
-    Array.from(allChannelIds).forEach(id => {
-      if (existingChannels.has(id)) {
+      if (suppressedIds.has(id)) {
+        // 除外済みチャンネル：詳細を取得しない
+        suppressedCount++;
+      } else if (reviewedIds.has(id) && !existingChannels.has(id)) {
+        // レビュー待ち・却下済みチャンネル：詳細を取得しない
+        reviewedCount++;
+      } else if (clipIds.has(id) && !existingChannels.has(id)) {
+        // 関連チャンネルとして記録済みの切り抜きチャンネル：詳細を取得しない
+        clipCount++;
+      } else if (existingChannels.has(id)) {
         // 既存チャンネル：指定日数以上経過していたら更新対象
         const channelInfo = existingChannels.get(id);
         const daysSinceLastFetch = (new Date() - channelInfo.fetchedAt) / (1000 * 60 * 60 * 24);
         if (daysSinceLastFetch >= CONFIG.UPDATE_INTERVAL_DAYS) {
-          updateChannelIds.push({id: id, row: channelInfo.row});
+          state.pendingUpdateIds.push(id);
+          updateCount++;
         }
       } else {
         // 新規チャンネル
-        newChannelIds.push(id);
+        state.pendingNewIds.push(id);
+        newCount++;
       }
     });
 
-    Logger.log(`新規チャンネル数: ${newChannelIds.length}`);
-    Logger.log(`更新対象チャンネル数: ${updateChannelIds.length}`);
-
-    // チャンネル詳細を取得
-    const newChannels = this.getChannelDetails(newChannelIds);
-    const updateChannels = this.getChannelDetailsForUpdate(updateChannelIds);
+    state.discoveredIds = [];
 
-    Logger.log('--- YouTube検索完了 ---');
-    return {
-      newChannels: newChannels,
-      updateChannels: updateChannels
-    };
+    Logger.log(`除外済みチャンネル数: ${suppressedCount}`);
+    Logger.log(`VTuber判定レビューに記録済みのチャンネル数: ${reviewedCount}`);
+    Logger.log(`記録済みの切り抜きチャンネル数: ${clipCount}`);
+    Logger.log(`新規チャンネル数: ${newCount}`);
+    Logger.log(`更新対象チャンネル数: ${updateCount}`);
   }
 
   /**
    * キーワードでチャンネルを検索
    * @param {string} keyword 検索キーワード
    * @param {string} order 検索順序（relevance, rating, date, viewCount等）
-   * @return {Array} チャンネルID一覧
+   * @param {Object} page ページ位置（{pageToken, pageCount, foundCount, done}）。指定すると続きのページから検索し、位置を更新する
+   * @param {Object} options 検索条件（省略可）
+   *   type: 'channel'（デフォルト）または'video'（動画を検索し、投稿したチャンネルを返す）
+   *   eventType: 動画検索でライブ配信の状態（'live'など）
+   *   publishedAfter, publishedBefore: 公開日時の範囲（ISO 8601。チャンネル検索ではチャンネルの開設日）
+   *   maxPages: 最大ページ数
+   * @return {Array} チャンネルID一覧（重複なし）
    */
-  searchByKeyword(keyword, order = 'relevance') {
+  searchByKeyword(keyword, order = 'relevance', page = null, options = {}) {
+    const cursor = page || { pageToken: '', pageCount: 0, foundCount: 0, done: false };
+    const maxPages = options.maxPages || CONFIG.MAX_SEARCH_PAGES;
     const channelIds = [];
-    let pageToken = '';
-    let pageCount = 0;
 
     do {
+      // 計画した検索ページ数に達した場合（続きのページはcursorに残る）
+      if (this.searchPageLimit !== null && this.searchPageCount >= this.searchPageLimit) {
+        Logger.log(`クォータ計画の検索ページ数（${this.searchPageLimit}ページ）に達しました`);
+        if (this.quotaTracker) {
+          this.quotaTracker.markBudgetExhausted();
+        }
+        break;
+      }
+
+      // 本日のクォータ予算チェック（続きのページはcursorに残る）
+      if (this.quotaTracker && !this.quotaTracker.hasBudget('YouTube.Search.list')) {
+        break;
+      }
+
       try {
         // YouTube Data API: search.list
-        const response = YouTube.Search.list('snippet', {
+        const params = {
           q: keyword,
-          type: 'channel',
+          type: options.type || 'channel',
           maxResults: CONFIG.MAX_RESULTS_PER_REQUEST,
-          pageToken: pageToken,
+          pageToken: cursor.pageToken,
           order: order,
           regionCode: 'JP',
           relevanceLanguage: 'ja'
-        });
+        };
+        if (options.eventType) {
+          params.eventType = options.eventType;
+        }
+        // type=channelの場合、publishedAfter・publishedBeforeはチャンネルの開設日で絞り込む
+        if (options.publishedAfter) {
+          params.publishedAfter = options.publishedAfter;
+        }
+        if (options.publishedBefore) {
+          params.publishedBefore = options.publishedBefore;
+        }
+        const response = YouTube.Search.list('snippet', params);
 
         // API使用量を記録
         if (this.quotaTracker) {
           this.quotaTracker.recordAPICall('YouTube.Search.list');
         }
+        this.searchPageCount++;
 
         if (response.items) {
           response.items.forEach(item => {
-            if (item.id && item.id.channelId) {
-              channelIds.push(item.id.channelId);
+            // 動画検索の結果は動画を投稿したチャンネル（同じチャンネルの動画が複数ある場合は1件）
+            const channelId = params.type === 'video' ? item.snippet?.channelId : item.id?.channelId;
+            if (channelId && channelIds.indexOf(channelId) === -1) {
+              channelIds.push(channelId);
             }
           });
         }
 
-        pageToken = response.nextPageToken || '';
-        pageCount++;
+        cursor.pageToken = response.nextPageToken || '';
+        cursor.pageCount++;
+        cursor.foundCount += response.items ? response.items.length : 0;
+
+        // 最終ページ・最大ページ数・最大件数に達したら完了
+        if (!cursor.pageToken || cursor.pageCount >= maxPages || cursor.foundCount >= CONFIG.MAX_RESULTS) {
+          cursor.done = true;
+          break;
+        }
 
-        // 実行時間・結果数チェック
-        if (channelIds.length >= CONFIG.MAX_RESULTS || this.isTimeoutApproaching()) {
+        // 実行時間チェック（続きのページはcursorに残る）
+        if (this.isTimeoutApproaching()) {
           break;
         }
 
@@ -156,17 +461,21 @@ class YouTubeSearcher {
         this.errorLogger.logError(error, {
           functionName: 'searchByKeyword',
           apiName: 'YouTube.Search.list',
-          parameters: { keyword: keyword, order: order, pageToken: pageToken }
+          parameters: { keyword: keyword, order: order, pageToken: cursor.pageToken }
         });
-        // クォータエラーの場合は処理を中断
+        // クォータエラーの場合は処理を中断（完了にしないため、次回の実行で同じページから再開する）
         if (this.errorLogger.isQuotaError(error)) {
           Logger.log('クォータエラーが発生しました。検索を中断します。');
+          if (this.quotaTracker) {
+            this.quotaTracker.markBudgetExhausted();
+          }
           break;
         }
+        cursor.done = true;
         break;
       }
 
-    } while (pageToken && pageCount < CONFIG.MAX_SEARCH_PAGES); // 最大ページ数（Config.jsで設定）
+    } while (cursor.pageToken);
 
     return channelIds;
   }
@@ -174,25 +483,37 @@ class YouTubeSearcher {
   /**
    * 更新用チャンネル詳細情報を取得
    * @param {Array} channelInfos チャンネル情報一覧（{id, row}の配列）
+   * @param {Array} remainingIds 中断により処理できなかったチャンネルIDの追加先（省略可）
+   * @param {Object} options {statsOnly: 追加時の条件（登録者数・事務所・除外キーワード・切り抜き・アクティブ判定）を適用せずに最新の値を取得するか}
    * @return {Array} {channel: チャンネルデータ, row: 行番号}の配列
    */
-  getChannelDetailsForUpdate(channelInfos) {
+  getChannelDetailsForUpdate(channelInfos, remainingIds = null, options = {}) {
     const channels = [];
     const batchSize = 50;
 
     const channelIds = channelInfos.map(info => info.id);
 
-    for (let i = 0; i < channelIds.length; i += batchSize) {
+    let i = 0;
+    while (i < channelIds.length) {
       if (this.isTimeoutApproaching()) {
         Logger.log('実行時間制限が近づいています。更新処理を中断します。');
+        this.keepRemaining(remainingIds, channelIds.slice(i));
         break;
       }
 
-      const batch = channelIds.slice(i, i + batchSize);
+      // 本日のクォータ予算に収まる件数にバッチを縮める
+      const affordableCount = this.getAffordableUpdateCount(Math.min(batchSize, channelIds.length - i));
+      if (affordableCount <= 0) {
+        this.quotaTracker.markBudgetExhausted();
+        this.keepRemaining(remainingIds, channelIds.slice(i));
+        break;
+      }
+
+      const batch = channelIds.slice(i, i + affordableCount);
       Logger.log(`チャンネル更新情報取得中... (${i + 1}〜${i + batch.length}/${channelIds.length})`);
 
       try {
-        const response = YouTube.Channels.list('snippet,statistics,contentDetails', {
+        const response = YouTube.Channels.list('snippet,statistics,contentDetails,brandingSettings', {
           id: batch.join(','),
           maxResults: batchSize
         });
@@ -205,7 +526,7 @@ class YouTubeSearcher {
         if (response.items) {
           response.items.forEach(channel => {
             try {
-              const channelData = this.processChannel(channel);
+              const channelData = options.statsOnly ? this.buildRefreshedChannel(channel) : this.processChannel(channel);
               if (channelData) {
                 // 対応する行番号を見つける
                 const channelInfo = channelInfos.find(info => info.id === channel.id);
@@ -240,11 +561,15 @@ class YouTubeSearcher {
         // クォータエラーの場合は処理を中断
         if (this.errorLogger.isQuotaError(error)) {
           Logger.log('クォータエラーが発生しました。更新処理を中断します。');
+          this.keepRemaining(remainingIds, channelIds.slice(i));
           break;
         }
       }
+
+      i += batch.length;
     }
 
+    this.recordClipChannels();
     return channels;
   }
 
@@ -253,16 +578,22 @@ class YouTubeSearcher {
    * Phase 1: 基本情報でフィルタリング（API呼び出し: channels.listのみ）
    * Phase 2: 合格チャンネルのみ動画情報を取得（API呼び出し: playlistItems.list, videos.list）
    * @param {Array} channelIds チャンネルID一覧
+   * @param {Array} remainingIds 中断により処理できなかったチャンネルIDの追加先（省略可）。Phase 2の未処理分もPhase 1からやり直す
+   * @param {Object} criteria 基本情報フィルタの条件（省略時は通常の条件。新人発掘ではDebutRadar.criteria()）
    * @return {Array} チャンネル詳細情報の配列
    */
-  getChannelDetails(channelIds) {
+  getChannelDetails(channelIds, remainingIds = null, criteria = null) {
     const batchSize = 50; // APIの上限
+    const basicCriteria = criteria || YouTubeSearcher.defaultCriteria();
 
     // フィルタリング統計
     const filterStats = {
       total: 0,
       subscriberCount: 0,
+      channelAge: 0,
       excluded: 0,
+      agency: 0,
+      clipChannel: 0,
       noPlaylist: 0,
       invalidPlaylist: 0,
       noVideos: 0,
@@ -279,6 +610,13 @@ class YouTubeSearcher {
     for (let i = 0; i < channelIds.length; i += batchSize) {
       if (this.isTimeoutApproaching()) {
         Logger.log('実行時間制限が近づいています。詳細取得を中断します。');
+        this.keepRemaining(remainingIds, channelIds.slice(i));
+        break;
+      }
+
+      // 本日のクォータ予算チェック
+      if (this.quotaTracker && !this.quotaTracker.hasBudget('YouTube.Channels.list')) {
+        this.keepRemaining(remainingIds, channelIds.slice(i));
         break;
       }
 
@@ -287,7 +625,7 @@ class YouTubeSearcher {
 
       try {
         // YouTube Data API: channels.list
-        const response = YouTube.Channels.list('snippet,statistics,contentDetails', {
+        const response = YouTube.Channels.list('snippet,statistics,contentDetails,brandingSettings', {
           id: batch.join(','),
           maxResults: batchSize
         });
@@ -300,7 +638,7 @@ class YouTubeSearcher {
         if (response.items) {
           response.items.forEach(channel => {
             try {
-              const result = this.filterChannelByBasicInfo(channel, filterStats);
+              const result = this.filterChannelByBasicInfo(channel, filterStats, basicCriteria);
               if (result) {
                 filteredChannels.push(result);
               }
@@ -329,12 +667,14 @@ class YouTubeSearcher {
         // クォータエラーの場合は処理を中断
         if (this.errorLogger.isQuotaError(error)) {
           Logger.log('クォータエラーが発生しました。詳細取得を中断します。');
+          this.keepRemaining(remainingIds, channelIds.slice(i));
           break;
         }
       }
     }
 
     Logger.log(`Phase 1完了: ${filteredChannels.length}件がフィルタ通過（${channelIds.length}件中）`);
+    this.recordClipChannels();
 
     // ========================================
     // Phase 2: 動画情報を取得してアクティブ判定
@@ -345,6 +685,14 @@ class YouTubeSearcher {
     for (let i = 0; i < filteredChannels.length; i++) {
       if (this.isTimeoutApproaching()) {
         Logger.log('実行時間制限が近づいています。動画情報取得を中断します。');
+        // 基本情報は次回Channels.list（50件で1ユニット）で取り直す
+        this.keepRemaining(remainingIds, filteredChannels.slice(i).map(info => info.channelId));
+        break;
+      }
+
+      // 本日のクォータ予算チェック（動画一覧・動画詳細の取得分）
+      if (this.quotaTracker && !this.quotaTracker.hasBudget(['YouTube.PlaylistItems.list', 'YouTube.Videos.list'])) {
+        this.keepRemaining(remainingIds, filteredChannels.slice(i).map(info => info.channelId));
         break;
       }
 
@@ -375,8 +723,13 @@ class YouTubeSearcher {
     Logger.log('--- フィルタリング統計 ---');
     Logger.log(`処理総数: ${filterStats.total}`);
     Logger.log(`Phase 1除外:`);
-    Logger.log(`  登録者数不足 (<${CONFIG.MIN_SUBSCRIBER_COUNT}人): ${filterStats.subscriberCount}`);
+    Logger.log(`  登録者数不足 (<${basicCriteria.minSubscriberCount}人): ${filterStats.subscriberCount}`);
+    if (basicCriteria.maxChannelAgeDays) {
+      Logger.log(`  開設からの日数超過 (>${basicCriteria.maxChannelAgeDays}日): ${filterStats.channelAge}`);
+    }
     Logger.log(`  除外キーワード該当: ${filterStats.excluded}`);
+    Logger.log(`  除外する区分の事務所に所属 (${CONFIG.AGENCY_EXCLUDED_TIERS.join(' / ')}): ${filterStats.agency}`);
+    Logger.log(`  切り抜きチャンネル: ${filterStats.clipChannel}`);
     Logger.log(`  プレイリスト情報なし: ${filterStats.noPlaylist}`);
     Logger.log(`  不正なプレイリストID: ${filterStats.invalidPlaylist}`);
     Logger.log(`Phase 2除外:`);
@@ -391,9 +744,10 @@ class YouTubeSearcher {
    * 基本情報でチャンネルをフィルタリング（API呼び出しなし）
    * @param {Object} channel YouTube APIのチャンネルオブジェクト
    * @param {Object} filterStats フィルタリング統計
+   * @param {Object} criteria 条件（{minSubscriberCount, maxChannelAgeDays}、省略時は通常の条件）
    * @return {Object|null} フィルタ通過したチャンネル情報、または除外される場合はnull
    */
-  filterChannelByBasicInfo(channel, filterStats) {
+  filterChannelByBasicInfo(channel, filterStats, criteria = YouTubeSearcher.defaultCriteria()) {
     const snippet = channel.snippet;
     const statistics = channel.statistics;
 
@@ -401,16 +755,47 @@ class YouTubeSearcher {
 
     // 登録者数チェック
     const subscriberCount = parseInt(statistics.subscriberCount) || 0;
-    if (subscriberCount < CONFIG.MIN_SUBSCRIBER_COUNT) {
+    if (subscriberCount < criteria.minSubscriberCount) {
       filterStats.subscriberCount++;
       return null;
     }
 
-    // 除外キーワードチェック
+    // 開設日チェック（新人発掘のみ。開設日が取得できないチャンネルは新人とみなさない）
+    if (criteria.maxChannelAgeDays) {
+      const channelAgeDays = (new Date() - new Date(snippet.publishedAt)) / (1000 * 60 * 60 * 24);
+      if (!snippet.publishedAt || !(channelAgeDays <= criteria.maxChannelAgeDays)) {
+        filterStats.channelAge++;
+        return null;
+      }
+    }
+
+    // 所属事務所を判定し、除外する区分の事務所に所属するチャンネルは追加しない
     const channelName = snippet.title || '';
     const description = snippet.description || '';
+    const agency = this.agencyRegistry.match(channel.id, channelName, description);
+    if (agency && this.agencyRegistry.isExcludedTier(agency.tier)) {
+      filterStats.agency++;
+      Logger.log(`所属事務所で除外: ${channelName}（${agency.name} / ${agency.tier}、${agency.evidence}）`);
+      return null;
+    }
+
+    // 除外キーワードチェック
     if (this.shouldExclude(channelName, description)) {
       filterStats.excluded++;
+      Logger.log(`除外キーワードで除外: ${channelName}`);
+      return null;
+    }
+
+    // 切り抜きチャンネルは追加せず、元チャンネルの関連チャンネルとして記録（動画情報は取得しない）
+    const clip = this.clipDetector.detect(channelName, description, snippet.customUrl);
+    if (clip.isClip) {
+      filterStats.clipChannel++;
+      this.detectedClipChannels.push({
+        channelId: channel.id,
+        channelName: channelName,
+        subscriberCount: subscriberCount,
+        clip: clip
+      });
       return null;
     }
 
@@ -422,28 +807,58 @@ class YouTubeSearcher {
     }
 
     // プレイリストIDの形式を検証（UUで始まる24文字）
-    if (!uploadsPlaylistId.startsWith('UU') || uploadsPlaylistId.length !== 24) {
+    if (!YouTubeSearcher.isValidUploadsPlaylistId(uploadsPlaylistId)) {
       filterStats.invalidPlaylist++;
       return null;
     }
 
+    // フィルタ通過：基本情報を返す
+    return this.extractBasicInfo(channel, agency);
+  }
+
+  /**
+   * YouTube APIのチャンネルオブジェクトから基本情報を取り出す（条件の判定はしない）
+   * @param {Object} channel YouTube APIのチャンネルオブジェクト
+   * @param {Object|null} agency 所属事務所の判定結果（AgencyRegistry.matchの戻り値）
+   * @return {Object} 基本情報
+   */
+  extractBasicInfo(channel, agency) {
+    const snippet = channel.snippet;
+    const statistics = channel.statistics;
+    const channelName = snippet.title || '';
+    const description = snippet.description || '';
+    const uploadsPlaylistId = channel.contentDetails?.relatedPlaylists?.uploads || '';
+
     // チャンネルアイコンのURLを取得（高解像度を優先）
     const thumbnailUrl = snippet.thumbnails?.high?.url ||
                          snippet.thumbnails?.medium?.url ||
                          snippet.thumbnails?.default?.url || '';
 
-    // X（Twitter）リンクを抽出
-    const twitterLink = this.extractTwitterLink(description);
+    // チャンネルキーワード（VTuber判定に使用）
+    const brandingKeywords = channel.brandingSettings?.channel?.keywords || '';
+
+    // ハンドル（古いチャンネルは@なしで返ることがあるため@を付けて揃える）
+    const handle = snippet.customUrl ? '@' + String(snippet.customUrl).replace(/^@/, '') : '';
 
-    // フィルタ通過：基本情報を返す
     return {
       channelId: channel.id,
       channelName: channelName,
+      handle: handle,
       channelUrl: `https://www.youtube.com/channel/${channel.id}`,
-      subscriberCount: subscriberCount,
+      subscriberCount: parseInt(statistics.subscriberCount) || 0,
+      totalViewCount: parseInt(statistics.viewCount) || 0,
+      videoCount: parseInt(statistics.videoCount) || 0,
+      channelPublishedAt: snippet.publishedAt
+        ? Utilities.formatDate(new Date(snippet.publishedAt), 'JST', 'yyyy-MM-dd')
+        : '',
+      country: snippet.country || channel.brandingSettings?.channel?.country || '',
+      defaultLanguage: snippet.defaultLanguage || channel.brandingSettings?.channel?.defaultLanguage || '',
       description: description.substring(0, 500),
+      fullDescription: description, // SNSリンクの抽出用（切り詰める前の全文）
       thumbnailUrl: thumbnailUrl,
-      twitterLink: twitterLink,
+      brandingKeywords: brandingKeywords,
+      affiliation: agency ? agency.name : '',
+      affiliationTier: agency ? agency.tier : '',
       uploadsPlaylistId: uploadsPlaylistId
     };
   }
@@ -473,28 +888,210 @@ class YouTubeSearcher {
     // 動画の詳細情報を取得（API呼び出し）
     const videoDetails = this.getVideoDetails(recentVideos.map(v => v.videoId));
 
+    // フィルタ合格
+    filterStats.passed++;
+
+    return this.buildChannelData(channelInfo, recentVideos, videoDetails);
+  }
+
+  /**
+   * 定期更新用にチャンネルの最新の値を取得（API呼び出しあり）
+   * 追加時の条件（登録者数・事務所・除外キーワード・切り抜き・アクティブ判定）は適用しない
+   * 登録者数が下限を下回ったチャンネルや投稿が止まったチャンネルも、VTuberリストの値を最新にする
+   * @param {Object} channel YouTube APIのチャンネルオブジェクト
+   * @return {Object} チャンネル情報
+   */
+  buildRefreshedChannel(channel) {
+    const agency = this.agencyRegistry.match(channel.id, channel.snippet.title || '', channel.snippet.description || '');
+    const channelInfo = this.extractBasicInfo(channel, agency);
+
+    const recentVideos = YouTubeSearcher.isValidUploadsPlaylistId(channelInfo.uploadsPlaylistId)
+      ? this.getRecentVideos(channelInfo.uploadsPlaylistId)
+      : [];
+    const videoDetails = recentVideos.length > 0
+      ? this.getVideoDetails(recentVideos.map(v => v.videoId))
+      : [];
+
+    return this.buildChannelData(channelInfo, recentVideos, videoDetails);
+  }
+
+  /**
+   * 基本情報と動画情報からチャンネル情報を組み立てる
+   * @param {Object} channelInfo 基本情報（extractBasicInfoの戻り値）
+   * @param {Array} recentVideos 最近の動画一覧（新しい順）
+   * @param {Array} videoDetails 動画詳細一覧
+   * @return {Object} 完全なチャンネル情報
+   */
+  buildChannelData(channelInfo, recentVideos, videoDetails) {
+    const lastPublishedAt = recentVideos.length > 0 ? new Date(recentVideos[0].publishedAt) : null;
+
     // 統計情報を計算
     const stats = this.calculateStatistics(recentVideos, videoDetails);
 
-    // フィルタ合格
-    filterStats.passed++;
+    // SNSリンクを抽出（概要ページのリンクの取得はクォータを使わない）
+    const aboutPageUrls = CONFIG.SOCIAL_LINK_FETCH_ABOUT_PAGE
+      ? this.socialLinkExtractor.fetchAboutPageUrls(channelInfo.channelId)
+      : [];
+    const socialLinks = this.socialLinkExtractor.extract(channelInfo.fullDescription, aboutPageUrls);
 
     // 完全なチャンネルデータを構築
-    return {
+    const channel = {
       thumbnailUrl: channelInfo.thumbnailUrl,
       channelId: channelInfo.channelId,
       channelName: channelInfo.channelName,
+      handle: channelInfo.handle,
       channelUrl: channelInfo.channelUrl,
       subscriberCount: channelInfo.subscriberCount,
+      totalViewCount: channelInfo.totalViewCount,
+      videoCount: channelInfo.videoCount,
+      channelPublishedAt: channelInfo.channelPublishedAt,
+      country: channelInfo.country,
+      defaultLanguage: channelInfo.defaultLanguage,
+      affiliation: channelInfo.affiliation,
+      affiliationTier: channelInfo.affiliationTier,
       uploadFrequency: stats.uploadFrequency,
       avgViewCount: stats.avgViewCount,
       avgLikeCount: stats.avgLikeCount,
       avgCommentCount: stats.avgCommentCount,
-      lastPublishedAt: Utilities.formatDate(lastPublishedAt, 'JST', 'yyyy-MM-dd HH:mm:ss'),
+      lastPublishedAt: lastPublishedAt ? Utilities.formatDate(lastPublishedAt, 'JST', 'yyyy-MM-dd HH:mm:ss') : '',
       description: channelInfo.description,
-      twitterLink: channelInfo.twitterLink,
+      recentVideoTitles: recentVideos.map(video => video.title).join('\n'), // 属性ルールの照合用
+      twitterLink: SocialLinkExtractor.primaryUrl(socialLinks, 'X'),
+      socialLinks: socialLinks,
+      aboutPageUnavailable: CONFIG.SOCIAL_LINK_FETCH_ABOUT_PAGE && aboutPageUrls === null, // 記録済みの概要ページのリンクを残す
       fetchedAt: new Date()
     };
+
+    // VTuber判定の確度を採点
+    channel.classification = this.classifier.classify({
+      channelName: channelInfo.channelName,
+      description: channelInfo.description,
+      brandingKeywords: channelInfo.brandingKeywords,
+      videoTitles: recentVideos.map(video => video.title),
+      streamCount: videoDetails.filter(video => video.isStream).length,
+      videoCount: videoDetails.length
+    });
+    channel.vtuberConfidence = channel.classification.score;
+
+    // 属性を判定（新規チャンネルは固定属性がないため、追加時にそのまま書き込む）
+    return Object.assign(channel, this.sheetManager.getAttributeService().evaluate(channel));
+  }
+
+  /**
+   * 新規チャンネルをVTuber判定の確度で振り分ける
+   * 確度が閾値以上のチャンネルを返し、レビュー待ち・却下のチャンネルはVTuber判定レビューシートに記録する
+   * （手動追加はこの振り分けを通さない）
+   * @param {Array} channels チャンネル情報の配列（enrichChannelWithVideoDataの戻り値）
+   * @return {Array} VTuberリストに追加するチャンネル情報の配列
+   */
+  screenByConfidence(channels) {
+    const accepted = channels.filter(channel => channel.classification.decision === 'accept');
+    const review = channels.filter(channel => channel.classification.decision === 'review');
+    const rejected = channels.filter(channel => channel.classification.decision === 'reject');
+
+    rejected.forEach(channel => {
+      Logger.log(`VTuber判定で却下: ${channel.channelName}（確度${channel.vtuberConfidence}）`);
+    });
+
+    try {
+      this.reviewQueue.record(review, '');
+      this.reviewQueue.record(rejected, '却下');
+    } catch (error) {
+      // 記録できなかったチャンネルは次回の検索で再度判定される
+      Logger.log(`VTuber判定レビューへの記録エラー: ${error.message}`);
+      this.errorLogger.logError(error, {
+        functionName: 'screenByConfidence',
+        apiName: 'スプレッドシート操作',
+        parameters: { review: review.length, rejected: rejected.length }
+      });
+    }
+
+    Logger.log(`VTuber判定: 追加${accepted.length}件 / レビュー待ち${review.length}件 / 却下${rejected.length}件`);
+    return accepted;
+  }
+
+  /**
+   * Phase 1で検出した切り抜きチャンネルを、説明文でクレジットされている元チャンネルの関連チャンネルとして記録
+   * @ハンドルはChannels.list（forHandle、1件1ユニット）でチャンネルIDに解決する。元チャンネルを特定できない場合はチャンネルIDを空欄で記録する
+   */
+  recordClipChannels() {
+    const detected = this.detectedClipChannels.splice(0);
+    if (detected.length === 0) {
+      return;
+    }
+
+    const relations = [];
+    detected.forEach(clipChannel => {
+      const credits = clipChannel.clip.channelIds.map(id => ({ channelId: id, evidence: `/channel/${id}` }));
+      clipChannel.clip.handles.forEach(handle => {
+        if (credits.length >= CONFIG.CLIP_MAX_CREDITS_PER_CHANNEL) {
+          return;
+        }
+        const channelId = this.resolveHandle(handle);
+        if (channelId && channelId !== clipChannel.channelId && !credits.some(credit => credit.channelId === channelId)) {
+          credits.push({ channelId: channelId, evidence: `@${handle}` });
+        }
+      });
+
+      const reasons = clipChannel.clip.reasons.join(', ');
+      const targets = credits.length > 0
+        ? credits.slice(0, CONFIG.CLIP_MAX_CREDITS_PER_CHANNEL)
+        : [{ channelId: '', evidence: '元チャンネル未特定' }];
+      targets.forEach(credit => {
+        relations.push({
+          channelId: credit.channelId,
+          relatedChannelId: clipChannel.channelId,
+          relatedChannelName: clipChannel.channelName,
+          type: CONFIG.RELATED_TYPE_CLIP,
+          subscriberCount: clipChannel.subscriberCount,
+          relatedChannelUrl: `https://www.youtube.com/channel/${clipChannel.channelId}`,
+          evidence: `${credit.evidence}（${reasons}）`
+        });
+      });
+    });
+
+    try {
+      this.relatedChannels.record(relations);
+    } catch (error) {
+      // 記録できなかった切り抜きチャンネルは次回の検索で再度検出される
+      Logger.log(`関連チャンネルの記録エラー: ${error.message}`);
+      this.errorLogger.logError(error, {
+        functionName: 'recordClipChannels',
+        apiName: 'スプレッドシート操作',
+        parameters: { clipChannels: detected.length }
+      });
+    }
+  }
+
+  /**
+   * @ハンドルをチャンネルIDに解決
+   * @param {string} handle ハンドル（@なし）
+   * @return {string|null} チャンネルID（見つからない場合・クォータ予算がない場合はnull）
+   */
+  resolveHandle(handle) {
+    if (this.quotaTracker && !this.quotaTracker.hasBudget('YouTube.Channels.list')) {
+      return null;
+    }
+
+    try {
+      const response = YouTube.Channels.list('id', { forHandle: `@${handle}` });
+
+      // API使用量を記録
+      if (this.quotaTracker) {
+        this.quotaTracker.recordAPICall('YouTube.Channels.list');
+      }
+
+      return response.items && response.items.length > 0 ? response.items[0].id : null;
+
+    } catch (error) {
+      Logger.log(`ハンドルの解決エラー (@${handle}): ${error.message}`);
+      this.errorLogger.logError(error, {
+        functionName: 'resolveHandle',
+        apiName: 'YouTube.Channels.list',
+        parameters: { handle: handle }
+      });
+      return null;
+    }
   }
 
   /**
@@ -509,7 +1106,10 @@ class YouTubeSearcher {
     const stats = filterStats || {
       total: 0,
       subscriberCount: 0,
+      channelAge: 0,
       excluded: 0,
+      agency: 0,
+      clipChannel: 0,
       noPlaylist: 0,
       invalidPlaylist: 0,
       noVideos: 0,
@@ -528,6 +1128,15 @@ class YouTubeSearcher {
     return result;
   }
 
+  /**
+   * アップロードプレイリストIDの形式を検証（UUで始まる24文字）
+   * @param {string} uploadsPlaylistId アップロードプレイリストID
+   * @return {boolean} 正しい形式の場合true
+   */
+  static isValidUploadsPlaylistId(uploadsPlaylistId) {
+    return Boolean(uploadsPlaylistId) && uploadsPlaylistId.startsWith('UU') && uploadsPlaylistId.length === 24;
+  }
+
   /**
    * 除外すべきチャンネルかチェック
    * @param {string} channelName チャンネル名
@@ -549,13 +1158,14 @@ class YouTubeSearcher {
   /**
    * 最近の動画を取得
    * @param {string} uploadsPlaylistId アップロードプレイリストID
+   * @param {number} maxResults 取得する動画数
    * @return {Array} 動画情報の配列
    */
-  getRecentVideos(uploadsPlaylistId) {
+  getRecentVideos(uploadsPlaylistId, maxResults = CONFIG.RECENT_VIDEOS_COUNT) {
     try {
       const response = YouTube.PlaylistItems.list('snippet', {
         playlistId: uploadsPlaylistId,
-        maxResults: CONFIG.RECENT_VIDEOS_COUNT
+        maxResults: maxResults
       });
 
       // API使用量を記録
@@ -566,7 +1176,9 @@ class YouTubeSearcher {
       if (response.items && response.items.length > 0) {
         return response.items.map(item => ({
           videoId: item.snippet.resourceId.videoId,
-          publishedAt: item.snippet.publishedAt
+          publishedAt: item.snippet.publishedAt,
+          title: item.snippet.title || '',
+          description: item.snippet.description || ''
         }));
       }
 
@@ -596,7 +1208,7 @@ class YouTubeSearcher {
     if (videoIds.length === 0) return [];
 
     try {
-      const response = YouTube.Videos.list('statistics', {
+      const response = YouTube.Videos.list('statistics,liveStreamingDetails', {
         id: videoIds.join(','),
         maxResults: videoIds.length
       });
@@ -611,7 +1223,8 @@ class YouTubeSearcher {
           videoId: item.id,
           viewCount: parseInt(item.statistics.viewCount) || 0,
           likeCount: parseInt(item.statistics.likeCount) || 0,
-          commentCount: parseInt(item.statistics.commentCount) || 0
+          commentCount: parseInt(item.statistics.commentCount) || 0,
+          isStream: !!item.liveStreamingDetails // ライブ配信（アーカイブ・予約を含む）
         }));
       }
 
@@ -669,56 +1282,30 @@ class YouTubeSearcher {
   }
 
   /**
-   * X（Twitter）リンクを抽出
-   * @param {string} description チャンネル説明文
-   * @return {string} TwitterリンクまたはN/A
+   * 未処理のチャンネルIDを追加先に残す
+   * @param {Array|null} remainingIds 追加先（nullの場合は破棄）
+   * @param {Array} channelIds 未処理のチャンネルID
    */
-  extractTwitterLink(description) {
-    if (!description) return 'N/A';
-
-    // TwitterおよびXのURL正規表現（優先順位順）
-    const urlPatterns = [
-      // 完全なURL形式（http/httpsあり）
-      /https?:\/\/(www\.)?(twitter|x)\.com\/([a-zA-Z0-9_]+)/gi,
-      // URLスキームなし
-      /(twitter|x)\.com\/([a-zA-Z0-9_]+)/gi,
-    ];
-
-    // まずURL形式を検索
-    for (const pattern of urlPatterns) {
-      const match = description.match(pattern);
-      if (match) {
-        let link = match[0];
-        // httpsが含まれていない場合は追加
-        if (!link.startsWith('http')) {
-          link = 'https://' + link;
-        }
-        // twitter.comをx.comに統一
-        link = link.replace('twitter.com', 'x.com');
-        return link;
-      }
-    }
-
-    // URL形式が見つからない場合は @ユーザー名 を検索
-    // ただし、@の後にスペースや記号がない、有効なユーザー名のみ
-    const mentionPattern = /@([a-zA-Z0-9_]{1,15})(?:\s|$|[^\w])/g;
-    const mentionMatch = description.match(mentionPattern);
-    if (mentionMatch) {
-      // @マークとその後の文字を抽出
-      const username = mentionMatch[0].match(/@([a-zA-Z0-9_]+)/)[1];
-      return `https://x.com/${username}`;
+  keepRemaining(remainingIds, channelIds) {
+    if (remainingIds && channelIds.length > 0) {
+      channelIds.forEach(id => remainingIds.push(id));
+      Logger.log(`未処理の${channelIds.length}件を次回に持ち越します`);
     }
+  }
 
-    // Twitterキーワードと共にユーザー名が記載されているパターン
-    // 例: "Twitter: username" または "X: username"
-    const keywordPattern = /(?:twitter|X|x)[\s:：]+([a-zA-Z0-9_]{1,15})/gi;
-    const keywordMatch = description.match(keywordPattern);
-    if (keywordMatch) {
-      const username = keywordMatch[0].match(/([a-zA-Z0-9_]+)$/)[0];
-      return `https://x.com/${username}`;
+  /**
+   * 本日のクォータ予算で更新できるチャンネル数を計算
+   * Channels.list 1回 + チャンネルごとにPlaylistItems.list・Videos.list各1回
+   * @param {number} count 更新したいチャンネル数
+   * @param {number} availableQuota 呼び出し側の上限（1回の実行の予算など。省略時は本日の予算のみ）
+   * @return {number} 更新できるチャンネル数（quotaTrackerがなく上限も省略した場合はcountのまま）
+   */
+  getAffordableUpdateCount(count, availableQuota = Infinity) {
+    let available = availableQuota;
+    if (this.quotaTracker) {
+      available = Math.min(available, this.quotaTracker.getRemainingBudget());
     }
-
-    return 'N/A';
+    return Math.max(0, Math.min(count, Math.floor((available - 1) / 2)));
   }
 
   /**
@@ -730,4 +1317,15 @@ class YouTubeSearcher {
     const elapsedTime = (currentTime - this.startTime) / 1000;
     return elapsedTime > CONFIG.MAX_EXECUTION_TIME;
   }
+
+  /**
+   * 基本情報フィルタの通常の条件（開設日では絞り込まない）
+   * @return {Object} {minSubscriberCount, maxChannelAgeDays}
+   */
+  static defaultCriteria() {
+    return {
+      minSubscriberCount: CONFIG.MIN_SUBSCRIBER_COUNT,
+      maxChannelAgeDays: null
+    };
+  }
 }